@@ -1,5 +1,11 @@
 require('dotenv').config();
 
+// Notification adapters that only log or write files are a default for local development and
+// tests. Anywhere else a channel needs an explicit provider, and messages fail until it has one.
+const localNotifier = ['development', 'test'].includes(process.env.NODE_ENV || 'development')
+  ? 'console'
+  : undefined;
+
 module.exports = {
   port: process.env.PORT || 3001,
   nodeEnv: process.env.NODE_ENV || 'development',
@@ -11,14 +17,119 @@ module.exports = {
     refreshExpiry: process.env.REFRESH_TOKEN_EXPIRY || '7d',
   },
 
-  gemini: {
-    apiKey: process.env.GEMINI_API_KEY,
+  llm: {
+    // Summary model provider: 'gemini' | 'openai' | 'ollama' | 'mock' (offline, deterministic;
+    // the default under test)
+    provider: process.env.LLM_PROVIDER || (process.env.NODE_ENV === 'test' ? 'mock' : 'gemini'),
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || '60000'),
+    gemini: {
+      apiKey: process.env.GEMINI_API_KEY,
+      model: process.env.GEMINI_MODEL || 'gemini-1.5-pro',
+    },
+    // Any OpenAI-compatible chat completions endpoint
+    openai: {
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    },
+    ollama: {
+      baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+      model: process.env.OLLAMA_MODEL || 'llama3.1',
+    },
   },
 
   sentry: {
     dsn: process.env.SENTRY_DSN,
   },
 
+  intakeFormUrl: process.env.INTAKE_FORM_URL || 'https://intake.intakeai.app',
+
+  twoFactor: {
+    // Shown as the account's issuer in authenticator apps
+    issuer: process.env.TWO_FACTOR_ISSUER || 'IntakeAI',
+    // Time allowed between the password step of login and the code step
+    challengeMinutes: parseInt(process.env.TWO_FACTOR_CHALLENGE_MINUTES || '5'),
+  },
+
+  passwordReset: {
+    // Page that reads ?token= and posts it to /api/auth/reset-password
+    url: process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password',
+    tokenMinutes: parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES || '60'),
+  },
+
+  notifications: {
+    // Adapters: 'smtp' | 'file' | 'console' for email, 'twilio' | 'file' | 'console' for SMS,
+    // 'http' | 'file' | 'console' for webhooks
+    emailProvider: process.env.EMAIL_PROVIDER || localNotifier,
+    smsProvider: process.env.SMS_PROVIDER || localNotifier,
+    webhookProvider: process.env.WEBHOOK_PROVIDER || localNotifier,
+    emailFrom: process.env.EMAIL_FROM || 'IntakeAI <no-reply@intakeai.app>',
+    outboxDir: process.env.NOTIFICATION_OUTBOX_DIR || 'outbox',
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+    twilio: {
+      accountSid: process.env.TWILIO_ACCOUNT_SID,
+      authToken: process.env.TWILIO_AUTH_TOKEN,
+      from: process.env.TWILIO_FROM_NUMBER,
+    },
+    // Shared secret for the X-IntakeAI-Signature header on webhook posts
+    webhookSecret: process.env.WEBHOOK_SECRET,
+    webhookTimeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000'),
+  },
+
+  alerts: {
+    // Outbound channels for CRITICAL red flags: any of email, sms, webhook
+    channels: (process.env.ALERT_CHANNELS ?? 'email')
+      .split(',')
+      .map((channel) => channel.trim())
+      .filter(Boolean),
+    webhookUrl: process.env.ALERT_WEBHOOK_URL,
+    // Re-send an unacknowledged critical alert after this many minutes, up to maxEscalations times
+    escalationMinutes: parseInt(process.env.ALERT_ESCALATION_MINUTES || '15'),
+    maxEscalations: parseInt(process.env.ALERT_MAX_ESCALATIONS || '2'),
+    // Extra recipients added from the first escalation on (e.g. practice manager, on-call line)
+    escalationEmail: process.env.ALERT_ESCALATION_EMAIL,
+    escalationPhone: process.env.ALERT_ESCALATION_PHONE,
+  },
+
+  jobs: {
+    // Background jobs run in the API process; off under test unless JOBS_ENABLED=true
+    enabled: process.env.JOBS_ENABLED
+      ? process.env.JOBS_ENABLED === 'true'
+      : process.env.NODE_ENV !== 'test',
+    intakeLinkIntervalMinutes: parseInt(process.env.INTAKE_LINK_JOB_INTERVAL_MINUTES || '15'),
+    // Hours before expiry to remind patients with unfinished links, e.g. "48,24"
+    reminderHours: (process.env.INTAKE_LINK_REMINDER_HOURS || '48,24')
+      .split(',')
+      .map((hours) => parseInt(hours.trim()))
+      .filter((hours) => hours > 0),
+    alertIntervalMinutes: parseInt(process.env.ALERT_JOB_INTERVAL_MINUTES || '1'),
+  },
+
+  retention: {
+    // Soft-deleted patients, intakes, summaries and links are purged this many days after
+    // deletion (default 7 years); 0 keeps them forever
+    days: parseInt(process.env.RECORD_RETENTION_DAYS || '2555'),
+    jobIntervalHours: parseInt(process.env.RETENTION_JOB_INTERVAL_HOURS || '24'),
+  },
+
+  queue: {
+    // Worker for queued jobs (red flag detection, summaries). Runs under test too,
+    // since submissions depend on it. JOB_WORKER_ENABLED=false keeps an instance out of the pool.
+    workerEnabled: process.env.JOB_WORKER_ENABLED !== 'false',
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS || '5000'),
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '5'),
+    // Retry delay doubles from this on each failed attempt, capped at an hour
+    retryBaseSeconds: parseInt(process.env.JOB_RETRY_BASE_SECONDS || '30'),
+    // Running jobs locked longer than this are assumed lost (worker crashed) and requeued
+    lockTimeoutMinutes: parseInt(process.env.JOB_LOCK_TIMEOUT_MINUTES || '10'),
+  },
+
   cors: {
     origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
   },
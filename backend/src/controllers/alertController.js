@@ -0,0 +1,45 @@
+const { subscribeAlerts } = require('../services/alertBus');
+const logger = require('../utils/logger');
+
+// Comment line sent periodically so proxies do not close an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * Write one server-sent event
+ */
+const writeEvent = (res, type, data) => {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Stream the provider's alerts (new red flags, escalations, new submissions)
+ * as server-sent events
+ * GET /api/alerts/stream
+ */
+exports.streamAlerts = async (req, res, next) => {
+  try {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    res.write('retry: 5000\n\n');
+    writeEvent(res, 'ready', { providerId: req.user.id });
+
+    const unsubscribe = subscribeAlerts(req.user.id, ({ type, data }) => writeEvent(res, type, data));
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    logger.info(`Alert stream opened for provider ${req.user.id}`);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      logger.info(`Alert stream closed for provider ${req.user.id}`);
+    });
+  } catch (error) {
+    next(error);
+  }
+};
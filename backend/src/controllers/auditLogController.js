@@ -0,0 +1,78 @@
+const { PrismaClient } = require('@prisma/client');
+const { can } = require('../services/authorization');
+
+const prisma = new PrismaClient();
+
+/**
+ * Get audit log entries for the authenticated provider, or for their whole
+ * practice when their role allows it
+ * GET /api/audit-logs
+ */
+exports.getAuditLogs = async (req, res, next) => {
+  try {
+    const {
+      entityType,
+      entityId,
+      action,
+      userId,
+      from,
+      to,
+      page = 1,
+      limit = 50,
+    } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = can(req.user, 'auditLogs:practice')
+      ? { practiceId: req.user.practiceId }
+      : { providerId: req.user.id };
+
+    if (entityType) where.entityType = entityType;
+    if (entityId) where.entityId = entityId;
+    if (action) where.action = action;
+    if (userId) where.userId = userId;
+
+    if (from || to) {
+      where.createdAt = {
+        ...(from && { gte: new Date(from) }),
+        ...(to && { lte: new Date(to) }),
+      };
+    }
+
+    const [auditLogs, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: parseInt(limit),
+      }),
+      prisma.auditLog.count({ where }),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        auditLogs: auditLogs.map((log) => ({
+          id: log.id,
+          action: log.action,
+          entityType: log.entityType,
+          entityId: log.entityId,
+          userId: log.userId,
+          providerId: log.providerId,
+          oldValues: log.oldValues,
+          newValues: log.newValues,
+          ipAddress: log.ipAddress,
+          userAgent: log.userAgent,
+          createdAt: log.createdAt,
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          totalPages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
@@ -8,10 +9,30 @@ const {
   ConflictError,
   ValidationError,
 } = require('../utils/errors');
+const { recordAudit } = require('../services/auditService');
+const { sendNotification } = require('../services/notificationService');
+const { passwordReset } = require('../services/notificationTemplates');
+const { verifySecondFactor, countBackupCodes } = require('../services/twoFactorService');
 const logger = require('../utils/logger');
 
 const prisma = new PrismaClient();
 
+// The user's practice and role, for /register and /me
+const MEMBERSHIP_SELECT = {
+  select: {
+    role: true,
+    practice: { select: { id: true, name: true } },
+  },
+};
+
+// Whether the user's practice requires 2FA, for login responses
+const LOGIN_MEMBERSHIP_INCLUDE = {
+  membership: { select: { practice: { select: { requireTwoFactor: true } } } },
+};
+
+// Marks a token that only proves the password step of a two-factor login
+const TWO_FACTOR_CHALLENGE = '2fa-challenge';
+
 /**
  * Generate access and refresh tokens
  */
@@ -46,6 +67,11 @@ const parseExpiry = (expiry) => {
   }
 };
 
+/**
+ * Reset tokens are random, so a plain SHA-256 is enough to keep them unusable if the table leaks
+ */
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 /**
  * Register a new user
  * POST /api/auth/register
@@ -66,7 +92,7 @@ exports.register = async (req, res, next) => {
     // Hash password
     const passwordHash = await bcrypt.hash(password, 12);
 
-    // Create user
+    // Create user, owning a new practice (others join through /api/practice/members)
     const user = await prisma.user.create({
       data: {
         email: email.toLowerCase(),
@@ -75,6 +101,12 @@ exports.register = async (req, res, next) => {
         lastName,
         title,
         practiceName,
+        membership: {
+          create: {
+            role: 'OWNER',
+            practice: { create: { name: practiceName || `${firstName} ${lastName}` } },
+          },
+        },
       },
       select: {
         id: true,
@@ -84,6 +116,7 @@ exports.register = async (req, res, next) => {
         title: true,
         practiceName: true,
         createdAt: true,
+        membership: MEMBERSHIP_SELECT,
       },
     });
 
@@ -107,6 +140,16 @@ exports.register = async (req, res, next) => {
       path: '/api/auth', // Only send refresh token to auth endpoints
     });
 
+    await recordAudit(req, {
+      action: 'CREATE',
+      entityType: 'USER',
+      entityId: user.id,
+      userId: user.id,
+      providerId: user.id,
+      practiceId: user.membership.practice.id,
+      newValues: user,
+    });
+
     logger.info(`New user registered: ${user.email}`);
 
     res.status(201).json({
@@ -122,7 +165,62 @@ exports.register = async (req, res, next) => {
 };
 
 /**
- * Login user
+ * Issue tokens for a user who has passed every login step, and respond
+ */
+async function completeLogin(req, res, user, { audit = {}, data = {} } = {}) {
+  // Generate tokens
+  const { accessToken, refreshToken } = generateTokens(user.id);
+
+  // Store refresh token
+  const expiresAt = new Date(Date.now() + parseExpiry(config.jwt.refreshExpiry));
+  await prisma.refreshToken.create({
+    data: {
+      token: refreshToken,
+      userId: user.id,
+      expiresAt,
+    },
+  });
+
+  // Set HttpOnly cookies
+  res.cookie('accessToken', accessToken, config.cookie);
+  res.cookie('refreshToken', refreshToken, {
+    ...config.cookie,
+    path: '/api/auth',
+  });
+
+  await recordAudit(req, {
+    action: 'LOGIN',
+    entityType: 'USER',
+    entityId: user.id,
+    userId: user.id,
+    providerId: user.id,
+    newValues: { success: true, ...audit },
+  });
+
+  logger.info(`User logged in: ${user.email}`);
+
+  res.json({
+    success: true,
+    data: {
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        title: user.title,
+        practiceName: user.practiceName,
+      },
+      accessToken,
+      // The practice requires 2FA and the user still has to set it up
+      twoFactorSetupRequired: !user.twoFactorEnabled && !!user.membership?.practice.requireTwoFactor,
+      ...data,
+    },
+  });
+}
+
+/**
+ * Login user. With two-factor authentication on, no tokens are issued yet:
+ * the response carries a challenge token to complete at /api/auth/2fa/verify.
  * POST /api/auth/login
  */
 exports.login = async (req, res, next) => {
@@ -132,6 +230,7 @@ exports.login = async (req, res, next) => {
     // Find user
     const user = await prisma.user.findUnique({
       where: { email: email.toLowerCase() },
+      include: LOGIN_MEMBERSHIP_INCLUDE,
     });
 
     if (!user) {
@@ -142,45 +241,83 @@ exports.login = async (req, res, next) => {
     const isValidPassword = await bcrypt.compare(password, user.passwordHash);
 
     if (!isValidPassword) {
+      await recordAudit(req, {
+        action: 'LOGIN',
+        entityType: 'USER',
+        entityId: user.id,
+        userId: user.id,
+        providerId: user.id,
+        newValues: { success: false },
+      });
       throw new AuthenticationError('Invalid email or password');
     }
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user.id);
+    if (user.twoFactorEnabled) {
+      const challengeToken = jwt.sign(
+        { userId: user.id, purpose: TWO_FACTOR_CHALLENGE },
+        config.jwt.accessSecret,
+        { expiresIn: `${config.twoFactor.challengeMinutes}m` }
+      );
 
-    // Store refresh token
-    const expiresAt = new Date(Date.now() + parseExpiry(config.jwt.refreshExpiry));
-    await prisma.refreshToken.create({
-      data: {
-        token: refreshToken,
-        userId: user.id,
-        expiresAt,
-      },
-    });
+      return res.json({
+        success: true,
+        data: { twoFactorRequired: true, challengeToken },
+      });
+    }
 
-    // Set HttpOnly cookies
-    res.cookie('accessToken', accessToken, config.cookie);
-    res.cookie('refreshToken', refreshToken, {
-      ...config.cookie,
-      path: '/api/auth',
-    });
+    await completeLogin(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+};
 
-    logger.info(`User logged in: ${user.email}`);
+/**
+ * Complete a two-factor login with an authenticator code or a backup code
+ * POST /api/auth/2fa/verify
+ */
+exports.verifyTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
 
-    res.json({
-      success: true,
-      data: {
-        user: {
-          id: user.id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          title: user.title,
-          practiceName: user.practiceName,
-        },
-        accessToken,
-      },
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, config.jwt.accessSecret);
+    } catch (error) {
+      throw new AuthenticationError('Two-factor challenge is invalid or has expired');
+    }
+
+    if (decoded.purpose !== TWO_FACTOR_CHALLENGE) {
+      throw new AuthenticationError('Two-factor challenge is invalid or has expired');
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId },
+      include: LOGIN_MEMBERSHIP_INCLUDE,
     });
+
+    if (!user || !user.twoFactorEnabled) {
+      throw new AuthenticationError('Two-factor challenge is invalid or has expired');
+    }
+
+    const method = await verifySecondFactor(user, { code, backupCode });
+
+    if (!method) {
+      await recordAudit(req, {
+        action: 'LOGIN',
+        entityType: 'USER',
+        entityId: user.id,
+        userId: user.id,
+        providerId: user.id,
+        newValues: { success: false, twoFactor: backupCode ? 'backup-code' : 'totp' },
+      });
+      throw new AuthenticationError('Invalid authentication code');
+    }
+
+    const data = method === 'backup-code'
+      ? { backupCodesRemaining: await countBackupCodes(user.id) }
+      : {};
+
+    await completeLogin(req, res, user, { audit: { twoFactor: method }, data });
   } catch (error) {
     next(error);
   }
@@ -267,10 +404,24 @@ exports.logout = async (req, res, next) => {
     const refreshToken = req.cookies?.refreshToken;
 
     if (refreshToken) {
+      const storedToken = await prisma.refreshToken.findUnique({
+        where: { token: refreshToken },
+      });
+
       // Delete refresh token from database
       await prisma.refreshToken.deleteMany({
         where: { token: refreshToken },
       });
+
+      if (storedToken) {
+        await recordAudit(req, {
+          action: 'LOGOUT',
+          entityType: 'USER',
+          entityId: storedToken.userId,
+          userId: storedToken.userId,
+          providerId: storedToken.userId,
+        });
+      }
     }
 
     // Clear cookies
@@ -302,7 +453,10 @@ exports.me = async (req, res, next) => {
         title: true,
         practiceName: true,
         phone: true,
+        autoGenerateSummaries: true,
+        twoFactorEnabled: true,
         createdAt: true,
+        membership: MEMBERSHIP_SELECT,
       },
     });
 
@@ -314,3 +468,176 @@ exports.me = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Create a reset token for the account with this email, if there is one, and
+ * email its link
+ */
+async function sendPasswordReset(email) {
+  const user = await prisma.user.findUnique({
+    where: { email: email.toLowerCase() },
+  });
+
+  if (!user) return;
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresInMinutes = config.passwordReset.tokenMinutes;
+
+  // Only the latest link works
+  await prisma.$transaction([
+    prisma.passwordResetToken.deleteMany({ where: { userId: user.id, usedAt: null } }),
+    prisma.passwordResetToken.create({
+      data: {
+        tokenHash: hashResetToken(token),
+        userId: user.id,
+        expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+      },
+    }),
+  ]);
+
+  const url = `${config.passwordReset.url}?token=${token}`;
+  const { email: message } = passwordReset({ user, url, expiresInMinutes });
+  const result = await sendNotification('email', { to: user.email, ...message });
+
+  logger.info(`Password reset requested for ${user.email} (${result.status})`);
+}
+
+/**
+ * Email a password reset link. Responds the same way, before any lookup, so
+ * neither the message nor the response time shows which emails have accounts.
+ * POST /api/auth/forgot-password
+ */
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent',
+    });
+
+    sendPasswordReset(email).catch((error) => logger.error('Failed to send password reset:', error));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set a new password with an emailed reset token. Signs the user out everywhere.
+ * POST /api/auth/reset-password
+ */
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashResetToken(token) },
+      include: {
+        user: { select: { id: true, email: true, membership: { select: { practiceId: true } } } },
+      },
+    });
+
+    if (!resetToken || resetToken.usedAt || resetToken.expiresAt < new Date()) {
+      throw new ValidationError('Reset link is invalid or has expired');
+    }
+
+    const passwordHash = await bcrypt.hash(password, 12);
+    const { user } = resetToken;
+
+    await prisma.$transaction(async (tx) => {
+      // Conditional so two requests racing with the same token cannot both succeed
+      const now = new Date();
+      const { count } = await tx.passwordResetToken.updateMany({
+        where: { id: resetToken.id, usedAt: null, expiresAt: { gt: now } },
+        data: { usedAt: now },
+      });
+
+      if (count !== 1) {
+        throw new ValidationError('Reset link is invalid or has expired');
+      }
+
+      await tx.user.update({ where: { id: user.id }, data: { passwordHash } });
+      await tx.passwordResetToken.deleteMany({ where: { userId: user.id, usedAt: null } });
+      await tx.refreshToken.deleteMany({ where: { userId: user.id } });
+    });
+
+    await recordAudit(req, {
+      action: 'PASSWORD_CHANGE',
+      entityType: 'USER',
+      entityId: user.id,
+      userId: user.id,
+      providerId: user.id,
+      practiceId: user.membership?.practiceId,
+      newValues: { method: 'reset' },
+    });
+
+    logger.info(`Password reset for ${user.email}`);
+
+    res.clearCookie('accessToken');
+    res.clearCookie('refreshToken', { path: '/api/auth' });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset; please log in',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change the signed-in user's password. Other sessions are signed out; this
+ * one keeps its refresh token.
+ * POST /api/auth/change-password
+ */
+exports.changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+    });
+
+    const isValidPassword = await bcrypt.compare(currentPassword, user.passwordHash);
+
+    if (!isValidPassword) {
+      throw new ValidationError('Current password is incorrect');
+    }
+
+    if (currentPassword === newPassword) {
+      throw new ValidationError('New password must be different from the current password');
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 12);
+    const currentRefreshToken = req.cookies?.refreshToken || req.body.refreshToken;
+
+    const [, revoked] = await prisma.$transaction([
+      prisma.user.update({ where: { id: user.id }, data: { passwordHash } }),
+      prisma.refreshToken.deleteMany({
+        where: {
+          userId: user.id,
+          ...(currentRefreshToken && { token: { not: currentRefreshToken } }),
+        },
+      }),
+      prisma.passwordResetToken.deleteMany({ where: { userId: user.id, usedAt: null } }),
+    ]);
+
+    await recordAudit(req, {
+      action: 'PASSWORD_CHANGE',
+      entityType: 'USER',
+      entityId: user.id,
+      providerId: user.id,
+      newValues: { method: 'change', sessionsRevoked: revoked.count },
+    });
+
+    logger.info(`Password changed for ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: { sessionsRevoked: revoked.count },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,222 @@
+const { PrismaClient } = require('@prisma/client');
+const { NotFoundError, ValidationError, AuthorizationError } = require('../utils/errors');
+const { recordAudit } = require('../services/auditService');
+const { CLINICIAN_ROLES, can } = require('../services/authorization');
+const { activeCoverage } = require('../services/coverageService');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Longest single coverage; longer absences should transfer the patients instead
+const MAX_COVERAGE_DAYS = 90;
+
+const CLINICIAN_SELECT = { id: true, firstName: true, lastName: true, title: true };
+
+/**
+ * Where a coverage stands at the moment
+ */
+const coverageStatus = (coverage, now = new Date()) => {
+  if (coverage.revokedAt) return 'revoked';
+  if (coverage.endsAt <= now) return 'ended';
+  if (coverage.startsAt > now) return 'upcoming';
+  return 'active';
+};
+
+/**
+ * Format a coverage for responses
+ */
+const formatCoverage = (coverage) => ({
+  id: coverage.id,
+  provider: coverage.provider,
+  coveringProvider: coverage.coveringProvider,
+  startsAt: coverage.startsAt,
+  endsAt: coverage.endsAt,
+  reason: coverage.reason,
+  status: coverageStatus(coverage),
+  revokedAt: coverage.revokedAt,
+  createdById: coverage.createdById,
+  createdAt: coverage.createdAt,
+});
+
+/**
+ * Verify a user is a clinician in the practice
+ */
+async function assertClinician(practiceId, userId, label) {
+  const member = await prisma.practiceMember.findFirst({
+    where: { userId, practiceId, role: { in: CLINICIAN_ROLES } },
+  });
+
+  if (!member) {
+    throw new ValidationError(`The ${label} must be a clinician in your practice`);
+  }
+}
+
+/**
+ * List the practice's coverages
+ * GET /api/coverages
+ */
+exports.getCoverages = async (req, res, next) => {
+  try {
+    const { status = 'current', providerId, coveringProviderId } = req.query;
+    const now = new Date();
+
+    const where = {
+      practiceId: req.user.practiceId,
+      ...(providerId && { providerId }),
+      ...(coveringProviderId && { coveringProviderId }),
+    };
+
+    if (status === 'active') {
+      Object.assign(where, activeCoverage(now));
+    } else if (status === 'current') {
+      // Active and upcoming
+      Object.assign(where, { revokedAt: null, endsAt: { gt: now } });
+    }
+
+    const coverages = await prisma.coverage.findMany({
+      where,
+      include: {
+        provider: { select: CLINICIAN_SELECT },
+        coveringProvider: { select: CLINICIAN_SELECT },
+      },
+      orderBy: { startsAt: 'asc' },
+    });
+
+    res.json({
+      success: true,
+      data: { coverages: coverages.map(formatCoverage) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Arrange cover for a clinician's queue. Clinicians arrange their own cover;
+ * owners can arrange it for anyone.
+ * POST /api/coverages
+ */
+exports.createCoverage = async (req, res, next) => {
+  try {
+    const { coveringProviderId, endsAt, reason } = req.body;
+    const providerId = req.body.providerId || req.user.id;
+    const startsAt = req.body.startsAt ? new Date(req.body.startsAt) : new Date();
+    const ends = new Date(endsAt);
+
+    if (providerId !== req.user.id && !can(req.user, 'practice:manage')) {
+      throw new AuthorizationError('Only practice owners can arrange cover for another clinician');
+    }
+
+    if (coveringProviderId === providerId) {
+      throw new ValidationError('A clinician cannot cover their own queue');
+    }
+
+    if (ends <= startsAt || ends <= new Date()) {
+      throw new ValidationError('endsAt must be in the future and after startsAt');
+    }
+
+    if (ends - startsAt > MAX_COVERAGE_DAYS * 24 * 60 * 60 * 1000) {
+      throw new ValidationError(
+        `Coverage can last at most ${MAX_COVERAGE_DAYS} days; transfer the patients instead`
+      );
+    }
+
+    await assertClinician(req.user.practiceId, providerId, 'covered provider');
+    await assertClinician(req.user.practiceId, coveringProviderId, 'covering provider');
+
+    const coverage = await prisma.coverage.create({
+      data: {
+        practiceId: req.user.practiceId,
+        providerId,
+        coveringProviderId,
+        startsAt,
+        endsAt: ends,
+        reason,
+        createdById: req.user.id,
+      },
+      include: {
+        provider: { select: CLINICIAN_SELECT },
+        coveringProvider: { select: CLINICIAN_SELECT },
+      },
+    });
+
+    await recordAudit(req, {
+      action: 'CREATE',
+      entityType: 'COVERAGE',
+      entityId: coverage.id,
+      providerId,
+      newValues: {
+        providerId,
+        coveringProviderId,
+        startsAt: coverage.startsAt,
+        endsAt: coverage.endsAt,
+        reason,
+      },
+    });
+
+    logger.info(`Coverage ${coverage.id}: ${coveringProviderId} covering ${providerId}`);
+
+    res.status(201).json({
+      success: true,
+      data: { coverage: formatCoverage(coverage) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * End a coverage early (or cancel an upcoming one). The covered clinician,
+ * the covering clinician and owners can revoke it.
+ * DELETE /api/coverages/:id
+ */
+exports.revokeCoverage = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.coverage.findFirst({
+      where: { id, practiceId: req.user.practiceId },
+    });
+
+    if (!existing) {
+      throw new NotFoundError('Coverage');
+    }
+
+    const involved = [existing.providerId, existing.coveringProviderId].includes(req.user.id);
+    if (!involved && !can(req.user, 'practice:manage')) {
+      throw new AuthorizationError('Only the clinicians involved or a practice owner can revoke cover');
+    }
+
+    const status = coverageStatus(existing);
+    if (status === 'revoked' || status === 'ended') {
+      throw new ValidationError(`Coverage has already ${status === 'revoked' ? 'been revoked' : 'ended'}`);
+    }
+
+    const coverage = await prisma.coverage.update({
+      where: { id },
+      data: { revokedAt: new Date() },
+      include: {
+        provider: { select: CLINICIAN_SELECT },
+        coveringProvider: { select: CLINICIAN_SELECT },
+      },
+    });
+
+    await recordAudit(req, {
+      action: 'UPDATE',
+      entityType: 'COVERAGE',
+      entityId: id,
+      providerId: existing.providerId,
+      oldValues: { revokedAt: null },
+      newValues: { revokedAt: coverage.revokedAt },
+    });
+
+    logger.info(`Coverage ${id} revoked by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      data: { coverage: formatCoverage(coverage) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,332 @@
+const { PrismaClient } = require('@prisma/client');
+const {
+  patientScope,
+  intakeLinkScope,
+  intakeScope,
+  summaryScope,
+} = require('../services/authorization');
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Period-over-period trend (matches the app's DashboardStats.Trend)
+ */
+const buildTrend = (current, previous) => {
+  const value = current - previous;
+  let percentage = 0;
+  if (previous > 0) {
+    percentage = Math.round((value / previous) * 1000) / 10;
+  } else if (current > 0) {
+    percentage = 100;
+  }
+
+  return {
+    value,
+    percentage,
+    isPositive: value >= 0,
+  };
+};
+
+/**
+ * Map database severity to the app's three-level scale
+ */
+const toAppSeverity = (severity) => (severity === 'CRITICAL' ? 'high' : severity.toLowerCase());
+
+const patientName = (patient) => `${patient.firstName} ${patient.lastName}`;
+
+/**
+ * Build the recent activity feed from the underlying tables
+ */
+async function getRecentActivity(user, limit) {
+  const scope = patientScope(user);
+  const patientSelect = { select: { id: true, firstName: true, lastName: true } };
+
+  const [patients, links, startedLinks, intakes, summaries, redFlags, notes] = await Promise.all([
+    prisma.patient.findMany({
+      where: scope,
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+    }),
+    prisma.intakeLink.findMany({
+      where: { ...intakeLinkScope(user), sentAt: { not: null } },
+      include: { patient: patientSelect },
+      orderBy: { sentAt: 'desc' },
+      take: limit,
+    }),
+    prisma.intakeLink.findMany({
+      where: { ...intakeLinkScope(user), startedAt: { not: null } },
+      include: { patient: patientSelect },
+      orderBy: { startedAt: 'desc' },
+      take: limit,
+    }),
+    prisma.intake.findMany({
+      where: intakeScope(user),
+      include: { patient: patientSelect },
+      orderBy: { completedAt: 'desc' },
+      take: limit,
+    }),
+    prisma.summary.findMany({
+      where: summaryScope(user),
+      include: { intake: { include: { patient: patientSelect } } },
+      orderBy: { generatedAt: 'desc' },
+      take: limit,
+    }),
+    prisma.redFlag.findMany({
+      where: { intake: intakeScope(user) },
+      include: { intake: { include: { patient: patientSelect } } },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+    }),
+    prisma.clinicalNote.findMany({
+      where: { patient: scope },
+      include: { patient: patientSelect },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+    }),
+  ]);
+
+  const activity = [
+    ...patients.map((p) => ({
+      id: `PATIENT_ADDED-${p.id}`,
+      type: 'PATIENT_ADDED',
+      title: 'New patient added',
+      subtitle: patientName(p),
+      patientId: p.id,
+      patientName: patientName(p),
+      timestamp: p.createdAt,
+      metadata: null,
+    })),
+    ...links.map((link) => ({
+      id: `LINK_SENT-${link.id}`,
+      type: 'LINK_SENT',
+      title: 'Intake link sent',
+      subtitle: `Expires ${link.expiresAt.toISOString().slice(0, 10)}`,
+      patientId: link.patient.id,
+      patientName: patientName(link.patient),
+      timestamp: link.sentAt,
+      metadata: { intakeLinkId: link.id },
+    })),
+    ...startedLinks.map((link) => ({
+      id: `INTAKE_STARTED-${link.id}`,
+      type: 'INTAKE_STARTED',
+      title: 'Intake started',
+      subtitle: null,
+      patientId: link.patient.id,
+      patientName: patientName(link.patient),
+      timestamp: link.startedAt,
+      metadata: { intakeLinkId: link.id },
+    })),
+    ...intakes.map((intake) => ({
+      id: `INTAKE_COMPLETED-${intake.id}`,
+      type: 'INTAKE_COMPLETED',
+      title: 'Intake completed',
+      subtitle: intake.chiefComplaint,
+      patientId: intake.patient.id,
+      patientName: patientName(intake.patient),
+      timestamp: intake.completedAt,
+      metadata: { intakeId: intake.id },
+    })),
+    ...summaries.map((summary) => ({
+      id: `SUMMARY_GENERATED-${summary.id}`,
+      type: 'SUMMARY_GENERATED',
+      title: 'AI summary generated',
+      subtitle: null,
+      patientId: summary.intake.patient.id,
+      patientName: patientName(summary.intake.patient),
+      timestamp: summary.generatedAt,
+      metadata: { intakeId: summary.intakeId, summaryId: summary.id },
+    })),
+    ...redFlags.map((rf) => ({
+      id: `RED_FLAG_DETECTED-${rf.id}`,
+      type: 'RED_FLAG_DETECTED',
+      title: 'Red flag detected',
+      subtitle: rf.description,
+      patientId: rf.intake.patient.id,
+      patientName: patientName(rf.intake.patient),
+      timestamp: rf.createdAt,
+      metadata: { intakeId: rf.intakeId, severity: toAppSeverity(rf.severity) },
+    })),
+    ...notes.map((note) => ({
+      id: `NOTE_ADDED-${note.id}`,
+      type: 'NOTE_ADDED',
+      title: 'Clinical note added',
+      subtitle: note.noteType,
+      patientId: note.patient.id,
+      patientName: patientName(note.patient),
+      timestamp: note.createdAt,
+      metadata: { noteId: note.id },
+    })),
+  ];
+
+  return activity.sort((a, b) => b.timestamp - a.timestamp).slice(0, limit);
+}
+
+/**
+ * Get dashboard statistics, trends and activity feed
+ * GET /api/dashboard
+ */
+exports.getDashboard = async (req, res, next) => {
+  try {
+    const scope = patientScope(req.user);
+    const periodDays = parseInt(req.query.periodDays || 7);
+    const activityLimit = parseInt(req.query.activityLimit || 20);
+
+    const now = new Date();
+    const startOfToday = new Date(now);
+    startOfToday.setHours(0, 0, 0, 0);
+    const periodStart = new Date(now.getTime() - periodDays * DAY_MS);
+    const previousPeriodStart = new Date(now.getTime() - 2 * periodDays * DAY_MS);
+
+    const openRedFlagWhere = {
+      intake: {
+        ...intakeScope(req.user),
+        status: 'READY_FOR_REVIEW',
+      },
+      dismissedAt: null,
+    };
+
+    const [
+      totalPatients,
+      activeIntakes,
+      completedToday,
+      pendingReview,
+      redFlagAlerts,
+      highSeverityAlerts,
+      patientsThisPeriod,
+      patientsLastPeriod,
+      intakesThisPeriod,
+      intakesLastPeriod,
+      alertFlags,
+      reviewQueue,
+      recentActivity,
+    ] = await Promise.all([
+      prisma.patient.count({ where: scope }),
+      prisma.intakeLink.count({
+        where: {
+          ...intakeLinkScope(req.user),
+          status: { in: ['PENDING', 'IN_PROGRESS'] },
+          expiresAt: { gt: now },
+        },
+      }),
+      prisma.intake.count({
+        where: {
+          ...intakeScope(req.user),
+          completedAt: { gte: startOfToday },
+        },
+      }),
+      prisma.intake.count({
+        where: {
+          ...intakeScope(req.user),
+          status: 'READY_FOR_REVIEW',
+        },
+      }),
+      prisma.redFlag.count({ where: openRedFlagWhere }),
+      prisma.redFlag.count({
+        where: {
+          ...openRedFlagWhere,
+          severity: { in: ['HIGH', 'CRITICAL'] },
+        },
+      }),
+      prisma.patient.count({
+        where: { ...scope, createdAt: { gte: periodStart } },
+      }),
+      prisma.patient.count({
+        where: { ...scope, createdAt: { gte: previousPeriodStart, lt: periodStart } },
+      }),
+      prisma.intake.count({
+        where: { ...intakeScope(req.user), completedAt: { gte: periodStart } },
+      }),
+      prisma.intake.count({
+        where: {
+          ...intakeScope(req.user),
+          completedAt: { gte: previousPeriodStart, lt: periodStart },
+        },
+      }),
+      prisma.redFlag.findMany({
+        where: openRedFlagWhere,
+        include: {
+          intake: {
+            include: {
+              patient: { select: { id: true, firstName: true, lastName: true } },
+              summaries: {
+                where: { deletedAt: null },
+                orderBy: { generatedAt: 'desc' },
+                take: 1,
+                select: { id: true },
+              },
+            },
+          },
+        },
+        orderBy: { createdAt: 'desc' },
+        take: 10,
+      }),
+      prisma.intake.findMany({
+        where: {
+          ...intakeScope(req.user),
+          status: 'READY_FOR_REVIEW',
+        },
+        include: {
+          patient: { select: { id: true, firstName: true, lastName: true } },
+          redFlags: { where: { dismissedAt: null }, select: { severity: true } },
+        },
+        orderBy: { completedAt: 'asc' },
+        take: 10,
+      }),
+      getRecentActivity(req.user, activityLimit),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        stats: {
+          totalPatients,
+          activeIntakes,
+          completedToday,
+          pendingReview,
+          redFlagAlerts,
+          highSeverityAlerts,
+          patientsTrend: buildTrend(patientsThisPeriod, patientsLastPeriod),
+          intakesTrend: buildTrend(intakesThisPeriod, intakesLastPeriod),
+        },
+        recentActivity,
+        redFlagAlerts: alertFlags.map((rf) => ({
+          id: rf.id,
+          patientId: rf.intake.patient.id,
+          patientName: patientName(rf.intake.patient),
+          intakeId: rf.intakeId,
+          summaryId: rf.intake.summaries[0]?.id || null,
+          redFlag: {
+            flag: rf.description,
+            severity: toAppSeverity(rf.severity),
+            details: null,
+            recommendation: null,
+            source: rf.origin,
+          },
+          detectedAt: rf.createdAt,
+          isAcknowledged: rf.acknowledgedAt !== null,
+          acknowledgedAt: rf.acknowledgedAt,
+        })),
+        upcomingTasks: reviewQueue.map((intake) => {
+          const severities = intake.redFlags.map((rf) => rf.severity);
+          let priority = 'low';
+          if (severities.some((s) => s === 'HIGH' || s === 'CRITICAL')) priority = 'high';
+          else if (severities.length > 0) priority = 'medium';
+
+          return {
+            id: `REVIEW_INTAKE-${intake.id}`,
+            title: 'Review intake',
+            dueDate: null,
+            patientId: intake.patient.id,
+            patientName: patientName(intake.patient),
+            taskType: 'REVIEW_INTAKE',
+            priority,
+          };
+        }),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,293 @@
+const { PrismaClient } = require('@prisma/client');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { recordAudit } = require('../services/auditService');
+const { validateTemplateSections } = require('../services/formTemplateService');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const latestVersion = {
+  orderBy: { version: 'desc' },
+  take: 1,
+};
+
+/**
+ * Format a template with one of its versions
+ */
+const formatTemplate = (template, version) => ({
+  id: template.id,
+  name: template.name,
+  description: template.description,
+  isDefault: template.isDefault,
+  archivedAt: template.archivedAt,
+  createdAt: template.createdAt,
+  updatedAt: template.updatedAt,
+  version: version.version,
+  versionId: version.id,
+  sections: version.sections,
+});
+
+/**
+ * Find a template owned by the provider
+ */
+async function findTemplate(id, providerId) {
+  const template = await prisma.formTemplate.findFirst({
+    where: { id, providerId },
+    include: { versions: latestVersion },
+  });
+
+  if (!template) {
+    throw new NotFoundError('Form template');
+  }
+
+  return template;
+}
+
+/**
+ * Reject template definitions that would not render or validate
+ */
+function assertValidSections(sections) {
+  const errors = validateTemplateSections(sections);
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid form template', errors);
+  }
+}
+
+/**
+ * Get the provider's form templates
+ * GET /api/form-templates
+ */
+exports.getFormTemplates = async (req, res, next) => {
+  try {
+    const includeArchived = req.query.includeArchived === 'true';
+
+    const templates = await prisma.formTemplate.findMany({
+      where: {
+        providerId: req.user.id,
+        ...(!includeArchived && { archivedAt: null }),
+      },
+      include: { versions: latestVersion },
+      orderBy: { name: 'asc' },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        formTemplates: templates.map((template) => formatTemplate(template, template.versions[0])),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a form template with its version history
+ * GET /api/form-templates/:id
+ */
+exports.getFormTemplate = async (req, res, next) => {
+  try {
+    const template = await findTemplate(req.params.id, req.user.id);
+
+    const versions = await prisma.formTemplateVersion.findMany({
+      where: { templateId: template.id },
+      select: { id: true, version: true, createdByUserId: true, createdAt: true },
+      orderBy: { version: 'desc' },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        formTemplate: formatTemplate(template, template.versions[0]),
+        versions,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a specific version of a form template
+ * GET /api/form-templates/:id/versions/:version
+ */
+exports.getFormTemplateVersion = async (req, res, next) => {
+  try {
+    const template = await findTemplate(req.params.id, req.user.id);
+
+    const version = await prisma.formTemplateVersion.findUnique({
+      where: {
+        templateId_version: {
+          templateId: template.id,
+          version: parseInt(req.params.version),
+        },
+      },
+    });
+
+    if (!version) {
+      throw new NotFoundError('Form template version');
+    }
+
+    res.json({
+      success: true,
+      data: { formTemplate: formatTemplate(template, version) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a form template
+ * POST /api/form-templates
+ */
+exports.createFormTemplate = async (req, res, next) => {
+  try {
+    const { name, description, sections, isDefault = false } = req.body;
+    const providerId = req.user.id;
+
+    assertValidSections(sections);
+
+    const template = await prisma.$transaction(async (tx) => {
+      if (isDefault) {
+        await tx.formTemplate.updateMany({
+          where: { providerId, isDefault: true },
+          data: { isDefault: false },
+        });
+      }
+
+      return tx.formTemplate.create({
+        data: {
+          providerId,
+          name,
+          description,
+          isDefault,
+          versions: {
+            create: { version: 1, sections, createdByUserId: providerId },
+          },
+        },
+        include: { versions: true },
+      });
+    });
+
+    await recordAudit(req, {
+      action: 'CREATE',
+      entityType: 'FORM_TEMPLATE',
+      entityId: template.id,
+      newValues: { name, isDefault, version: 1 },
+    });
+
+    logger.info(`Form template created: ${template.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: { formTemplate: formatTemplate(template, template.versions[0]) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a form template. Changing the sections creates a new version.
+ * PUT /api/form-templates/:id
+ */
+exports.updateFormTemplate = async (req, res, next) => {
+  try {
+    const { name, description, sections, isDefault } = req.body;
+    const providerId = req.user.id;
+
+    const existing = await findTemplate(req.params.id, providerId);
+
+    if (existing.archivedAt) {
+      throw new ValidationError('Archived form templates cannot be edited');
+    }
+
+    if (sections !== undefined) {
+      assertValidSections(sections);
+    }
+
+    const currentVersion = existing.versions[0];
+
+    const template = await prisma.$transaction(async (tx) => {
+      if (isDefault) {
+        await tx.formTemplate.updateMany({
+          where: { providerId, isDefault: true, id: { not: existing.id } },
+          data: { isDefault: false },
+        });
+      }
+
+      if (sections !== undefined) {
+        await tx.formTemplateVersion.create({
+          data: {
+            templateId: existing.id,
+            version: currentVersion.version + 1,
+            sections,
+            createdByUserId: providerId,
+          },
+        });
+      }
+
+      return tx.formTemplate.update({
+        where: { id: existing.id },
+        data: {
+          ...(name !== undefined && { name }),
+          ...(description !== undefined && { description }),
+          ...(isDefault !== undefined && { isDefault }),
+        },
+        include: { versions: latestVersion },
+      });
+    });
+
+    const version = template.versions[0];
+
+    await recordAudit(req, {
+      action: 'UPDATE',
+      entityType: 'FORM_TEMPLATE',
+      entityId: template.id,
+      oldValues: { name: existing.name, isDefault: existing.isDefault, version: currentVersion.version },
+      newValues: { name: template.name, isDefault: template.isDefault, version: version.version },
+    });
+
+    logger.info(`Form template updated: ${template.id} (version ${version.version})`);
+
+    res.json({
+      success: true,
+      data: { formTemplate: formatTemplate(template, version) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Archive a form template (links already sent keep working)
+ * DELETE /api/form-templates/:id
+ */
+exports.archiveFormTemplate = async (req, res, next) => {
+  try {
+    const existing = await findTemplate(req.params.id, req.user.id);
+
+    const template = await prisma.formTemplate.update({
+      where: { id: existing.id },
+      data: { archivedAt: existing.archivedAt || new Date(), isDefault: false },
+    });
+
+    await recordAudit(req, {
+      action: 'DELETE',
+      entityType: 'FORM_TEMPLATE',
+      entityId: template.id,
+      oldValues: { name: existing.name },
+    });
+
+    logger.info(`Form template archived: ${template.id}`);
+
+    res.json({
+      success: true,
+      message: 'Form template archived successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
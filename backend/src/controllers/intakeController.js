@@ -1,23 +1,193 @@
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const { nanoid } = require('nanoid');
-const { NotFoundError, ValidationError } = require('../utils/errors');
+const config = require('../config');
+const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
+const { recordAudit } = require('../services/auditService');
+const { can, patientScope, intakeLinkScope, intakeScope } = require('../services/authorization');
+const { deliverIntakeLink } = require('../services/linkDeliveryService');
+const { validateAnswers, buildIntakeData } = require('../services/formTemplateService');
+const { enqueueJob, wakeWorkers, formatJob } = require('../services/jobQueue');
+const { publishProviderAlert } = require('../services/coverageService');
+const { purgeAfter, softDeleteIntake, restoreIntake } = require('../services/softDeleteService');
+const { isInteractionFlag } = require('../services/interactionChecker');
+const { normalizeMedications } = require('../services/medicationNormalizer');
 const logger = require('../utils/logger');
 
 const prisma = new PrismaClient();
 
+// Intake form sections; drafts and submissions share these keys
+const INTAKE_SECTIONS = [
+  'demographics',
+  'chiefComplaint',
+  'medicalHistory',
+  'medications',
+  'allergies',
+  'socialHistory',
+  'reviewOfSystems',
+];
+
+/**
+ * Build the patient-facing URL for an intake link token
+ */
+const buildIntakeUrl = (token) => `${config.intakeFormUrl}/form/${token}`;
+
+/**
+ * Pick the form sections present in a request body
+ */
+const pickSections = (body) =>
+  Object.fromEntries(
+    INTAKE_SECTIONS.filter((key) => body[key] !== undefined).map((key) => [key, body[key]])
+  );
+
+/**
+ * Form data for the standard intake form: submitted sections over the saved draft
+ */
+const standardFormData = (intakeLink, body) => {
+  const formData = { ...pickSections(intakeLink.draft || {}), ...pickSections(body) };
+
+  if (!formData.chiefComplaint) {
+    throw new ValidationError('Validation failed', [
+      { field: 'chiefComplaint', message: 'Chief complaint required' },
+    ]);
+  }
+
+  return formData;
+};
+
+/**
+ * Form data for a template form: answers checked against the link's template version
+ */
+const templateFormData = (intakeLink, body) => {
+  const { sections } = intakeLink.formTemplateVersion;
+  const answers = { ...intakeLink.draft?.answers, ...body.answers };
+
+  const errors = validateAnswers(sections, answers);
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  return buildIntakeData(sections, answers);
+};
+
+/**
+ * Latest version of the chosen form template, or of the provider's default
+ * template when none is chosen. Null means the standard intake form.
+ */
+const resolveFormTemplateVersionId = async (providerId, formTemplateId) => {
+  const template = await prisma.formTemplate.findFirst({
+    where: formTemplateId
+      ? { id: formTemplateId, providerId, archivedAt: null }
+      : { providerId, isDefault: true, archivedAt: null },
+    include: { versions: { orderBy: { version: 'desc' }, take: 1 } },
+  });
+
+  if (!template) {
+    if (formTemplateId) throw new NotFoundError('Form template');
+    return null;
+  }
+
+  return template.versions[0].id;
+};
+
+/**
+ * Find a public intake link that the patient can still fill in
+ */
+const findOpenIntakeLink = async (token) => {
+  const intakeLink = await prisma.intakeLink.findUnique({
+    where: { token },
+    include: { patient: true, formTemplateVersion: true },
+  });
+
+  if (!intakeLink || intakeLink.deletedAt) {
+    throw new NotFoundError('Intake link');
+  }
+
+  if (intakeLink.expiresAt < new Date() || intakeLink.status === 'EXPIRED') {
+    throw new ValidationError('This intake link has expired');
+  }
+
+  if (intakeLink.status === 'COMPLETED') {
+    throw new ValidationError('This intake has already been submitted');
+  }
+
+  return intakeLink;
+};
+
+/**
+ * API form of a link status, e.g. IN_PROGRESS -> inProgress
+ */
+const formatLinkStatus = (status) =>
+  status.toLowerCase().replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+
+/**
+ * API form of an automatic summary status, e.g. READY -> ready (null when none was requested)
+ */
+const formatSummaryStatus = (status) => (status ? status.toLowerCase() : null);
+
+/**
+ * Format an intake link for provider responses
+ */
+const formatIntakeLink = (intakeLink) => ({
+  id: intakeLink.id,
+  patientId: intakeLink.patientId,
+  token: intakeLink.token,
+  url: buildIntakeUrl(intakeLink.token),
+  status: formatLinkStatus(intakeLink.status),
+  expiresAt: intakeLink.expiresAt,
+  createdAt: intakeLink.createdAt,
+  revokedAt: intakeLink.revokedAt,
+  revokedReason: intakeLink.revokedReason,
+  deliveryStatus: intakeLink.deliveryStatus.toLowerCase().replace('_', ''),
+  sentAt: intakeLink.sentAt,
+  startedAt: intakeLink.startedAt,
+  draftSavedAt: intakeLink.draftSavedAt,
+  formTemplateVersionId: intakeLink.formTemplateVersionId,
+});
+
+/**
+ * Find an intake link for one of the practice's patients
+ */
+const findPracticeIntakeLink = async (id, user) => {
+  const intakeLink = await prisma.intakeLink.findFirst({
+    where: {
+      id,
+      ...intakeLinkScope(user),
+    },
+  });
+
+  if (!intakeLink) {
+    throw new NotFoundError('Intake link');
+  }
+
+  return intakeLink;
+};
+
+/**
+ * Ensure a link can still be changed (not completed, revoked or superseded).
+ * Links that simply ran out of time can still be extended.
+ */
+const assertLinkPending = (intakeLink) => {
+  if (intakeLink.status === 'COMPLETED') {
+    throw new ConflictError('This intake has already been submitted');
+  }
+  if (intakeLink.revokedAt) {
+    throw new ConflictError('This intake link has been revoked');
+  }
+};
+
 /**
  * Create an intake link for a patient
  * POST /api/intake-links
  */
 exports.createIntakeLink = async (req, res, next) => {
   try {
-    const { patientId, expiresInDays = 7 } = req.body;
+    const { patientId, expiresInDays = 7, channels, formTemplateId } = req.body;
 
-    // Verify patient belongs to provider
+    // Verify patient belongs to the practice
     const patient = await prisma.patient.findFirst({
       where: {
         id: patientId,
-        providerId: req.user.id,
+        ...patientScope(req.user),
       },
     });
 
@@ -25,14 +195,20 @@ exports.createIntakeLink = async (req, res, next) => {
       throw new NotFoundError('Patient');
     }
 
-    // Expire any existing pending links for this patient
+    // Form templates are the assigned clinician's
+    const formTemplateVersionId = await resolveFormTemplateVersionId(patient.providerId, formTemplateId);
+
+    // Expire any existing unfinished links for this patient
     await prisma.intakeLink.updateMany({
       where: {
         patientId,
-        status: 'PENDING',
+        status: { in: ['PENDING', 'IN_PROGRESS'] },
       },
       data: {
         status: 'EXPIRED',
+        revokedAt: new Date(),
+        revokedReason: 'Superseded by a new intake link',
+        revokedByUserId: req.user.id,
       },
     });
 
@@ -46,24 +222,82 @@ exports.createIntakeLink = async (req, res, next) => {
         token,
         patientId,
         expiresAt,
+        formTemplateVersionId,
       },
     });
 
-    // Construct the full URL
-    const baseUrl = process.env.INTAKE_FORM_URL || 'https://intake.intakeai.app';
-    const intakeUrl = `${baseUrl}/form/${token}`;
+    await recordAudit(req, {
+      action: 'CREATE',
+      entityType: 'INTAKE_LINK',
+      entityId: intakeLink.id,
+      newValues: intakeLink,
+    });
 
     logger.info(`Intake link created for patient ${patientId}`);
 
+    // Send the link to the patient (failures are recorded, not thrown)
+    const deliveries = await deliverIntakeLink(intakeLink.id, { channels });
+    const deliveredLink = await prisma.intakeLink.findUnique({ where: { id: intakeLink.id } });
+
     res.status(201).json({
       success: true,
       data: {
-        intakeLink: {
-          id: intakeLink.id,
-          token: intakeLink.token,
-          url: intakeUrl,
-          expiresAt: intakeLink.expiresAt,
-          createdAt: intakeLink.createdAt,
+        intakeLink: formatIntakeLink(deliveredLink),
+        deliveries,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get intake links for provider's patients
+ * GET /api/intake-links
+ */
+exports.getIntakeLinks = async (req, res, next) => {
+  try {
+    const { patientId, status, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = intakeLinkScope(req.user);
+
+    if (patientId) {
+      where.patientId = patientId;
+    }
+
+    if (status) {
+      where.status = status.replace(/([A-Z])/g, '_$1').toUpperCase();
+    }
+
+    const [intakeLinks, total] = await Promise.all([
+      prisma.intakeLink.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: parseInt(limit),
+      }),
+      prisma.intakeLink.count({ where }),
+    ]);
+
+    await recordAudit(req, {
+      action: 'READ',
+      entityType: 'INTAKE_LINK',
+      newValues: {
+        filters: { patientId, status, page, limit },
+        ids: intakeLinks.map((intakeLink) => intakeLink.id),
+      },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        intakeLinks: intakeLinks.map(formatIntakeLink),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          totalPages: Math.ceil(total / parseInt(limit)),
         },
       },
     });
@@ -72,6 +306,152 @@ exports.createIntakeLink = async (req, res, next) => {
   }
 };
 
+/**
+ * Revoke an intake link
+ * DELETE /api/intake-links/:id
+ */
+exports.revokeIntakeLink = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const existingLink = await findPracticeIntakeLink(id, req.user);
+    assertLinkPending(existingLink);
+
+    const intakeLink = await prisma.intakeLink.update({
+      where: { id },
+      data: {
+        status: 'EXPIRED',
+        revokedAt: new Date(),
+        revokedReason: reason || 'Revoked by provider',
+        revokedByUserId: req.user.id,
+      },
+    });
+
+    await recordAudit(req, {
+      action: 'UPDATE',
+      entityType: 'INTAKE_LINK',
+      entityId: id,
+      oldValues: { status: existingLink.status },
+      newValues: { status: intakeLink.status, revokedReason: intakeLink.revokedReason },
+    });
+
+    logger.info(`Intake link ${id} revoked`);
+
+    res.json({
+      success: true,
+      data: { intakeLink: formatIntakeLink(intakeLink) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Extend an intake link's expiry
+ * POST /api/intake-links/:id/extend
+ */
+exports.extendIntakeLink = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { extendByDays } = req.body;
+
+    const existingLink = await findPracticeIntakeLink(id, req.user);
+    assertLinkPending(existingLink);
+
+    // Extend from now if the link has already lapsed
+    const expiresAt = new Date(Math.max(existingLink.expiresAt.getTime(), Date.now()));
+    expiresAt.setDate(expiresAt.getDate() + extendByDays);
+
+    const intakeLink = await prisma.intakeLink.update({
+      where: { id },
+      data: { expiresAt, status: existingLink.startedAt ? 'IN_PROGRESS' : 'PENDING' },
+    });
+
+    await recordAudit(req, {
+      action: 'UPDATE',
+      entityType: 'INTAKE_LINK',
+      entityId: id,
+      oldValues: { expiresAt: existingLink.expiresAt, status: existingLink.status },
+      newValues: { expiresAt: intakeLink.expiresAt, status: intakeLink.status },
+    });
+
+    logger.info(`Intake link ${id} extended to ${expiresAt.toISOString()}`);
+
+    res.json({
+      success: true,
+      data: { intakeLink: formatIntakeLink(intakeLink) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send an intake link to the patient again
+ * POST /api/intake-links/:id/resend
+ */
+exports.resendIntakeLink = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { channels } = req.body;
+
+    const existingLink = await findPracticeIntakeLink(id, req.user);
+    assertLinkPending(existingLink);
+
+    if (existingLink.status === 'EXPIRED' || existingLink.expiresAt < new Date()) {
+      throw new ConflictError('This intake link has expired; extend it before resending');
+    }
+
+    const deliveries = await deliverIntakeLink(id, { channels });
+    const intakeLink = await prisma.intakeLink.findUnique({ where: { id } });
+
+    res.json({
+      success: true,
+      data: {
+        intakeLink: formatIntakeLink(intakeLink),
+        deliveries,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace an intake link's token (the old URL stops working immediately)
+ * POST /api/intake-links/:id/regenerate
+ */
+exports.regenerateIntakeLink = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingLink = await findPracticeIntakeLink(id, req.user);
+    assertLinkPending(existingLink);
+
+    const intakeLink = await prisma.intakeLink.update({
+      where: { id },
+      data: { token: nanoid(32) },
+    });
+
+    await recordAudit(req, {
+      action: 'UPDATE',
+      entityType: 'INTAKE_LINK',
+      entityId: id,
+      newValues: { tokenRegenerated: true },
+    });
+
+    logger.info(`Intake link ${id} token regenerated`);
+
+    res.json({
+      success: true,
+      data: { intakeLink: formatIntakeLink(intakeLink) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get intake link by token (public endpoint for patient form)
  * GET /api/intake-links/:token
@@ -89,16 +469,21 @@ exports.getIntakeLinkByToken = async (req, res, next) => {
             lastName: true,
             email: true,
             dateOfBirth: true,
+            providerId: true,
+            practiceId: true,
           },
         },
+        formTemplateVersion: {
+          include: { template: { select: { id: true, name: true } } },
+        },
       },
     });
 
-    if (!intakeLink) {
+    if (!intakeLink || intakeLink.deletedAt) {
       throw new NotFoundError('Intake link');
     }
 
-    // Check if expired
+    // Check if expired (expiresAt also guards the gap before the expiry job runs)
     if (intakeLink.expiresAt < new Date() || intakeLink.status === 'EXPIRED') {
       return res.status(410).json({
         success: false,
@@ -120,11 +505,37 @@ exports.getIntakeLinkByToken = async (req, res, next) => {
       });
     }
 
+    await recordAudit(req, {
+      action: 'READ',
+      entityType: 'INTAKE_LINK',
+      entityId: intakeLink.id,
+      providerId: intakeLink.patient.providerId,
+      practiceId: intakeLink.patient.practiceId,
+      userId: null,
+    });
+
     res.json({
       success: true,
       data: {
-        patient: intakeLink.patient,
+        patient: {
+          firstName: intakeLink.patient.firstName,
+          lastName: intakeLink.patient.lastName,
+          email: intakeLink.patient.email,
+          dateOfBirth: intakeLink.patient.dateOfBirth,
+        },
         expiresAt: intakeLink.expiresAt,
+        status: formatLinkStatus(intakeLink.status),
+        startedAt: intakeLink.startedAt,
+        draft: intakeLink.draft,
+        draftSavedAt: intakeLink.draftSavedAt,
+        formTemplate: intakeLink.formTemplateVersion
+          ? {
+              id: intakeLink.formTemplateVersion.template.id,
+              name: intakeLink.formTemplateVersion.template.name,
+              version: intakeLink.formTemplateVersion.version,
+              sections: intakeLink.formTemplateVersion.sections,
+            }
+          : null,
       },
     });
   } catch (error) {
@@ -132,6 +543,89 @@ exports.getIntakeLinkByToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Save a partially completed intake form (public endpoint)
+ * PUT /api/intake-links/:token/draft
+ */
+exports.saveIntakeDraft = async (req, res, next) => {
+  try {
+    const { token } = req.params;
+    const { answers } = req.body;
+    const sections = pickSections(req.body);
+
+    if (Object.keys(sections).length === 0 && !answers) {
+      throw new ValidationError('No intake sections to save');
+    }
+
+    const intakeLink = await findOpenIntakeLink(token);
+    const now = new Date();
+
+    // Sections (and template answers) sent replace the saved copy; the rest are kept
+    const draft = { ...intakeLink.draft, ...sections };
+    if (answers) {
+      draft.answers = { ...intakeLink.draft?.answers, ...answers };
+    }
+
+    const updatedLink = await prisma.intakeLink.update({
+      where: { id: intakeLink.id },
+      data: {
+        draft,
+        status: 'IN_PROGRESS',
+        startedAt: intakeLink.startedAt || now,
+        draftSavedAt: now,
+      },
+    });
+
+    await recordAudit(req, {
+      action: 'UPDATE',
+      entityType: 'INTAKE_LINK',
+      entityId: intakeLink.id,
+      providerId: intakeLink.patient.providerId,
+      practiceId: intakeLink.patient.practiceId,
+      userId: null,
+      newValues: {
+        draftSections: Object.keys(sections),
+        ...(answers && { draftAnswers: Object.keys(answers) }),
+      },
+    });
+
+    if (!intakeLink.startedAt) {
+      logger.info(`Intake started for patient ${intakeLink.patientId}`);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        status: formatLinkStatus(updatedLink.status),
+        startedAt: updatedLink.startedAt,
+        draft: updatedLink.draft,
+        draftSavedAt: updatedLink.draftSavedAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queue red flag detection and, if the provider has it turned on, summary generation for a new intake
+ */
+const enqueueIntakeJobs = async (intake, provider, practiceId, client) => {
+  const options = { providerId: provider.id, practiceId, intakeId: intake.id, client };
+
+  await enqueueJob('detect-red-flags', { intakeId: intake.id }, {
+    ...options,
+    idempotencyKey: `detect-red-flags:${intake.id}`,
+  });
+
+  if (provider.autoGenerateSummaries) {
+    await enqueueJob('generate-summary', { intakeId: intake.id }, {
+      ...options,
+      idempotencyKey: `generate-summary:${intake.id}`,
+    });
+  }
+};
+
 /**
  * Submit intake form (public endpoint)
  * POST /api/intake-links/:token/submit
@@ -139,59 +633,83 @@ exports.getIntakeLinkByToken = async (req, res, next) => {
 exports.submitIntake = async (req, res, next) => {
   try {
     const { token } = req.params;
-    const {
-      demographics,
-      chiefComplaint,
-      medicalHistory,
-      medications,
-      allergies,
-      socialHistory,
-      reviewOfSystems,
-    } = req.body;
+    const { consentVersion } = req.body;
 
     // Find and validate intake link
-    const intakeLink = await prisma.intakeLink.findUnique({
-      where: { token },
-      include: { patient: true },
-    });
-
-    if (!intakeLink) {
-      throw new NotFoundError('Intake link');
-    }
+    const intakeLink = await findOpenIntakeLink(token);
 
-    if (intakeLink.expiresAt < new Date() || intakeLink.status === 'EXPIRED') {
-      throw new ValidationError('This intake link has expired');
-    }
+    // What was submitted takes precedence over the saved draft
+    const formData = intakeLink.formTemplateVersion
+      ? templateFormData(intakeLink, req.body)
+      : standardFormData(intakeLink, req.body);
 
-    if (intakeLink.status === 'COMPLETED') {
-      throw new ValidationError('This intake has already been submitted');
-    }
+    const provider = await prisma.user.findUnique({
+      where: { id: intakeLink.patient.providerId },
+      select: { id: true, autoGenerateSummaries: true },
+    });
 
-    // Create intake and update link status in transaction
-    const [intake] = await prisma.$transaction([
-      prisma.intake.create({
+    // Create the intake, close the link and queue processing in one transaction,
+    // so a crash after commit still leaves the jobs to run
+    const intake = await prisma.$transaction(async (tx) => {
+      const created = await tx.intake.create({
         data: {
           patientId: intakeLink.patientId,
           intakeLinkId: intakeLink.id,
-          demographics,
-          chiefComplaint,
-          medicalHistory,
-          medications,
-          allergies,
-          socialHistory,
-          reviewOfSystems,
+          demographics: formData.demographics,
+          chiefComplaint: formData.chiefComplaint,
+          medicalHistory: formData.medicalHistory,
+          medications: formData.medications,
+          normalizedMedications: normalizeMedications(formData.medications),
+          allergies: formData.allergies,
+          socialHistory: formData.socialHistory,
+          reviewOfSystems: formData.reviewOfSystems,
+          responses: formData.responses,
+          consentGiven: true,
+          consentVersion,
+          consentTimestamp: new Date(),
+          consentIpAddress: req.ip || null,
+          consentUserAgent: req.get('user-agent') || null,
           completedAt: new Date(),
+          summaryStatus: provider.autoGenerateSummaries ? 'PENDING' : null,
         },
-      }),
-      prisma.intakeLink.update({
+      });
+
+      await tx.intakeLink.update({
         where: { id: intakeLink.id },
-        data: { status: 'COMPLETED' },
-      }),
-    ]);
+        data: {
+          status: 'COMPLETED',
+          draft: Prisma.DbNull,
+        },
+      });
 
-    // Detect red flags asynchronously
-    detectRedFlags(intake.id).catch((err) => {
-      logger.error('Red flag detection failed:', err);
+      await enqueueIntakeJobs(created, provider, intakeLink.patient.practiceId, tx);
+
+      return created;
+    });
+
+    // Tell the provider (and anyone covering them) before any red flags for this intake.
+    // Not awaited: the intake is saved, so a failed alert must not fail the submission.
+    publishProviderAlert(intakeLink.patient.providerId, 'intakeSubmitted', {
+      intakeId: intake.id,
+      patientId: intakeLink.patientId,
+      patientName: `${intakeLink.patient.firstName} ${intakeLink.patient.lastName}`,
+      completedAt: intake.completedAt,
+    }).catch((error) => logger.error(`Failed to publish intake ${intake.id} to alert streams:`, error));
+
+    wakeWorkers();
+
+    await recordAudit(req, {
+      action: 'CREATE',
+      entityType: 'INTAKE',
+      entityId: intake.id,
+      providerId: intakeLink.patient.providerId,
+      practiceId: intakeLink.patient.practiceId,
+      userId: null,
+      newValues: {
+        patientId: intake.patientId,
+        intakeLinkId: intake.intakeLinkId,
+        consentVersion: intake.consentVersion,
+      },
     });
 
     logger.info(`Intake submitted for patient ${intakeLink.patientId}`);
@@ -217,9 +735,7 @@ exports.getIntakes = async (req, res, next) => {
     const { status, patientId, page = 1, limit = 20 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const where = {
-      patient: { providerId: req.user.id },
-    };
+    const where = intakeScope(req.user);
 
     if (status) {
       where.status = status.toUpperCase().replace(/([A-Z])/g, '_$1').replace(/^_/, '');
@@ -241,8 +757,9 @@ exports.getIntakes = async (req, res, next) => {
               email: true,
             },
           },
-          redFlags: true,
+          redFlags: { where: { dismissedAt: null } },
           summaries: {
+            where: { deletedAt: null },
             orderBy: { generatedAt: 'desc' },
             take: 1,
           },
@@ -254,6 +771,15 @@ exports.getIntakes = async (req, res, next) => {
       prisma.intake.count({ where }),
     ]);
 
+    await recordAudit(req, {
+      action: 'READ',
+      entityType: 'INTAKE',
+      newValues: {
+        filters: { status, patientId, page, limit },
+        ids: intakes.map((intake) => intake.id),
+      },
+    });
+
     res.json({
       success: true,
       data: {
@@ -271,6 +797,7 @@ exports.getIntakes = async (req, res, next) => {
           hasRedFlags: intake.redFlags.length > 0,
           redFlagCount: intake.redFlags.length,
           hasSummary: intake.summaries.length > 0,
+          summaryStatus: formatSummaryStatus(intake.summaryStatus),
         })),
         pagination: {
           page: parseInt(page),
@@ -296,12 +823,13 @@ exports.getIntake = async (req, res, next) => {
     const intake = await prisma.intake.findFirst({
       where: {
         id,
-        patient: { providerId: req.user.id },
+        ...intakeScope(req.user),
       },
       include: {
         patient: true,
         redFlags: true,
-        summaries: {
+        summaries: can(req.user, 'summaries:read') && {
+          where: { deletedAt: null },
           orderBy: { generatedAt: 'desc' },
         },
       },
@@ -311,9 +839,24 @@ exports.getIntake = async (req, res, next) => {
       throw new NotFoundError('Intake');
     }
 
+    await recordAudit(req, {
+      action: 'READ',
+      entityType: 'INTAKE',
+      entityId: intake.id,
+    });
+
+    const jobs = await prisma.job.findMany({
+      where: { intakeId: intake.id },
+      orderBy: { createdAt: 'asc' },
+    });
+
     res.json({
       success: true,
-      data: { intake },
+      data: {
+        intake: { ...intake, summaryStatus: formatSummaryStatus(intake.summaryStatus) },
+        interactions: intake.redFlags.filter(isInteractionFlag),
+        jobs: jobs.map(formatJob),
+      },
     });
   } catch (error) {
     next(error);
@@ -331,7 +874,7 @@ exports.markReviewed = async (req, res, next) => {
     const intake = await prisma.intake.findFirst({
       where: {
         id,
-        patient: { providerId: req.user.id },
+        ...intakeScope(req.user),
       },
     });
 
@@ -347,6 +890,14 @@ exports.markReviewed = async (req, res, next) => {
       },
     });
 
+    await recordAudit(req, {
+      action: 'UPDATE',
+      entityType: 'INTAKE',
+      entityId: id,
+      oldValues: { status: intake.status, reviewedAt: intake.reviewedAt },
+      newValues: { status: updatedIntake.status, reviewedAt: updatedIntake.reviewedAt },
+    });
+
     logger.info(`Intake ${id} marked as reviewed`);
 
     res.json({
@@ -359,96 +910,104 @@ exports.markReviewed = async (req, res, next) => {
 };
 
 /**
- * Detect red flags in an intake (internal function)
+ * Soft-delete an intake with its summaries. It can be restored until the
+ * retention job purges it.
+ * DELETE /api/intakes/:id
  */
-async function detectRedFlags(intakeId) {
-  const intake = await prisma.intake.findUnique({
-    where: { id: intakeId },
-  });
+exports.deleteIntake = async (req, res, next) => {
+  try {
+    const { id } = req.params;
 
-  if (!intake) return;
-
-  const redFlags = [];
-
-  // Check chief complaint for concerning keywords
-  const urgentKeywords = [
-    { term: 'chest pain', category: 'cardiac', severity: 'CRITICAL' },
-    { term: 'difficulty breathing', category: 'respiratory', severity: 'CRITICAL' },
-    { term: 'shortness of breath', category: 'respiratory', severity: 'HIGH' },
-    { term: 'severe headache', category: 'neurological', severity: 'HIGH' },
-    { term: 'worst headache', category: 'neurological', severity: 'CRITICAL' },
-    { term: 'sudden weakness', category: 'neurological', severity: 'CRITICAL' },
-    { term: 'numbness', category: 'neurological', severity: 'MEDIUM' },
-    { term: 'blood in stool', category: 'gastrointestinal', severity: 'HIGH' },
-    { term: 'blood in urine', category: 'urological', severity: 'HIGH' },
-    { term: 'suicidal', category: 'psychiatric', severity: 'CRITICAL' },
-    { term: 'self-harm', category: 'psychiatric', severity: 'CRITICAL' },
-    { term: 'overdose', category: 'toxicology', severity: 'CRITICAL' },
-    { term: 'unconscious', category: 'general', severity: 'CRITICAL' },
-    { term: 'fainting', category: 'cardiovascular', severity: 'HIGH' },
-    { term: 'allergic reaction', category: 'allergy', severity: 'HIGH' },
-    { term: 'anaphylaxis', category: 'allergy', severity: 'CRITICAL' },
-  ];
-
-  const chiefComplaint = (intake.chiefComplaint || '').toLowerCase();
-
-  for (const keyword of urgentKeywords) {
-    if (chiefComplaint.includes(keyword.term)) {
-      redFlags.push({
-        intakeId,
-        category: keyword.category,
-        description: `Patient reported: "${keyword.term}"`,
-        severity: keyword.severity,
-        source: 'chiefComplaint',
-      });
+    const intake = await prisma.intake.findFirst({
+      where: {
+        id,
+        ...intakeScope(req.user),
+      },
+      include: { patient: { select: { providerId: true } } },
+    });
+
+    if (!intake) {
+      throw new NotFoundError('Intake');
     }
+
+    const deletedAt = await softDeleteIntake(id, req.user.id);
+
+    await recordAudit(req, {
+      action: 'DELETE',
+      entityType: 'INTAKE',
+      entityId: id,
+      providerId: intake.patient.providerId,
+      newValues: { deletedAt },
+    });
+
+    logger.info(`Intake ${id} deleted`);
+
+    res.json({
+      success: true,
+      message: 'Intake deleted successfully',
+      data: { deletedAt, purgeAfter: purgeAfter(deletedAt) },
+    });
+  } catch (error) {
+    next(error);
   }
+};
+
+/**
+ * Restore a deleted intake with the summaries deleted with it
+ * POST /api/intakes/:id/restore
+ */
+exports.restoreIntake = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // The patient must not be deleted; restore them instead
+    const intake = await prisma.intake.findFirst({
+      where: {
+        id,
+        deletedAt: { not: null },
+        patient: patientScope(req.user),
+      },
+      include: { patient: { select: { providerId: true } } },
+    });
 
-  // Check medications for high-risk drugs
-  const medications = intake.medications || [];
-  const highRiskMeds = ['warfarin', 'insulin', 'methotrexate', 'lithium', 'digoxin'];
-
-  if (Array.isArray(medications)) {
-    for (const med of medications) {
-      const medName = (med.name || med || '').toLowerCase();
-      if (highRiskMeds.some((hrm) => medName.includes(hrm))) {
-        redFlags.push({
-          intakeId,
-          category: 'medication',
-          description: `High-risk medication: ${medName}`,
-          severity: 'MEDIUM',
-          source: 'medications',
-        });
-      }
+    if (!intake) {
+      throw new NotFoundError('Deleted intake');
     }
-  }
 
-  // Check allergies for drug allergies
-  const allergies = intake.allergies || [];
-  if (Array.isArray(allergies) && allergies.length > 3) {
-    redFlags.push({
-      intakeId,
-      category: 'allergy',
-      description: `Multiple allergies reported (${allergies.length})`,
-      severity: 'LOW',
-      source: 'allergies',
+    await restoreIntake(intake);
+
+    await recordAudit(req, {
+      action: 'RESTORE',
+      entityType: 'INTAKE',
+      entityId: id,
+      providerId: intake.patient.providerId,
+      oldValues: { deletedAt: intake.deletedAt, deletedBy: intake.deletedBy },
     });
-  }
 
-  // Save red flags to database
-  if (redFlags.length > 0) {
-    await prisma.redFlag.createMany({
-      data: redFlags,
+    logger.info(`Intake ${id} restored`);
+
+    res.json({
+      success: true,
+      message: 'Intake restored successfully',
     });
-    logger.info(`Created ${redFlags.length} red flags for intake ${intakeId}`);
+  } catch (error) {
+    next(error);
   }
-}
+};
 
 module.exports = {
   createIntakeLink: exports.createIntakeLink,
+  getIntakeLinks: exports.getIntakeLinks,
+  revokeIntakeLink: exports.revokeIntakeLink,
+  extendIntakeLink: exports.extendIntakeLink,
+  resendIntakeLink: exports.resendIntakeLink,
+  regenerateIntakeLink: exports.regenerateIntakeLink,
   getIntakeLinkByToken: exports.getIntakeLinkByToken,
+  saveIntakeDraft: exports.saveIntakeDraft,
   submitIntake: exports.submitIntake,
   getIntakes: exports.getIntakes,
   getIntake: exports.getIntake,
   markReviewed: exports.markReviewed,
+  deleteIntake: exports.deleteIntake,
+  restoreIntake: exports.restoreIntake,
 };
@@ -0,0 +1,31 @@
+const { PrismaClient } = require('@prisma/client');
+const { NotFoundError } = require('../utils/errors');
+const { formatJob } = require('../services/jobQueue');
+
+const prisma = new PrismaClient();
+
+/**
+ * Get the status of a queued job
+ * GET /api/jobs/:id
+ */
+exports.getJob = async (req, res, next) => {
+  try {
+    const job = await prisma.job.findFirst({
+      where: {
+        id: req.params.id,
+        practiceId: req.user.practiceId,
+      },
+    });
+
+    if (!job) {
+      throw new NotFoundError('Job');
+    }
+
+    res.json({
+      success: true,
+      data: { job: formatJob(job) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,249 @@
+const { PrismaClient } = require('@prisma/client');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { recordAudit } = require('../services/auditService');
+const { patientScope } = require('../services/authorization');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+/**
+ * Verify the patient belongs to the user's practice
+ */
+async function findPatient(patientId, user) {
+  const patient = await prisma.patient.findFirst({
+    where: {
+      id: patientId,
+      ...patientScope(user),
+    },
+  });
+
+  if (!patient) {
+    throw new NotFoundError('Patient');
+  }
+
+  return patient;
+}
+
+/**
+ * Find a note on the given patient
+ */
+async function findNote(noteId, patientId) {
+  const note = await prisma.clinicalNote.findFirst({
+    where: {
+      id: noteId,
+      patientId,
+    },
+  });
+
+  if (!note) {
+    throw new NotFoundError('Clinical note');
+  }
+
+  return note;
+}
+
+/**
+ * Get all notes for a patient
+ * GET /api/patients/:id/notes
+ */
+exports.getNotes = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { intakeId, noteType, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    await findPatient(id, req.user);
+
+    const where = { patientId: id };
+
+    if (intakeId) {
+      where.intakeId = intakeId;
+    }
+
+    if (noteType) {
+      where.noteType = noteType;
+    }
+
+    const [notes, total] = await Promise.all([
+      prisma.clinicalNote.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: parseInt(limit),
+      }),
+      prisma.clinicalNote.count({ where }),
+    ]);
+
+    await recordAudit(req, {
+      action: 'READ',
+      entityType: 'CLINICAL_NOTE',
+      newValues: {
+        filters: { patientId: id, intakeId, noteType, page, limit },
+        ids: notes.map((note) => note.id),
+      },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        notes,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          totalPages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single note
+ * GET /api/patients/:id/notes/:noteId
+ */
+exports.getNote = async (req, res, next) => {
+  try {
+    const { id, noteId } = req.params;
+
+    await findPatient(id, req.user);
+    const note = await findNote(noteId, id);
+
+    await recordAudit(req, {
+      action: 'READ',
+      entityType: 'CLINICAL_NOTE',
+      entityId: note.id,
+    });
+
+    res.json({
+      success: true,
+      data: { note },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a note for a patient
+ * POST /api/patients/:id/notes
+ */
+exports.createNote = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { content, noteType, intakeId } = req.body;
+
+    await findPatient(id, req.user);
+
+    // A note can only reference an intake of the same patient
+    if (intakeId) {
+      const intake = await prisma.intake.findFirst({
+        where: { id: intakeId, patientId: id, deletedAt: null },
+      });
+
+      if (!intake) {
+        throw new ValidationError('Intake does not belong to this patient');
+      }
+    }
+
+    const note = await prisma.clinicalNote.create({
+      data: {
+        patientId: id,
+        userId: req.user.id,
+        intakeId,
+        content,
+        noteType,
+      },
+    });
+
+    await recordAudit(req, {
+      action: 'CREATE',
+      entityType: 'CLINICAL_NOTE',
+      entityId: note.id,
+      newValues: note,
+    });
+
+    logger.info(`Clinical note created: ${note.id} for patient ${id}`);
+
+    res.status(201).json({
+      success: true,
+      data: { note },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a note
+ * PUT /api/patients/:id/notes/:noteId
+ */
+exports.updateNote = async (req, res, next) => {
+  try {
+    const { id, noteId } = req.params;
+    const { content, noteType } = req.body;
+
+    await findPatient(id, req.user);
+    const existingNote = await findNote(noteId, id);
+
+    const note = await prisma.clinicalNote.update({
+      where: { id: noteId },
+      data: {
+        ...(content && { content }),
+        ...(noteType && { noteType }),
+      },
+    });
+
+    await recordAudit(req, {
+      action: 'UPDATE',
+      entityType: 'CLINICAL_NOTE',
+      entityId: note.id,
+      oldValues: existingNote,
+      newValues: note,
+    });
+
+    logger.info(`Clinical note updated: ${note.id}`);
+
+    res.json({
+      success: true,
+      data: { note },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a note
+ * DELETE /api/patients/:id/notes/:noteId
+ */
+exports.deleteNote = async (req, res, next) => {
+  try {
+    const { id, noteId } = req.params;
+
+    await findPatient(id, req.user);
+    const note = await findNote(noteId, id);
+
+    await prisma.clinicalNote.delete({
+      where: { id: noteId },
+    });
+
+    await recordAudit(req, {
+      action: 'DELETE',
+      entityType: 'CLINICAL_NOTE',
+      entityId: noteId,
+      oldValues: note,
+    });
+
+    logger.info(`Clinical note deleted: ${noteId}`);
+
+    res.json({
+      success: true,
+      message: 'Clinical note deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,22 +1,65 @@
 const { PrismaClient } = require('@prisma/client');
-const { NotFoundError, ValidationError } = require('../utils/errors');
+const { NotFoundError, ValidationError, AuthorizationError } = require('../utils/errors');
+const { recordAudit } = require('../services/auditService');
+const {
+  CLINICIAN_ROLES,
+  can,
+  patientScope,
+  intakeLinkScope,
+  intakeScope,
+} = require('../services/authorization');
+const { getCoveredProviderIds } = require('../services/coverageService');
+const { purgeAfter, softDeletePatient, restorePatient } = require('../services/softDeleteService');
 const logger = require('../utils/logger');
 
 const prisma = new PrismaClient();
 
 /**
- * Get all patients for the authenticated provider
+ * The patient's assigned clinician: the one chosen, or the creator when they
+ * are a clinician. Must be a clinician in the same practice.
+ */
+async function resolveAssignedClinician(user, providerId) {
+  if (!providerId) {
+    if (!CLINICIAN_ROLES.includes(user.role)) {
+      throw new ValidationError('Choose the assigned clinician (providerId)');
+    }
+    return user.id;
+  }
+
+  const member = await prisma.practiceMember.findFirst({
+    where: {
+      userId: providerId,
+      practiceId: user.practiceId,
+      role: { in: CLINICIAN_ROLES },
+    },
+  });
+
+  if (!member) {
+    throw new ValidationError('The assigned clinician must be a clinician in your practice');
+  }
+
+  return providerId;
+}
+
+/**
+ * Get all patients in the provider's practice
  * GET /api/patients
  */
 exports.getPatients = async (req, res, next) => {
   try {
-    const { page = 1, limit = 20, search, status } = req.query;
+    const { page = 1, limit = 20, search, status, assignedTo } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
+    const clinical = can(req.user, 'intakes:read');
 
     // Build where clause
-    const where = {
-      providerId: req.user.id,
-    };
+    const where = patientScope(req.user);
+
+    // "me" is the user's queue: their patients and those of anyone they are covering
+    if (assignedTo === 'me') {
+      where.providerId = { in: [req.user.id, ...(await getCoveredProviderIds(req.user.id))] };
+    } else if (assignedTo) {
+      where.providerId = assignedTo;
+    }
 
     if (search) {
       where.OR = [
@@ -32,15 +75,18 @@ exports.getPatients = async (req, res, next) => {
         where,
         include: {
           intakeLinks: {
+            where: { deletedAt: null },
             orderBy: { createdAt: 'desc' },
             take: 1,
           },
           intakes: {
+            where: { deletedAt: null },
             orderBy: { createdAt: 'desc' },
             take: 1,
             include: {
-              redFlags: true,
+              redFlags: { where: { dismissedAt: null } },
               summaries: {
+                where: { deletedAt: null },
                 orderBy: { generatedAt: 'desc' },
                 take: 1,
               },
@@ -54,6 +100,15 @@ exports.getPatients = async (req, res, next) => {
       prisma.patient.count({ where }),
     ]);
 
+    await recordAudit(req, {
+      action: 'READ',
+      entityType: 'PATIENT',
+      newValues: {
+        filters: { search, status, assignedTo, page, limit },
+        ids: patients.map((patient) => patient.id),
+      },
+    });
+
     // Transform response
     const patientsWithDetails = patients.map((patient) => {
       const latestIntakeLink = patient.intakeLinks[0];
@@ -64,8 +119,10 @@ exports.getPatients = async (req, res, next) => {
       if (latestIntake) {
         displayStatus = latestIntake.status === 'REVIEWED' ? 'reviewed' : 'readyForReview';
       } else if (latestIntakeLink) {
-        if (latestIntakeLink.status === 'EXPIRED' || latestIntakeLink.expiresAt < new Date()) {
+        if (latestIntakeLink.status === 'EXPIRED') {
           displayStatus = 'expired';
+        } else if (latestIntakeLink.status === 'IN_PROGRESS') {
+          displayStatus = 'inProgress';
         }
       }
 
@@ -77,12 +134,16 @@ exports.getPatients = async (req, res, next) => {
         email: patient.email,
         phone: patient.phone,
         dateOfBirth: patient.dateOfBirth,
+        providerId: patient.providerId,
         createdAt: patient.createdAt,
         displayStatus,
         latestIntakeLink: latestIntakeLink
           ? {
               id: latestIntakeLink.id,
-              status: latestIntakeLink.status.toLowerCase(),
+              status:
+                latestIntakeLink.status === 'IN_PROGRESS'
+                  ? 'inProgress'
+                  : latestIntakeLink.status.toLowerCase(),
               expiresAt: latestIntakeLink.expiresAt,
               createdAt: latestIntakeLink.createdAt,
             }
@@ -93,18 +154,21 @@ exports.getPatients = async (req, res, next) => {
               status: latestIntake.status.toLowerCase().replace('_', ''),
               completedAt: latestIntake.completedAt,
               reviewedAt: latestIntake.reviewedAt,
-              chiefComplaint: latestIntake.chiefComplaint,
+              ...(clinical && { chiefComplaint: latestIntake.chiefComplaint }),
             }
           : null,
-        redFlags: latestIntake?.redFlags.map((rf) => ({
-          id: rf.id,
-          category: rf.category,
-          description: rf.description,
-          severity: rf.severity.toLowerCase(),
-        })) || [],
-        hasRedFlags: (latestIntake?.redFlags.length || 0) > 0,
-        redFlagCount: latestIntake?.redFlags.length || 0,
-        hasSummary: (latestIntake?.summaries.length || 0) > 0,
+        // Clinical details only for roles that can read intakes
+        ...(clinical && {
+          redFlags: latestIntake?.redFlags.map((rf) => ({
+            id: rf.id,
+            category: rf.category,
+            description: rf.description,
+            severity: rf.severity.toLowerCase(),
+          })) || [],
+          hasRedFlags: (latestIntake?.redFlags.length || 0) > 0,
+          redFlagCount: latestIntake?.redFlags.length || 0,
+          hasSummary: (latestIntake?.summaries.length || 0) > 0,
+        }),
       };
     });
 
@@ -133,24 +197,31 @@ exports.getPatient = async (req, res, next) => {
   try {
     const { id } = req.params;
 
+    // Intakes, summaries and notes only for roles that may read them
     const patient = await prisma.patient.findFirst({
       where: {
         id,
-        providerId: req.user.id,
+        ...patientScope(req.user),
       },
       include: {
         intakeLinks: {
+          where: { deletedAt: null },
           orderBy: { createdAt: 'desc' },
         },
-        intakes: {
+        intakes: can(req.user, 'intakes:read') && {
+          where: { deletedAt: null },
           orderBy: { createdAt: 'desc' },
           include: {
             redFlags: true,
-            summaries: {
+            summaries: can(req.user, 'summaries:read') && {
+              where: { deletedAt: null },
               orderBy: { generatedAt: 'desc' },
             },
           },
         },
+        notes: can(req.user, 'notes:read') && {
+          orderBy: { createdAt: 'desc' },
+        },
       },
     });
 
@@ -158,6 +229,12 @@ exports.getPatient = async (req, res, next) => {
       throw new NotFoundError('Patient');
     }
 
+    await recordAudit(req, {
+      action: 'READ',
+      entityType: 'PATIENT',
+      entityId: patient.id,
+    });
+
     res.json({
       success: true,
       data: { patient },
@@ -175,11 +252,11 @@ exports.createPatient = async (req, res, next) => {
   try {
     const { firstName, lastName, email, phone, dateOfBirth } = req.body;
 
-    // Check if patient with email already exists for this provider
+    // Check if patient with email already exists in the practice
     const existingPatient = await prisma.patient.findFirst({
       where: {
         email: email.toLowerCase(),
-        providerId: req.user.id,
+        ...patientScope(req.user),
       },
     });
 
@@ -187,6 +264,8 @@ exports.createPatient = async (req, res, next) => {
       throw new ValidationError('A patient with this email already exists');
     }
 
+    const providerId = await resolveAssignedClinician(req.user, req.body.providerId);
+
     const patient = await prisma.patient.create({
       data: {
         firstName,
@@ -194,10 +273,18 @@ exports.createPatient = async (req, res, next) => {
         email: email.toLowerCase(),
         phone,
         dateOfBirth: new Date(dateOfBirth),
-        providerId: req.user.id,
+        practiceId: req.user.practiceId,
+        providerId,
       },
     });
 
+    await recordAudit(req, {
+      action: 'CREATE',
+      entityType: 'PATIENT',
+      entityId: patient.id,
+      newValues: patient,
+    });
+
     logger.info(`Patient created: ${patient.id} by provider ${req.user.id}`);
 
     res.status(201).json({
@@ -218,11 +305,11 @@ exports.updatePatient = async (req, res, next) => {
     const { id } = req.params;
     const { firstName, lastName, email, phone, dateOfBirth } = req.body;
 
-    // Verify patient belongs to provider
+    // Verify patient belongs to the practice
     const existingPatient = await prisma.patient.findFirst({
       where: {
         id,
-        providerId: req.user.id,
+        ...patientScope(req.user),
       },
     });
 
@@ -235,7 +322,7 @@ exports.updatePatient = async (req, res, next) => {
       const duplicateEmail = await prisma.patient.findFirst({
         where: {
           email: email.toLowerCase(),
-          providerId: req.user.id,
+          ...patientScope(req.user),
           NOT: { id },
         },
       });
@@ -256,6 +343,14 @@ exports.updatePatient = async (req, res, next) => {
       },
     });
 
+    await recordAudit(req, {
+      action: 'UPDATE',
+      entityType: 'PATIENT',
+      entityId: patient.id,
+      oldValues: existingPatient,
+      newValues: patient,
+    });
+
     logger.info(`Patient updated: ${patient.id}`);
 
     res.json({
@@ -268,18 +363,19 @@ exports.updatePatient = async (req, res, next) => {
 };
 
 /**
- * Delete a patient
+ * Soft-delete a patient with their intake links, intakes and summaries. They
+ * can be restored until the retention job purges them.
  * DELETE /api/patients/:id
  */
 exports.deletePatient = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    // Verify patient belongs to provider
+    // Verify patient belongs to the practice
     const patient = await prisma.patient.findFirst({
       where: {
         id,
-        providerId: req.user.id,
+        ...patientScope(req.user),
       },
     });
 
@@ -287,8 +383,15 @@ exports.deletePatient = async (req, res, next) => {
       throw new NotFoundError('Patient');
     }
 
-    await prisma.patient.delete({
-      where: { id },
+    const deletedAt = await softDeletePatient(id, req.user.id);
+
+    await recordAudit(req, {
+      action: 'DELETE',
+      entityType: 'PATIENT',
+      entityId: id,
+      providerId: patient.providerId,
+      oldValues: patient,
+      newValues: { deletedAt },
     });
 
     logger.info(`Patient deleted: ${id}`);
@@ -296,6 +399,181 @@ exports.deletePatient = async (req, res, next) => {
     res.json({
       success: true,
       message: 'Patient deleted successfully',
+      data: { deletedAt, purgeAfter: purgeAfter(deletedAt) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the practice's deleted patients that can still be restored
+ * GET /api/patients/deleted
+ */
+exports.getDeletedPatients = async (req, res, next) => {
+  try {
+    const patients = await prisma.patient.findMany({
+      where: {
+        practiceId: req.user.practiceId,
+        deletedAt: { not: null },
+      },
+      orderBy: { deletedAt: 'desc' },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        patients: patients.map((patient) => ({
+          id: patient.id,
+          firstName: patient.firstName,
+          lastName: patient.lastName,
+          fullName: `${patient.firstName} ${patient.lastName}`,
+          email: patient.email,
+          dateOfBirth: patient.dateOfBirth,
+          providerId: patient.providerId,
+          deletedAt: patient.deletedAt,
+          deletedBy: patient.deletedBy,
+          purgeAfter: purgeAfter(patient.deletedAt),
+        })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a deleted patient with what was deleted with them
+ * POST /api/patients/:id/restore
+ */
+exports.restorePatient = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const patient = await prisma.patient.findFirst({
+      where: {
+        id,
+        practiceId: req.user.practiceId,
+        deletedAt: { not: null },
+      },
+    });
+
+    if (!patient) {
+      throw new NotFoundError('Deleted patient');
+    }
+
+    // Someone may have added the patient again since
+    const duplicateEmail = await prisma.patient.findFirst({
+      where: {
+        email: patient.email,
+        ...patientScope(req.user),
+      },
+    });
+
+    if (duplicateEmail) {
+      throw new ValidationError('A patient with this email already exists');
+    }
+
+    await restorePatient(patient);
+
+    await recordAudit(req, {
+      action: 'RESTORE',
+      entityType: 'PATIENT',
+      entityId: id,
+      providerId: patient.providerId,
+      oldValues: { deletedAt: patient.deletedAt, deletedBy: patient.deletedBy },
+    });
+
+    logger.info(`Patient restored: ${id}`);
+
+    res.json({
+      success: true,
+      data: { patient: { ...patient, deletedAt: null, deletedBy: null } },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Transfer patients to another clinician in the practice, either a list of
+ * patients or everyone assigned to one clinician. Intakes, summaries and
+ * intake links belong to the patient, so they move with it; queued jobs for
+ * its intakes follow. Clinicians can hand off their own patients and those of
+ * anyone they are covering; owners can transfer any.
+ * POST /api/patients/transfer
+ */
+exports.transferPatients = async (req, res, next) => {
+  try {
+    const { patientIds, fromProviderId, toProviderId, reason } = req.body;
+
+    if (Boolean(patientIds) === Boolean(fromProviderId)) {
+      throw new ValidationError('Provide either patientIds or fromProviderId');
+    }
+
+    const providerId = await resolveAssignedClinician(req.user, toProviderId);
+
+    // Moving everyone also moves deleted patients, who keep a clinician of record until purged
+    const patients = await prisma.patient.findMany({
+      where: patientIds
+        ? { id: { in: patientIds }, ...patientScope(req.user) }
+        : { providerId: fromProviderId, practiceId: req.user.practiceId },
+      select: { id: true, providerId: true },
+    });
+
+    if (patientIds && patients.length !== new Set(patientIds).size) {
+      throw new NotFoundError('Patient');
+    }
+
+    if (!can(req.user, 'practice:manage')) {
+      const queue = [req.user.id, ...(await getCoveredProviderIds(req.user.id))];
+      if (patients.some((patient) => !queue.includes(patient.providerId))) {
+        throw new AuthorizationError(
+          'You can only transfer your own patients or those of a clinician you are covering'
+        );
+      }
+    }
+
+    const moving = patients.filter((patient) => patient.providerId !== providerId);
+    const movingIds = moving.map((patient) => patient.id);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.patient.updateMany({
+        where: { id: { in: movingIds } },
+        data: { providerId },
+      });
+
+      const intakes = await tx.intake.findMany({
+        where: { patientId: { in: movingIds } },
+        select: { id: true },
+      });
+
+      await tx.job.updateMany({
+        where: { intakeId: { in: intakes.map((intake) => intake.id) }, status: 'PENDING' },
+        data: { providerId },
+      });
+    });
+
+    for (const patient of moving) {
+      await recordAudit(req, {
+        action: 'TRANSFER',
+        entityType: 'PATIENT',
+        entityId: patient.id,
+        providerId,
+        oldValues: { providerId: patient.providerId },
+        newValues: { providerId, reason },
+      });
+    }
+
+    logger.info(`${movingIds.length} patient(s) transferred to provider ${providerId} by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      data: {
+        transferred: movingIds.length,
+        patientIds: movingIds,
+        toProviderId: providerId,
+      },
     });
   } catch (error) {
     next(error);
@@ -308,7 +586,7 @@ exports.deletePatient = async (req, res, next) => {
  */
 exports.getStats = async (req, res, next) => {
   try {
-    const providerId = req.user.id;
+    const scope = patientScope(req.user);
 
     // Get counts in parallel
     const [
@@ -318,32 +596,33 @@ exports.getStats = async (req, res, next) => {
       reviewedIntakes,
       recentRedFlags,
     ] = await Promise.all([
-      prisma.patient.count({ where: { providerId } }),
+      prisma.patient.count({ where: scope }),
       prisma.intakeLink.count({
         where: {
-          patient: { providerId },
-          status: 'PENDING',
+          ...intakeLinkScope(req.user),
+          status: { in: ['PENDING', 'IN_PROGRESS'] },
           expiresAt: { gt: new Date() },
         },
       }),
       prisma.intake.count({
         where: {
-          patient: { providerId },
+          ...intakeScope(req.user),
           status: 'READY_FOR_REVIEW',
         },
       }),
       prisma.intake.count({
         where: {
-          patient: { providerId },
+          ...intakeScope(req.user),
           status: 'REVIEWED',
         },
       }),
       prisma.redFlag.findMany({
         where: {
           intake: {
-            patient: { providerId },
+            ...intakeScope(req.user),
             status: 'READY_FOR_REVIEW',
           },
+          dismissedAt: null,
         },
         include: {
           intake: {
@@ -380,6 +659,8 @@ exports.getStats = async (req, res, next) => {
           patientId: rf.intake.patient.id,
           patientName: `${rf.intake.patient.firstName} ${rf.intake.patient.lastName}`,
           createdAt: rf.createdAt,
+          isAcknowledged: rf.acknowledgedAt !== null,
+          acknowledgedAt: rf.acknowledgedAt,
         })),
       },
     });
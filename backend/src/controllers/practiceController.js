@@ -0,0 +1,290 @@
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+const { NotFoundError, ConflictError, ValidationError } = require('../utils/errors');
+const { recordAudit } = require('../services/auditService');
+const { CLINICIAN_ROLES } = require('../services/authorization');
+const { revokeCoveragesFor } = require('../services/coverageService');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const MEMBER_USER_SELECT = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  title: true,
+  twoFactorEnabled: true,
+};
+
+/**
+ * Format a membership for responses
+ */
+const formatMember = (member) => ({
+  userId: member.user.id,
+  email: member.user.email,
+  firstName: member.user.firstName,
+  lastName: member.user.lastName,
+  title: member.user.title,
+  twoFactorEnabled: member.user.twoFactorEnabled,
+  role: member.role,
+  joinedAt: member.createdAt,
+});
+
+/**
+ * Find a member of the user's practice
+ */
+async function findMember(userId, practiceId) {
+  const member = await prisma.practiceMember.findFirst({
+    where: { userId, practiceId },
+    include: { user: { select: MEMBER_USER_SELECT } },
+  });
+
+  if (!member) {
+    throw new NotFoundError('Practice member');
+  }
+
+  return member;
+}
+
+/**
+ * A practice must keep at least one owner
+ */
+async function assertNotLastOwner(member) {
+  if (member.role !== 'OWNER') return;
+
+  const owners = await prisma.practiceMember.count({
+    where: { practiceId: member.practiceId, role: 'OWNER' },
+  });
+
+  if (owners <= 1) {
+    throw new ConflictError('A practice must have at least one owner');
+  }
+}
+
+/**
+ * Patients must always have a clinician, so a member who is anyone's assigned
+ * clinician cannot leave the practice or lose their clinical role
+ */
+async function assertNoAssignedPatients(member) {
+  const assignedPatients = await prisma.patient.count({
+    where: { practiceId: member.practiceId, providerId: member.userId },
+  });
+
+  if (assignedPatients > 0) {
+    throw new ConflictError(
+      `This member is the assigned clinician for ${assignedPatients} patient(s); transfer them first`
+    );
+  }
+}
+
+/**
+ * Get the user's practice and its members
+ * GET /api/practice
+ */
+exports.getPractice = async (req, res, next) => {
+  try {
+    const practice = await prisma.practice.findUnique({
+      where: { id: req.user.practiceId },
+      include: {
+        members: {
+          include: { user: { select: MEMBER_USER_SELECT } },
+          orderBy: { createdAt: 'asc' },
+        },
+      },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        practice: {
+          id: practice.id,
+          name: practice.name,
+          requireTwoFactor: practice.requireTwoFactor,
+          createdAt: practice.createdAt,
+          members: practice.members.map(formatMember),
+        },
+        role: req.user.role,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename the practice or change whether members must use two-factor
+ * authentication. Members without it are then limited to setting it up.
+ * PATCH /api/practice
+ */
+exports.updatePractice = async (req, res, next) => {
+  try {
+    const { name, requireTwoFactor } = req.body;
+
+    // Owners go first, so requiring it cannot shut out the person who turned it on
+    if (requireTwoFactor && !req.user.twoFactorEnabled) {
+      throw new ValidationError('Enable two-factor authentication on your own account first');
+    }
+
+    const existing = await prisma.practice.findUnique({ where: { id: req.user.practiceId } });
+
+    const practice = await prisma.practice.update({
+      where: { id: req.user.practiceId },
+      data: { name, requireTwoFactor },
+    });
+
+    await recordAudit(req, {
+      action: 'UPDATE',
+      entityType: 'PRACTICE',
+      entityId: practice.id,
+      oldValues: { name: existing.name, requireTwoFactor: existing.requireTwoFactor },
+      newValues: { name: practice.name, requireTwoFactor: practice.requireTwoFactor },
+    });
+
+    if (requireTwoFactor !== undefined && requireTwoFactor !== existing.requireTwoFactor) {
+      logger.info(`Practice ${practice.id} ${requireTwoFactor ? 'requires' : 'no longer requires'} 2FA`);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        practice: {
+          id: practice.id,
+          name: practice.name,
+          requireTwoFactor: practice.requireTwoFactor,
+          createdAt: practice.createdAt,
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an account for a new member of the practice
+ * POST /api/practice/members
+ */
+exports.addMember = async (req, res, next) => {
+  try {
+    const { email, password, firstName, lastName, title, role } = req.body;
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email: email.toLowerCase() },
+    });
+
+    if (existingUser) {
+      throw new ConflictError('An account with this email already exists');
+    }
+
+    const passwordHash = await bcrypt.hash(password, 12);
+
+    const member = await prisma.practiceMember.create({
+      data: {
+        role,
+        practice: { connect: { id: req.user.practiceId } },
+        user: {
+          create: {
+            email: email.toLowerCase(),
+            passwordHash,
+            firstName,
+            lastName,
+            title,
+          },
+        },
+      },
+      include: { user: { select: MEMBER_USER_SELECT } },
+    });
+
+    await recordAudit(req, {
+      action: 'CREATE',
+      entityType: 'USER',
+      entityId: member.userId,
+      newValues: { ...member.user, role: member.role, practiceId: member.practiceId },
+    });
+
+    logger.info(`Member ${member.userId} added to practice ${req.user.practiceId} as ${role}`);
+
+    res.status(201).json({
+      success: true,
+      data: { member: formatMember(member) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a member's role
+ * PATCH /api/practice/members/:userId
+ */
+exports.updateMember = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    const existing = await findMember(req.params.userId, req.user.practiceId);
+    if (role !== 'OWNER') await assertNotLastOwner(existing);
+    if (!CLINICIAN_ROLES.includes(role)) await assertNoAssignedPatients(existing);
+
+    const member = await prisma.practiceMember.update({
+      where: { id: existing.id },
+      data: { role },
+      include: { user: { select: MEMBER_USER_SELECT } },
+    });
+
+    // Only clinicians give or receive coverage
+    if (!CLINICIAN_ROLES.includes(role)) {
+      await revokeCoveragesFor(member.userId);
+    }
+
+    await recordAudit(req, {
+      action: 'UPDATE',
+      entityType: 'PRACTICE',
+      entityId: req.user.practiceId,
+      oldValues: { userId: existing.userId, role: existing.role },
+      newValues: { userId: member.userId, role: member.role },
+    });
+
+    logger.info(`Member ${member.userId} of practice ${req.user.practiceId} is now ${role}`);
+
+    res.json({
+      success: true,
+      data: { member: formatMember(member) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a member from the practice. Their account stays but has no access
+ * and their coverage ends; their patients must be transferred first.
+ * DELETE /api/practice/members/:userId
+ */
+exports.removeMember = async (req, res, next) => {
+  try {
+    const member = await findMember(req.params.userId, req.user.practiceId);
+    await assertNotLastOwner(member);
+    await assertNoAssignedPatients(member);
+
+    await prisma.practiceMember.delete({ where: { id: member.id } });
+    await revokeCoveragesFor(member.userId);
+
+    await recordAudit(req, {
+      action: 'UPDATE',
+      entityType: 'PRACTICE',
+      entityId: req.user.practiceId,
+      oldValues: { userId: member.userId, role: member.role },
+      newValues: { userId: member.userId, removed: true },
+    });
+
+    logger.info(`Member ${member.userId} removed from practice ${req.user.practiceId}`);
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,161 @@
+const { PrismaClient } = require('@prisma/client');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+const { recordAudit } = require('../services/auditService');
+const { intakeScope } = require('../services/authorization');
+const { announceRedFlags } = require('../services/redFlagAlertService');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+/**
+ * Find a red flag on one of the practice's patients' intakes
+ */
+async function findPracticeRedFlag(id, user) {
+  const redFlag = await prisma.redFlag.findFirst({
+    where: {
+      id,
+      intake: intakeScope(user),
+    },
+  });
+
+  if (!redFlag) {
+    throw new NotFoundError('Red flag');
+  }
+
+  return redFlag;
+}
+
+/**
+ * Add a red flag to an intake by hand
+ * POST /api/red-flags
+ */
+exports.createRedFlag = async (req, res, next) => {
+  try {
+    const { intakeId, category, description, severity, source = 'provider' } = req.body;
+
+    const intake = await prisma.intake.findFirst({
+      where: {
+        id: intakeId,
+        ...intakeScope(req.user),
+      },
+      include: { patient: { select: { id: true, firstName: true, lastName: true, providerId: true } } },
+    });
+
+    if (!intake) {
+      throw new NotFoundError('Intake');
+    }
+
+    const redFlag = await prisma.redFlag.create({
+      data: {
+        intakeId,
+        category,
+        description,
+        severity,
+        source,
+        origin: 'MANUAL',
+        createdByUserId: req.user.id,
+      },
+    });
+
+    await recordAudit(req, {
+      action: 'CREATE',
+      entityType: 'RED_FLAG',
+      entityId: redFlag.id,
+      newValues: { intakeId, category, severity },
+    });
+
+    logger.info(`Manual red flag ${redFlag.id} added to intake ${intakeId}`);
+
+    announceRedFlags([redFlag], intake.patient).catch((err) => {
+      logger.error('Red flag alert failed:', err);
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { redFlag },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Dismiss a red flag with a reason
+ * POST /api/red-flags/:id/dismiss
+ */
+exports.dismissRedFlag = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    const existing = await findPracticeRedFlag(req.params.id, req.user);
+
+    if (existing.dismissedAt) {
+      throw new ConflictError('Red flag has already been dismissed');
+    }
+
+    const redFlag = await prisma.redFlag.update({
+      where: { id: existing.id },
+      data: {
+        dismissedAt: new Date(),
+        dismissedByUserId: req.user.id,
+        dismissReason: reason,
+      },
+    });
+
+    await recordAudit(req, {
+      action: 'UPDATE',
+      entityType: 'RED_FLAG',
+      entityId: redFlag.id,
+      newValues: { dismissedAt: redFlag.dismissedAt, dismissReason: reason },
+    });
+
+    logger.info(`Red flag ${redFlag.id} dismissed`);
+
+    res.json({
+      success: true,
+      data: { redFlag },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Acknowledge a red flag (e.g. a critical alert has been seen and acted on)
+ * POST /api/red-flags/:id/acknowledge
+ */
+exports.acknowledgeRedFlag = async (req, res, next) => {
+  try {
+    const existing = await findPracticeRedFlag(req.params.id, req.user);
+
+    if (existing.dismissedAt) {
+      throw new ConflictError('Dismissed red flags cannot be acknowledged');
+    }
+    if (existing.acknowledgedAt) {
+      throw new ConflictError('Red flag has already been acknowledged');
+    }
+
+    const redFlag = await prisma.redFlag.update({
+      where: { id: existing.id },
+      data: {
+        acknowledgedAt: new Date(),
+        acknowledgedByUserId: req.user.id,
+      },
+    });
+
+    await recordAudit(req, {
+      action: 'UPDATE',
+      entityType: 'RED_FLAG',
+      entityId: redFlag.id,
+      newValues: { acknowledgedAt: redFlag.acknowledgedAt },
+    });
+
+    logger.info(`Red flag ${redFlag.id} acknowledged`);
+
+    res.json({
+      success: true,
+      data: { redFlag },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
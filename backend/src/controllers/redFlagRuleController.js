@@ -0,0 +1,151 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { recordAudit } = require('../services/auditService');
+const { baseRuleSet, getRuleSet } = require('../services/redFlagService');
+const { evaluateRules, validateRule, applyOverrides } = require('../services/redFlagEngine');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+/**
+ * Get the provider's effective red flag rules
+ * GET /api/red-flag-rules
+ */
+exports.getRules = async (req, res, next) => {
+  try {
+    const ruleSet = await getRuleSet(req.user.id);
+
+    res.json({
+      success: true,
+      data: ruleSet,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Override a base rule or create a custom rule
+ * PUT /api/red-flag-rules/:ruleId
+ */
+exports.upsertRule = async (req, res, next) => {
+  try {
+    const { ruleId } = req.params;
+    const { enabled = true, severity = null, definition = null } = req.body;
+    const providerId = req.user.id;
+
+    const isBaseRule = baseRuleSet.rules.some((rule) => rule.id === ruleId);
+
+    if (!isBaseRule && !definition) {
+      throw new ValidationError(`"${ruleId}" is not a built-in rule; a definition is required`);
+    }
+
+    // Validate the rule exactly as it will be evaluated
+    const [rule] = applyOverrides(
+      baseRuleSet.rules.filter((r) => r.id === ruleId),
+      [{ ruleId, enabled, severity, definition }]
+    );
+    const errors = validateRule(rule, 'definition');
+
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid red flag rule', errors);
+    }
+
+    const existing = await prisma.redFlagRule.findUnique({
+      where: { providerId_ruleId: { providerId, ruleId } },
+    });
+
+    const data = { enabled, severity, definition: definition ?? Prisma.DbNull };
+
+    const override = await prisma.redFlagRule.upsert({
+      where: { providerId_ruleId: { providerId, ruleId } },
+      create: { providerId, ruleId, ...data },
+      update: data,
+    });
+
+    await recordAudit(req, {
+      action: existing ? 'UPDATE' : 'CREATE',
+      entityType: 'RED_FLAG_RULE',
+      entityId: override.id,
+      oldValues: existing,
+      newValues: override,
+    });
+
+    logger.info(`Red flag rule ${ruleId} ${isBaseRule ? 'overridden' : 'saved'} for provider ${providerId}`);
+
+    res.json({
+      success: true,
+      data: { rule },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove an override (base rules revert, custom rules are deleted)
+ * DELETE /api/red-flag-rules/:ruleId
+ */
+exports.deleteRule = async (req, res, next) => {
+  try {
+    const { ruleId } = req.params;
+    const providerId = req.user.id;
+
+    const existing = await prisma.redFlagRule.findUnique({
+      where: { providerId_ruleId: { providerId, ruleId } },
+    });
+
+    if (!existing) {
+      throw new NotFoundError('Red flag rule override');
+    }
+
+    await prisma.redFlagRule.delete({ where: { id: existing.id } });
+
+    await recordAudit(req, {
+      action: 'DELETE',
+      entityType: 'RED_FLAG_RULE',
+      entityId: existing.id,
+      oldValues: existing,
+    });
+
+    logger.info(`Red flag rule override ${ruleId} removed for provider ${providerId}`);
+
+    res.json({
+      success: true,
+      message: 'Red flag rule override removed',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Run a rule set against a sample intake without saving anything
+ * POST /api/red-flag-rules/test
+ */
+exports.testRules = async (req, res, next) => {
+  try {
+    const { intake, rules } = req.body;
+
+    let ruleSet;
+    if (rules) {
+      const errors = rules.flatMap((rule, i) => validateRule(rule, `rules[${i}]`));
+      if (errors.length > 0) {
+        throw new ValidationError('Invalid red flag rule', errors);
+      }
+      ruleSet = { version: 'draft', rules };
+    } else {
+      ruleSet = await getRuleSet(req.user.id);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        version: ruleSet.version,
+        flags: evaluateRules(ruleSet.rules, intake),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
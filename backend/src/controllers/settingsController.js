@@ -0,0 +1,71 @@
+const { PrismaClient } = require('@prisma/client');
+const { recordAudit } = require('../services/auditService');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Provider settings exposed by the API
+const SETTINGS_SELECT = {
+  autoGenerateSummaries: true,
+};
+
+/**
+ * Get the provider's settings
+ * GET /api/settings
+ */
+exports.getSettings = async (req, res, next) => {
+  try {
+    const settings = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: SETTINGS_SELECT,
+    });
+
+    res.json({
+      success: true,
+      data: { settings },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update the provider's settings
+ * PATCH /api/settings
+ */
+exports.updateSettings = async (req, res, next) => {
+  try {
+    const data = {};
+    for (const key of Object.keys(SETTINGS_SELECT)) {
+      if (req.body[key] !== undefined) data[key] = req.body[key];
+    }
+
+    const oldSettings = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: SETTINGS_SELECT,
+    });
+
+    const settings = await prisma.user.update({
+      where: { id: req.user.id },
+      data,
+      select: SETTINGS_SELECT,
+    });
+
+    await recordAudit(req, {
+      action: 'UPDATE',
+      entityType: 'USER',
+      entityId: req.user.id,
+      oldValues: oldSettings,
+      newValues: settings,
+    });
+
+    logger.info(`Settings updated for provider ${req.user.id}`);
+
+    res.json({
+      success: true,
+      data: { settings },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,10 +1,110 @@
 const { PrismaClient } = require('@prisma/client');
 const { NotFoundError } = require('../utils/errors');
-const { generateSummary, generateSummaryStream } = require('../services/geminiService');
+const { generateSummaryStream, buildSummaryResult } = require('../services/summaryGenerator');
+const { getLlmProvider } = require('../services/llmService');
+const { createSummary, saveSummary } = require('../services/summaryService');
+const {
+  normalizeDoctorEdits,
+  applyDoctorEdits,
+  diffSummaryViews,
+} = require('../services/summaryEditService');
+const { recordAudit } = require('../services/auditService');
+const { intakeScope, summaryScope } = require('../services/authorization');
+const { purgeAfter } = require('../services/softDeleteService');
 const logger = require('../utils/logger');
 
 const prisma = new PrismaClient();
 
+/**
+ * Flatten a summary's structured fields into the response shape the app expects
+ */
+const formatSummary = (summary) => {
+  const structured = summary.structured || {};
+  const redFlags = structured.redFlags || [];
+
+  return {
+    id: summary.id,
+    intakeId: summary.intakeId,
+    content: summary.content,
+    chiefComplaint: structured.chiefComplaint ?? null,
+    medications: structured.medications || [],
+    allergies: structured.allergies || [],
+    systemsReview: structured.systemsReview || {},
+    relevantHistory: structured.relevantHistory ?? null,
+    lifestyle: structured.lifestyle || {},
+    redFlags,
+    hasRedFlags: redFlags.length > 0,
+    redFlagCount: redFlags.length,
+    isStructured: Boolean(summary.structured),
+    groundingScore: summary.groundingScore,
+    doctorEdits: summary.doctorEdits,
+    editedAt: summary.editedAt,
+    editedByUserId: summary.editedByUserId,
+    model: summary.model,
+    tokensUsed: summary.tokensUsed,
+    generatedAt: summary.generatedAt,
+  };
+};
+
+/**
+ * Find a summary on one of the practice's patients
+ */
+const findSummary = async (id, user) => {
+  const summary = await prisma.summary.findFirst({
+    where: {
+      id,
+      ...summaryScope(user),
+    },
+  });
+
+  if (!summary) {
+    throw new NotFoundError('Summary');
+  }
+
+  return summary;
+};
+
+// Attempts at claiming the next version number when edits are saved concurrently
+const EDIT_VERSION_ATTEMPTS = 3;
+
+/**
+ * Save edits as the summary's next version. The number is read and claimed in
+ * one transaction; a concurrent save that takes it first violates the unique
+ * (summaryId, version) constraint, and the edit is retried with the next one.
+ */
+const saveSummaryEdit = async (id, doctorEdits, userId) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const latestVersion = await tx.summaryVersion.findFirst({
+          where: { summaryId: id },
+          orderBy: { version: 'desc' },
+        });
+        const editedAt = new Date();
+
+        const version = await tx.summaryVersion.create({
+          data: {
+            summaryId: id,
+            version: (latestVersion?.version || 0) + 1,
+            doctorEdits,
+            editedByUserId: userId,
+            createdAt: editedAt,
+          },
+        });
+
+        const summary = await tx.summary.update({
+          where: { id },
+          data: { doctorEdits, editedAt, editedByUserId: userId },
+        });
+
+        return { version, summary };
+      });
+    } catch (error) {
+      if (error.code !== 'P2002' || attempt >= EDIT_VERSION_ATTEMPTS) throw error;
+    }
+  }
+};
+
 /**
  * Get all summaries for an intake
  * GET /api/summaries
@@ -14,11 +114,7 @@ exports.getSummaries = async (req, res, next) => {
     const { intakeId, page = 1, limit = 10 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const where = {
-      intake: {
-        patient: { providerId: req.user.id },
-      },
-    };
+    const where = summaryScope(req.user);
 
     if (intakeId) {
       where.intakeId = intakeId;
@@ -47,16 +143,20 @@ exports.getSummaries = async (req, res, next) => {
       prisma.summary.count({ where }),
     ]);
 
+    await recordAudit(req, {
+      action: 'READ',
+      entityType: 'SUMMARY',
+      newValues: {
+        filters: { intakeId, page, limit },
+        ids: summaries.map((summary) => summary.id),
+      },
+    });
+
     res.json({
       success: true,
       data: {
         summaries: summaries.map((s) => ({
-          id: s.id,
-          content: s.content,
-          model: s.model,
-          tokensUsed: s.tokensUsed,
-          generatedAt: s.generatedAt,
-          intakeId: s.intakeId,
+          ...formatSummary(s),
           patient: {
             id: s.intake.patient.id,
             name: `${s.intake.patient.firstName} ${s.intake.patient.lastName}`,
@@ -86,9 +186,7 @@ exports.getSummary = async (req, res, next) => {
     const summary = await prisma.summary.findFirst({
       where: {
         id,
-        intake: {
-          patient: { providerId: req.user.id },
-        },
+        ...summaryScope(req.user),
       },
       include: {
         intake: {
@@ -103,9 +201,20 @@ exports.getSummary = async (req, res, next) => {
       throw new NotFoundError('Summary');
     }
 
+    await recordAudit(req, {
+      action: 'READ',
+      entityType: 'SUMMARY',
+      entityId: summary.id,
+    });
+
     res.json({
       success: true,
-      data: { summary },
+      data: {
+        summary: {
+          ...formatSummary(summary),
+          intake: summary.intake,
+        },
+      },
     });
   } catch (error) {
     next(error);
@@ -120,11 +229,11 @@ exports.generateSummaryHandler = async (req, res, next) => {
   try {
     const { intakeId } = req.body;
 
-    // Verify intake belongs to provider
+    // Verify intake belongs to the practice
     const intake = await prisma.intake.findFirst({
       where: {
         id: intakeId,
-        patient: { providerId: req.user.id },
+        ...intakeScope(req.user),
       },
     });
 
@@ -134,16 +243,18 @@ exports.generateSummaryHandler = async (req, res, next) => {
 
     logger.info(`Generating AI summary for intake ${intakeId}`);
 
-    // Generate summary using Gemini
-    const result = await generateSummary(intake);
+    // Generate the summary and save it
+    const summary = await createSummary(intake);
 
-    // Save summary to database
-    const summary = await prisma.summary.create({
-      data: {
+    await recordAudit(req, {
+      action: 'GENERATE_SUMMARY',
+      entityType: 'SUMMARY',
+      entityId: summary.id,
+      newValues: {
         intakeId,
-        content: result.content,
-        model: result.model,
-        tokensUsed: result.tokensUsed,
+        model: summary.model,
+        tokensUsed: summary.tokensUsed,
+        groundingScore: summary.groundingScore,
       },
     });
 
@@ -152,13 +263,7 @@ exports.generateSummaryHandler = async (req, res, next) => {
     res.status(201).json({
       success: true,
       data: {
-        summary: {
-          id: summary.id,
-          content: summary.content,
-          model: summary.model,
-          tokensUsed: summary.tokensUsed,
-          generatedAt: summary.generatedAt,
-        },
+        summary: formatSummary(summary),
       },
     });
   } catch (error) {
@@ -174,11 +279,11 @@ exports.generateSummaryStreamHandler = async (req, res, next) => {
   try {
     const { intakeId } = req.body;
 
-    // Verify intake belongs to provider
+    // Verify intake belongs to the practice
     const intake = await prisma.intake.findFirst({
       where: {
         id: intakeId,
-        patient: { providerId: req.user.id },
+        ...intakeScope(req.user),
       },
     });
 
@@ -186,7 +291,10 @@ exports.generateSummaryStreamHandler = async (req, res, next) => {
       throw new NotFoundError('Intake');
     }
 
-    logger.info(`Streaming AI summary for intake ${intakeId}`);
+    // Resolved before streaming so a misconfigured provider fails as a normal error response
+    const llm = getLlmProvider();
+
+    logger.info(`Streaming AI summary for intake ${intakeId} (${llm.name})`);
 
     // Set up SSE headers
     res.setHeader('Content-Type', 'text/event-stream');
@@ -194,28 +302,36 @@ exports.generateSummaryStreamHandler = async (req, res, next) => {
     res.setHeader('Connection', 'keep-alive');
     res.setHeader('X-Accel-Buffering', 'no');
 
-    let fullContent = '';
+    // Stop the model request if the client goes away before the summary is done
+    const disconnect = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) disconnect.abort();
+    });
+
+    let fullText = '';
 
     // Stream the response
-    for await (const chunk of generateSummaryStream(intake)) {
-      fullContent += chunk;
+    for await (const chunk of generateSummaryStream(intake, llm, disconnect.signal)) {
+      fullText += chunk;
       res.write(`data: ${JSON.stringify({ chunk, done: false })}\n\n`);
     }
 
-    // Save the complete summary
-    const summary = await prisma.summary.create({
-      data: {
-        intakeId,
-        content: fullContent,
-        model: 'gemini-1.5-pro',
-      },
+    // Parse and grounding-check the streamed JSON the same way as a non-streamed summary
+    const summary = await saveSummary(intakeId, buildSummaryResult(intake, llm, fullText));
+
+    await recordAudit(req, {
+      action: 'GENERATE_SUMMARY',
+      entityType: 'SUMMARY',
+      entityId: summary.id,
+      newValues: { intakeId, model: summary.model, groundingScore: summary.groundingScore },
     });
 
-    // Send completion event
+    // Send completion event with the verified summary, which replaces the raw streamed text
     res.write(
       `data: ${JSON.stringify({
         done: true,
         summaryId: summary.id,
+        summary: formatSummary(summary),
       })}\n\n`
     );
 
@@ -226,6 +342,8 @@ exports.generateSummaryStreamHandler = async (req, res, next) => {
     // For streaming, we need to handle errors differently
     if (!res.headersSent) {
       next(error);
+    } else if (res.destroyed) {
+      logger.info(`Summary stream for intake ${req.body.intakeId} stopped: client disconnected`);
     } else {
       res.write(`data: ${JSON.stringify({ error: error.message, done: true })}\n\n`);
       res.end();
@@ -234,33 +352,198 @@ exports.generateSummaryStreamHandler = async (req, res, next) => {
 };
 
 /**
- * Delete a summary
+ * Soft-delete a summary. It can be restored until the retention job purges it.
  * DELETE /api/summaries/:id
  */
 exports.deleteSummary = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const summary = await prisma.summary.findFirst({
+    const summary = await findSummary(id, req.user);
+
+    const deleted = await prisma.summary.update({
+      where: { id },
+      data: { deletedAt: new Date(), deletedBy: req.user.id },
+    });
+
+    await recordAudit(req, {
+      action: 'DELETE',
+      entityType: 'SUMMARY',
+      entityId: id,
+      oldValues: summary,
+      newValues: { deletedAt: deleted.deletedAt },
+    });
+
+    logger.info(`Summary ${id} deleted`);
+
+    res.json({
+      success: true,
+      message: 'Summary deleted successfully',
+      data: { deletedAt: deleted.deletedAt, purgeAfter: purgeAfter(deleted.deletedAt) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a deleted summary (its intake must not be deleted)
+ * POST /api/summaries/:id/restore
+ */
+exports.restoreSummary = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.summary.findFirst({
       where: {
         id,
-        intake: {
-          patient: { providerId: req.user.id },
-        },
+        deletedAt: { not: null },
+        intake: intakeScope(req.user),
       },
     });
 
-    if (!summary) {
-      throw new NotFoundError('Summary');
+    if (!existing) {
+      throw new NotFoundError('Deleted summary');
     }
 
-    await prisma.summary.delete({ where: { id } });
+    const summary = await prisma.summary.update({
+      where: { id },
+      data: { deletedAt: null, deletedBy: null },
+    });
 
-    logger.info(`Summary ${id} deleted`);
+    await recordAudit(req, {
+      action: 'RESTORE',
+      entityType: 'SUMMARY',
+      entityId: id,
+      oldValues: { deletedAt: existing.deletedAt, deletedBy: existing.deletedBy },
+    });
+
+    logger.info(`Summary ${id} restored`);
 
     res.json({
       success: true,
-      message: 'Summary deleted successfully',
+      data: { summary: formatSummary(summary) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Apply provider edits to a summary (stored as a new version)
+ * PATCH /api/summaries/:id
+ */
+exports.updateSummary = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const doctorEdits = normalizeDoctorEdits(req.body.doctorEdits);
+
+    const existingSummary = await findSummary(id, req.user);
+
+    const { version, summary } = await saveSummaryEdit(id, doctorEdits, req.user.id);
+
+    await recordAudit(req, {
+      action: 'UPDATE',
+      entityType: 'SUMMARY',
+      entityId: id,
+      oldValues: { doctorEdits: existingSummary.doctorEdits },
+      newValues: { doctorEdits, version: version.version },
+    });
+
+    logger.info(`Summary ${id} edited (version ${version.version})`);
+
+    res.json({
+      success: true,
+      data: {
+        summary: formatSummary(summary),
+        version: version.version,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the edit history of a summary
+ * GET /api/summaries/:id/versions
+ */
+exports.getSummaryVersions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const summary = await findSummary(id, req.user);
+
+    const versions = await prisma.summaryVersion.findMany({
+      where: { summaryId: id },
+      orderBy: { version: 'asc' },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        versions: [
+          {
+            version: 0,
+            doctorEdits: null,
+            editedByUserId: null,
+            createdAt: summary.generatedAt,
+          },
+          ...versions.map((v) => ({
+            version: v.version,
+            doctorEdits: v.doctorEdits,
+            editedByUserId: v.editedByUserId,
+            createdAt: v.createdAt,
+          })),
+        ],
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Diff two versions of a summary (version 0 is the original AI output)
+ * GET /api/summaries/:id/diff?from=0&to=2
+ */
+exports.getSummaryDiff = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const summary = await findSummary(id, req.user);
+
+    const versions = await prisma.summaryVersion.findMany({
+      where: { summaryId: id },
+      orderBy: { version: 'asc' },
+    });
+
+    const latest = versions.length > 0 ? versions[versions.length - 1].version : 0;
+    const from = req.query.from !== undefined ? parseInt(req.query.from) : 0;
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : latest;
+
+    const viewAt = (versionNumber) => {
+      if (versionNumber === 0) return applyDoctorEdits(summary.structured, null);
+
+      const version = versions.find((v) => v.version === versionNumber);
+      if (!version) {
+        throw new NotFoundError(`Summary version ${versionNumber}`);
+      }
+      return applyDoctorEdits(summary.structured, version.doctorEdits);
+    };
+
+    const before = viewAt(from);
+    const after = viewAt(to);
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        before,
+        after,
+        diff: diffSummaryViews(before, after),
+      },
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,216 @@
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
+const {
+  AuthorizationError,
+  ConflictError,
+  ValidationError,
+} = require('../utils/errors');
+const { recordAudit } = require('../services/auditService');
+const { generateSecret, otpauthUri } = require('../services/totpService');
+const {
+  createBackupCodes,
+  consumeTotp,
+  verifySecondFactor,
+  countBackupCodes,
+} = require('../services/twoFactorService');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+/**
+ * Load the signed-in user with their two-factor state
+ */
+const loadUser = (userId) =>
+  prisma.user.findUnique({
+    where: { id: userId },
+    include: { membership: { select: { practice: { select: { requireTwoFactor: true } } } } },
+  });
+
+/**
+ * Two-factor status for the signed-in user
+ * GET /api/auth/2fa
+ */
+exports.getStatus = async (req, res, next) => {
+  try {
+    const user = await loadUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactorEnabled,
+        requiredByPractice: !!user.membership?.practice.requireTwoFactor,
+        backupCodesRemaining: user.twoFactorEnabled ? await countBackupCodes(user.id) : 0,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start enrollment: create a secret for the user's authenticator app. It is
+ * not used for login until confirmed at /api/auth/2fa/enable.
+ * POST /api/auth/2fa/setup
+ */
+exports.setup = async (req, res, next) => {
+  try {
+    const user = await loadUser(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorSecret: secret, twoFactorLastStep: null },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUri: otpauthUri({ secret, accountName: user.email, issuer: config.twoFactor.issuer }),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app. Returns the
+ * backup codes, which are only ever shown here.
+ * POST /api/auth/2fa/enable
+ */
+exports.enable = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    const user = await loadUser(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    if (!user.twoFactorSecret) {
+      throw new ValidationError('Start two-factor setup first');
+    }
+
+    if (!(await consumeTotp(user, code))) {
+      throw new ValidationError('Invalid authentication code');
+    }
+
+    const [backupCodes, backupCodeOps] = await createBackupCodes(user.id);
+
+    await prisma.$transaction([
+      prisma.user.update({ where: { id: user.id }, data: { twoFactorEnabled: true } }),
+      ...backupCodeOps,
+    ]);
+
+    await recordAudit(req, {
+      action: 'UPDATE',
+      entityType: 'USER',
+      entityId: user.id,
+      oldValues: { twoFactorEnabled: false },
+      newValues: { twoFactorEnabled: true },
+    });
+
+    logger.info(`Two-factor authentication enabled for ${user.email}`);
+
+    res.json({
+      success: true,
+      data: { enabled: true, backupCodes },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Turn two-factor authentication off. Needs the password and a current code
+ * (or backup code), and is refused while the practice requires it.
+ * POST /api/auth/2fa/disable
+ */
+exports.disable = async (req, res, next) => {
+  try {
+    const { password, code, backupCode } = req.body;
+    const user = await loadUser(req.user.id);
+
+    if (!user.twoFactorEnabled) {
+      throw new ValidationError('Two-factor authentication is not enabled');
+    }
+
+    if (user.membership?.practice.requireTwoFactor) {
+      throw new AuthorizationError('Your practice requires two-factor authentication');
+    }
+
+    const isValidPassword = await bcrypt.compare(password, user.passwordHash);
+
+    if (!isValidPassword || !(await verifySecondFactor(user, { code, backupCode }))) {
+      throw new ValidationError('Password or authentication code is incorrect');
+    }
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: user.id },
+        data: { twoFactorEnabled: false, twoFactorSecret: null, twoFactorLastStep: null },
+      }),
+      prisma.twoFactorBackupCode.deleteMany({ where: { userId: user.id } }),
+    ]);
+
+    await recordAudit(req, {
+      action: 'UPDATE',
+      entityType: 'USER',
+      entityId: user.id,
+      oldValues: { twoFactorEnabled: true },
+      newValues: { twoFactorEnabled: false },
+    });
+
+    logger.info(`Two-factor authentication disabled for ${user.email}`);
+
+    res.json({
+      success: true,
+      data: { enabled: false },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the backup codes (e.g. when running low), confirmed with a current code
+ * POST /api/auth/2fa/backup-codes
+ */
+exports.regenerateBackupCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    const user = await loadUser(req.user.id);
+
+    if (!user.twoFactorEnabled) {
+      throw new ValidationError('Two-factor authentication is not enabled');
+    }
+
+    if (!(await consumeTotp(user, code))) {
+      throw new ValidationError('Invalid authentication code');
+    }
+
+    const [backupCodes, backupCodeOps] = await createBackupCodes(user.id);
+    await prisma.$transaction(backupCodeOps);
+
+    await recordAudit(req, {
+      action: 'UPDATE',
+      entityType: 'USER',
+      entityId: user.id,
+      newValues: { backupCodesRegenerated: true },
+    });
+
+    res.json({
+      success: true,
+      data: { backupCodes },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -8,12 +8,23 @@ const Sentry = require('@sentry/node');
 const config = require('./config');
 const logger = require('./utils/logger');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const { startJobs, stopJobs } = require('./jobs');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const patientRoutes = require('./routes/patients');
 const intakeRoutes = require('./routes/intakes');
 const summaryRoutes = require('./routes/summaries');
+const auditLogRoutes = require('./routes/auditLogs');
+const dashboardRoutes = require('./routes/dashboard');
+const formTemplateRoutes = require('./routes/formTemplates');
+const redFlagRuleRoutes = require('./routes/redFlagRules');
+const redFlagRoutes = require('./routes/redFlags');
+const alertRoutes = require('./routes/alerts');
+const jobRoutes = require('./routes/jobs');
+const settingsRoutes = require('./routes/settings');
+const practiceRoutes = require('./routes/practice');
+const coverageRoutes = require('./routes/coverages');
 
 // Initialize Express app
 const app = express();
@@ -70,6 +81,23 @@ const authLimiter = rateLimit({
 });
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/change-password', authLimiter);
+app.use('/api/auth/2fa/verify', authLimiter);
+
+// Reset requests send email, so they get a budget of their own
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: {
+    success: false,
+    error: {
+      code: 'RATE_LIMITED',
+      message: 'Too many password reset attempts, please try again later',
+    },
+  },
+});
+app.use('/api/auth/forgot-password', passwordResetLimiter);
+app.use('/api/auth/reset-password', passwordResetLimiter);
 
 // Body parsers
 app.use(express.json({ limit: '10mb' }));
@@ -97,6 +125,16 @@ app.use('/api/auth', authRoutes);
 app.use('/api/patients', patientRoutes);
 app.use('/api', intakeRoutes); // Handles both /intake-links and /intakes
 app.use('/api/summaries', summaryRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
+app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/form-templates', formTemplateRoutes);
+app.use('/api/red-flag-rules', redFlagRuleRoutes);
+app.use('/api/red-flags', redFlagRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/practice', practiceRoutes);
+app.use('/api/coverages', coverageRoutes);
 
 // Sentry error handler (must be before other error handlers)
 if (config.sentry.dsn) {
@@ -115,16 +153,24 @@ app.listen(PORT, () => {
   logger.info(`🚀 IntakeAI API server running on port ${PORT}`);
   logger.info(`   Environment: ${config.nodeEnv}`);
   logger.info(`   Health check: http://localhost:${PORT}/health`);
+  for (const channel of ['email', 'sms', 'webhook']) {
+    if (!config.notifications[`${channel}Provider`]) {
+      logger.warn(`   No ${channel} provider configured: ${channel} messages will fail`);
+    }
+  }
+  startJobs();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
+  stopJobs();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received. Shutting down gracefully...');
+  stopJobs();
   process.exit(0);
 });
 
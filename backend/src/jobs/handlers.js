@@ -0,0 +1,64 @@
+const { PrismaClient } = require('@prisma/client');
+const { detectRedFlags } = require('../services/redFlagService');
+const { createSummary, markSummaryFailed } = require('../services/summaryService');
+const { recordAudit } = require('../services/auditService');
+
+const prisma = new PrismaClient();
+
+/**
+ * Queued job handlers by type. Each receives the job payload and returns a
+ * JSON result; a thrown error is retried, so handlers must be safe to re-run.
+ */
+const JOB_HANDLERS = {
+  'detect-red-flags': async ({ intakeId }) => {
+    const redFlags = await detectRedFlags(intakeId);
+    return { redFlagCount: redFlags.length };
+  },
+
+  'generate-summary': async ({ intakeId }) => {
+    // A retry after the summary was saved, or a provider generating one first, keeps that summary
+    const existing = await prisma.summary.findFirst({
+      where: { intakeId, deletedAt: null },
+      select: { id: true },
+    });
+    if (existing) return { summaryId: existing.id };
+
+    const intake = await prisma.intake.findUnique({
+      where: { id: intakeId },
+      include: { patient: { select: { providerId: true, practiceId: true } } },
+    });
+    if (!intake || intake.deletedAt) return null;
+
+    const summary = await createSummary(intake);
+
+    await recordAudit({}, {
+      action: 'GENERATE_SUMMARY',
+      entityType: 'SUMMARY',
+      entityId: summary.id,
+      providerId: intake.patient.providerId,
+      practiceId: intake.patient.practiceId,
+      userId: null,
+      newValues: {
+        intakeId,
+        model: summary.model,
+        tokensUsed: summary.tokensUsed,
+        groundingScore: summary.groundingScore,
+      },
+    });
+
+    return { summaryId: summary.id };
+  },
+};
+
+/**
+ * Run once a job of that type is out of attempts, however its last attempt
+ * ended (handler error or an expired worker lock)
+ */
+const JOB_FAILURE_HANDLERS = {
+  'generate-summary': ({ intakeId }) => markSummaryFailed(intakeId),
+};
+
+module.exports = {
+  JOB_HANDLERS,
+  JOB_FAILURE_HANDLERS,
+};
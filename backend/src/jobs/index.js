@@ -0,0 +1,59 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { scheduleJob, stopScheduler } = require('./scheduler');
+const { expireIntakeLinks, sendIntakeLinkReminders } = require('./intakeLinkJobs');
+const { escalateRedFlagAlerts } = require('./redFlagAlertJobs');
+const { purgeDeletedRecords } = require('./retentionJobs');
+const { startWorker, stopWorker } = require('./worker');
+
+/**
+ * Start the job queue worker and scheduled background jobs (each can be disabled in config)
+ */
+function startJobs() {
+  if (config.queue.workerEnabled) {
+    startWorker();
+    logger.info(`   Job worker: polling every ${config.queue.pollIntervalMs}ms`);
+  }
+
+  if (!config.jobs.enabled) return;
+
+  const intervalMs = config.jobs.intakeLinkIntervalMinutes * 60 * 1000;
+
+  // Expire first so reminders never go out for a link that has just lapsed
+  scheduleJob('intake-links', intervalMs, async () => ({
+    ...(await expireIntakeLinks()),
+    ...(await sendIntakeLinkReminders()),
+  }));
+
+  scheduleJob('red-flag-alerts', config.jobs.alertIntervalMinutes * 60 * 1000, () =>
+    escalateRedFlagAlerts()
+  );
+
+  if (config.retention.days > 0) {
+    scheduleJob('retention', config.retention.jobIntervalHours * 60 * 60 * 1000, () =>
+      purgeDeletedRecords()
+    );
+  }
+
+  const reminders = config.jobs.reminderHours.map((hours) => `${hours}h`).join(', ') || 'off';
+  logger.info(
+    `   Background jobs: intake links every ${config.jobs.intakeLinkIntervalMinutes}m (reminders: ${reminders})`
+  );
+  const { escalationMinutes, maxEscalations } = config.alerts;
+  logger.info(`   Critical alert escalation: after ${escalationMinutes}m, up to ${maxEscalations} times`);
+  const { days } = config.retention;
+  logger.info(`   Deleted records: ${days > 0 ? `purged ${days} days after deletion` : 'kept'}`);
+}
+
+/**
+ * Stop the worker and scheduled jobs
+ */
+function stopJobs() {
+  stopWorker();
+  stopScheduler();
+}
+
+module.exports = {
+  startJobs,
+  stopJobs,
+};
@@ -0,0 +1,116 @@
+const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { deliverIntakeLink } = require('../services/linkDeliveryService');
+const { intakeLinkReminder } = require('../services/notificationTemplates');
+
+const prisma = new PrismaClient();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Mark unfinished links past their expiry date as EXPIRED
+ * @returns {Object} - { expired: number }
+ */
+async function expireIntakeLinks(now = new Date()) {
+  const { count } = await prisma.intakeLink.updateMany({
+    where: {
+      status: { in: ['PENDING', 'IN_PROGRESS'] },
+      expiresAt: { lte: now },
+    },
+    data: { status: 'EXPIRED' },
+  });
+
+  if (count > 0) {
+    logger.info(`Marked ${count} intake link(s) as expired`);
+  }
+
+  return { expired: count };
+}
+
+/**
+ * Pick the reminder due for a link: the smallest offset it is already inside.
+ * Offsets that had already started when the link was sent are skipped, so a
+ * 1-day link does not get a "48 hours left" reminder straight after the invite.
+ * @param {Object} intakeLink - { expiresAt, sentAt }
+ * @param {number[]} reminderHours - Offsets before expiry, e.g. [48, 24]
+ * @returns {number|null} - Offset in hours, or null if no reminder is due
+ */
+function selectReminderOffset(intakeLink, reminderHours, now = new Date()) {
+  const msLeft = intakeLink.expiresAt.getTime() - now.getTime();
+  const msAtSend = intakeLink.expiresAt.getTime() - intakeLink.sentAt.getTime();
+
+  const due = reminderHours.filter((hours) => msLeft <= hours * HOUR_MS && msAtSend > hours * HOUR_MS);
+
+  return due.length > 0 ? Math.min(...due) : null;
+}
+
+/**
+ * Send due reminders for unfinished links that were delivered to the patient
+ * (and not deleted)
+ * @returns {Object} - { sent: number, failed: number }
+ */
+async function sendIntakeLinkReminders(now = new Date(), reminderHours = config.jobs.reminderHours) {
+  if (reminderHours.length === 0) return { sent: 0, failed: 0 };
+
+  const horizon = new Date(now.getTime() + Math.max(...reminderHours) * HOUR_MS);
+
+  const intakeLinks = await prisma.intakeLink.findMany({
+    where: {
+      status: { in: ['PENDING', 'IN_PROGRESS'] },
+      deliveryStatus: 'SENT',
+      deletedAt: null,
+      expiresAt: { gt: now, lte: horizon },
+    },
+    select: { id: true, expiresAt: true, sentAt: true, channels: true },
+  });
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const intakeLink of intakeLinks) {
+    const offsetHours = selectReminderOffset(intakeLink, reminderHours, now);
+    if (offsetHours === null) continue;
+
+    // Claim the reminder first; the unique constraint stops a second send
+    let reminder;
+    try {
+      reminder = await prisma.linkReminder.create({
+        data: {
+          intakeLinkId: intakeLink.id,
+          offsetHours,
+          expiresAt: intakeLink.expiresAt,
+        },
+      });
+    } catch (error) {
+      if (error.code === 'P2002') continue;
+      throw error;
+    }
+
+    // Same channels as the invitation (links sent before they were recorded use the defaults)
+    const deliveries = await deliverIntakeLink(intakeLink.id, {
+      channels: intakeLink.channels.length > 0
+        ? intakeLink.channels.map((channel) => channel.toLowerCase())
+        : undefined,
+      template: intakeLinkReminder,
+      kind: 'REMINDER',
+    });
+    const anySent = deliveries.some((d) => d.status === 'sent');
+
+    await prisma.linkReminder.update({
+      where: { id: reminder.id },
+      data: { status: anySent ? 'SENT' : 'FAILED' },
+    });
+
+    if (anySent) sent += 1;
+    else failed += 1;
+  }
+
+  return { sent, failed };
+}
+
+module.exports = {
+  expireIntakeLinks,
+  selectReminderOffset,
+  sendIntakeLinkReminders,
+};
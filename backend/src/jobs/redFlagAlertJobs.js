@@ -0,0 +1,82 @@
+const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
+const { STALE_ATTEMPT_MS, sendRedFlagAlert } = require('../services/redFlagAlertService');
+
+const prisma = new PrismaClient();
+
+const MINUTE_MS = 60 * 1000;
+
+// Give up on a level after this many failed sends (the flag still shows on the dashboard)
+const MAX_SEND_ATTEMPTS = 5;
+
+/**
+ * Pick the alert level due for a flag from its latest alert: the same level
+ * again if it failed or its send was interrupted, otherwise the next one once
+ * the window has passed
+ * @param {Object} latestAlert - { level, status, attempts, attemptedAt, sentAt } of the highest
+ *   level so far
+ * @param {Object} options - { escalationMinutes, maxEscalations }
+ * @returns {number|null} - Level to send, or null if none is due
+ */
+function selectEscalationLevel(latestAlert, { escalationMinutes, maxEscalations }, now = new Date()) {
+  // claimAlertLevel takes over a NOT_SENT level after the same delay
+  const interrupted = latestAlert.status === 'NOT_SENT' &&
+    now.getTime() - latestAlert.attemptedAt.getTime() > STALE_ATTEMPT_MS;
+
+  if (latestAlert.status === 'FAILED' || interrupted) {
+    return latestAlert.attempts < MAX_SEND_ATTEMPTS ? latestAlert.level : null;
+  }
+
+  if (latestAlert.status !== 'SENT') return null;
+  if (latestAlert.level >= maxEscalations) return null;
+  if (now.getTime() - latestAlert.sentAt.getTime() < escalationMinutes * MINUTE_MS) return null;
+
+  return latestAlert.level + 1;
+}
+
+/**
+ * Re-send alerts for CRITICAL red flags that nobody has acknowledged,
+ * dismissed or reviewed within the escalation window, and retry failed sends
+ * (deleted intakes are left alone)
+ * @returns {Object} - { escalated: number, failed: number }
+ */
+async function escalateRedFlagAlerts(now = new Date(), options = config.alerts) {
+  const redFlags = await prisma.redFlag.findMany({
+    where: {
+      severity: 'CRITICAL',
+      acknowledgedAt: null,
+      dismissedAt: null,
+      intake: { status: 'READY_FOR_REVIEW', deletedAt: null },
+      alerts: { some: {}, none: { level: { gte: options.maxEscalations }, status: 'SENT' } },
+    },
+    select: {
+      id: true,
+      alerts: {
+        orderBy: { level: 'desc' },
+        take: 1,
+        select: { level: true, status: true, attempts: true, attemptedAt: true, sentAt: true },
+      },
+    },
+  });
+
+  let escalated = 0;
+  let failed = 0;
+
+  for (const redFlag of redFlags) {
+    const level = selectEscalationLevel(redFlag.alerts[0], options, now);
+    if (level === null) continue;
+
+    const alert = await sendRedFlagAlert(redFlag.id, level, options.channels);
+    if (!alert) continue;
+
+    if (alert.status === 'SENT') escalated += 1;
+    else failed += 1;
+  }
+
+  return { escalated, failed };
+}
+
+module.exports = {
+  selectEscalationLevel,
+  escalateRedFlagAlerts,
+};
@@ -0,0 +1,91 @@
+const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { recordAudit } = require('../services/auditService');
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PATIENT_SELECT = { select: { providerId: true, practiceId: true } };
+
+/**
+ * Record a permanent deletion. There is no request, so the entry has no actor.
+ */
+const auditPurge = (entityType, record, patient) =>
+  recordAudit({}, {
+    action: 'PURGE',
+    entityType,
+    entityId: record.id,
+    providerId: patient.providerId,
+    practiceId: patient.practiceId,
+    userId: null,
+    oldValues: { deletedAt: record.deletedAt, deletedBy: record.deletedBy },
+  });
+
+/**
+ * Permanently delete soft-deleted patients, intakes, summaries and intake
+ * links once the retention period has passed since their deletion. Nothing
+ * that is not deleted is ever removed: a link is only purged along with its
+ * intake, since deleting the link row would cascade to the intake.
+ * @returns {Object} - { patients, intakes, summaries, intakeLinks } purged
+ */
+async function purgeDeletedRecords(now = new Date(), retentionDays = config.retention.days) {
+  const purged = { patients: 0, intakes: 0, summaries: 0, intakeLinks: 0 };
+  if (retentionDays <= 0) return purged;
+
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  const expired = { deletedAt: { lt: cutoff } };
+
+  // Children first, so each purge is audited on its own
+  const summaries = await prisma.summary.findMany({
+    where: expired,
+    include: { intake: { select: { patient: PATIENT_SELECT } } },
+  });
+  for (const summary of summaries) {
+    await prisma.summary.delete({ where: { id: summary.id } });
+    await auditPurge('SUMMARY', summary, summary.intake.patient);
+    purged.summaries += 1;
+  }
+
+  const intakes = await prisma.intake.findMany({
+    where: expired,
+    include: { patient: PATIENT_SELECT },
+  });
+  for (const intake of intakes) {
+    await prisma.intake.delete({ where: { id: intake.id } });
+    await auditPurge('INTAKE', intake, intake.patient);
+    purged.intakes += 1;
+  }
+
+  const intakeLinks = await prisma.intakeLink.findMany({
+    where: { ...expired, intake: { is: null } },
+    include: { patient: PATIENT_SELECT },
+  });
+  for (const intakeLink of intakeLinks) {
+    await prisma.intakeLink.delete({ where: { id: intakeLink.id } });
+    await auditPurge('INTAKE_LINK', intakeLink, intakeLink.patient);
+    purged.intakeLinks += 1;
+  }
+
+  // Only patients with nothing left that is still within retention; their
+  // clinical notes go with them
+  const patients = await prisma.patient.findMany({
+    where: { ...expired, intakes: { none: {} }, intakeLinks: { none: {} } },
+  });
+  for (const patient of patients) {
+    await prisma.patient.delete({ where: { id: patient.id } });
+    await auditPurge('PATIENT', patient, patient);
+    purged.patients += 1;
+  }
+
+  if (Object.values(purged).some((count) => count > 0)) {
+    logger.info(`Purged deleted records past ${retentionDays}-day retention`, purged);
+  }
+
+  return purged;
+}
+
+module.exports = {
+  purgeDeletedRecords,
+};
@@ -0,0 +1,62 @@
+const logger = require('../utils/logger');
+
+const jobs = new Map();
+
+/**
+ * Run a job once, skipping the tick if the previous run has not finished
+ */
+async function runJob(job) {
+  if (job.running) {
+    logger.warn(`Job ${job.name} is still running; skipping this tick`);
+    return;
+  }
+
+  job.running = true;
+  const startedAt = Date.now();
+
+  try {
+    const result = await job.run();
+    logger.info(`Job ${job.name} finished in ${Date.now() - startedAt}ms`, result || {});
+  } catch (error) {
+    logger.error(`Job ${job.name} failed:`, error);
+  } finally {
+    job.running = false;
+  }
+}
+
+/**
+ * Register a job to run on a fixed interval
+ * @param {string} name - Unique job name (used in logs)
+ * @param {number} intervalMs - Time between runs
+ * @param {Function} run - Async function; its return value is logged
+ */
+function scheduleJob(name, intervalMs, run) {
+  if (jobs.has(name)) {
+    throw new Error(`Job ${name} is already scheduled`);
+  }
+
+  const job = { name, run, running: false };
+  job.timer = setInterval(() => runJob(job), intervalMs);
+  // Do not keep the process alive just for background jobs
+  job.timer.unref();
+
+  jobs.set(name, job);
+
+  // First run straight away rather than waiting a full interval
+  setImmediate(() => runJob(job));
+}
+
+/**
+ * Stop all scheduled jobs
+ */
+function stopScheduler() {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+  }
+  jobs.clear();
+}
+
+module.exports = {
+  scheduleJob,
+  stopScheduler,
+};
@@ -0,0 +1,78 @@
+const os = require('os');
+const config = require('../config');
+const logger = require('../utils/logger');
+const {
+  queueEvents,
+  claimNextJob,
+  releaseStaleJobs,
+  failExhaustedJobs,
+  runQueuedJob,
+} = require('../services/jobQueue');
+const { JOB_HANDLERS, JOB_FAILURE_HANDLERS } = require('./handlers');
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const worker = { active: false, draining: false, wakeRequested: false, timer: null };
+
+/**
+ * Run due jobs one at a time until the queue is empty.
+ * A wake-up during a drain runs another pass instead of a second concurrent drain.
+ */
+async function drainQueue() {
+  if (worker.draining) {
+    worker.wakeRequested = true;
+    return;
+  }
+
+  worker.draining = true;
+
+  try {
+    await releaseStaleJobs();
+    await failExhaustedJobs(JOB_FAILURE_HANDLERS);
+
+    do {
+      worker.wakeRequested = false;
+
+      let job;
+      while (worker.active && (job = await claimNextJob(WORKER_ID))) {
+        await runQueuedJob(job, JOB_HANDLERS, JOB_FAILURE_HANDLERS);
+      }
+    } while (worker.active && worker.wakeRequested);
+  } catch (error) {
+    logger.error('Job worker failed:', error);
+  } finally {
+    worker.draining = false;
+  }
+}
+
+/**
+ * Start polling the job queue in this process
+ */
+function startWorker(pollIntervalMs = config.queue.pollIntervalMs) {
+  if (worker.active) return;
+
+  worker.active = true;
+  worker.timer = setInterval(drainQueue, pollIntervalMs);
+  // Do not keep the process alive just for the worker
+  worker.timer.unref();
+  queueEvents.on('wake', drainQueue);
+
+  // Pick up anything left over from before a restart
+  setImmediate(drainQueue);
+}
+
+/**
+ * Stop polling; a job already running is left to finish
+ */
+function stopWorker() {
+  worker.active = false;
+  clearInterval(worker.timer);
+  queueEvents.off('wake', drainQueue);
+}
+
+module.exports = {
+  WORKER_ID,
+  drainQueue,
+  startWorker,
+  stopWorker,
+};
@@ -1,6 +1,6 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config');
-const { AuthenticationError } = require('../utils/errors');
+const { AppError, AuthenticationError } = require('../utils/errors');
 const { PrismaClient } = require('@prisma/client');
 
 const prisma = new PrismaClient();
@@ -8,8 +8,10 @@ const prisma = new PrismaClient();
 /**
  * Authentication middleware
  * Verifies JWT from HttpOnly cookie or Authorization header
+ * @param {Object} options - enforceTwoFactor: refuse members who have not set up
+ *   two-factor authentication when their practice requires it
  */
-const authenticate = async (req, res, next) => {
+const authenticateWith = ({ enforceTwoFactor }) => async (req, res, next) => {
   try {
     // Try to get token from cookie first (preferred for security)
     let token = req.cookies?.accessToken;
@@ -29,6 +31,11 @@ const authenticate = async (req, res, next) => {
     // Verify the token
     const decoded = jwt.verify(token, config.jwt.accessSecret);
 
+    // Special-purpose tokens (e.g. a two-factor login challenge) are not access tokens
+    if (decoded.purpose) {
+      throw new AuthenticationError('Invalid token');
+    }
+
     // Fetch user from database
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
@@ -39,6 +46,14 @@ const authenticate = async (req, res, next) => {
         lastName: true,
         title: true,
         practiceName: true,
+        twoFactorEnabled: true,
+        membership: {
+          select: {
+            practiceId: true,
+            role: true,
+            practice: { select: { requireTwoFactor: true } },
+          },
+        },
       },
     });
 
@@ -46,8 +61,21 @@ const authenticate = async (req, res, next) => {
       throw new AuthenticationError('User not found');
     }
 
-    // Attach user to request
-    req.user = user;
+    if (enforceTwoFactor && user.membership?.practice.requireTwoFactor && !user.twoFactorEnabled) {
+      throw new AppError(
+        'Your practice requires two-factor authentication; set it up at /api/auth/2fa/setup',
+        403,
+        'TWO_FACTOR_REQUIRED'
+      );
+    }
+
+    // Attach user to request, with their practice and role for authorization
+    const { membership, ...profile } = user;
+    req.user = {
+      ...profile,
+      practiceId: membership?.practiceId || null,
+      role: membership?.role || null,
+    };
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -60,6 +88,11 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+const authenticate = authenticateWith({ enforceTwoFactor: true });
+
+// For the endpoints a member needs to set up two-factor authentication
+const authenticateForEnrollment = authenticateWith({ enforceTwoFactor: false });
+
 /**
  * Optional authentication - doesn't fail if no token
  */
@@ -76,6 +109,7 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, config.jwt.accessSecret);
+      if (decoded.purpose) throw new AuthenticationError('Invalid token');
       const user = await prisma.user.findUnique({
         where: { id: decoded.userId },
         select: {
@@ -93,4 +127,4 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
-module.exports = { authenticate, optionalAuth };
+module.exports = { authenticate, authenticateForEnrollment, optionalAuth };
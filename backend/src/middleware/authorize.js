@@ -0,0 +1,21 @@
+const { AuthorizationError } = require('../utils/errors');
+const { can } = require('../services/authorization');
+
+/**
+ * Require practice permissions (after authenticate)
+ * @param {...string} permissions - All must be granted, e.g. 'summaries:write'
+ */
+const authorize = (...permissions) => (req, res, next) => {
+  if (!req.user?.practiceId) {
+    return next(new AuthorizationError('You are not a member of a practice'));
+  }
+
+  const missing = permissions.find((permission) => !can(req.user, permission));
+  if (missing) {
+    return next(new AuthorizationError(`Your role does not allow ${missing}`));
+  }
+
+  next();
+};
+
+module.exports = authorize;
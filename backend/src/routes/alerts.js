@@ -0,0 +1,17 @@
+const express = require('express');
+const alertController = require('../controllers/alertController');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/alerts/stream
+ * @desc    Server-sent event stream of new red flags and submissions
+ * @access  Private
+ */
+router.get('/stream', alertController.streamAlerts);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const express = require('express');
+const { query } = require('express-validator');
+const auditLogController = require('../controllers/auditLogController');
+const { authenticate } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/audit-logs
+ * @desc    Get audit log entries for the provider's data (the whole practice's for owners)
+ * @access  Private
+ */
+router.get(
+  '/',
+  [
+    query('entityType')
+      .optional()
+      .isIn([
+        'USER',
+        'PATIENT',
+        'INTAKE',
+        'INTAKE_LINK',
+        'SUMMARY',
+        'CLINICAL_NOTE',
+        'FORM_TEMPLATE',
+        'RED_FLAG_RULE',
+        'RED_FLAG',
+        'PRACTICE',
+        'COVERAGE',
+      ]),
+    query('entityId').optional(),
+    query('action')
+      .optional()
+      .isIn([
+        'CREATE',
+        'READ',
+        'UPDATE',
+        'DELETE',
+        'GENERATE_SUMMARY',
+        'EXPORT_DATA',
+        'LOGIN',
+        'LOGOUT',
+        'PASSWORD_CHANGE',
+        'TRANSFER',
+        'RESTORE',
+        'PURGE',
+      ]),
+    query('userId').optional(),
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+  ],
+  validate,
+  auditLogController.getAuditLogs
+);
+
+module.exports = router;
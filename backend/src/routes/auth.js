@@ -1,11 +1,33 @@
 const express = require('express');
 const { body } = require('express-validator');
 const authController = require('../controllers/authController');
-const { authenticate } = require('../middleware/auth');
+const twoFactorController = require('../controllers/twoFactorController');
+const { authenticateForEnrollment } = require('../middleware/auth');
 const validate = require('../middleware/validate');
 
 const router = express.Router();
 
+// A 6-digit authenticator code
+const totpCode = (field) =>
+  body(field).trim().matches(/^\d{6}$/).withMessage('Authentication code must be 6 digits');
+
+// An authenticator code or a backup code, but not both
+const secondFactor = () => [
+  body()
+    .custom((value) => !!value.code !== !!value.backupCode)
+    .withMessage('Provide either code or backupCode'),
+  totpCode('code').optional(),
+  body('backupCode').optional().isString(),
+];
+
+// Password strength rules shared by registration and password changes
+const passwordRules = (field) =>
+  body(field)
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain uppercase, lowercase, and number');
+
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user
@@ -15,11 +37,7 @@ router.post(
   '/register',
   [
     body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
-    body('password')
-      .isLength({ min: 8 })
-      .withMessage('Password must be at least 8 characters')
-      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-      .withMessage('Password must contain uppercase, lowercase, and number'),
+    passwordRules('password'),
     body('firstName').trim().notEmpty().withMessage('First name required'),
     body('lastName').trim().notEmpty().withMessage('Last name required'),
     body('title').optional().trim(),
@@ -58,11 +76,125 @@ router.post('/refresh', authController.refresh);
  */
 router.post('/logout', authController.logout);
 
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a single-use password reset link
+ * @access  Public
+ */
+router.post(
+  '/forgot-password',
+  [body('email').isEmail().normalizeEmail().withMessage('Valid email required')],
+  validate,
+  authController.forgotPassword
+);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with a reset token and sign out all sessions
+ * @access  Public (requires valid reset token)
+ */
+router.post(
+  '/reset-password',
+  [
+    body('token').isString().notEmpty().withMessage('Reset token required'),
+    passwordRules('password'),
+  ],
+  validate,
+  authController.resetPassword
+);
+
+/**
+ * @route   POST /api/auth/change-password
+ * @desc    Change password and sign out other sessions
+ * @access  Private
+ */
+router.post(
+  '/change-password',
+  authenticateForEnrollment,
+  [
+    body('currentPassword').notEmpty().withMessage('Current password required'),
+    passwordRules('newPassword'),
+  ],
+  validate,
+  authController.changePassword
+);
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user
  * @access  Private
  */
-router.get('/me', authenticate, authController.me);
+router.get('/me', authenticateForEnrollment, authController.me);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete a two-factor login with a code or backup code
+ * @access  Public (requires challenge token from login)
+ */
+router.post(
+  '/2fa/verify',
+  [
+    body('challengeToken').isString().notEmpty().withMessage('Challenge token required'),
+    ...secondFactor(),
+  ],
+  validate,
+  authController.verifyTwoFactor
+);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor status
+ * @access  Private
+ */
+router.get('/2fa', authenticateForEnrollment, twoFactorController.getStatus);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start enrollment: get a secret and otpauth URI for an authenticator app
+ * @access  Private
+ */
+router.post('/2fa/setup', authenticateForEnrollment, twoFactorController.setup);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with a code and receive backup codes
+ * @access  Private
+ */
+router.post(
+  '/2fa/enable',
+  authenticateForEnrollment,
+  [totpCode('code')],
+  validate,
+  twoFactorController.enable
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn two-factor authentication off
+ * @access  Private
+ */
+router.post(
+  '/2fa/disable',
+  authenticateForEnrollment,
+  [
+    body('password').notEmpty().withMessage('Password required'),
+    ...secondFactor(),
+  ],
+  validate,
+  twoFactorController.disable
+);
+
+/**
+ * @route   POST /api/auth/2fa/backup-codes
+ * @desc    Replace backup codes
+ * @access  Private
+ */
+router.post(
+  '/2fa/backup-codes',
+  authenticateForEnrollment,
+  [totpCode('code')],
+  validate,
+  twoFactorController.regenerateBackupCodes
+);
 
 module.exports = router;
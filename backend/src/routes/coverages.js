@@ -0,0 +1,62 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const coverageController = require('../controllers/coverageController');
+const { authenticate } = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/coverages
+ * @desc    List the practice's coverages (status: current (default), active or all)
+ * @access  Private (any member)
+ */
+router.get(
+  '/',
+  authorize(),
+  [
+    query('status').optional().isIn(['current', 'active', 'all']),
+    query('providerId').optional().trim().notEmpty(),
+    query('coveringProviderId').optional().trim().notEmpty(),
+  ],
+  validate,
+  coverageController.getCoverages
+);
+
+/**
+ * @route   POST /api/coverages
+ * @desc    Let a clinician act on another clinician's queue until endsAt
+ * @access  Private (coverage:write)
+ */
+router.post(
+  '/',
+  authorize('coverage:write'),
+  [
+    body('providerId').optional().isString().withMessage('providerId must be a user ID'),
+    body('coveringProviderId').isString().notEmpty().withMessage('coveringProviderId required'),
+    body('startsAt').optional().isISO8601().withMessage('startsAt must be a date'),
+    body('endsAt').isISO8601().withMessage('endsAt must be a date'),
+    body('reason').optional().trim().isLength({ max: 500 }),
+  ],
+  validate,
+  coverageController.createCoverage
+);
+
+/**
+ * @route   DELETE /api/coverages/:id
+ * @desc    Revoke a coverage
+ * @access  Private (coverage:write)
+ */
+router.delete(
+  '/:id',
+  authorize('coverage:write'),
+  [param('id').notEmpty().withMessage('Coverage ID required')],
+  validate,
+  coverageController.revokeCoverage
+);
+
+module.exports = router;
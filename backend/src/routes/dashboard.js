@@ -0,0 +1,29 @@
+const express = require('express');
+const { query } = require('express-validator');
+const dashboardController = require('../controllers/dashboardController');
+const { authenticate } = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/dashboard
+ * @desc    Get dashboard statistics, trends, red flag alerts and activity feed
+ * @access  Private (intakes:read)
+ */
+router.get(
+  '/',
+  authorize('intakes:read'),
+  [
+    query('periodDays').optional().isInt({ min: 1, max: 90 }),
+    query('activityLimit').optional().isInt({ min: 1, max: 100 }),
+  ],
+  validate,
+  dashboardController.getDashboard
+);
+
+module.exports = router;
@@ -0,0 +1,98 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const formTemplateController = require('../controllers/formTemplateController');
+const { authenticate } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/form-templates
+ * @desc    Get the provider's form templates
+ * @access  Private
+ */
+router.get(
+  '/',
+  [query('includeArchived').optional().isIn(['true', 'false'])],
+  validate,
+  formTemplateController.getFormTemplates
+);
+
+/**
+ * @route   GET /api/form-templates/:id
+ * @desc    Get a form template and its version history
+ * @access  Private
+ */
+router.get(
+  '/:id',
+  [param('id').notEmpty().withMessage('Form template ID required')],
+  validate,
+  formTemplateController.getFormTemplate
+);
+
+/**
+ * @route   GET /api/form-templates/:id/versions/:version
+ * @desc    Get a specific version of a form template
+ * @access  Private
+ */
+router.get(
+  '/:id/versions/:version',
+  [
+    param('id').notEmpty().withMessage('Form template ID required'),
+    param('version').isInt({ min: 1 }).withMessage('Version must be a positive integer'),
+  ],
+  validate,
+  formTemplateController.getFormTemplateVersion
+);
+
+/**
+ * @route   POST /api/form-templates
+ * @desc    Create a form template
+ * @access  Private
+ */
+router.post(
+  '/',
+  [
+    body('name').trim().notEmpty().withMessage('Name required').isLength({ max: 200 }),
+    body('description').optional().trim().isLength({ max: 1000 }),
+    body('sections').isArray({ min: 1 }).withMessage('At least one section is required'),
+    body('isDefault').optional().isBoolean().toBoolean(),
+  ],
+  validate,
+  formTemplateController.createFormTemplate
+);
+
+/**
+ * @route   PUT /api/form-templates/:id
+ * @desc    Update a form template (new sections create a new version)
+ * @access  Private
+ */
+router.put(
+  '/:id',
+  [
+    param('id').notEmpty().withMessage('Form template ID required'),
+    body('name').optional().trim().notEmpty().isLength({ max: 200 }),
+    body('description').optional().trim().isLength({ max: 1000 }),
+    body('sections').optional().isArray({ min: 1 }).withMessage('At least one section is required'),
+    body('isDefault').optional().isBoolean().toBoolean(),
+  ],
+  validate,
+  formTemplateController.updateFormTemplate
+);
+
+/**
+ * @route   DELETE /api/form-templates/:id
+ * @desc    Archive a form template
+ * @access  Private
+ */
+router.delete(
+  '/:id',
+  [param('id').notEmpty().withMessage('Form template ID required')],
+  validate,
+  formTemplateController.archiveFormTemplate
+);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const { body, param, query } = require('express-validator');
 const intakeController = require('../controllers/intakeController');
 const { authenticate } = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
 const validate = require('../middleware/validate');
 
 const router = express.Router();
@@ -22,22 +23,53 @@ router.get(
   intakeController.getIntakeLinkByToken
 );
 
+/**
+ * @route   PUT /api/intake-links/:token/draft
+ * @desc    Save intake form progress (any subset of sections)
+ * @access  Public
+ */
+router.put(
+  '/intake-links/:token/draft',
+  [
+    param('token').notEmpty().withMessage('Token required'),
+    body('chiefComplaint').optional().isString().trim(),
+    body('demographics').optional().isObject(),
+    body('medicalHistory').optional().isObject(),
+    body('medications').optional().isArray(),
+    body('allergies').optional().isArray(),
+    body('socialHistory').optional().isObject(),
+    body('reviewOfSystems').optional().isObject(),
+    body('answers').optional().isObject().withMessage('answers must be an object'),
+  ],
+  validate,
+  intakeController.saveIntakeDraft
+);
+
 /**
  * @route   POST /api/intake-links/:token/submit
- * @desc    Submit intake form
+ * @desc    Submit intake form (sections not sent are taken from the saved draft)
  * @access  Public
  */
 router.post(
   '/intake-links/:token/submit',
   [
     param('token').notEmpty().withMessage('Token required'),
-    body('chiefComplaint').trim().notEmpty().withMessage('Chief complaint required'),
+    body('chiefComplaint').optional().trim().notEmpty().withMessage('Chief complaint required'),
+    body('consentGiven')
+      .custom((value) => value === true)
+      .withMessage('Patient consent is required'),
+    body('consentVersion')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Consent version required'),
     body('demographics').optional().isObject(),
     body('medicalHistory').optional().isObject(),
     body('medications').optional().isArray(),
     body('allergies').optional().isArray(),
     body('socialHistory').optional().isObject(),
     body('reviewOfSystems').optional().isObject(),
+    body('answers').optional().isObject().withMessage('answers must be an object'),
   ],
   validate,
   intakeController.submitIntake
@@ -50,27 +82,120 @@ router.post(
 /**
  * @route   POST /api/intake-links
  * @desc    Create an intake link for a patient
- * @access  Private
+ * @access  Private (intakeLinks:write)
  */
 router.post(
   '/intake-links',
   authenticate,
+  authorize('intakeLinks:write'),
   [
     body('patientId').notEmpty().withMessage('Patient ID required'),
     body('expiresInDays').optional().isInt({ min: 1, max: 30 }),
+    body('channels').optional().isArray().withMessage('channels must be an array'),
+    body('channels.*').isIn(['email', 'sms']).withMessage('Channel must be email or sms'),
+    body('formTemplateId').optional().isString(),
   ],
   validate,
   intakeController.createIntakeLink
 );
 
+/**
+ * @route   GET /api/intake-links
+ * @desc    Get intake links for the practice's patients
+ * @access  Private (intakeLinks:read)
+ */
+router.get(
+  '/intake-links',
+  authenticate,
+  authorize('intakeLinks:read'),
+  [
+    query('patientId').optional(),
+    query('status').optional().isIn(['pending', 'inProgress', 'completed', 'expired']),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+  ],
+  validate,
+  intakeController.getIntakeLinks
+);
+
+/**
+ * @route   DELETE /api/intake-links/:id
+ * @desc    Revoke an intake link
+ * @access  Private (intakeLinks:write)
+ */
+router.delete(
+  '/intake-links/:id',
+  authenticate,
+  authorize('intakeLinks:write'),
+  [
+    param('id').notEmpty().withMessage('Intake link ID required'),
+    body('reason').optional().trim().isLength({ max: 500 }),
+  ],
+  validate,
+  intakeController.revokeIntakeLink
+);
+
+/**
+ * @route   POST /api/intake-links/:id/extend
+ * @desc    Extend an intake link's expiry
+ * @access  Private (intakeLinks:write)
+ */
+router.post(
+  '/intake-links/:id/extend',
+  authenticate,
+  authorize('intakeLinks:write'),
+  [
+    param('id').notEmpty().withMessage('Intake link ID required'),
+    body('extendByDays')
+      .isInt({ min: 1, max: 30 })
+      .withMessage('extendByDays must be between 1 and 30')
+      .toInt(),
+  ],
+  validate,
+  intakeController.extendIntakeLink
+);
+
+/**
+ * @route   POST /api/intake-links/:id/resend
+ * @desc    Send an intake link to the patient again
+ * @access  Private (intakeLinks:write)
+ */
+router.post(
+  '/intake-links/:id/resend',
+  authenticate,
+  authorize('intakeLinks:write'),
+  [
+    param('id').notEmpty().withMessage('Intake link ID required'),
+    body('channels').optional().isArray().withMessage('channels must be an array'),
+    body('channels.*').isIn(['email', 'sms']).withMessage('Channel must be email or sms'),
+  ],
+  validate,
+  intakeController.resendIntakeLink
+);
+
+/**
+ * @route   POST /api/intake-links/:id/regenerate
+ * @desc    Issue a new token for an intake link
+ * @access  Private (intakeLinks:write)
+ */
+router.post(
+  '/intake-links/:id/regenerate',
+  authenticate,
+  authorize('intakeLinks:write'),
+  [param('id').notEmpty().withMessage('Intake link ID required')],
+  validate,
+  intakeController.regenerateIntakeLink
+);
+
 /**
  * @route   GET /api/intakes
- * @desc    Get all intakes for provider's patients
- * @access  Private
+ * @desc    Get all intakes for the practice's patients
+ * @access  Private (intakes:read)
  */
 router.get(
   '/intakes',
   authenticate,
+  authorize('intakes:read'),
   [
     query('status').optional().isIn(['readyForReview', 'reviewed']),
     query('patientId').optional(),
@@ -84,11 +209,12 @@ router.get(
 /**
  * @route   GET /api/intakes/:id
  * @desc    Get a single intake
- * @access  Private
+ * @access  Private (intakes:read)
  */
 router.get(
   '/intakes/:id',
   authenticate,
+  authorize('intakes:read'),
   [param('id').notEmpty().withMessage('Intake ID required')],
   validate,
   intakeController.getIntake
@@ -97,14 +223,43 @@ router.get(
 /**
  * @route   POST /api/intakes/:id/review
  * @desc    Mark intake as reviewed
- * @access  Private
+ * @access  Private (intakes:review)
  */
 router.post(
   '/intakes/:id/review',
   authenticate,
+  authorize('intakes:review'),
   [param('id').notEmpty().withMessage('Intake ID required')],
   validate,
   intakeController.markReviewed
 );
 
+/**
+ * @route   DELETE /api/intakes/:id
+ * @desc    Delete an intake and its summaries (restorable until purged)
+ * @access  Private (intakes:delete)
+ */
+router.delete(
+  '/intakes/:id',
+  authenticate,
+  authorize('intakes:delete'),
+  [param('id').notEmpty().withMessage('Intake ID required')],
+  validate,
+  intakeController.deleteIntake
+);
+
+/**
+ * @route   POST /api/intakes/:id/restore
+ * @desc    Restore a deleted intake
+ * @access  Private (intakes:delete)
+ */
+router.post(
+  '/intakes/:id/restore',
+  authenticate,
+  authorize('intakes:delete'),
+  [param('id').notEmpty().withMessage('Intake ID required')],
+  validate,
+  intakeController.restoreIntake
+);
+
 module.exports = router;
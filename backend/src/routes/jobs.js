@@ -0,0 +1,26 @@
+const express = require('express');
+const { param } = require('express-validator');
+const jobController = require('../controllers/jobController');
+const { authenticate } = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/jobs/:id
+ * @desc    Get the status of a background job
+ * @access  Private (intakes:read)
+ */
+router.get(
+  '/:id',
+  authorize('intakes:read'),
+  [param('id').notEmpty().withMessage('Job ID required')],
+  validate,
+  jobController.getJob
+);
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const noteController = require('../controllers/noteController');
+const authorize = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+
+// Mounted under /api/patients/:id/notes (authentication applied by the parent router)
+const router = express.Router({ mergeParams: true });
+
+const NOTE_TYPES = ['GENERAL', 'FOLLOW_UP', 'ASSESSMENT', 'PLAN', 'PROGRESS'];
+
+/**
+ * @route   GET /api/patients/:id/notes
+ * @desc    Get clinical notes for a patient
+ * @access  Private (notes:read)
+ */
+router.get(
+  '/',
+  authorize('notes:read'),
+  [
+    param('id').notEmpty().withMessage('Patient ID required'),
+    query('intakeId').optional(),
+    query('noteType').optional().isIn(NOTE_TYPES),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+  ],
+  validate,
+  noteController.getNotes
+);
+
+/**
+ * @route   GET /api/patients/:id/notes/:noteId
+ * @desc    Get a single clinical note
+ * @access  Private (notes:read)
+ */
+router.get(
+  '/:noteId',
+  authorize('notes:read'),
+  [
+    param('id').notEmpty().withMessage('Patient ID required'),
+    param('noteId').notEmpty().withMessage('Note ID required'),
+  ],
+  validate,
+  noteController.getNote
+);
+
+/**
+ * @route   POST /api/patients/:id/notes
+ * @desc    Create a clinical note
+ * @access  Private (notes:write)
+ */
+router.post(
+  '/',
+  authorize('notes:write'),
+  [
+    param('id').notEmpty().withMessage('Patient ID required'),
+    body('content').trim().notEmpty().withMessage('Note content required'),
+    body('noteType').optional().isIn(NOTE_TYPES).withMessage('Invalid note type'),
+    body('intakeId').optional().isString(),
+  ],
+  validate,
+  noteController.createNote
+);
+
+/**
+ * @route   PUT /api/patients/:id/notes/:noteId
+ * @desc    Update a clinical note
+ * @access  Private (notes:write)
+ */
+router.put(
+  '/:noteId',
+  authorize('notes:write'),
+  [
+    param('id').notEmpty().withMessage('Patient ID required'),
+    param('noteId').notEmpty().withMessage('Note ID required'),
+    body('content').optional().trim().notEmpty(),
+    body('noteType').optional().isIn(NOTE_TYPES).withMessage('Invalid note type'),
+  ],
+  validate,
+  noteController.updateNote
+);
+
+/**
+ * @route   DELETE /api/patients/:id/notes/:noteId
+ * @desc    Delete a clinical note
+ * @access  Private (notes:write)
+ */
+router.delete(
+  '/:noteId',
+  authorize('notes:write'),
+  [
+    param('id').notEmpty().withMessage('Patient ID required'),
+    param('noteId').notEmpty().withMessage('Note ID required'),
+  ],
+  validate,
+  noteController.deleteNote
+);
+
+module.exports = router;
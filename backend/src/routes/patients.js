@@ -1,7 +1,9 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const patientController = require('../controllers/patientController');
+const noteRoutes = require('./notes');
 const { authenticate } = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
 const validate = require('../middleware/validate');
 
 const router = express.Router();
@@ -12,34 +14,66 @@ router.use(authenticate);
 /**
  * @route   GET /api/patients/stats
  * @desc    Get dashboard statistics
- * @access  Private
+ * @access  Private (intakes:read)
  */
-router.get('/stats', patientController.getStats);
+router.get('/stats', authorize('intakes:read'), patientController.getStats);
 
 /**
  * @route   GET /api/patients
- * @desc    Get all patients for authenticated provider
- * @access  Private
+ * @desc    Get all patients in the practice (assignedTo: "me", including anyone you cover, or a user ID)
+ * @access  Private (patients:read)
  */
 router.get(
   '/',
+  authorize('patients:read'),
   [
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 }),
     query('search').optional().trim(),
     query('status').optional().isIn(['pending', 'readyForReview', 'reviewed', 'expired']),
+    query('assignedTo').optional().trim().notEmpty(),
   ],
   validate,
   patientController.getPatients
 );
 
+/**
+ * @route   GET /api/patients/deleted
+ * @desc    Get deleted patients that can still be restored
+ * @access  Private (patients:delete)
+ */
+router.get('/deleted', authorize('patients:delete'), patientController.getDeletedPatients);
+
+/**
+ * @route   POST /api/patients/transfer
+ * @desc    Transfer patients (patientIds, or all of fromProviderId's) to another clinician
+ * @access  Private (patients:transfer)
+ */
+router.post(
+  '/transfer',
+  authorize('patients:transfer'),
+  [
+    body('patientIds')
+      .optional()
+      .isArray({ min: 1, max: 500 })
+      .withMessage('patientIds must be a non-empty array'),
+    body('patientIds.*').isString().withMessage('patientIds must be patient IDs'),
+    body('fromProviderId').optional().isString().withMessage('fromProviderId must be a user ID'),
+    body('toProviderId').isString().notEmpty().withMessage('toProviderId required'),
+    body('reason').optional().trim().isLength({ max: 500 }),
+  ],
+  validate,
+  patientController.transferPatients
+);
+
 /**
  * @route   GET /api/patients/:id
  * @desc    Get a single patient
- * @access  Private
+ * @access  Private (patients:read)
  */
 router.get(
   '/:id',
+  authorize('patients:read'),
   [param('id').notEmpty().withMessage('Patient ID required')],
   validate,
   patientController.getPatient
@@ -48,16 +82,18 @@ router.get(
 /**
  * @route   POST /api/patients
  * @desc    Create a new patient
- * @access  Private
+ * @access  Private (patients:write)
  */
 router.post(
   '/',
+  authorize('patients:write'),
   [
     body('firstName').trim().notEmpty().withMessage('First name required'),
     body('lastName').trim().notEmpty().withMessage('Last name required'),
     body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
     body('phone').optional().trim(),
     body('dateOfBirth').isISO8601().withMessage('Valid date of birth required'),
+    body('providerId').optional().isString().withMessage('providerId must be a user ID'),
   ],
   validate,
   patientController.createPatient
@@ -66,10 +102,11 @@ router.post(
 /**
  * @route   PUT /api/patients/:id
  * @desc    Update a patient
- * @access  Private
+ * @access  Private (patients:write)
  */
 router.put(
   '/:id',
+  authorize('patients:write'),
   [
     param('id').notEmpty().withMessage('Patient ID required'),
     body('firstName').optional().trim().notEmpty(),
@@ -84,14 +121,31 @@ router.put(
 
 /**
  * @route   DELETE /api/patients/:id
- * @desc    Delete a patient
- * @access  Private
+ * @desc    Delete a patient (restorable until purged)
+ * @access  Private (patients:delete)
  */
 router.delete(
   '/:id',
+  authorize('patients:delete'),
   [param('id').notEmpty().withMessage('Patient ID required')],
   validate,
   patientController.deletePatient
 );
 
+/**
+ * @route   POST /api/patients/:id/restore
+ * @desc    Restore a deleted patient with their links, intakes and summaries
+ * @access  Private (patients:delete)
+ */
+router.post(
+  '/:id/restore',
+  authorize('patients:delete'),
+  [param('id').notEmpty().withMessage('Patient ID required')],
+  validate,
+  patientController.restorePatient
+);
+
+// Clinical notes: /api/patients/:id/notes
+router.use('/:id/notes', noteRoutes);
+
 module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const practiceController = require('../controllers/practiceController');
+const { authenticate } = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+const ROLES = ['OWNER', 'CLINICIAN', 'STAFF', 'READ_ONLY'];
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/practice
+ * @desc    Get the user's practice, its members and the user's role
+ * @access  Private (any member)
+ */
+router.get('/', authorize(), practiceController.getPractice);
+
+/**
+ * @route   PATCH /api/practice
+ * @desc    Rename the practice or require two-factor authentication for members
+ * @access  Private (practice:manage)
+ */
+router.patch(
+  '/',
+  authorize('practice:manage'),
+  [
+    body('name')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Practice name required')
+      .isLength({ max: 200 }),
+    body('requireTwoFactor').optional().isBoolean().toBoolean(),
+    body()
+      .custom((value) => value.name !== undefined || value.requireTwoFactor !== undefined)
+      .withMessage('Provide name or requireTwoFactor'),
+  ],
+  validate,
+  practiceController.updatePractice
+);
+
+/**
+ * @route   POST /api/practice/members
+ * @desc    Create an account for a new member
+ * @access  Private (practice:manage)
+ */
+router.post(
+  '/members',
+  authorize('practice:manage'),
+  [
+    body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
+    body('password')
+      .isLength({ min: 8 })
+      .withMessage('Password must be at least 8 characters')
+      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+      .withMessage('Password must contain uppercase, lowercase, and number'),
+    body('firstName').trim().notEmpty().withMessage('First name required'),
+    body('lastName').trim().notEmpty().withMessage('Last name required'),
+    body('title').optional().trim(),
+    body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  ],
+  validate,
+  practiceController.addMember
+);
+
+/**
+ * @route   PATCH /api/practice/members/:userId
+ * @desc    Change a member's role
+ * @access  Private (practice:manage)
+ */
+router.patch(
+  '/members/:userId',
+  authorize('practice:manage'),
+  [
+    param('userId').notEmpty().withMessage('User ID required'),
+    body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  ],
+  validate,
+  practiceController.updateMember
+);
+
+/**
+ * @route   DELETE /api/practice/members/:userId
+ * @desc    Remove a member (their patients must be transferred first)
+ * @access  Private (practice:manage)
+ */
+router.delete(
+  '/members/:userId',
+  authorize('practice:manage'),
+  [param('userId').notEmpty().withMessage('User ID required')],
+  validate,
+  practiceController.removeMember
+);
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const redFlagRuleController = require('../controllers/redFlagRuleController');
+const { authenticate } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/red-flag-rules
+ * @desc    Get the effective red flag rules (base rules plus overrides)
+ * @access  Private
+ */
+router.get('/', redFlagRuleController.getRules);
+
+/**
+ * @route   POST /api/red-flag-rules/test
+ * @desc    Evaluate rules against a sample intake
+ * @access  Private
+ */
+router.post(
+  '/test',
+  [
+    body('intake').isObject().withMessage('Sample intake required'),
+    body('rules').optional().isArray({ min: 1 }).withMessage('rules must be a non-empty array'),
+  ],
+  validate,
+  redFlagRuleController.testRules
+);
+
+/**
+ * @route   PUT /api/red-flag-rules/:ruleId
+ * @desc    Override a base rule or save a custom rule
+ * @access  Private
+ */
+router.put(
+  '/:ruleId',
+  [
+    param('ruleId').notEmpty().withMessage('Rule ID required'),
+    body('enabled').optional().isBoolean().toBoolean(),
+    body('severity').optional({ nullable: true }).isIn(['LOW', 'MEDIUM', 'HIGH', 'CRITICAL']),
+    body('definition').optional({ nullable: true }).isObject().withMessage('definition must be an object'),
+  ],
+  validate,
+  redFlagRuleController.upsertRule
+);
+
+/**
+ * @route   DELETE /api/red-flag-rules/:ruleId
+ * @desc    Remove a rule override
+ * @access  Private
+ */
+router.delete(
+  '/:ruleId',
+  [param('ruleId').notEmpty().withMessage('Rule ID required')],
+  validate,
+  redFlagRuleController.deleteRule
+);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const redFlagController = require('../controllers/redFlagController');
+const { authenticate } = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/red-flags
+ * @desc    Add a manual red flag to an intake
+ * @access  Private (redFlags:write)
+ */
+router.post(
+  '/',
+  authorize('redFlags:write'),
+  [
+    body('intakeId').notEmpty().withMessage('Intake ID required'),
+    body('category').trim().notEmpty().withMessage('Category required').isLength({ max: 50 }),
+    body('description').trim().notEmpty().withMessage('Description required').isLength({ max: 500 }),
+    body('severity').isIn(['LOW', 'MEDIUM', 'HIGH', 'CRITICAL']).withMessage('Invalid severity'),
+    body('source').optional().trim().notEmpty().isLength({ max: 100 }),
+  ],
+  validate,
+  redFlagController.createRedFlag
+);
+
+/**
+ * @route   POST /api/red-flags/:id/dismiss
+ * @desc    Dismiss a red flag with a reason
+ * @access  Private (redFlags:write)
+ */
+router.post(
+  '/:id/dismiss',
+  authorize('redFlags:write'),
+  [
+    param('id').notEmpty().withMessage('Red flag ID required'),
+    body('reason').trim().notEmpty().withMessage('Reason required').isLength({ max: 500 }),
+  ],
+  validate,
+  redFlagController.dismissRedFlag
+);
+
+/**
+ * @route   POST /api/red-flags/:id/acknowledge
+ * @desc    Acknowledge a red flag
+ * @access  Private (redFlags:write)
+ */
+router.post(
+  '/:id/acknowledge',
+  authorize('redFlags:write'),
+  [param('id').notEmpty().withMessage('Red flag ID required')],
+  validate,
+  redFlagController.acknowledgeRedFlag
+);
+
+module.exports = router;
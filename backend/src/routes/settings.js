@@ -0,0 +1,36 @@
+const express = require('express');
+const { body } = require('express-validator');
+const settingsController = require('../controllers/settingsController');
+const { authenticate } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/settings
+ * @desc    Get provider settings
+ * @access  Private
+ */
+router.get('/', settingsController.getSettings);
+
+/**
+ * @route   PATCH /api/settings
+ * @desc    Update provider settings
+ * @access  Private
+ */
+router.patch(
+  '/',
+  [
+    body('autoGenerateSummaries')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('autoGenerateSummaries must be true or false'),
+  ],
+  validate,
+  settingsController.updateSettings
+);
+
+module.exports = router;
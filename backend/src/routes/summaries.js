@@ -2,6 +2,7 @@ const express = require('express');
 const { body, param, query } = require('express-validator');
 const summaryController = require('../controllers/summaryController');
 const { authenticate } = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
 const validate = require('../middleware/validate');
 
 const router = express.Router();
@@ -12,10 +13,11 @@ router.use(authenticate);
 /**
  * @route   GET /api/summaries
  * @desc    Get all summaries
- * @access  Private
+ * @access  Private (summaries:read)
  */
 router.get(
   '/',
+  authorize('summaries:read'),
   [
     query('intakeId').optional(),
     query('page').optional().isInt({ min: 1 }),
@@ -28,22 +30,54 @@ router.get(
 /**
  * @route   GET /api/summaries/:id
  * @desc    Get a single summary
- * @access  Private
+ * @access  Private (summaries:read)
  */
 router.get(
   '/:id',
+  authorize('summaries:read'),
   [param('id').notEmpty().withMessage('Summary ID required')],
   validate,
   summaryController.getSummary
 );
 
+/**
+ * @route   GET /api/summaries/:id/versions
+ * @desc    Get the provider edit history of a summary
+ * @access  Private (summaries:read)
+ */
+router.get(
+  '/:id/versions',
+  authorize('summaries:read'),
+  [param('id').notEmpty().withMessage('Summary ID required')],
+  validate,
+  summaryController.getSummaryVersions
+);
+
+/**
+ * @route   GET /api/summaries/:id/diff
+ * @desc    Compare two versions of a summary (0 = original AI output)
+ * @access  Private (summaries:read)
+ */
+router.get(
+  '/:id/diff',
+  authorize('summaries:read'),
+  [
+    param('id').notEmpty().withMessage('Summary ID required'),
+    query('from').optional().isInt({ min: 0 }),
+    query('to').optional().isInt({ min: 0 }),
+  ],
+  validate,
+  summaryController.getSummaryDiff
+);
+
 /**
  * @route   POST /api/summaries/generate
  * @desc    Generate a new AI summary for an intake
- * @access  Private
+ * @access  Private (summaries:write)
  */
 router.post(
   '/generate',
+  authorize('summaries:write'),
   [body('intakeId').notEmpty().withMessage('Intake ID required')],
   validate,
   summaryController.generateSummaryHandler
@@ -52,25 +86,66 @@ router.post(
 /**
  * @route   POST /api/summaries/generate/stream
  * @desc    Generate AI summary with streaming response (SSE)
- * @access  Private
+ * @access  Private (summaries:write)
  */
 router.post(
   '/generate/stream',
+  authorize('summaries:write'),
   [body('intakeId').notEmpty().withMessage('Intake ID required')],
   validate,
   summaryController.generateSummaryStreamHandler
 );
 
+/**
+ * @route   PATCH /api/summaries/:id
+ * @desc    Save provider edits to a summary as a new version
+ * @access  Private (summaries:write)
+ */
+router.patch(
+  '/:id',
+  authorize('summaries:write'),
+  [
+    param('id').notEmpty().withMessage('Summary ID required'),
+    body('doctorEdits').isObject().withMessage('doctorEdits object required'),
+    body('doctorEdits.chiefComplaint').optional({ nullable: true }).isString(),
+    body('doctorEdits.relevantHistory').optional({ nullable: true }).isString(),
+    body('doctorEdits.additionalNotes').optional({ nullable: true }).isString(),
+    body('doctorEdits.dismissedRedFlags').optional({ nullable: true }).isArray(),
+    body('doctorEdits.dismissedRedFlags.*').isString(),
+    body('doctorEdits.addedRedFlags').optional({ nullable: true }).isArray(),
+    body('doctorEdits.addedRedFlags.*.flag').trim().notEmpty().withMessage('Red flag text required'),
+    body('doctorEdits.addedRedFlags.*.severity')
+      .isIn(['low', 'medium', 'high'])
+      .withMessage('Severity must be low, medium or high'),
+  ],
+  validate,
+  summaryController.updateSummary
+);
+
 /**
  * @route   DELETE /api/summaries/:id
- * @desc    Delete a summary
- * @access  Private
+ * @desc    Delete a summary (restorable until purged)
+ * @access  Private (summaries:write)
  */
 router.delete(
   '/:id',
+  authorize('summaries:write'),
   [param('id').notEmpty().withMessage('Summary ID required')],
   validate,
   summaryController.deleteSummary
 );
 
+/**
+ * @route   POST /api/summaries/:id/restore
+ * @desc    Restore a deleted summary
+ * @access  Private (summaries:write)
+ */
+router.post(
+  '/:id/restore',
+  authorize('summaries:write'),
+  [param('id').notEmpty().withMessage('Summary ID required')],
+  validate,
+  summaryController.restoreSummary
+);
+
 module.exports = router;
@@ -0,0 +1,37 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process pub/sub for provider alerts (new red flags, new submissions).
+ * Open alert streams subscribe per provider. Events only reach streams held by
+ * the same API process.
+ */
+const emitter = new EventEmitter();
+
+// One listener per open stream; a provider may have several tabs and devices
+emitter.setMaxListeners(0);
+
+/**
+ * Publish an event to a provider's open alert streams
+ * @param {string} providerId - Provider to notify
+ * @param {string} type - Event name, e.g. 'redFlag', 'intakeSubmitted'
+ * @param {Object} data - Event payload
+ */
+function publishAlert(providerId, type, data) {
+  emitter.emit(providerId, { type, data });
+}
+
+/**
+ * Listen for a provider's events
+ * @param {string} providerId - Provider to listen for
+ * @param {Function} listener - Called with { type, data }
+ * @returns {Function} - Unsubscribe
+ */
+function subscribeAlerts(providerId, listener) {
+  emitter.on(providerId, listener);
+  return () => emitter.off(providerId, listener);
+}
+
+module.exports = {
+  publishAlert,
+  subscribeAlerts,
+};
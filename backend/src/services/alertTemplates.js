@@ -0,0 +1,56 @@
+/**
+ * Provider-facing alert templates.
+ * Email, SMS and webhooks leave the app, so messages carry the patient's
+ * initials and the flag category only - details stay behind login.
+ */
+
+const patientInitials = (patient) => `${patient.firstName[0]}.${patient.lastName[0]}.`;
+
+/**
+ * Alert for a CRITICAL red flag; level 0 is the first alert, higher levels are escalations
+ * @returns {Object} - { email: { subject, text }, sms: { text }, webhook: { subject, text, data } }
+ */
+function criticalRedFlagAlert({ redFlag, patient, level }) {
+  const initials = patientInitials(patient);
+  const prefix = level > 0 ? `[Escalation ${level}] ` : '';
+  const subject = `${prefix}Critical red flag for patient ${initials}`;
+  const summary = `A critical ${redFlag.category} red flag was raised on an intake for patient ${initials}.`;
+
+  return {
+    email: {
+      subject,
+      text: [
+        summary,
+        '',
+        level > 0
+          ? 'This alert has not been acknowledged yet.'
+          : 'Please review the intake as soon as possible.',
+        'Log in to IntakeAI to see the details and acknowledge the flag.',
+      ].join('\n'),
+    },
+    sms: {
+      text: `${prefix}IntakeAI: ${summary} Log in to review and acknowledge.`,
+    },
+    webhook: {
+      subject,
+      text: summary,
+      data: {
+        event: 'redFlag.critical',
+        level,
+        redFlag: {
+          id: redFlag.id,
+          intakeId: redFlag.intakeId,
+          category: redFlag.category,
+          severity: redFlag.severity,
+          createdAt: redFlag.createdAt,
+        },
+        patientId: patient.id,
+      },
+    },
+  };
+}
+
+module.exports = {
+  patientInitials,
+  criticalRedFlagAlert,
+};
@@ -0,0 +1,56 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Fields that must never be copied into the audit trail
+const SENSITIVE_FIELDS = ['passwordHash', 'token'];
+
+/**
+ * Strip sensitive fields and non-serializable values from a record snapshot
+ * @param {Object} values - Record or partial record
+ * @returns {Object|null} - JSON-safe snapshot
+ */
+function sanitize(values) {
+  if (!values) return null;
+
+  const snapshot = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (SENSITIVE_FIELDS.includes(key) || value === undefined) continue;
+    snapshot[key] = value instanceof Date ? value.toISOString() : value;
+  }
+  return snapshot;
+}
+
+/**
+ * Record an audit log entry.
+ * Never throws - a failure to audit is logged but does not fail the request.
+ * @param {Object} req - Express request (used for actor, IP and user agent)
+ * @param {Object} entry - { action, entityType, entityId, providerId, practiceId, oldValues, newValues }
+ */
+async function recordAudit(req, entry) {
+  const { action, entityType, entityId, providerId, practiceId, oldValues, newValues } = entry;
+
+  try {
+    await prisma.auditLog.create({
+      data: {
+        action,
+        entityType,
+        entityId,
+        userId: entry.userId !== undefined ? entry.userId : req.user?.id || null,
+        providerId: providerId || req.user.id,
+        practiceId: practiceId || req.user?.practiceId || null,
+        oldValues: sanitize(oldValues),
+        newValues: sanitize(newValues),
+        ipAddress: req.ip || null,
+        userAgent: req.get?.('user-agent') || null,
+      },
+    });
+  } catch (error) {
+    logger.error(`Failed to record audit log (${action} ${entityType} ${entityId}):`, error);
+  }
+}
+
+module.exports = {
+  recordAudit,
+};
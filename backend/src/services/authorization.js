@@ -0,0 +1,68 @@
+/**
+ * Practice roles and what they may do. Patients belong to the practice, so
+ * every member sees the same panel; the role limits what they can do with it.
+ */
+
+const CLINICAL_READ = ['intakes:read', 'summaries:read', 'notes:read'];
+
+const CLINICAL_WRITE = [
+  'patients:delete',
+  'intakes:review',
+  'intakes:delete',
+  'summaries:write',
+  'notes:write',
+  'redFlags:write',
+];
+
+const FRONT_DESK = ['patients:read', 'patients:write', 'intakeLinks:read', 'intakeLinks:write'];
+
+// Handing off patients and arranging cover are for the clinicians themselves
+const CLINICIAN = [
+  ...FRONT_DESK,
+  ...CLINICAL_READ,
+  ...CLINICAL_WRITE,
+  'patients:transfer',
+  'coverage:write',
+];
+
+const ROLE_PERMISSIONS = {
+  OWNER: [...CLINICIAN, 'practice:manage', 'auditLogs:practice'],
+  CLINICIAN,
+  STAFF: FRONT_DESK,
+  READ_ONLY: ['patients:read', 'intakeLinks:read', ...CLINICAL_READ],
+};
+
+// Roles that can be a patient's assigned clinician
+const CLINICIAN_ROLES = ['OWNER', 'CLINICIAN'];
+
+/**
+ * Whether a user's practice role grants a permission
+ * @param {Object} user - req.user ({ role })
+ * @param {string} permission - e.g. 'summaries:read'
+ */
+const can = (user, permission) => Boolean(ROLE_PERMISSIONS[user?.role]?.includes(permission));
+
+/**
+ * Prisma where clause for patients the user's practice owns, leaving out
+ * soft-deleted ones. Nest under `patient` for notes.
+ */
+const patientScope = (user) => ({ practiceId: user.practiceId, deletedAt: null });
+
+/**
+ * Intake links, intakes and summaries can be soft-deleted on their own too
+ */
+const intakeLinkScope = (user) => ({ deletedAt: null, patient: patientScope(user) });
+
+const intakeScope = (user) => ({ deletedAt: null, patient: patientScope(user) });
+
+const summaryScope = (user) => ({ deletedAt: null, intake: intakeScope(user) });
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  CLINICIAN_ROLES,
+  can,
+  patientScope,
+  intakeLinkScope,
+  intakeScope,
+  summaryScope,
+};
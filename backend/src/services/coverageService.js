@@ -0,0 +1,85 @@
+const { PrismaClient } = require('@prisma/client');
+const { publishAlert } = require('./alertBus');
+
+const prisma = new PrismaClient();
+
+/**
+ * Prisma where clause for coverage in effect at a moment
+ * @param {Date} at - Defaults to now
+ */
+const activeCoverage = (at = new Date()) => ({
+  revokedAt: null,
+  startsAt: { lte: at },
+  endsAt: { gt: at },
+});
+
+/**
+ * Clinicians whose queue a user is covering right now
+ * @param {string} userId - Covering clinician
+ * @returns {Promise<string[]>} - Covered clinicians' user IDs
+ */
+async function getCoveredProviderIds(userId) {
+  const coverages = await prisma.coverage.findMany({
+    where: { coveringProviderId: userId, ...activeCoverage() },
+    select: { providerId: true },
+  });
+
+  return [...new Set(coverages.map((c) => c.providerId))];
+}
+
+/**
+ * Clinicians covering a provider's queue right now
+ * @param {string} providerId - Covered clinician
+ * @returns {Promise<Array>} - Covering users ({ id, email, phone })
+ */
+async function getCoveringProviders(providerId) {
+  const coverages = await prisma.coverage.findMany({
+    where: { providerId, ...activeCoverage() },
+    include: { coveringProvider: { select: { id: true, email: true, phone: true } } },
+  });
+
+  const byId = new Map(coverages.map((c) => [c.coveringProviderId, c.coveringProvider]));
+  return [...byId.values()];
+}
+
+/**
+ * End every current and upcoming coverage a user gives or receives, e.g. when
+ * they leave the practice or stop being a clinician
+ * @param {string} userId - Covered or covering clinician
+ * @returns {Promise<number>} - Coverages revoked
+ */
+async function revokeCoveragesFor(userId) {
+  const { count } = await prisma.coverage.updateMany({
+    where: {
+      revokedAt: null,
+      endsAt: { gt: new Date() },
+      OR: [{ providerId: userId }, { coveringProviderId: userId }],
+    },
+    data: { revokedAt: new Date() },
+  });
+
+  return count;
+}
+
+/**
+ * Publish an event to a provider's open alert streams and to those of anyone
+ * covering them, tagged with coveringFor so their client can tell them apart
+ * @param {string} providerId - Assigned clinician
+ * @param {string} type - Event name, e.g. 'redFlag'
+ * @param {Object} data - Event payload
+ */
+async function publishProviderAlert(providerId, type, data) {
+  publishAlert(providerId, type, data);
+
+  for (const covering of await getCoveringProviders(providerId)) {
+    publishAlert(covering.id, type, { ...data, coveringFor: providerId });
+  }
+}
+
+module.exports = {
+  activeCoverage,
+  getCoveredProviderIds,
+  getCoveringProviders,
+  revokeCoveragesFor,
+  publishProviderAlert,
+};
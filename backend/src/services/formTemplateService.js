@@ -0,0 +1,272 @@
+/**
+ * Form template definitions and dynamic validation of patient answers.
+ *
+ * A template is a list of sections, each with questions:
+ *   { id, title, description?, showIf?, questions: [question] }
+ *   question: { id, label, type, required?, options?, min?, max?, field?, showIf? }
+ *
+ * showIf makes a section or question conditional on an earlier answer:
+ *   { questionId, equals: value } or { questionId, in: [values] }
+ *
+ * field maps a question onto the standard intake columns so red flag
+ * detection, grounding and AI summaries keep working with custom forms.
+ */
+
+const QUESTION_TYPES = ['text', 'textarea', 'number', 'boolean', 'date', 'select', 'multiselect', 'list'];
+
+// Intake columns a question can fill, and the question types allowed for each
+const INTAKE_FIELDS = {
+  chiefComplaint: ['text', 'textarea'],
+  medications: ['list'],
+  allergies: ['list'],
+  demographics: QUESTION_TYPES,
+  medicalHistory: QUESTION_TYPES,
+  socialHistory: QUESTION_TYPES,
+  reviewOfSystems: QUESTION_TYPES,
+};
+
+const ID_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isAnswered = (value) =>
+  value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+
+/**
+ * Validate a condition, which may only refer to questions that come before it
+ */
+function validateCondition(condition, path, earlierIds, errors) {
+  if (condition === undefined) return;
+
+  if (!isPlainObject(condition) || typeof condition.questionId !== 'string') {
+    errors.push({ field: path, message: 'showIf must have a questionId' });
+    return;
+  }
+  if (!earlierIds.has(condition.questionId)) {
+    errors.push({ field: path, message: `showIf refers to unknown or later question "${condition.questionId}"` });
+  }
+  if (!('equals' in condition) && !Array.isArray(condition.in)) {
+    errors.push({ field: path, message: 'showIf needs "equals" or an "in" array' });
+  }
+}
+
+/**
+ * Check a template definition
+ * @param {Array} sections - Template sections
+ * @returns {Array} - Errors as [{ field, message }], empty when valid
+ */
+function validateTemplateSections(sections) {
+  const errors = [];
+
+  if (!Array.isArray(sections) || sections.length === 0) {
+    return [{ field: 'sections', message: 'At least one section is required' }];
+  }
+
+  const sectionIds = new Set();
+  const questionIds = new Set();
+
+  sections.forEach((section, s) => {
+    const sectionPath = `sections[${s}]`;
+
+    if (!isPlainObject(section)) {
+      errors.push({ field: sectionPath, message: 'Section must be an object' });
+      return;
+    }
+    if (!ID_PATTERN.test(section.id || '') || sectionIds.has(section.id)) {
+      errors.push({ field: `${sectionPath}.id`, message: 'Section id must be unique and alphanumeric' });
+    }
+    sectionIds.add(section.id);
+
+    if (typeof section.title !== 'string' || !section.title.trim()) {
+      errors.push({ field: `${sectionPath}.title`, message: 'Section title required' });
+    }
+    validateCondition(section.showIf, `${sectionPath}.showIf`, questionIds, errors);
+
+    if (!Array.isArray(section.questions) || section.questions.length === 0) {
+      errors.push({ field: `${sectionPath}.questions`, message: 'Section needs at least one question' });
+      return;
+    }
+
+    section.questions.forEach((question, q) => {
+      const path = `${sectionPath}.questions[${q}]`;
+
+      if (!isPlainObject(question)) {
+        errors.push({ field: path, message: 'Question must be an object' });
+        return;
+      }
+      if (!ID_PATTERN.test(question.id || '') || questionIds.has(question.id)) {
+        errors.push({ field: `${path}.id`, message: 'Question id must be unique and alphanumeric' });
+      }
+      if (typeof question.label !== 'string' || !question.label.trim()) {
+        errors.push({ field: `${path}.label`, message: 'Question label required' });
+      }
+      if (!QUESTION_TYPES.includes(question.type)) {
+        errors.push({ field: `${path}.type`, message: `Type must be one of: ${QUESTION_TYPES.join(', ')}` });
+      }
+      if (question.required !== undefined && typeof question.required !== 'boolean') {
+        errors.push({ field: `${path}.required`, message: 'required must be true or false' });
+      }
+      if (
+        ['select', 'multiselect'].includes(question.type) &&
+        (!Array.isArray(question.options) || question.options.length === 0)
+      ) {
+        errors.push({ field: `${path}.options`, message: 'Choice questions need options' });
+      }
+      if (question.field !== undefined) {
+        const allowedTypes = INTAKE_FIELDS[question.field];
+        if (!allowedTypes) {
+          errors.push({ field: `${path}.field`, message: `Unknown intake field "${question.field}"` });
+        } else if (!allowedTypes.includes(question.type)) {
+          errors.push({
+            field: `${path}.field`,
+            message: `${question.field} needs a question of type ${allowedTypes.join(' or ')}`,
+          });
+        }
+      }
+      validateCondition(question.showIf, `${path}.showIf`, questionIds, errors);
+
+      questionIds.add(question.id);
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Whether a section or question is shown, given the answers so far
+ */
+function isVisible(item, answers) {
+  const condition = item.showIf;
+  if (!condition) return true;
+
+  const answer = answers[condition.questionId];
+  if ('equals' in condition) return answer === condition.equals;
+  return condition.in.includes(answer);
+}
+
+/**
+ * Visible questions in template order. Conditions only see answers to
+ * questions that are themselves visible, so hiding a question also hides
+ * anything that depends on it.
+ */
+function visibleQuestions(sections, answers) {
+  const shownAnswers = {};
+  const visible = [];
+
+  for (const section of sections) {
+    if (!isVisible(section, shownAnswers)) continue;
+
+    for (const question of section.questions) {
+      if (!isVisible(question, shownAnswers)) continue;
+
+      visible.push(question);
+      shownAnswers[question.id] = answers[question.id];
+    }
+  }
+
+  return visible;
+}
+
+/**
+ * Type check a single answer; returns an error message or null
+ */
+function checkAnswer(question, value) {
+  switch (question.type) {
+    case 'text':
+    case 'textarea':
+      return typeof value === 'string' ? null : 'Must be text';
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'Must be a number';
+      if (question.min !== undefined && value < question.min) return `Must be at least ${question.min}`;
+      if (question.max !== undefined && value > question.max) return `Must be at most ${question.max}`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'Must be true or false';
+    case 'date':
+      return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? null : 'Must be a date';
+    case 'select':
+      return question.options.includes(value) ? null : 'Not one of the available options';
+    case 'multiselect':
+      return Array.isArray(value) && value.every((v) => question.options.includes(v))
+        ? null
+        : 'Must be a list of the available options';
+    case 'list':
+      return Array.isArray(value) ? null : 'Must be a list';
+    default:
+      return 'Unsupported question type';
+  }
+}
+
+/**
+ * Validate answers against a template. Answers to hidden questions are ignored.
+ * @param {Array} sections - Template sections
+ * @param {Object} answers - Answers keyed by question id
+ * @returns {Array} - Errors as [{ field, message }], empty when valid
+ */
+function validateAnswers(sections, answers) {
+  const errors = [];
+  const knownIds = new Set(sections.flatMap((section) => section.questions.map((q) => q.id)));
+
+  for (const id of Object.keys(answers)) {
+    if (!knownIds.has(id)) {
+      errors.push({ field: `answers.${id}`, message: 'Unknown question' });
+    }
+  }
+
+  for (const question of visibleQuestions(sections, answers)) {
+    const value = answers[question.id];
+
+    if (!isAnswered(value)) {
+      if (question.required) {
+        errors.push({ field: `answers.${question.id}`, message: `${question.label} is required` });
+      }
+      continue;
+    }
+
+    const message = checkAnswer(question, value);
+    if (message) {
+      errors.push({ field: `answers.${question.id}`, message });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Turn validated answers into intake columns plus the full response list
+ * @returns {Object} - { chiefComplaint, medications, ..., responses }
+ */
+function buildIntakeData(sections, answers) {
+  const data = {};
+  const responses = [];
+
+  for (const question of visibleQuestions(sections, answers)) {
+    const value = answers[question.id];
+    if (!isAnswered(value)) continue;
+
+    responses.push({
+      questionId: question.id,
+      label: question.label,
+      field: question.field || null,
+      value,
+    });
+
+    if (!question.field) continue;
+
+    if (['chiefComplaint', 'medications', 'allergies'].includes(question.field)) {
+      data[question.field] = value;
+    } else {
+      data[question.field] = { ...data[question.field], [question.id]: value };
+    }
+  }
+
+  return { ...data, responses };
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  INTAKE_FIELDS,
+  validateTemplateSections,
+  validateAnswers,
+  buildIntakeData,
+};
@@ -0,0 +1,156 @@
+/**
+ * Hallucination check for AI summaries.
+ * Cross-checks medications, allergies and red flags the model reported against
+ * what the patient actually submitted, marking each item verified/unverified.
+ */
+
+const { lookupMedication } = require('./medicationNormalizer');
+
+// Words that carry no clinical meaning when matching red flags to patient text
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have',
+  'in', 'is', 'it', 'its', 'of', 'on', 'or', 'patient', 'reported', 'reports', 'the',
+  'to', 'with', 'possible', 'potential', 'history', 'concern', 'concerning', 'signs',
+  'symptoms', 'suggestive', 'recent',
+]);
+
+// Minimum share of a red flag's content words that must appear in the intake
+const RED_FLAG_MATCH_RATIO = 0.5;
+
+// Words are compared on this many leading characters so "breathing" matches "breath"
+const STEM_LENGTH = 5;
+
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function tokenize(text) {
+  return normalize(text)
+    .split(' ')
+    .filter((word) => word.length > 2 && !STOPWORDS.has(word));
+}
+
+const stem = (word) => word.slice(0, STEM_LENGTH);
+
+// Strength, form and frequency words that are not part of a drug or allergen name
+const DOSAGE_WORD =
+  /^(\d+[a-z]*|mg|mcg|ug|g|ml|units?|iu|meq|tabs?|tablets?|caps?|capsules?|daily|once|twice|bid|tid|prn)$/;
+
+/**
+ * Name without dosage words, so "Lisinopril 10mg" and "lisinopril" compare equal
+ */
+const nameKey = (text) =>
+  normalize(text)
+    .split(' ')
+    .filter((word) => word && !DOSAGE_WORD.test(word))
+    .join(' ');
+
+/**
+ * Flatten any intake value (string, array, nested object) into searchable text
+ */
+function flatten(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'object') return String(value);
+  if (Array.isArray(value)) return value.map(flatten).join(' ');
+  return Object.entries(value)
+    .map(([key, entry]) => `${key} ${flatten(entry)}`)
+    .join(' ');
+}
+
+/**
+ * Whether a named item (drug, allergen) appears in a list of patient-entered
+ * names. The whole name must match: "Vitamin D" is not "Vitamin B12".
+ */
+function matchesName(name, candidates) {
+  const target = nameKey(name);
+  if (!target) return false;
+
+  return candidates.some((candidate) => nameKey(candidate) === target);
+}
+
+/**
+ * Whether a medication is the same vocabulary concept as one the patient
+ * entered (a brand for its generic, say). Only exact vocabulary terms count on
+ * the summary side, so a near-miss name cannot borrow a concept.
+ */
+function matchesConcept(name, candidates) {
+  const match = lookupMedication(name);
+  if (!match || match.matchedBy === 'fuzzy') return false;
+
+  return candidates.some((candidate) => lookupMedication(candidate)?.concept.id === match.concept.id);
+}
+
+/**
+ * Whether a red flag is supported by the patient's own words
+ */
+function matchesText(flag, sourceText) {
+  const words = tokenize(flag);
+  if (words.length === 0) return false;
+
+  const sourceStems = new Set(tokenize(sourceText).map(stem));
+  const matched = words.filter((word) => sourceStems.has(stem(word)));
+
+  return matched.length / words.length >= RED_FLAG_MATCH_RATIO;
+}
+
+const medicationNames = (medications) =>
+  (Array.isArray(medications) ? medications : []).map((med) =>
+    typeof med === 'string' ? med : med?.name
+  );
+
+const allergenNames = (allergies) =>
+  (Array.isArray(allergies) ? allergies : []).map((allergy) =>
+    typeof allergy === 'string' ? allergy : allergy?.allergen
+  );
+
+/**
+ * Verify a structured summary against the intake it was generated from
+ * @param {Object} structured - Normalized structured summary
+ * @param {Object} intake - The submitted intake
+ * @returns {Object} - { structured, groundingScore } with isVerified set on every item
+ */
+function verifySummary(structured, intake) {
+  const intakeMedications = [
+    ...medicationNames(intake.medications),
+    ...(intake.normalizedMedications || []).map((med) => med.name).filter(Boolean),
+  ];
+  const intakeAllergies = allergenNames(intake.allergies);
+  const flagSource = [
+    intake.chiefComplaint,
+    flatten(intake.reviewOfSystems),
+    flatten(intake.medicalHistory),
+    flatten(intake.medications),
+    flatten(intake.allergies),
+  ].join(' ');
+
+  const medications = structured.medications.map((med) => ({
+    ...med,
+    isVerified: matchesName(med.name, intakeMedications) || matchesConcept(med.name, intakeMedications),
+  }));
+
+  const allergies = structured.allergies.map((allergy) => ({
+    ...allergy,
+    isVerified: matchesName(allergy.allergen, intakeAllergies),
+  }));
+
+  const redFlags = structured.redFlags.map((rf) => ({
+    ...rf,
+    isVerified: matchesText(rf.flag, flagSource),
+  }));
+
+  const items = [...medications, ...allergies, ...redFlags];
+  const verifiedCount = items.filter((item) => item.isVerified).length;
+
+  return {
+    structured: { ...structured, medications, allergies, redFlags },
+    groundingScore: items.length > 0 ? verifiedCount / items.length : 1,
+  };
+}
+
+module.exports = {
+  verifySummary,
+};
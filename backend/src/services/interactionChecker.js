@@ -0,0 +1,135 @@
+/**
+ * Offline medication interaction checker. Compares intake medications against
+ * each other and against reported allergies using the bundled dataset in
+ * src/rules/drugInteractions.json. Pure functions only.
+ *
+ * Drugs are identified through the medication vocabulary (medicationNormalizer),
+ * whose concept ids the dataset's drug ids match. Dataset references (`between`,
+ * `conflicts`) name either a drug id or a drug class. Interactions and allergy
+ * entries are listed most severe first, so the first match for a pair is the
+ * one reported.
+ */
+
+const dataset = require('../rules/drugInteractions.json');
+const { lookupMedication, normalizeMedications } = require('./medicationNormalizer');
+
+const INTERACTION_PREFIX = 'drug-interaction:';
+const ALLERGY_PREFIX = 'drug-allergy:';
+
+const normalize = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const containsTerm = (text, term) => ` ${text} `.includes(` ${term} `);
+
+const DRUGS = new Map(dataset.drugs.map((drug) => [drug.id, drug]));
+
+const ALLERGY_RULES = dataset.allergies.map((rule) => ({
+  ...rule,
+  allergens: rule.allergens.map(normalize),
+}));
+
+const allergenName = (allergy) => (typeof allergy === 'string' ? allergy : allergy?.allergen) || '';
+
+const matchesRef = (drug, ref) => drug.id === ref || drug.classes.includes(ref);
+
+/**
+ * Find the dataset drug a patient-entered name refers to
+ * @param {string} name - e.g. "Coumadin 5mg daily"
+ * @returns {Object|null} - { id, classes }
+ */
+function identifyDrug(name) {
+  const match = lookupMedication(name);
+  return (match && DRUGS.get(match.concept.id)) || null;
+}
+
+function findDrugInteractions(meds) {
+  const flags = [];
+
+  for (let i = 0; i < meds.length; i++) {
+    for (let j = i + 1; j < meds.length; j++) {
+      const [a, b] = [meds[i], meds[j]];
+      if (a.drug.id === b.drug.id) continue;
+
+      const interaction = dataset.interactions.find(({ between: [x, y] }) =>
+        (matchesRef(a.drug, x) && matchesRef(b.drug, y)) || (matchesRef(a.drug, y) && matchesRef(b.drug, x))
+      );
+      if (!interaction) continue;
+
+      flags.push({
+        ruleId: `${INTERACTION_PREFIX}${interaction.id}`,
+        category: 'medication',
+        description: `${a.label} + ${b.label}: ${interaction.effect}`,
+        severity: interaction.severity,
+        source: 'medications',
+      });
+    }
+  }
+
+  return flags;
+}
+
+function findAllergyConflicts(meds, allergies) {
+  const flags = [];
+
+  for (const allergy of allergies) {
+    const label = allergenName(allergy).trim();
+    const text = normalize(label);
+    if (!text) continue;
+
+    const allergyDrug = identifyDrug(text);
+
+    for (const med of meds) {
+      const rule = ALLERGY_RULES.find(
+        (candidate) =>
+          candidate.allergens.some((term) => containsTerm(text, term)) &&
+          candidate.conflicts.some((ref) => matchesRef(med.drug, ref))
+      );
+
+      // Fall back to an allergy naming the very drug being taken
+      const conflict = rule
+        || (allergyDrug?.id === med.drug.id && { id: 'same-drug', severity: 'CRITICAL', effect: 'reported allergy to this drug' });
+      if (!conflict) continue;
+
+      flags.push({
+        ruleId: `${ALLERGY_PREFIX}${conflict.id}`,
+        category: 'medication',
+        description: `${med.label} with reported ${label} allergy: ${conflict.effect}`,
+        severity: conflict.severity,
+        source: 'allergies',
+      });
+    }
+  }
+
+  return flags;
+}
+
+/**
+ * Check an intake's medications for drug-drug and drug-allergy interactions
+ * @param {Object} intake - Intake with `medications` (or `normalizedMedications`) and `allergies`
+ * @returns {Array} - [{ ruleId, category, description, severity, source }]
+ */
+function checkInteractions(intake) {
+  const meds = (intake.normalizedMedications || normalizeMedications(intake.medications))
+    .map((med) => ({ label: med.input, drug: DRUGS.get(med.conceptId) }))
+    .filter((med) => med.drug);
+
+  const allergies = Array.isArray(intake.allergies) ? intake.allergies : [];
+
+  return [...findDrugInteractions(meds), ...findAllergyConflicts(meds, allergies)];
+}
+
+/**
+ * Whether a stored red flag came from the interaction checker
+ */
+const isInteractionFlag = (flag) =>
+  Boolean(flag.ruleId) && (flag.ruleId.startsWith(INTERACTION_PREFIX) || flag.ruleId.startsWith(ALLERGY_PREFIX));
+
+module.exports = {
+  datasetVersion: dataset.version,
+  identifyDrug,
+  checkInteractions,
+  isInteractionFlag,
+};
@@ -0,0 +1,247 @@
+const { EventEmitter } = require('events');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Lets workers in this process pick up new jobs without waiting for the next poll
+const queueEvents = new EventEmitter();
+
+/**
+ * Wake this process's worker. Call after committing a transaction that enqueued jobs.
+ */
+function wakeWorkers() {
+  queueEvents.emit('wake');
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Handler name, e.g. 'detect-red-flags'
+ * @param {Object} payload - Handler input (JSON)
+ * @param {Object} options - { idempotencyKey, providerId, practiceId, intakeId, runAt, maxAttempts, client }
+ *   Pass a transaction as client to enqueue atomically with other writes.
+ * @returns {Object} - The job (the existing one if idempotencyKey was already used)
+ */
+async function enqueueJob(type, payload, options = {}) {
+  const { idempotencyKey, client = prisma, ...fields } = options;
+  const data = {
+    type,
+    payload,
+    maxAttempts: config.queue.maxAttempts,
+    ...fields,
+  };
+
+  const job = idempotencyKey
+    ? await client.job.upsert({ where: { idempotencyKey }, create: { ...data, idempotencyKey }, update: {} })
+    : await client.job.create({ data });
+
+  // Inside a transaction the job is not visible yet; the caller wakes workers after commit
+  if (client === prisma) wakeWorkers();
+
+  return job;
+}
+
+/**
+ * Delay before the next attempt: doubles from the base on each failure, capped at an hour
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ */
+function retryDelayMs(attempts, baseSeconds = config.queue.retryBaseSeconds) {
+  return Math.min(baseSeconds * 1000 * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Claim the next due job for a worker. Jobs with no attempts left are never
+ * claimed (see failExhaustedJobs).
+ * The conditional update only succeeds for one worker; losers move on to the next job.
+ * @param {string} workerId - Recorded in lockedBy
+ * @returns {Object|null} - The claimed job, or null if none are due
+ */
+async function claimNextJob(workerId) {
+  const hasAttemptsLeft = { lt: prisma.job.fields.maxAttempts };
+
+  for (;;) {
+    const now = new Date();
+    const next = await prisma.job.findFirst({
+      where: { status: 'PENDING', runAt: { lte: now }, attempts: hasAttemptsLeft },
+      orderBy: { runAt: 'asc' },
+      select: { id: true },
+    });
+
+    if (!next) return null;
+
+    const { count } = await prisma.job.updateMany({
+      where: { id: next.id, status: 'PENDING', attempts: hasAttemptsLeft },
+      data: { status: 'RUNNING', lockedAt: now, lockedBy: workerId, attempts: { increment: 1 } },
+    });
+
+    if (count === 1) {
+      return prisma.job.findUnique({ where: { id: next.id } });
+    }
+  }
+}
+
+/**
+ * Requeue running jobs whose worker has held them past the lock timeout
+ * (e.g. the process died mid-job)
+ * @returns {number} - Jobs requeued
+ */
+async function releaseStaleJobs(now = new Date(), lockTimeoutMinutes = config.queue.lockTimeoutMinutes) {
+  const { count } = await prisma.job.updateMany({
+    where: {
+      status: 'RUNNING',
+      lockedAt: { lt: new Date(now.getTime() - lockTimeoutMinutes * 60 * 1000) },
+    },
+    data: { status: 'PENDING', lockedAt: null, lockedBy: null, lastError: 'Worker lock expired' },
+  });
+
+  if (count > 0) {
+    logger.warn(`Requeued ${count} job(s) with expired locks`);
+  }
+
+  return count;
+}
+
+/**
+ * Run the failure handler for a job that is out of attempts. Errors are logged,
+ * not thrown, so they cannot stop the worker.
+ * @param {Object} job - The FAILED job
+ * @param {Object} failureHandlers - Handler per job type: async (payload, job) => void
+ */
+async function runFailureHandler(job, failureHandlers) {
+  const onFailed = failureHandlers[job.type];
+  if (!onFailed) return;
+
+  try {
+    await onFailed(job.payload, job);
+  } catch (error) {
+    logger.error(`Failure handler for job ${job.id} (${job.type}) failed:`, error);
+  }
+}
+
+/**
+ * Fail pending jobs with no attempts left, i.e. jobs requeued by
+ * releaseStaleJobs after their last attempt's worker died
+ * @param {Object} failureHandlers - Handler per job type, run for each failed job
+ * @returns {Array} - The failed jobs
+ */
+async function failExhaustedJobs(failureHandlers = {}) {
+  const exhausted = await prisma.job.findMany({
+    where: { status: 'PENDING', attempts: { gte: prisma.job.fields.maxAttempts } },
+  });
+
+  const failed = [];
+  for (const job of exhausted) {
+    // Conditional so only one worker fails each job
+    const { count } = await prisma.job.updateMany({
+      where: { id: job.id, status: 'PENDING' },
+      data: { status: 'FAILED' },
+    });
+    if (count === 1) failed.push({ ...job, status: 'FAILED' });
+  }
+
+  for (const job of failed) {
+    await runFailureHandler(job, failureHandlers);
+  }
+
+  if (failed.length > 0) {
+    logger.warn(`Failed ${failed.length} requeued job(s) with no attempts left`);
+  }
+
+  return failed;
+}
+
+/**
+ * Record a job as completed
+ */
+async function completeJob(job, result) {
+  return prisma.job.update({
+    where: { id: job.id },
+    data: {
+      status: 'COMPLETED',
+      result: result ?? Prisma.DbNull,
+      completedAt: new Date(),
+      lockedAt: null,
+      lockedBy: null,
+    },
+  });
+}
+
+/**
+ * Record a failed attempt: retried with backoff until maxAttempts, then FAILED
+ * @param {Object} job - Claimed job (attempts already counts this attempt)
+ * @param {Error} error - Why it failed
+ */
+async function failJob(job, error) {
+  const willRetry = job.attempts < job.maxAttempts;
+
+  return prisma.job.update({
+    where: { id: job.id },
+    data: {
+      status: willRetry ? 'PENDING' : 'FAILED',
+      lastError: error.message,
+      runAt: willRetry ? new Date(Date.now() + retryDelayMs(job.attempts)) : job.runAt,
+      lockedAt: null,
+      lockedBy: null,
+    },
+  });
+}
+
+/**
+ * Run a claimed job with its handler and record the outcome.
+ * Unknown types are retried too, so a newer job type survives an older worker during a deploy.
+ * @param {Object} job - Claimed job
+ * @param {Object} handlers - Handler per job type: async (payload, job) => result
+ * @param {Object} failureHandlers - Handler per job type, run once the job is out of attempts
+ * @returns {Object} - The updated job
+ */
+async function runQueuedJob(job, handlers, failureHandlers = {}) {
+  try {
+    const handler = handlers[job.type];
+    if (!handler) {
+      throw new Error(`Unknown job type: ${job.type}`);
+    }
+
+    const result = await handler(job.payload, job);
+    logger.info(`Job ${job.id} (${job.type}) completed`);
+    return await completeJob(job, result);
+  } catch (error) {
+    logger.error(`Job ${job.id} (${job.type}) failed on attempt ${job.attempts}:`, error);
+    const failed = await failJob(job, error);
+    if (failed.status === 'FAILED') await runFailureHandler(failed, failureHandlers);
+    return failed;
+  }
+}
+
+/**
+ * Format a queued job for provider responses (payload and lock details stay internal)
+ */
+const formatJob = (job) => ({
+  id: job.id,
+  type: job.type,
+  status: job.status.toLowerCase(),
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  lastError: job.lastError,
+  result: job.result,
+  intakeId: job.intakeId,
+  runAt: job.runAt,
+  completedAt: job.completedAt,
+  createdAt: job.createdAt,
+});
+
+module.exports = {
+  queueEvents,
+  wakeWorkers,
+  enqueueJob,
+  retryDelayMs,
+  claimNextJob,
+  releaseStaleJobs,
+  failExhaustedJobs,
+  completeJob,
+  failJob,
+  runQueuedJob,
+  formatJob,
+};
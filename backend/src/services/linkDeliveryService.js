@@ -0,0 +1,96 @@
+const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { sendNotification } = require('./notificationService');
+const { intakeLinkInvitation } = require('./notificationTemplates');
+
+const prisma = new PrismaClient();
+
+/**
+ * Channels to use when the provider does not choose: email always, SMS when a phone is on file
+ */
+const defaultChannels = (patient) => (patient.phone ? ['email', 'sms'] : ['email']);
+
+/**
+ * Send an intake link to the patient and record each delivery attempt
+ * @param {string} intakeLinkId - Intake link to deliver
+ * @param {Object} options - { channels: ['email', 'sms'], template, kind: 'INVITATION' | 'REMINDER' }
+ * @returns {Array} - Delivery results per channel
+ */
+async function deliverIntakeLink(intakeLinkId, options = {}) {
+  if (options.channels && options.channels.length === 0) return [];
+
+  const intakeLink = await prisma.intakeLink.findUnique({
+    where: { id: intakeLinkId },
+    include: {
+      patient: {
+        include: {
+          provider: {
+            select: { firstName: true, lastName: true, title: true, practiceName: true },
+          },
+        },
+      },
+    },
+  });
+
+  const { patient } = intakeLink;
+  const channels = options.channels || defaultChannels(patient);
+  const template = options.template || intakeLinkInvitation;
+  const kind = options.kind || 'INVITATION';
+
+  const messages = template({
+    patient,
+    provider: patient.provider,
+    url: `${config.intakeFormUrl}/form/${intakeLink.token}`,
+    expiresAt: intakeLink.expiresAt,
+  });
+
+  const results = [];
+
+  for (const channel of channels) {
+    const recipient = channel === 'email' ? patient.email : patient.phone;
+
+    const result = recipient
+      ? await sendNotification(channel, { to: recipient, ...messages[channel] })
+      : { status: 'FAILED', provider: null, messageId: null, error: `Patient has no ${channel} on file` };
+
+    await prisma.linkDelivery.create({
+      data: {
+        intakeLinkId,
+        channel: channel.toUpperCase(),
+        kind,
+        recipient: recipient || '',
+        status: result.status,
+        provider: result.provider,
+        providerMessageId: result.messageId,
+        error: result.error,
+      },
+    });
+
+    results.push({ channel, recipient, status: result.status.toLowerCase(), error: result.error });
+  }
+
+  // Reminders are logged per delivery but leave the link's invitation status alone
+  if (kind === 'INVITATION') {
+    const anySent = results.some((r) => r.status === 'sent');
+
+    await prisma.intakeLink.update({
+      where: { id: intakeLinkId },
+      data: {
+        deliveryStatus: anySent ? 'SENT' : 'FAILED',
+        channels: channels.map((channel) => channel.toUpperCase()),
+        ...(anySent && { sentAt: new Date() }),
+      },
+    });
+  }
+
+  logger.info(
+    `Intake link ${intakeLinkId} ${kind.toLowerCase()} delivery: ${results.map((r) => `${r.channel}=${r.status}`).join(', ')}`
+  );
+
+  return results;
+}
+
+module.exports = {
+  deliverIntakeLink,
+};
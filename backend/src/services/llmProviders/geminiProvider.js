@@ -0,0 +1,55 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const createIdleTimeout = require('./idleTimeout');
+
+/**
+ * Google Gemini provider (official SDK)
+ */
+function createGeminiProvider({ apiKey, model, timeoutMs }) {
+  if (!apiKey) {
+    throw new Error('GEMINI_API_KEY must be set when LLM_PROVIDER is "gemini"');
+  }
+
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  const modelFor = (schema) =>
+    genAI.getGenerativeModel({
+      model,
+      generationConfig: schema
+        ? { responseMimeType: 'application/json', responseSchema: schema }
+        : undefined,
+    });
+
+  return {
+    name: 'gemini',
+    model,
+    async generate(prompt, { schema } = {}) {
+      const generativeModel = modelFor(schema);
+
+      const result = await generativeModel.generateContent(prompt);
+      const response = await result.response;
+
+      return {
+        text: response.text(),
+        tokensUsed: response.usageMetadata?.totalTokenCount || null,
+      };
+    },
+    async *stream(prompt, { schema, signal } = {}) {
+      const generativeModel = modelFor(schema);
+      const idle = createIdleTimeout(timeoutMs, signal);
+
+      try {
+        const result = await generativeModel.generateContentStream(prompt, { signal: idle.signal });
+
+        for await (const chunk of result.stream) {
+          idle.reset();
+          const text = chunk.text();
+          if (text) yield text;
+        }
+      } finally {
+        idle.clear();
+      }
+    },
+  };
+}
+
+module.exports = createGeminiProvider;
@@ -0,0 +1,40 @@
+/**
+ * Abort signal for a streamed model response. Fires when nothing arrives for
+ * timeoutMs (call reset() on every chunk) or when the caller's signal aborts,
+ * e.g. because the client disconnected.
+ * @param {number} timeoutMs - Longest wait for the next chunk
+ * @param {AbortSignal} callerSignal - Optional signal from the caller
+ * @returns {Object} - { signal, reset(), clear() }
+ */
+function createIdleTimeout(timeoutMs, callerSignal) {
+  const controller = new AbortController();
+  let timer;
+
+  const reset = () => {
+    clearTimeout(timer);
+    timer = setTimeout(
+      () => controller.abort(new Error(`Model stream stalled for ${timeoutMs}ms`)),
+      timeoutMs
+    );
+  };
+
+  const onCallerAbort = () => controller.abort(callerSignal.reason);
+
+  if (callerSignal?.aborted) {
+    onCallerAbort();
+  } else {
+    callerSignal?.addEventListener('abort', onCallerAbort, { once: true });
+    reset();
+  }
+
+  return {
+    signal: controller.signal,
+    reset,
+    clear() {
+      clearTimeout(timer);
+      callerSignal?.removeEventListener('abort', onCallerAbort);
+    },
+  };
+}
+
+module.exports = createIdleTimeout;
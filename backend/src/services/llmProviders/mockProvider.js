@@ -0,0 +1,78 @@
+const { parseStructuredSummary, renderSummaryMarkdown } = require('../summarySchema');
+
+const NOT_PROVIDED = /^(not provided|none reported|no known allergies)/i;
+
+/**
+ * Read the "**Heading:**" sections of the intake data block in a summary prompt
+ */
+function readSections(prompt) {
+  const sections = {};
+  const pattern = /^\*\*([^*\n]+):\*\*$([\s\S]*?)(?=\n\n\*\*|\n\n---|$(?![\s\S]))/gm;
+
+  for (const [, heading, text] of prompt.matchAll(pattern)) {
+    const value = text.trim();
+    if (value && !NOT_PROVIDED.test(value)) sections[heading] = value;
+  }
+
+  return sections;
+}
+
+const listItems = (text) =>
+  (text || '')
+    .split('\n')
+    .filter((line) => line.startsWith('- '))
+    .map((line) => line.slice(2).trim());
+
+/**
+ * Build a summary from the patient's own answers only, so it always passes grounding
+ */
+function summarize(prompt) {
+  const sections = readSections(prompt);
+
+  return {
+    chiefComplaint: sections['Chief Complaint'] || '',
+    medications: listItems(sections['Current Medications']).map((item) => {
+      const [name, dosage] = item.split(' - ');
+      return { name: name.split(' (')[0], dosage: dosage || null };
+    }),
+    allergies: listItems(sections.Allergies).map((item) => {
+      const [allergen, reaction] = item.split(' → ');
+      return { allergen, reaction: reaction || null };
+    }),
+    systemsReview: {},
+    relevantHistory: listItems(sections['Medical History']).join('; '),
+    lifestyle: {},
+    redFlags: [],
+  };
+}
+
+const countTokens = (...texts) => texts.reduce((total, text) => total + text.split(/\s+/).length, 0);
+
+/**
+ * Deterministic offline provider for tests and development. Echoes the intake
+ * back as a summary without calling a model; same prompt, same output.
+ */
+function createMockProvider() {
+  return {
+    name: 'mock',
+    model: 'mock',
+    async generate(prompt, { schema } = {}) {
+      const summary = summarize(prompt);
+      const text = schema
+        ? JSON.stringify(summary)
+        : renderSummaryMarkdown(parseStructuredSummary(JSON.stringify(summary)));
+
+      return { text, tokensUsed: countTokens(prompt, text) };
+    },
+    async *stream(prompt, options) {
+      const { text } = await this.generate(prompt, options);
+
+      // Small pieces, like a model streaming tokens (JSON output is a single line)
+      for (const piece of text.match(/[\s\S]{1,40}/g) || []) {
+        yield piece;
+      }
+    },
+  };
+}
+
+module.exports = createMockProvider;
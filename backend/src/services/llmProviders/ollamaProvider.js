@@ -0,0 +1,63 @@
+const readLines = require('./readLines');
+const createIdleTimeout = require('./idleTimeout');
+
+/**
+ * Ollama provider for a local model server (/api/generate). Nothing leaves the
+ * machine, so no API key is needed.
+ */
+function createOllamaProvider({ baseUrl, model, timeoutMs }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/api/generate`;
+
+  const post = async (body, signal) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model, ...body }),
+      signal,
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(`Ollama error ${response.status}: ${error.error || 'unknown error'}`);
+    }
+
+    return response;
+  };
+
+  return {
+    name: 'ollama',
+    model,
+    async generate(prompt, { schema } = {}) {
+      // format takes a JSON schema to constrain the output
+      const response = await post({ prompt, format: schema, stream: false }, AbortSignal.timeout(timeoutMs));
+      const body = await response.json();
+
+      return {
+        text: body.response || '',
+        tokensUsed: (body.prompt_eval_count || 0) + (body.eval_count || 0) || null,
+      };
+    },
+    async *stream(prompt, { schema, signal } = {}) {
+      const idle = createIdleTimeout(timeoutMs, signal);
+
+      try {
+        const response = await post({ prompt, format: schema, stream: true }, idle.signal);
+
+        // Newline-delimited JSON: { response, done }
+        for await (const line of readLines(response.body)) {
+          idle.reset();
+          if (!line.trim()) continue;
+
+          const chunk = JSON.parse(line);
+          if (chunk.error) throw new Error(`Ollama error: ${chunk.error}`);
+          if (chunk.response) yield chunk.response;
+          if (chunk.done) return;
+        }
+      } finally {
+        idle.clear();
+      }
+    },
+  };
+}
+
+module.exports = createOllamaProvider;
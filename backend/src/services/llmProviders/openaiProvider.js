@@ -0,0 +1,75 @@
+const readLines = require('./readLines');
+const createIdleTimeout = require('./idleTimeout');
+
+/**
+ * OpenAI-compatible chat completions provider (REST API, no SDK). Works with
+ * OpenAI and any server exposing /chat/completions (Azure, vLLM, LM Studio...).
+ */
+function createOpenAiProvider({ baseUrl, apiKey, model, timeoutMs }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  const post = async (body, signal) => {
+    const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body), signal });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(`OpenAI error ${response.status}: ${error.error?.message || 'unknown error'}`);
+    }
+
+    return response;
+  };
+
+  // JSON mode does not take a schema, so it is given to the model as an instruction
+  const requestFor = (prompt, schema) => ({
+    model,
+    messages: schema
+      ? [
+        { role: 'system', content: `Respond with JSON matching this schema: ${JSON.stringify(schema)}` },
+        { role: 'user', content: prompt },
+      ]
+      : [{ role: 'user', content: prompt }],
+    response_format: schema ? { type: 'json_object' } : undefined,
+  });
+
+  return {
+    name: 'openai',
+    model,
+    async generate(prompt, { schema } = {}) {
+      const response = await post(requestFor(prompt, schema), AbortSignal.timeout(timeoutMs));
+      const body = await response.json();
+
+      return {
+        text: body.choices?.[0]?.message?.content || '',
+        tokensUsed: body.usage?.total_tokens || null,
+      };
+    },
+    async *stream(prompt, { schema, signal } = {}) {
+      const idle = createIdleTimeout(timeoutMs, signal);
+
+      try {
+        const response = await post({ ...requestFor(prompt, schema), stream: true }, idle.signal);
+
+        // Server-sent events: "data: {...}" lines, ending with "data: [DONE]"
+        for await (const line of readLines(response.body)) {
+          idle.reset();
+          if (!line.startsWith('data:')) continue;
+
+          const data = line.slice('data:'.length).trim();
+          if (data === '[DONE]') return;
+
+          const text = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (text) yield text;
+        }
+      } finally {
+        idle.clear();
+      }
+    },
+  };
+}
+
+module.exports = createOpenAiProvider;
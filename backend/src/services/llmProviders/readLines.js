@@ -0,0 +1,22 @@
+/**
+ * Split a streamed HTTP response body into lines
+ * @param {ReadableStream} body - fetch response body
+ * @returns {AsyncGenerator<string>}
+ */
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  for await (const bytes of body) {
+    buffered += decoder.decode(bytes, { stream: true });
+
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    yield* lines;
+  }
+
+  buffered += decoder.decode();
+  if (buffered) yield buffered;
+}
+
+module.exports = readLines;
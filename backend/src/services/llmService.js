@@ -0,0 +1,47 @@
+const config = require('../config');
+const createGeminiProvider = require('./llmProviders/geminiProvider');
+const createOpenAiProvider = require('./llmProviders/openaiProvider');
+const createOllamaProvider = require('./llmProviders/ollamaProvider');
+const createMockProvider = require('./llmProviders/mockProvider');
+
+// Provider factories keyed by name from config
+const PROVIDERS = {
+  gemini: () => createGeminiProvider({ ...config.llm.gemini, timeoutMs: config.llm.timeoutMs }),
+  openai: () => createOpenAiProvider({ ...config.llm.openai, timeoutMs: config.llm.timeoutMs }),
+  ollama: () => createOllamaProvider({ ...config.llm.ollama, timeoutMs: config.llm.timeoutMs }),
+  mock: () => createMockProvider(),
+};
+
+let provider = null;
+
+/**
+ * Get (and lazily create) the configured LLM provider
+ * @returns {Object} - { name, model, async generate(prompt, { schema }),
+ *   async *stream(prompt, { schema, signal }) }
+ */
+function getLlmProvider() {
+  if (!provider) {
+    const factory = PROVIDERS[config.llm.provider];
+
+    if (!factory) {
+      throw new Error(`Unknown LLM provider: ${config.llm.provider}`);
+    }
+
+    provider = factory();
+  }
+
+  return provider;
+}
+
+/**
+ * Replace the LLM provider (tests and custom adapters)
+ * @param {Object} llmProvider - Object with name, model, generate and stream
+ */
+function setLlmProvider(llmProvider) {
+  provider = llmProvider;
+}
+
+module.exports = {
+  getLlmProvider,
+  setLlmProvider,
+};
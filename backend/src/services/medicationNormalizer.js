@@ -0,0 +1,180 @@
+/**
+ * Medication normalization. Maps patient-entered medication names (generic,
+ * brand or misspelled) to canonical generic names and RxNorm-style codes from
+ * src/rules/medicationVocabulary.json, and parses dosage text into
+ * amount/unit/route/frequency. Pure functions only.
+ */
+
+const vocabulary = require('../rules/medicationVocabulary.json');
+
+const normalize = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const containsTerm = (text, term) => ` ${text} `.includes(` ${term} `);
+
+// Every name a concept is known by, longest first so "amoxicillin clavulanate" wins over "amoxicillin"
+const TERMS = vocabulary.concepts
+  .flatMap((concept) => [
+    { concept, term: normalize(concept.name), matchedBy: 'name' },
+    ...(concept.synonyms || []).map((term) => ({ concept, term: normalize(term), matchedBy: 'synonym' })),
+    ...concept.brands.map((term) => ({ concept, term: normalize(term), matchedBy: 'brand' })),
+  ])
+  .sort((a, b) => b.term.length - a.term.length);
+
+// Single-word terms long enough to match misspellings against
+const FUZZY_TERMS = TERMS.filter(({ term }) => !term.includes(' ') && term.length >= 5);
+
+const UNITS = {
+  mg: 'mg',
+  mcg: 'mcg',
+  ug: 'mcg',
+  'µg': 'mcg',
+  g: 'g',
+  ml: 'mL',
+  unit: 'unit',
+  units: 'unit',
+  iu: 'IU',
+  meq: 'mEq',
+  '%': '%',
+};
+
+const STRENGTH = /(\d+(?:\.\d+)?)\s*(mg|mcg|ug|µg|g|ml|units?|iu|meq|%)(?![a-z])/i;
+const DOSE_FORM = /(\d+(?:\.\d+)?)\s*(tablet|tab|capsule|cap|puff|drop|patch)s?\b/i;
+
+// Checked in order; more specific routes first
+const ROUTES = [
+  ['sublingual', /\b(sublingual|sl|under the tongue)\b/i],
+  ['transdermal', /\b(transdermal|patch(es)?)\b/i],
+  ['ophthalmic', /\b(ophthalmic|eye drops?)\b/i],
+  ['nasal', /\b(nasal|nostrils?)\b/i],
+  ['inhaled', /\b(inhaled|inhaler|inhalation|puffs?|nebuli[sz]er)\b/i],
+  ['topical', /\b(topical|topically|cream|ointment|gel|lotion)\b/i],
+  ['intravenous', /\b(iv|intravenous)\b/i],
+  ['subcutaneous', /\b(subcutaneous|subq|sub-q|sq|injection|injected|injectable)\b/i],
+  ['oral', /\b(po|oral|orally|by mouth|tablets?|tabs?|capsules?|caps?|pills?)\b/i],
+];
+
+const FREQUENCIES = [
+  ['QHS', /\b(qhs|at bedtime|at night|nightly|before bed)\b/i],
+  ['QID', /\b(qid|four times (a|per) day|4 times (a|per) day|4x (a |per )?day|4x daily)\b/i],
+  ['TID', /\b(tid|three times (a|per) day|3 times (a|per) day|3x (a |per )?day|3x daily)\b/i],
+  ['BID', /\b(bid|twice (a|per) day|twice daily|2 times (a|per) day|2x (a |per )?day|2x daily)\b/i],
+  ['QW', /\b(qw|weekly|once (a|per) week|every week)\b/i],
+  ['QD', /\b(qd|daily|once (a|per) day|every day|each day|every morning|qam)\b/i],
+];
+
+const EVERY_N_HOURS = /\b(?:q\s*(\d+)\s*h|every\s+(\d+)\s+hours?)\b/i;
+const AS_NEEDED = /\b(prn|as needed|when needed|if needed)\b/i;
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Misspellings allowed: one edit for short names, two from eight letters
+const maxEdits = (term) => (term.length >= 8 ? 2 : 1);
+
+/**
+ * Find the vocabulary concept a patient-entered name refers to
+ * @param {string} name - e.g. "Coumadin 5mg daily" or "lisinoprill"
+ * @returns {Object|null} - { concept, matchedBy: 'name'|'synonym'|'brand'|'fuzzy' }
+ */
+function lookupMedication(name) {
+  const text = normalize(name);
+  if (!text) return null;
+
+  const exact = TERMS.find(({ term }) => containsTerm(text, term));
+  if (exact) return { concept: exact.concept, matchedBy: exact.matchedBy };
+
+  let best = null;
+  for (const word of text.split(' ').filter((w) => w.length >= 4 && /^[a-z]+$/.test(w))) {
+    for (const { concept, term } of FUZZY_TERMS) {
+      const distance = editDistance(word, term);
+      if (distance <= maxEdits(term) && (!best || distance < best.distance)) {
+        best = { concept, distance };
+      }
+    }
+  }
+
+  return best ? { concept: best.concept, matchedBy: 'fuzzy' } : null;
+}
+
+/**
+ * Parse dosage text such as "10mg by mouth twice daily as needed"
+ * @returns {Object} - { amount, unit, route, frequency, asNeeded }; unknown parts are null
+ */
+function parseDosage(text) {
+  const source = String(text || '');
+  const strength = source.match(STRENGTH) || source.match(DOSE_FORM);
+  const route = ROUTES.find(([, pattern]) => pattern.test(source));
+  const everyHours = source.match(EVERY_N_HOURS);
+  const frequency = everyHours
+    ? `Q${everyHours[1] || everyHours[2]}H`
+    : FREQUENCIES.find(([, pattern]) => pattern.test(source))?.[0];
+
+  return {
+    amount: strength ? parseFloat(strength[1]) : null,
+    unit: strength ? UNITS[strength[2].toLowerCase()] || strength[2].toLowerCase().replace(/s$/, '') : null,
+    route: route ? route[0] : null,
+    frequency: frequency || null,
+    asNeeded: AS_NEEDED.test(source),
+  };
+}
+
+/**
+ * Normalize one medication entry (a string or { name, dosage, frequency })
+ * @returns {Object} - { input, conceptId, name, rxcui, matchedBy, amount, unit, route, frequency, asNeeded }
+ */
+function normalizeMedication(med) {
+  const input = (typeof med === 'string' ? med : med?.name || '').trim();
+  // Structured fields first; a name like "Lisinopril 10mg" fills any gaps
+  const dosageText = typeof med === 'string'
+    ? med
+    : [med?.dosage, med?.route, med?.frequency, med?.name].filter(Boolean).join(' ');
+
+  const match = lookupMedication(input);
+
+  return {
+    input,
+    conceptId: match ? match.concept.id : null,
+    name: match ? match.concept.name : null,
+    rxcui: match ? match.concept.rxcui : null,
+    matchedBy: match ? match.matchedBy : null,
+    ...parseDosage(dosageText),
+  };
+}
+
+/**
+ * Normalize an intake's medication list; the raw list is kept as submitted
+ * @param {Array} medications - Raw medications from the intake form
+ * @returns {Array} - One normalized entry per non-empty raw entry
+ */
+function normalizeMedications(medications) {
+  return (Array.isArray(medications) ? medications : [])
+    .map(normalizeMedication)
+    .filter((med) => med.input);
+}
+
+module.exports = {
+  vocabularyVersion: vocabulary.version,
+  lookupMedication,
+  parseDosage,
+  normalizeMedication,
+  normalizeMedications,
+};
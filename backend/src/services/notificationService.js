@@ -0,0 +1,93 @@
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const createConsoleNotifier = require('./notifiers/consoleNotifier');
+const createFileNotifier = require('./notifiers/fileNotifier');
+const createSmtpNotifier = require('./notifiers/smtpNotifier');
+const createTwilioSmsNotifier = require('./notifiers/twilioSmsNotifier');
+const createWebhookNotifier = require('./notifiers/webhookNotifier');
+
+// Adapter factories per channel, keyed by provider name from config
+const ADAPTERS = {
+  email: {
+    smtp: () => createSmtpNotifier(config.notifications.smtp, config.notifications.emailFrom),
+    file: () => createFileNotifier('email', path.resolve(config.notifications.outboxDir)),
+    console: () => createConsoleNotifier('email'),
+  },
+  sms: {
+    twilio: () => createTwilioSmsNotifier(config.notifications.twilio),
+    file: () => createFileNotifier('sms', path.resolve(config.notifications.outboxDir)),
+    console: () => createConsoleNotifier('sms'),
+  },
+  webhook: {
+    http: () => createWebhookNotifier({
+      secret: config.notifications.webhookSecret,
+      timeoutMs: config.notifications.webhookTimeoutMs,
+    }),
+    file: () => createFileNotifier('webhook', path.resolve(config.notifications.outboxDir)),
+    console: () => createConsoleNotifier('webhook'),
+  },
+};
+
+const notifiers = {};
+
+/**
+ * Get (and lazily create) the configured notifier for a channel
+ * @param {string} channel - 'email' | 'sms' | 'webhook'
+ */
+function getNotifier(channel) {
+  if (!notifiers[channel]) {
+    const providerName = config.notifications[`${channel}Provider`];
+    if (!providerName) {
+      throw new Error(
+        `No ${channel} notification provider configured (set ${channel.toUpperCase()}_PROVIDER)`
+      );
+    }
+
+    const factory = ADAPTERS[channel]?.[providerName];
+
+    if (!factory) {
+      throw new Error(`Unknown ${channel} notification provider: ${providerName}`);
+    }
+
+    notifiers[channel] = factory();
+  }
+
+  return notifiers[channel];
+}
+
+/**
+ * Replace the notifier for a channel (tests and custom adapters)
+ * @param {string} channel - 'email' | 'sms' | 'webhook'
+ * @param {Object} notifier - Object with name and async send(message)
+ */
+function setNotifier(channel, notifier) {
+  notifiers[channel] = notifier;
+}
+
+/**
+ * Send a message on a channel. Never throws - failures are returned.
+ * @param {string} channel - 'email' | 'sms' | 'webhook'
+ * @param {Object} message - { to, subject, text, html } (webhooks also take a data object)
+ * @returns {Object} - { status: 'SENT' | 'FAILED', provider, messageId, error }
+ */
+async function sendNotification(channel, message) {
+  let provider = null;
+
+  try {
+    const notifier = getNotifier(channel);
+    provider = notifier.name;
+
+    const { messageId } = await notifier.send(message);
+    return { status: 'SENT', provider, messageId: messageId || null, error: null };
+  } catch (error) {
+    logger.error(`Failed to send ${channel} notification:`, error);
+    return { status: 'FAILED', provider, messageId: null, error: error.message };
+  }
+}
+
+module.exports = {
+  getNotifier,
+  setNotifier,
+  sendNotification,
+};
@@ -0,0 +1,101 @@
+/**
+ * Patient- and account-facing message templates.
+ * Messages deliberately contain no clinical information - only the link.
+ */
+
+/**
+ * Name shown to patients: the practice name, falling back to the provider
+ */
+const practiceDisplayName = (provider) => {
+  if (provider.practiceName) return provider.practiceName;
+  const name = `${provider.firstName} ${provider.lastName}`;
+  return provider.title ? `${name}, ${provider.title}` : name;
+};
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+
+/**
+ * Initial intake link invitation
+ * @returns {Object} - { email: { subject, text }, sms: { text } }
+ */
+function intakeLinkInvitation({ patient, provider, url, expiresAt }) {
+  const practice = practiceDisplayName(provider);
+  const expires = formatDate(expiresAt);
+
+  return {
+    email: {
+      subject: `${practice}: please complete your intake form`,
+      text: [
+        `Hi ${patient.firstName},`,
+        '',
+        `${practice} has asked you to complete a secure intake form before your visit.`,
+        '',
+        `Open your form: ${url}`,
+        '',
+        `This link is personal to you and expires on ${expires}.`,
+        'If you were not expecting this message, please contact the practice directly.',
+      ].join('\n'),
+    },
+    sms: {
+      text: `${practice}: please complete your intake form before your visit: ${url} (expires ${expires})`,
+    },
+  };
+}
+
+/**
+ * Reminder for a link the patient has not completed yet
+ * @returns {Object} - { email: { subject, text }, sms: { text } }
+ */
+function intakeLinkReminder({ patient, provider, url, expiresAt }) {
+  const practice = practiceDisplayName(provider);
+  const expires = formatDate(expiresAt);
+
+  return {
+    email: {
+      subject: `Reminder: your intake form for ${practice} expires soon`,
+      text: [
+        `Hi ${patient.firstName},`,
+        '',
+        `This is a reminder that your intake form for ${practice} has not been completed yet.`,
+        '',
+        `Open your form: ${url}`,
+        '',
+        `The link expires on ${expires}. Any answers you have not submitted by then will need to be re-entered on a new link.`,
+        'If you have already spoken to the practice about this, you can ignore this message.',
+      ].join('\n'),
+    },
+    sms: {
+      text: `${practice}: reminder to complete your intake form before ${expires}: ${url}`,
+    },
+  };
+}
+
+/**
+ * Password reset link for a user account
+ * @returns {Object} - { email: { subject, text } }
+ */
+function passwordReset({ user, url, expiresInMinutes }) {
+  return {
+    email: {
+      subject: 'Reset your IntakeAI password',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'We received a request to reset the password for your IntakeAI account.',
+        '',
+        `Choose a new password: ${url}`,
+        '',
+        `This link can be used once and expires in ${expiresInMinutes} minutes.`,
+        'If you did not ask for this, you can ignore this message; your password has not changed.',
+      ].join('\n'),
+    },
+  };
+}
+
+module.exports = {
+  practiceDisplayName,
+  intakeLinkInvitation,
+  intakeLinkReminder,
+  passwordReset,
+};
@@ -0,0 +1,21 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Hide credentials carried in URLs (e.g. password reset ?token=) so they never reach the logs
+ */
+const redactTokens = (text = '') => text.replace(/([?&]token=)[^&\s]+/g, '$1[redacted]');
+
+/**
+ * Console notifier - logs messages instead of sending them (local development)
+ */
+function createConsoleNotifier(channel) {
+  return {
+    name: 'console',
+    async send({ to, subject, text }) {
+      logger.info(`[${channel} → ${to}]${subject ? ` ${subject}` : ''}\n${redactTokens(text)}`);
+      return { messageId: null };
+    },
+  };
+}
+
+module.exports = createConsoleNotifier;
@@ -0,0 +1,26 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { nanoid } = require('nanoid');
+
+/**
+ * File notifier - writes each message as JSON into an outbox directory
+ * (local development and tests)
+ */
+function createFileNotifier(channel, outboxDir) {
+  return {
+    name: 'file',
+    async send(message) {
+      const messageId = `${channel}-${Date.now()}-${nanoid(8)}`;
+
+      await fs.mkdir(outboxDir, { recursive: true });
+      await fs.writeFile(
+        path.join(outboxDir, `${messageId}.json`),
+        JSON.stringify({ channel, ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+
+      return { messageId };
+    },
+  };
+}
+
+module.exports = createFileNotifier;
@@ -0,0 +1,27 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP email notifier
+ */
+function createSmtpNotifier({ host, port, secure, user, pass }, from) {
+  if (!host) {
+    throw new Error('SMTP_HOST must be set when EMAIL_PROVIDER is "smtp"');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user && { auth: { user, pass } }),
+  });
+
+  return {
+    name: 'smtp',
+    async send({ to, subject, text, html }) {
+      const info = await transporter.sendMail({ from, to, subject, text, html });
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+module.exports = createSmtpNotifier;
@@ -0,0 +1,37 @@
+/**
+ * Twilio SMS notifier (REST API, no SDK)
+ */
+function createTwilioSmsNotifier({ accountSid, authToken, from }) {
+  if (!accountSid || !authToken || !from) {
+    throw new Error(
+      'TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER must be set when SMS_PROVIDER is "twilio"'
+    );
+  }
+
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
+  const authorization = `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`;
+
+  return {
+    name: 'twilio',
+    async send({ to, text }) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          Authorization: authorization,
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: new URLSearchParams({ From: from, To: to, Body: text }),
+      });
+
+      const body = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(`Twilio error ${response.status}: ${body.message || 'unknown error'}`);
+      }
+
+      return { messageId: body.sid };
+    },
+  };
+}
+
+module.exports = createTwilioSmsNotifier;
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+
+/**
+ * Sign a webhook body so the receiver can verify it came from us
+ * @returns {string} - "sha256=<hex hmac>"
+ */
+const signPayload = (body, secret) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+/**
+ * Webhook notifier - POSTs the message as JSON to the recipient URL.
+ * Signed with an HMAC of the body when a secret is configured; aborted if the
+ * receiver takes longer than timeoutMs.
+ */
+function createWebhookNotifier({ secret, timeoutMs = 10000 } = {}) {
+  return {
+    name: 'http',
+    async send({ to, subject, text, data }) {
+      const body = JSON.stringify({ subject, text, ...data, sentAt: new Date().toISOString() });
+      const headers = { 'Content-Type': 'application/json' };
+
+      if (secret) {
+        headers['X-IntakeAI-Signature'] = signPayload(body, secret);
+      }
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+      try {
+        const response = await fetch(to, { method: 'POST', headers, body, signal: controller.signal });
+
+        if (!response.ok) {
+          throw new Error(`Webhook error ${response.status}`);
+        }
+
+        return { messageId: response.headers.get('x-request-id') };
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw new Error(`Webhook timed out after ${timeoutMs}ms`);
+        }
+        throw error;
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
+
+module.exports = createWebhookNotifier;
+module.exports.signPayload = signPayload;
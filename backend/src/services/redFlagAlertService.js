@@ -0,0 +1,180 @@
+const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getCoveringProviders, publishProviderAlert } = require('./coverageService');
+const { sendNotification } = require('./notificationService');
+const { criticalRedFlagAlert } = require('./alertTemplates');
+
+const prisma = new PrismaClient();
+
+// A level still NOT_SENT after this long was interrupted mid-send (sends time out well before)
+const STALE_ATTEMPT_MS = 10 * 60 * 1000;
+
+/**
+ * Format a red flag for the provider's alert stream
+ */
+const formatRedFlagEvent = (redFlag, patient) => ({
+  id: redFlag.id,
+  intakeId: redFlag.intakeId,
+  patientId: patient.id,
+  patientName: `${patient.firstName} ${patient.lastName}`,
+  category: redFlag.category,
+  description: redFlag.description,
+  severity: redFlag.severity,
+  source: redFlag.origin,
+  createdAt: redFlag.createdAt,
+});
+
+/**
+ * Who receives an alert on a channel. The provider and anyone covering them
+ * always do; the configured escalation contacts are added from the first
+ * escalation on.
+ * @param {string} channel - 'email', 'sms' or 'webhook'
+ * @param {Array} providers - Users ({ email, phone }), assigned clinician first
+ * @param {number} level - Escalation level
+ */
+function alertRecipients(channel, providers, level) {
+  const primary = channel === 'webhook'
+    ? [config.alerts.webhookUrl]
+    : providers.map((provider) => ({ email: provider.email, sms: provider.phone })[channel]);
+  const escalation = level > 0
+    ? { email: config.alerts.escalationEmail, sms: config.alerts.escalationPhone }[channel]
+    : null;
+
+  return [...new Set([...primary, escalation].filter(Boolean))];
+}
+
+/**
+ * Claim an alert level for sending: create it, or take over an attempt that
+ * failed or was interrupted. Conditional, so concurrent runs never both win.
+ * @returns {Object|null} - The claimed alert, or null if it is sent or being sent
+ */
+async function claimAlertLevel(redFlagId, level) {
+  try {
+    return await prisma.redFlagAlert.create({ data: { redFlagId, level } });
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+  }
+
+  const { count } = await prisma.redFlagAlert.updateMany({
+    where: {
+      redFlagId,
+      level,
+      OR: [
+        { status: 'FAILED' },
+        { status: 'NOT_SENT', attemptedAt: { lt: new Date(Date.now() - STALE_ATTEMPT_MS) } },
+      ],
+    },
+    data: { status: 'NOT_SENT', attemptedAt: new Date(), attempts: { increment: 1 } },
+  });
+
+  if (count === 0) return null;
+
+  return prisma.redFlagAlert.findUnique({ where: { redFlagId_level: { redFlagId, level } } });
+}
+
+/**
+ * Send one level of a CRITICAL red flag alert on every configured channel.
+ * The level only counts as sent once a delivery succeeds; a FAILED level is
+ * retried by calling this again.
+ * @param {string} redFlagId - Red flag to alert on
+ * @param {number} level - 0 for the initial alert, 1+ for escalations
+ * @returns {Object|null} - The alert, or null if nothing was sent
+ */
+async function sendRedFlagAlert(redFlagId, level, channels = config.alerts.channels) {
+  if (channels.length === 0) return null;
+
+  let alert = await claimAlertLevel(redFlagId, level);
+  if (!alert) return null;
+
+  const redFlag = await prisma.redFlag.findUnique({
+    where: { id: redFlagId },
+    include: {
+      intake: {
+        include: {
+          patient: { include: { provider: { select: { email: true, phone: true } } } },
+        },
+      },
+    },
+  });
+
+  const { patient } = redFlag.intake;
+  const messages = criticalRedFlagAlert({ redFlag, patient, level });
+  const providers = [patient.provider, ...(await getCoveringProviders(patient.providerId))];
+  const deliveries = [];
+
+  for (const channel of channels) {
+    const recipients = alertRecipients(channel, providers, level);
+
+    if (recipients.length === 0) {
+      deliveries.push({
+        channel,
+        recipient: null,
+        status: 'FAILED',
+        provider: null,
+        messageId: null,
+        error: `No ${channel} recipient configured`,
+      });
+      continue;
+    }
+
+    for (const recipient of recipients) {
+      const result = await sendNotification(channel, { to: recipient, ...messages[channel] });
+      deliveries.push({ channel, recipient, ...result });
+    }
+  }
+
+  const status = deliveries.some((d) => d.status === 'SENT') ? 'SENT' : 'FAILED';
+
+  alert = await prisma.redFlagAlert.update({
+    where: { id: alert.id },
+    data: { status, deliveries, sentAt: status === 'SENT' ? new Date() : null },
+  });
+
+  if (level > 0 && status === 'SENT') {
+    await publishProviderAlert(patient.providerId, 'redFlagEscalated', {
+      id: redFlag.id,
+      intakeId: redFlag.intakeId,
+      level,
+    });
+  }
+
+  logger.info(
+    `Critical alert level ${level} for red flag ${redFlagId}: ${status.toLowerCase()}` +
+      ` (attempt ${alert.attempts})`
+  );
+
+  return alert;
+}
+
+/**
+ * Push new red flags to the open alert streams of the provider and anyone
+ * covering them, and send the initial outbound alert for CRITICAL ones
+ * @param {Array} redFlags - Created red flags
+ * @param {Object} patient - { id, firstName, lastName, providerId }
+ */
+async function announceRedFlags(redFlags, patient) {
+  for (const redFlag of redFlags) {
+    await publishProviderAlert(patient.providerId, 'redFlag', formatRedFlagEvent(redFlag, patient));
+  }
+
+  await alertCriticalRedFlags(redFlags);
+}
+
+/**
+ * Send the initial outbound alert for each CRITICAL flag (no-op for flags already alerted)
+ * @param {Array} redFlags - Red flags to check
+ */
+async function alertCriticalRedFlags(redFlags) {
+  for (const redFlag of redFlags.filter((rf) => rf.severity === 'CRITICAL')) {
+    await sendRedFlagAlert(redFlag.id, 0);
+  }
+}
+
+module.exports = {
+  STALE_ATTEMPT_MS,
+  alertRecipients,
+  sendRedFlagAlert,
+  announceRedFlags,
+  alertCriticalRedFlags,
+};
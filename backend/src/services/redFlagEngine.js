@@ -0,0 +1,378 @@
+/**
+ * Red flag rule engine. Pure functions only - rules come from
+ * src/rules/redFlagRules.json plus per-provider overrides (see redFlagService).
+ *
+ * Rule types:
+ *   keyword   - any of `terms` (synonyms) as whole words
+ *   regex     - any of `patterns` (case-insensitive)
+ *   threshold - numeric value under one of `keys` is `above` and/or `below` a limit;
+ *               `component: systolic|diastolic` reads one side of "120/80"
+ *   count     - list in the target field has more than `above` entries
+ *
+ * Keyword and regex matches preceded by a negation cue in the same clause
+ * ("denies chest pain") are ignored unless the rule sets `negation: false`.
+ *
+ * Text rules on `medications` also read `genericMedicationNames` (normalized
+ * generic names), so "Coumadin" still matches a warfarin rule. Count rules do
+ * not, so each medication is only counted once.
+ *
+ * Regex patterns are run on every submitted intake, so patterns that could
+ * backtrack catastrophically (nested quantifiers such as `(a+)+`) or that are
+ * longer than MAX_PATTERN_LENGTH are rejected.
+ */
+
+const safeRegex = require('safe-regex2');
+
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const RULE_TYPES = ['keyword', 'regex', 'threshold', 'count'];
+
+const INTAKE_FIELDS = [
+  'chiefComplaint',
+  'demographics',
+  'medicalHistory',
+  'medications',
+  'allergies',
+  'socialHistory',
+  'reviewOfSystems',
+  'responses',
+];
+
+// Fields scanned when a text rule does not name any
+const DEFAULT_TEXT_FIELDS = ['chiefComplaint', 'medicalHistory', 'socialHistory', 'reviewOfSystems', 'responses'];
+
+const NEGATION_CUE = /\b(no|not|denies|denied|deny|without|never|negative for|free of|absence of|ruled out)\b/i;
+const NEGATION_WINDOW_WORDS = 5;
+const MAX_PATTERN_LENGTH = 200;
+const CLAUSE_BREAK = /[.;,!?\n]|\bbut\b|\bhowever\b|\bexcept\b/i;
+
+const RULE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const humanize = (key) => key.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_-]/g, ' ').toLowerCase();
+
+const normalizeKey = (key) => key.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Collect text snippets from an intake field as [{ path, text }].
+ * Checkbox-style answers ({ chestPain: true }) become their key in words.
+ */
+function collectText(value, path, out = []) {
+  if (typeof value === 'string') {
+    out.push({ path, text: value });
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectText(item, path, out));
+  } else if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      if (child === true) {
+        out.push({ path: `${path}.${key}`, text: humanize(key) });
+      } else {
+        collectText(child, `${path}.${key}`, out);
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Form template responses: answers as text, "yes" answers as their question label
+ */
+function collectResponseText(responses) {
+  const out = [];
+  for (const response of Array.isArray(responses) ? responses : []) {
+    const path = `responses.${response.questionId}`;
+    if (response.value === true) {
+      out.push({ path, text: response.label });
+    } else {
+      collectText(response.value, path, out);
+    }
+  }
+  return out;
+}
+
+/**
+ * Collect named numeric-ish values as [{ path, key, value }]
+ */
+function collectValues(value, path, out = []) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectValues(item, path, out));
+  } else if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      if (typeof child === 'number' || typeof child === 'string') {
+        out.push({ path: `${path}.${key}`, key, value: child });
+      } else {
+        collectValues(child, `${path}.${key}`, out);
+      }
+    }
+  }
+  return out;
+}
+
+function collectResponseValues(responses) {
+  return (Array.isArray(responses) ? responses : [])
+    .filter((r) => typeof r.value === 'number' || typeof r.value === 'string')
+    .map((r) => ({ path: `responses.${r.questionId}`, key: r.questionId, value: r.value }));
+}
+
+/**
+ * Whether the match at `index` is negated within its clause
+ */
+function isNegated(text, index) {
+  const before = text.slice(0, index);
+  const clauses = before.split(CLAUSE_BREAK);
+  const clause = clauses[clauses.length - 1];
+  const window = clause.trim().split(/\s+/).slice(-NEGATION_WINDOW_WORDS).join(' ');
+  return NEGATION_CUE.test(window);
+}
+
+/**
+ * Whether a regex pattern is short enough and free of catastrophic backtracking
+ */
+function isSafePattern(pattern) {
+  return pattern.length <= MAX_PATTERN_LENGTH && safeRegex(pattern);
+}
+
+/**
+ * Compile a keyword or regex rule into regular expressions. Unsafe patterns
+ * saved before they were rejected are skipped.
+ */
+function compilePatterns(rule) {
+  if (rule.type === 'keyword') {
+    return rule.terms.map((term) => new RegExp(`\\b${escapeRegex(term)}\\b`, 'gi'));
+  }
+  return rule.patterns.filter(isSafePattern).map((pattern) => new RegExp(pattern, 'gi'));
+}
+
+/**
+ * Text snippets of one intake field for text rules
+ */
+function collectFieldText(intake, field) {
+  if (field === 'responses') return collectResponseText(intake.responses);
+
+  const snippets = collectText(intake[field], field);
+  if (field === 'medications') collectText(intake.genericMedicationNames, field, snippets);
+  return snippets;
+}
+
+/**
+ * First non-negated match of a text rule, or null
+ */
+function matchText(rule, intake) {
+  const fields = rule.fields || DEFAULT_TEXT_FIELDS;
+  const snippets = fields.flatMap((field) => collectFieldText(intake, field));
+  const patterns = compilePatterns(rule);
+  const checkNegation = rule.negation !== false;
+
+  for (const snippet of snippets) {
+    for (const pattern of patterns) {
+      for (const match of snippet.text.matchAll(pattern)) {
+        if (checkNegation && isNegated(snippet.text, match.index)) continue;
+        return { source: snippet.path, match: match[0], value: match[0] };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a number from a value like 101.2, "101.2 F" or "150/95"
+ */
+function parseMeasurement(value, component) {
+  const text = String(value);
+  const pressure = text.match(/(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)/);
+
+  if (pressure) {
+    return parseFloat(component === 'diastolic' ? pressure[2] : pressure[1]);
+  }
+
+  const number = parseFloat(text.replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * First value outside a threshold rule's limits, or null
+ */
+function matchThreshold(rule, intake) {
+  const keys = new Set(rule.keys.map(normalizeKey));
+  const fields = rule.fields || INTAKE_FIELDS;
+  const values = fields.flatMap((field) =>
+    field === 'responses' ? collectResponseValues(intake.responses) : collectValues(intake[field], field)
+  );
+
+  for (const entry of values) {
+    if (!keys.has(normalizeKey(entry.key))) continue;
+
+    const number = parseMeasurement(entry.value, rule.component);
+    if (number === null) continue;
+
+    const tooHigh = rule.above !== undefined && number > rule.above;
+    const tooLow = rule.below !== undefined && number < rule.below;
+    if (tooHigh || tooLow) {
+      return { source: entry.path, match: String(entry.value), value: number };
+    }
+  }
+  return null;
+}
+
+/**
+ * List longer than the rule allows, or null
+ */
+function matchCount(rule, intake) {
+  for (const field of rule.fields) {
+    const list = intake[field];
+    if (Array.isArray(list) && list.length > rule.above) {
+      return { source: field, match: String(list.length), value: list.length };
+    }
+  }
+  return null;
+}
+
+const MATCHERS = {
+  keyword: matchText,
+  regex: matchText,
+  threshold: matchThreshold,
+  count: matchCount,
+};
+
+const fillDescription = (template, result) =>
+  template.replace(/\{(match|value|source)\}/g, (placeholder, name) => String(result[name]));
+
+/**
+ * Evaluate enabled rules against an intake
+ * @param {Array} rules - Rule definitions
+ * @param {Object} intake - Intake sections (chiefComplaint, medications, ...)
+ * @returns {Array} - [{ ruleId, category, description, severity, source }], one per matching rule
+ */
+function evaluateRules(rules, intake) {
+  const flags = [];
+
+  for (const rule of rules) {
+    if (rule.enabled === false) continue;
+
+    const result = MATCHERS[rule.type](rule, intake);
+    if (!result) continue;
+
+    flags.push({
+      ruleId: rule.id,
+      category: rule.category,
+      description: fillDescription(rule.description, result),
+      severity: rule.severity,
+      source: result.source,
+    });
+  }
+
+  return flags;
+}
+
+/**
+ * Check a rule definition
+ * @returns {Array} - Errors as [{ field, message }], empty when valid
+ */
+function validateRule(rule, path = 'rule') {
+  const errors = [];
+  const error = (field, message) => errors.push({ field: `${path}.${field}`, message });
+
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return [{ field: path, message: 'Rule must be an object' }];
+  }
+
+  if (!RULE_ID_PATTERN.test(rule.id || '')) error('id', 'Rule id must be lowercase letters, digits and dashes');
+  if (typeof rule.category !== 'string' || !rule.category) error('category', 'Category required');
+  if (typeof rule.description !== 'string' || !rule.description) error('description', 'Description required');
+  if (!SEVERITIES.includes(rule.severity)) error('severity', `Severity must be one of: ${SEVERITIES.join(', ')}`);
+  if (!RULE_TYPES.includes(rule.type)) {
+    error('type', `Type must be one of: ${RULE_TYPES.join(', ')}`);
+    return errors;
+  }
+
+  if (rule.fields !== undefined) {
+    if (!Array.isArray(rule.fields) || rule.fields.some((f) => !INTAKE_FIELDS.includes(f))) {
+      error('fields', `Fields must be from: ${INTAKE_FIELDS.join(', ')}`);
+    }
+  }
+
+  if (rule.type === 'keyword') {
+    if (!Array.isArray(rule.terms) || rule.terms.length === 0 || rule.terms.some((t) => typeof t !== 'string' || !t)) {
+      error('terms', 'Keyword rules need a list of terms');
+    }
+  }
+
+  if (rule.type === 'regex') {
+    if (!Array.isArray(rule.patterns) || rule.patterns.length === 0) {
+      error('patterns', 'Regex rules need a list of patterns');
+    } else {
+      rule.patterns.forEach((pattern, i) => {
+        try {
+          new RegExp(pattern, 'i');
+        } catch {
+          error(`patterns[${i}]`, 'Invalid regular expression');
+          return;
+        }
+        if (pattern.length > MAX_PATTERN_LENGTH) {
+          error(`patterns[${i}]`, `Patterns must be at most ${MAX_PATTERN_LENGTH} characters`);
+        } else if (!safeRegex(pattern)) {
+          error(`patterns[${i}]`, 'Pattern could take too long to run (nested repetition)');
+        }
+      });
+    }
+  }
+
+  if (rule.type === 'threshold') {
+    if (!Array.isArray(rule.keys) || rule.keys.length === 0) error('keys', 'Threshold rules need value keys');
+    if (typeof rule.above !== 'number' && typeof rule.below !== 'number') {
+      error('above', 'Threshold rules need a numeric "above" or "below"');
+    }
+    if (rule.component !== undefined && !['systolic', 'diastolic'].includes(rule.component)) {
+      error('component', 'Component must be systolic or diastolic');
+    }
+  }
+
+  if (rule.type === 'count') {
+    if (!Array.isArray(rule.fields) || rule.fields.length === 0) error('fields', 'Count rules need a field');
+    if (typeof rule.above !== 'number') error('above', 'Count rules need a numeric "above"');
+  }
+
+  return errors;
+}
+
+/**
+ * Apply per-provider overrides to the base rules
+ * @param {Array} baseRules - Rules from the versioned rule file
+ * @param {Array} overrides - [{ ruleId, enabled, severity, definition }]
+ * @returns {Array} - Rules with `enabled` and `origin` ('base' | 'override' | 'custom')
+ */
+function applyOverrides(baseRules, overrides) {
+  const rules = baseRules.map((rule) => ({ ...rule, enabled: true, origin: 'base' }));
+
+  for (const override of overrides) {
+    const index = rules.findIndex((rule) => rule.id === override.ruleId);
+    const base = index === -1 ? null : rules[index];
+
+    // Overrides without a definition for an unknown rule have nothing to apply to
+    if (!base && !override.definition) continue;
+
+    const rule = {
+      ...base,
+      ...override.definition,
+      id: override.ruleId,
+      enabled: override.enabled,
+      origin: base ? 'override' : 'custom',
+      ...(override.severity && { severity: override.severity }),
+    };
+
+    if (base) rules[index] = rule;
+    else rules.push(rule);
+  }
+
+  return rules;
+}
+
+module.exports = {
+  SEVERITIES,
+  RULE_TYPES,
+  INTAKE_FIELDS,
+  evaluateRules,
+  validateRule,
+  applyOverrides,
+  isNegated,
+};
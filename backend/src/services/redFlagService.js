@@ -0,0 +1,74 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const baseRuleSet = require('../rules/redFlagRules.json');
+const { evaluateRules, applyOverrides } = require('./redFlagEngine');
+const { checkInteractions } = require('./interactionChecker');
+const { announceRedFlags, alertCriticalRedFlags } = require('./redFlagAlertService');
+
+const prisma = new PrismaClient();
+
+/**
+ * Effective rule set for a provider: base rules with their overrides applied
+ * @returns {Object} - { version, rules }
+ */
+async function getRuleSet(providerId) {
+  const overrides = await prisma.redFlagRule.findMany({
+    where: { providerId },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  return {
+    version: baseRuleSet.version,
+    rules: applyOverrides(baseRuleSet.rules, overrides),
+  };
+}
+
+// Medication text rules also see the generic names, so "Coumadin" still matches warfarin
+const withGenericNames = (intake) => ({
+  ...intake,
+  genericMedicationNames: (intake.normalizedMedications || []).map((med) => med.name).filter(Boolean),
+});
+
+/**
+ * Run the provider's rules and the medication interaction checker against an
+ * intake, store any red flags and alert the provider. Safe to run again.
+ * @param {string} intakeId - Intake to check
+ * @returns {Array} - The intake's detected red flags
+ */
+async function detectRedFlags(intakeId) {
+  const intake = await prisma.intake.findUnique({
+    where: { id: intakeId },
+    include: { patient: { select: { id: true, firstName: true, lastName: true, providerId: true } } },
+  });
+
+  // Deleted before the job ran: nobody should be alerted about it
+  if (!intake || intake.deletedAt) return [];
+
+  // A retried job finds the flags from its earlier attempt and only finishes alerting
+  const detected = await prisma.redFlag.findMany({ where: { intakeId, origin: 'KEYWORD' } });
+  if (detected.length > 0) {
+    await alertCriticalRedFlags(detected);
+    return detected;
+  }
+
+  const { rules } = await getRuleSet(intake.patient.providerId);
+  const flags = [
+    ...evaluateRules(rules, withGenericNames(intake)),
+    ...checkInteractions(intake),
+  ].map((flag) => ({ intakeId, ...flag }));
+
+  if (flags.length === 0) return [];
+
+  const redFlags = await prisma.redFlag.createManyAndReturn({ data: flags });
+  logger.info(`Created ${redFlags.length} red flags for intake ${intakeId}`);
+
+  await announceRedFlags(redFlags, intake.patient);
+
+  return redFlags;
+}
+
+module.exports = {
+  baseRuleSet,
+  getRuleSet,
+  detectRedFlags,
+};
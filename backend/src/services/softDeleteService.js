@@ -0,0 +1,102 @@
+const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Soft deletion for medical records. Rows are only hidden; the retention job
+ * purges them once the retention period has passed. A cascade stamps the
+ * children with the parent's deletedAt, so restoring the parent brings back
+ * exactly what was deleted with it and not what was deleted separately before.
+ */
+
+/**
+ * When a record deleted at this time becomes eligible for purging
+ * @param {Date} deletedAt
+ * @returns {Date|null} - null when purging is turned off
+ */
+function purgeAfter(deletedAt, retentionDays = config.retention.days) {
+  if (!deletedAt || retentionDays <= 0) return null;
+  return new Date(deletedAt.getTime() + retentionDays * DAY_MS);
+}
+
+/**
+ * Soft-delete a patient with their intake links, intakes and summaries
+ * @param {string} patientId
+ * @param {string} userId - User deleting it
+ * @returns {Promise<Date>} - deletedAt
+ */
+async function softDeletePatient(patientId, userId) {
+  const stamp = { deletedAt: new Date(), deletedBy: userId };
+
+  await prisma.$transaction([
+    prisma.summary.updateMany({
+      where: { intake: { patientId }, deletedAt: null },
+      data: stamp,
+    }),
+    prisma.intake.updateMany({ where: { patientId, deletedAt: null }, data: stamp }),
+    prisma.intakeLink.updateMany({ where: { patientId, deletedAt: null }, data: stamp }),
+    prisma.patient.update({ where: { id: patientId }, data: stamp }),
+  ]);
+
+  return stamp.deletedAt;
+}
+
+/**
+ * Restore a soft-deleted patient and what was deleted with them
+ * @param {Object} patient - { id, deletedAt }
+ */
+async function restorePatient(patient) {
+  const restored = { deletedAt: null, deletedBy: null };
+  const { id: patientId, deletedAt } = patient;
+
+  await prisma.$transaction([
+    prisma.patient.update({ where: { id: patientId }, data: restored }),
+    prisma.intakeLink.updateMany({ where: { patientId, deletedAt }, data: restored }),
+    prisma.intake.updateMany({ where: { patientId, deletedAt }, data: restored }),
+    prisma.summary.updateMany({ where: { intake: { patientId }, deletedAt }, data: restored }),
+  ]);
+}
+
+/**
+ * Soft-delete an intake with its summaries
+ * @param {string} intakeId
+ * @param {string} userId - User deleting it
+ * @returns {Promise<Date>} - deletedAt
+ */
+async function softDeleteIntake(intakeId, userId) {
+  const stamp = { deletedAt: new Date(), deletedBy: userId };
+
+  await prisma.$transaction([
+    prisma.summary.updateMany({ where: { intakeId, deletedAt: null }, data: stamp }),
+    prisma.intake.update({ where: { id: intakeId }, data: stamp }),
+  ]);
+
+  return stamp.deletedAt;
+}
+
+/**
+ * Restore a soft-deleted intake and the summaries deleted with it
+ * @param {Object} intake - { id, deletedAt }
+ */
+async function restoreIntake(intake) {
+  const restored = { deletedAt: null, deletedBy: null };
+
+  await prisma.$transaction([
+    prisma.intake.update({ where: { id: intake.id }, data: restored }),
+    prisma.summary.updateMany({
+      where: { intakeId: intake.id, deletedAt: intake.deletedAt },
+      data: restored,
+    }),
+  ]);
+}
+
+module.exports = {
+  purgeAfter,
+  softDeletePatient,
+  restorePatient,
+  softDeleteIntake,
+  restoreIntake,
+};
@@ -0,0 +1,95 @@
+/**
+ * Provider edits to AI summaries.
+ * The AI output is never modified; edits are overlaid on top of it so any
+ * version can be reconstructed and compared with the original.
+ */
+
+// Free-text fields a provider can override
+const EDITABLE_TEXT_FIELDS = ['chiefComplaint', 'relevantHistory', 'additionalNotes'];
+
+/**
+ * Red flag identifier as used by the app (`"\(flag)-\(severity)"`)
+ */
+const redFlagId = (rf) => `${rf.flag}-${rf.severity}`;
+
+/**
+ * Normalize a DoctorEdits payload, dropping unknown keys
+ * @param {Object} edits - DoctorEdits from the client
+ * @returns {Object}
+ */
+function normalizeDoctorEdits(edits = {}) {
+  return {
+    chiefComplaint: edits.chiefComplaint ?? null,
+    relevantHistory: edits.relevantHistory ?? null,
+    additionalNotes: edits.additionalNotes ?? null,
+    dismissedRedFlags: edits.dismissedRedFlags || [],
+    addedRedFlags: (edits.addedRedFlags || []).map((rf) => ({
+      flag: rf.flag,
+      severity: rf.severity,
+      details: rf.details ?? null,
+      recommendation: rf.recommendation ?? null,
+      source: 'MANUAL',
+    })),
+  };
+}
+
+/**
+ * Build the provider-facing view of a summary with edits applied
+ * @param {Object|null} structured - Original AI structured summary
+ * @param {Object|null} edits - Normalized DoctorEdits (null for the AI original)
+ * @returns {Object} - { chiefComplaint, relevantHistory, additionalNotes, redFlags }
+ */
+function applyDoctorEdits(structured, edits) {
+  const original = structured || {};
+  const view = {
+    chiefComplaint: original.chiefComplaint ?? null,
+    relevantHistory: original.relevantHistory ?? null,
+    additionalNotes: null,
+    redFlags: original.redFlags || [],
+  };
+
+  if (!edits) return view;
+
+  for (const field of EDITABLE_TEXT_FIELDS) {
+    if (edits[field] !== null && edits[field] !== undefined) {
+      view[field] = edits[field];
+    }
+  }
+
+  const dismissed = new Set(edits.dismissedRedFlags || []);
+  view.redFlags = [
+    ...view.redFlags.filter((rf) => !dismissed.has(redFlagId(rf))),
+    ...(edits.addedRedFlags || []),
+  ];
+
+  return view;
+}
+
+/**
+ * Compare two summary views field by field
+ * @param {Object} before - View from applyDoctorEdits
+ * @param {Object} after - View from applyDoctorEdits
+ * @returns {Object} - { fields: [{ field, before, after }], redFlags: { added, removed } }
+ */
+function diffSummaryViews(before, after) {
+  const fields = EDITABLE_TEXT_FIELDS.filter((field) => before[field] !== after[field]).map(
+    (field) => ({ field, before: before[field], after: after[field] })
+  );
+
+  const beforeIds = new Set(before.redFlags.map(redFlagId));
+  const afterIds = new Set(after.redFlags.map(redFlagId));
+
+  return {
+    fields,
+    redFlags: {
+      added: after.redFlags.filter((rf) => !beforeIds.has(redFlagId(rf))),
+      removed: before.redFlags.filter((rf) => !afterIds.has(redFlagId(rf))),
+    },
+  };
+}
+
+module.exports = {
+  normalizeDoctorEdits,
+  applyDoctorEdits,
+  diffSummaryViews,
+};
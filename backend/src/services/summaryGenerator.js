@@ -0,0 +1,237 @@
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const {
+  SUMMARY_RESPONSE_SCHEMA,
+  parseStructuredSummary,
+  renderSummaryMarkdown,
+} = require('./summarySchema');
+const { verifySummary } = require('./groundingService');
+const { getLlmProvider } = require('./llmService');
+
+/**
+ * Intake data may only be sent to the AI model with documented patient consent
+ */
+function assertConsent(intake) {
+  if (!intake.consentGiven) {
+    throw new AppError(
+      'Patient consent has not been recorded for this intake',
+      403,
+      'CONSENT_REQUIRED'
+    );
+  }
+}
+
+/**
+ * Generate a structured clinical summary from intake data
+ * @param {Object} intake - The intake data
+ * @returns {Object} - Generated summary with structured fields, rendered content and metadata
+ */
+async function generateSummary(intake) {
+  assertConsent(intake);
+
+  const prompt = buildStructuredPrompt(intake);
+
+  let llm;
+  let response;
+  try {
+    llm = getLlmProvider();
+    response = await llm.generate(prompt, { schema: SUMMARY_RESPONSE_SCHEMA });
+  } catch (error) {
+    logger.error(`LLM provider error (${llm?.name || 'unavailable'}):`, error);
+    throw new Error('Failed to generate AI summary');
+  }
+
+  return buildSummaryResult(intake, llm, response.text, response.tokensUsed);
+}
+
+/**
+ * Parse and verify raw model output (whole or streamed) into a summary
+ * @param {Object} intake - The intake the summary was generated from
+ * @param {Object} llm - Provider that produced the output
+ * @param {string} text - Raw JSON output
+ * @param {number} tokensUsed - When the provider reports it
+ * @returns {Object} - { content, structured, groundingScore, model, tokensUsed }
+ */
+function buildSummaryResult(intake, llm, text, tokensUsed) {
+  const parsed = parseStructuredSummary(text);
+
+  if (!parsed) {
+    logger.error(`${llm.name} returned unparseable summary output for intake ${intake.id}`);
+    throw new Error('Failed to generate AI summary');
+  }
+
+  // Hallucination check against what the patient actually submitted
+  const { structured, groundingScore } = verifySummary(parsed, intake);
+
+  if (groundingScore < 1) {
+    logger.warn(
+      `Summary for intake ${intake.id} contains unverified claims (grounding score ${groundingScore.toFixed(2)})`
+    );
+  }
+
+  return {
+    content: renderSummaryMarkdown(structured),
+    structured,
+    groundingScore,
+    model: llm.model,
+    tokensUsed: tokensUsed ?? null,
+  };
+}
+
+/**
+ * Generate a streaming summary (for real-time display). Chunks are raw JSON;
+ * pass the joined text to buildSummaryResult once the stream ends.
+ * @param {Object} intake - The intake data
+ * @param {Object} llm - Provider to stream from (callers record its model)
+ * @param {AbortSignal} signal - Stops the model request, e.g. when the client disconnects
+ * @returns {AsyncGenerator} - Yields text chunks
+ */
+async function* generateSummaryStream(intake, llm = getLlmProvider(), signal) {
+  assertConsent(intake);
+
+  const prompt = buildStructuredPrompt(intake);
+
+  try {
+    yield* llm.stream(prompt, { schema: SUMMARY_RESPONSE_SCHEMA, signal });
+  } catch (error) {
+    logger.error(`LLM provider streaming error (${llm.name}):`, error);
+    throw new Error('Failed to generate AI summary');
+  }
+}
+
+/**
+ * Build the prompt for structured (JSON) clinical summary generation
+ */
+function buildStructuredPrompt(intake) {
+  return `You are a medical AI assistant helping healthcare providers review patient intake forms. Extract a structured clinical summary from the following patient intake data.
+
+**IMPORTANT GUIDELINES:**
+1. Use clear, professional medical terminology
+2. Only include information present in the intake data - never invent medications, history or findings
+3. Leave a systems review or lifestyle field null when the patient provided nothing for it
+4. Do not make diagnoses - only summarize and highlight findings
+5. Red flag severity must be one of: low, medium, high
+6. Respond with a single JSON object matching the provided schema
+
+${formatIntakeData(intake)}`;
+}
+
+/**
+ * Format the intake data block shared by all prompts
+ */
+function formatIntakeData(intake) {
+  const { chiefComplaint, demographics, medicalHistory, medications, allergies, socialHistory, reviewOfSystems } = intake;
+
+  return `**PATIENT INTAKE DATA:**
+
+**Chief Complaint:**
+${chiefComplaint || 'Not provided'}
+
+**Demographics:**
+${formatJson(demographics)}
+
+**Medical History:**
+${formatJson(medicalHistory)}
+
+**Current Medications:**
+${formatMedications(medications, intake.normalizedMedications)}
+
+**Allergies:**
+${formatAllergies(allergies)}
+
+**Social History:**
+${formatJson(socialHistory)}
+
+**Review of Systems:**
+${formatJson(reviewOfSystems)}${formatResponses(intake.responses)}`;
+}
+
+/**
+ * Format form template answers that do not map onto a standard intake field
+ */
+function formatResponses(responses) {
+  const unmapped = (Array.isArray(responses) ? responses : []).filter((r) => !r.field);
+  if (unmapped.length === 0) return '';
+
+  const lines = unmapped.map(
+    (r) => `- ${r.label}: ${typeof r.value === 'object' ? JSON.stringify(r.value) : r.value}`
+  );
+
+  return `\n\n**Additional Responses:**\n${lines.join('\n')}`;
+}
+
+/**
+ * Format JSON data for the prompt
+ */
+function formatJson(data) {
+  if (!data) return 'Not provided';
+  if (typeof data === 'string') return data;
+
+  try {
+    const formatted = [];
+    for (const [key, value] of Object.entries(data)) {
+      const label = key.replace(/([A-Z])/g, ' $1').replace(/^./, (str) => str.toUpperCase());
+      formatted.push(`- ${label}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+    }
+    return formatted.join('\n') || 'Not provided';
+  } catch {
+    return 'Not provided';
+  }
+}
+
+/**
+ * Format medications list, using the normalized entries when available
+ */
+function formatMedications(medications, normalized) {
+  if (Array.isArray(normalized) && normalized.length > 0) {
+    return normalized.map(formatNormalizedMedication).join('\n');
+  }
+
+  if (!medications || !Array.isArray(medications) || medications.length === 0) {
+    return 'None reported';
+  }
+
+  return medications
+    .map((med) => {
+      if (typeof med === 'string') return `- ${med}`;
+      return `- ${med.name || 'Unknown'}${med.dosage ? ` (${med.dosage})` : ''}${med.frequency ? ` - ${med.frequency}` : ''}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Format a normalized medication: "Coumadin (warfarin) - 5 mg, oral, QD"
+ */
+function formatNormalizedMedication(med) {
+  const showGeneric = med.name && !med.input.toLowerCase().includes(med.name.toLowerCase());
+  const dose = [
+    med.amount !== null && `${med.amount} ${med.unit}`,
+    med.route,
+    med.frequency,
+    med.asNeeded && 'as needed',
+  ].filter(Boolean).join(', ');
+
+  return `- ${med.input}${showGeneric ? ` (${med.name})` : ''}${dose ? ` - ${dose}` : ''}`;
+}
+
+/**
+ * Format allergies list
+ */
+function formatAllergies(allergies) {
+  if (!allergies || !Array.isArray(allergies) || allergies.length === 0) {
+    return 'No known allergies (NKDA)';
+  }
+
+  return allergies
+    .map((allergy) => {
+      if (typeof allergy === 'string') return `- ${allergy}`;
+      return `- ${allergy.allergen || 'Unknown'}${allergy.reaction ? ` → ${allergy.reaction}` : ''}`;
+    })
+    .join('\n');
+}
+
+module.exports = {
+  generateSummary,
+  generateSummaryStream,
+  buildSummaryResult,
+};
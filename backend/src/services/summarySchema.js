@@ -0,0 +1,227 @@
+const { SchemaType } = require('@google/generative-ai');
+
+const SYSTEMS = [
+  'general',
+  'cardiovascular',
+  'respiratory',
+  'gastrointestinal',
+  'neurological',
+  'musculoskeletal',
+  'psychiatric',
+  'integumentary',
+  'endocrine',
+];
+
+const LIFESTYLE_FACTORS = ['smoking', 'alcohol', 'exercise', 'diet', 'sleep', 'stress'];
+
+const SEVERITIES = ['low', 'medium', 'high'];
+
+const nullableString = { type: SchemaType.STRING, nullable: true };
+
+const objectOf = (keys) => ({
+  type: SchemaType.OBJECT,
+  properties: Object.fromEntries(keys.map((key) => [key, nullableString])),
+});
+
+/**
+ * Response schema passed to the model (mirrors the app's Summary model)
+ */
+const SUMMARY_RESPONSE_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    chiefComplaint: { type: SchemaType.STRING },
+    medications: {
+      type: SchemaType.ARRAY,
+      items: {
+        type: SchemaType.OBJECT,
+        properties: {
+          name: { type: SchemaType.STRING },
+          dosage: nullableString,
+          frequency: nullableString,
+          purpose: nullableString,
+        },
+        required: ['name'],
+      },
+    },
+    allergies: {
+      type: SchemaType.ARRAY,
+      items: {
+        type: SchemaType.OBJECT,
+        properties: {
+          allergen: { type: SchemaType.STRING },
+          reaction: nullableString,
+        },
+        required: ['allergen'],
+      },
+    },
+    systemsReview: objectOf(SYSTEMS),
+    relevantHistory: { type: SchemaType.STRING },
+    lifestyle: objectOf(LIFESTYLE_FACTORS),
+    redFlags: {
+      type: SchemaType.ARRAY,
+      items: {
+        type: SchemaType.OBJECT,
+        properties: {
+          flag: { type: SchemaType.STRING },
+          severity: { type: SchemaType.STRING, enum: SEVERITIES },
+          details: nullableString,
+          recommendation: nullableString,
+        },
+        required: ['flag', 'severity'],
+      },
+    },
+  },
+  required: [
+    'chiefComplaint',
+    'medications',
+    'allergies',
+    'systemsReview',
+    'relevantHistory',
+    'lifestyle',
+    'redFlags',
+  ],
+};
+
+/**
+ * Coerce a value to a trimmed string, or null when empty
+ */
+function toText(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'object') value = JSON.stringify(value);
+  const text = String(value).trim();
+  return text || null;
+}
+
+function toSection(value, keys) {
+  const source = value && typeof value === 'object' ? value : {};
+  return Object.fromEntries(keys.map((key) => [key, toText(source[key])]));
+}
+
+function toSeverity(value) {
+  const severity = String(value || '').toLowerCase();
+  if (severity === 'critical') return 'high';
+  return SEVERITIES.includes(severity) ? severity : 'medium';
+}
+
+/**
+ * Extract the JSON object from model output, tolerating code fences and
+ * leading/trailing prose
+ */
+function extractJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+    try {
+      return JSON.parse(text.slice(start, end + 1));
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * Parse and repair structured summary output from the model
+ * @param {string} text - Raw model output
+ * @returns {Object|null} - Normalized structured summary, or null if unparseable
+ */
+function parseStructuredSummary(text) {
+  const raw = extractJson(text || '');
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+
+  const medications = (Array.isArray(raw.medications) ? raw.medications : [])
+    .map((med) => (typeof med === 'string' ? { name: med } : med || {}))
+    .filter((med) => toText(med.name))
+    .map((med) => ({
+      name: toText(med.name),
+      dosage: toText(med.dosage),
+      frequency: toText(med.frequency),
+      purpose: toText(med.purpose),
+      isVerified: null,
+    }));
+
+  const allergies = (Array.isArray(raw.allergies) ? raw.allergies : [])
+    .map((allergy) => (typeof allergy === 'string' ? { allergen: allergy } : allergy || {}))
+    .filter((allergy) => toText(allergy.allergen))
+    .map((allergy) => ({
+      allergen: toText(allergy.allergen),
+      reaction: toText(allergy.reaction),
+      isVerified: null,
+    }));
+
+  const redFlags = (Array.isArray(raw.redFlags) ? raw.redFlags : [])
+    .map((rf) => (typeof rf === 'string' ? { flag: rf } : rf || {}))
+    .filter((rf) => toText(rf.flag))
+    .map((rf) => ({
+      flag: toText(rf.flag),
+      severity: toSeverity(rf.severity),
+      details: toText(rf.details),
+      recommendation: toText(rf.recommendation),
+      source: 'AI',
+      isVerified: null,
+    }));
+
+  return {
+    chiefComplaint: toText(raw.chiefComplaint) || '',
+    medications,
+    allergies,
+    systemsReview: toSection(raw.systemsReview, SYSTEMS),
+    relevantHistory: toText(raw.relevantHistory) || '',
+    lifestyle: toSection(raw.lifestyle, LIFESTYLE_FACTORS),
+    redFlags,
+  };
+}
+
+const unverified = (item) => (item.isVerified === false ? ' _(unverified)_' : '');
+
+const label = (key) => key.replace(/([A-Z])/g, ' $1').replace(/^./, (str) => str.toUpperCase());
+
+/**
+ * Render a structured summary as markdown for text-only consumers
+ * @param {Object} structured - Normalized structured summary
+ * @returns {string}
+ */
+function renderSummaryMarkdown(structured) {
+  const sections = [`## Chief Complaint\n${structured.chiefComplaint || 'Not provided'}`];
+
+  const medications = structured.medications.map((med) => {
+    const details = [med.dosage, med.frequency].filter(Boolean).join(', ');
+    return `- ${med.name}${details ? ` (${details})` : ''}${med.purpose ? ` - ${med.purpose}` : ''}${unverified(med)}`;
+  });
+  sections.push(`## Medications\n${medications.join('\n') || 'None reported'}`);
+
+  const allergies = structured.allergies.map(
+    (allergy) => `- ${allergy.allergen}${allergy.reaction ? ` → ${allergy.reaction}` : ''}${unverified(allergy)}`
+  );
+  sections.push(`## Allergies\n${allergies.join('\n') || 'No known allergies (NKDA)'}`);
+
+  const systems = Object.entries(structured.systemsReview)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `- **${label(key)}:** ${value}`);
+  sections.push(`## Review of Systems\n${systems.join('\n') || 'Not provided'}`);
+
+  sections.push(`## Relevant History\n${structured.relevantHistory || 'Not provided'}`);
+
+  const lifestyle = Object.entries(structured.lifestyle)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `- **${label(key)}:** ${value}`);
+  sections.push(`## Lifestyle\n${lifestyle.join('\n') || 'Not provided'}`);
+
+  const redFlags = structured.redFlags.map(
+    (rf) =>
+      `- [RED FLAG] **${rf.flag}** (${rf.severity})` +
+      `${rf.details ? ` - ${rf.details}` : ''}${unverified(rf)}` +
+      `${rf.recommendation ? `\n  - Recommendation: ${rf.recommendation}` : ''}`
+  );
+  sections.push(`## Red Flags\n${redFlags.join('\n') || 'No immediate red flags identified'}`);
+
+  return sections.join('\n\n');
+}
+
+module.exports = {
+  SUMMARY_RESPONSE_SCHEMA,
+  parseStructuredSummary,
+  renderSummaryMarkdown,
+};
@@ -0,0 +1,58 @@
+const { PrismaClient } = require('@prisma/client');
+const { generateSummary } = require('./summaryGenerator');
+
+const prisma = new PrismaClient();
+
+/**
+ * Generate an AI summary for an intake and save it. An automatic summary's
+ * status becomes READY, which also clears an earlier automatic failure.
+ * @param {Object} intake - Intake record
+ * @returns {Object} - Saved summary
+ */
+async function createSummary(intake) {
+  return saveSummary(intake.id, await generateSummary(intake));
+}
+
+/**
+ * Save a generated (or streamed) summary with its verification result and mark
+ * the intake's automatic summary READY. Intakes without one keep a null status.
+ * @param {string} intakeId
+ * @param {Object} result - From generateSummary or buildSummaryResult
+ * @returns {Object} - Saved summary
+ */
+async function saveSummary(intakeId, result) {
+  const [summary] = await prisma.$transaction([
+    prisma.summary.create({
+      data: {
+        intakeId,
+        content: result.content,
+        structured: result.structured,
+        groundingScore: result.groundingScore,
+        model: result.model,
+        tokensUsed: result.tokensUsed,
+      },
+    }),
+    prisma.intake.updateMany({
+      where: { id: intakeId, summaryStatus: { not: null } },
+      data: { summaryStatus: 'READY' },
+    }),
+  ]);
+
+  return summary;
+}
+
+/**
+ * Mark an intake's automatic summary as failed once its job is out of retries
+ */
+async function markSummaryFailed(intakeId) {
+  await prisma.intake.updateMany({
+    where: { id: intakeId, summaryStatus: 'PENDING' },
+    data: { summaryStatus: 'FAILED' },
+  });
+}
+
+module.exports = {
+  createSummary,
+  saveSummary,
+  markSummaryFailed,
+};
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+ * HMAC-SHA1, 6 digits, 30-second steps, base32 secrets.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as unpadded base32 (the form authenticator apps expect)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {string} input
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * New random secret (160 bits, as RFC 4226 recommends)
+ * @returns {string} - Base32 secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Time step a moment falls in
+ * @param {number} timeMs
+ */
+const timeStep = (timeMs) => Math.floor(timeMs / 1000 / STEP_SECONDS);
+
+/**
+ * HOTP value for a counter (RFC 4226)
+ * @param {Buffer} key
+ * @param {number} counter
+ * @param {number} digits
+ * @returns {string} - Zero-padded code
+ */
+function hotp(key, counter, digits = DIGITS) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Current code for a secret
+ * @param {string} secret - Base32 secret
+ * @param {number} timeMs - Defaults to now
+ * @returns {string}
+ */
+function generateTotp(secret, timeMs = Date.now()) {
+  return hotp(base32Decode(secret), timeStep(timeMs));
+}
+
+/**
+ * Check a code, allowing one step of clock drift either way. Steps at or
+ * before afterStep are refused, so an accepted code cannot be used again.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { timeMs, afterStep, window }
+ * @returns {number|null} - The matched time step, or null
+ */
+function verifyTotp(secret, code, { timeMs = Date.now(), afterStep = null, window = 1 } = {}) {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const key = base32Decode(secret);
+  const current = timeStep(timeMs);
+
+  for (let step = current - window; step <= current + window; step++) {
+    if (afterStep !== null && step <= afterStep) continue;
+
+    const expected = Buffer.from(hotp(key, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * otpauth:// URI for enrolling an authenticator app (usually shown as a QR code)
+ * @param {Object} options - { secret, accountName, issuer }
+ * @returns {string}
+ */
+function otpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Single-use recovery codes, formatted xxxxx-xxxxx for reading off paper
+ * @param {number} count
+ * @returns {string[]}
+ */
+function generateBackupCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+/**
+ * Canonical form of an entered backup code (case and separators ignored)
+ * @param {string} code
+ * @returns {string}
+ */
+const normalizeBackupCode = (code) => String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  generateTotp,
+  verifyTotp,
+  otpauthUri,
+  generateBackupCodes,
+  normalizeBackupCode,
+};
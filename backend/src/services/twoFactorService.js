@@ -0,0 +1,105 @@
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+const { verifyTotp, generateBackupCodes, normalizeBackupCode } = require('./totpService');
+
+const prisma = new PrismaClient();
+
+const BACKUP_CODE_COUNT = 10;
+
+/**
+ * Replace a user's backup codes with a fresh set
+ * @param {string} userId
+ * @returns {Promise<Array>} - [plain codes, prisma operations to run in the caller's transaction]
+ */
+async function createBackupCodes(userId) {
+  const codes = generateBackupCodes(BACKUP_CODE_COUNT);
+  const hashes = await Promise.all(codes.map((code) => bcrypt.hash(normalizeBackupCode(code), 10)));
+
+  return [
+    codes,
+    [
+      prisma.twoFactorBackupCode.deleteMany({ where: { userId } }),
+      prisma.twoFactorBackupCode.createMany({
+        data: hashes.map((codeHash) => ({ userId, codeHash })),
+      }),
+    ],
+  ];
+}
+
+/**
+ * Accept an authenticator code, recording its step so it cannot be used again
+ * @param {Object} user - { id, twoFactorSecret, twoFactorLastStep }
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+async function consumeTotp(user, code) {
+  const step = verifyTotp(user.twoFactorSecret, code, { afterStep: user.twoFactorLastStep });
+  if (step === null) return false;
+
+  // Conditional so two requests racing with the same code cannot both succeed
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }],
+    },
+    data: { twoFactorLastStep: step },
+  });
+
+  return count === 1;
+}
+
+/**
+ * Accept a backup code, marking it used
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+async function consumeBackupCode(userId, code) {
+  const normalized = normalizeBackupCode(code);
+  const unused = await prisma.twoFactorBackupCode.findMany({
+    where: { userId, usedAt: null },
+  });
+
+  for (const backupCode of unused) {
+    if (await bcrypt.compare(normalized, backupCode.codeHash)) {
+      const { count } = await prisma.twoFactorBackupCode.updateMany({
+        where: { id: backupCode.id, usedAt: null },
+        data: { usedAt: new Date() },
+      });
+      return count === 1;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Check the second factor for a user with 2FA enabled: an authenticator
+ * code or, failing that, a backup code
+ * @param {Object} user - { id, twoFactorSecret, twoFactorLastStep }
+ * @param {Object} factor - { code, backupCode }
+ * @returns {Promise<string|null>} - 'totp' | 'backup-code', or null when rejected
+ */
+async function verifySecondFactor(user, { code, backupCode }) {
+  if (code) {
+    return (await consumeTotp(user, code)) ? 'totp' : null;
+  }
+  if (backupCode) {
+    return (await consumeBackupCode(user.id, backupCode)) ? 'backup-code' : null;
+  }
+  return null;
+}
+
+/**
+ * Number of backup codes a user has left
+ * @param {string} userId
+ */
+const countBackupCodes = (userId) =>
+  prisma.twoFactorBackupCode.count({ where: { userId, usedAt: null } });
+
+module.exports = {
+  createBackupCodes,
+  consumeTotp,
+  verifySecondFactor,
+  countBackupCodes,
+};
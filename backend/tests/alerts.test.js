@@ -0,0 +1,287 @@
+const http = require('http');
+const request = require('supertest');
+const app = require('../src/index');
+const { PrismaClient } = require('@prisma/client');
+const { setNotifier } = require('../src/services/notificationService');
+const { selectEscalationLevel, escalateRedFlagAlerts } = require('../src/jobs/redFlagAlertJobs');
+
+const prisma = new PrismaClient();
+
+const MINUTE_MS = 60 * 1000;
+
+describe('Alerts', () => {
+  let accessToken;
+  let patientId;
+  let server;
+  let send;
+
+  const testUser = {
+    email: 'alerts-doctor@example.com',
+    password: 'DoctorPass123',
+    firstName: 'Alerts',
+    lastName: 'Doctor',
+  };
+
+  const escalation = { channels: ['email'], escalationMinutes: 15, maxEscalations: 2 };
+
+  const submitIntake = async (chiefComplaint) => {
+    const linkRes = await request(app)
+      .post('/api/intake-links')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ patientId });
+
+    const submitRes = await request(app)
+      .post(`/api/intake-links/${linkRes.body.data.intakeLink.token}/submit`)
+      .send({ chiefComplaint, consentGiven: true, consentVersion: '2024-06' });
+
+    return submitRes.body.data.intakeId;
+  };
+
+  const findCriticalFlag = (intakeId) =>
+    prisma.redFlag.findFirst({
+      where: { intakeId, severity: 'CRITICAL' },
+      include: { alerts: { orderBy: { level: 'asc' } } },
+    });
+
+  // Wait for async red flag detection and the initial alert
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 200));
+
+  /**
+   * Open the alert stream and collect parsed events
+   */
+  const openStream = () =>
+    new Promise((resolve, reject) => {
+      const events = [];
+      const req = http.get(
+        `http://127.0.0.1:${server.address().port}/api/alerts/stream`,
+        { headers: { Authorization: `Bearer ${accessToken}` } },
+        (res) => {
+          let buffer = '';
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => {
+            buffer += chunk;
+            const blocks = buffer.split('\n\n');
+            buffer = blocks.pop();
+
+            for (const block of blocks) {
+              const event = block.match(/^event: (.+)$/m);
+              const data = block.match(/^data: (.+)$/m);
+              if (event && data) events.push({ type: event[1], data: JSON.parse(data[1]) });
+            }
+          });
+          resolve({ res, events, close: () => req.destroy() });
+        }
+      );
+      req.on('error', reject);
+    });
+
+  beforeAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: testUser.email },
+    });
+
+    const registerRes = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+    accessToken = registerRes.body.data.accessToken;
+
+    const patientRes = await request(app)
+      .post('/api/patients')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({
+        firstName: 'Alert',
+        lastName: 'Patient',
+        email: 'alerts-patient@test.com',
+        dateOfBirth: '1968-04-12',
+      });
+    patientId = patientRes.body.data.patient.id;
+
+    server = app.listen(0);
+  });
+
+  beforeEach(() => {
+    send = jest.fn().mockResolvedValue({ messageId: 'alert-1' });
+    setNotifier('email', { name: 'mock', send });
+  });
+
+  afterAll(async () => {
+    server.close();
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: testUser.email },
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('GET /api/alerts/stream', () => {
+    it('should require authentication', async () => {
+      await request(app).get('/api/alerts/stream').expect(401);
+    });
+
+    it('should push new submissions and red flags', async () => {
+      const stream = await openStream();
+      expect(stream.res.headers['content-type']).toContain('text/event-stream');
+
+      const intakeId = await submitIntake('Crushing chest pain since this morning');
+      await settle();
+      stream.close();
+
+      expect(stream.events.map((event) => event.type)).toEqual(['ready', 'intakeSubmitted', 'redFlag']);
+      expect(stream.events[1].data).toEqual(
+        expect.objectContaining({ intakeId, patientId, patientName: 'Alert Patient' })
+      );
+      expect(stream.events[2].data).toEqual(
+        expect.objectContaining({ intakeId, category: 'cardiac', severity: 'CRITICAL', source: 'KEYWORD' })
+      );
+    });
+
+    it('should push manual red flags', async () => {
+      const intakeId = await submitIntake('Routine follow-up');
+      await settle();
+
+      const stream = await openStream();
+      await request(app)
+        .post('/api/red-flags')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ intakeId, category: 'social', description: 'Missed last two visits', severity: 'LOW' })
+        .expect(201);
+      await settle();
+      stream.close();
+
+      expect(stream.events[1]).toEqual({
+        type: 'redFlag',
+        data: expect.objectContaining({ intakeId, source: 'MANUAL', severity: 'LOW' }),
+      });
+    });
+  });
+
+  describe('critical alerts', () => {
+    it('should alert the provider once per critical flag', async () => {
+      const intakeId = await submitIntake('Anaphylaxis after a bee sting last week');
+      await settle();
+
+      const redFlag = await findCriticalFlag(intakeId);
+      expect(redFlag.alerts).toHaveLength(1);
+      expect(redFlag.alerts[0]).toEqual(expect.objectContaining({ level: 0, status: 'SENT' }));
+
+      expect(send).toHaveBeenCalledTimes(1);
+      const message = send.mock.calls[0][0];
+      expect(message.to).toBe(testUser.email);
+      expect(message.text).not.toContain('bee sting');
+    });
+
+    it('should not alert for non-critical flags', async () => {
+      await submitIntake('Severe headache for three days');
+      await settle();
+
+      expect(send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('selectEscalationLevel', () => {
+    const now = new Date('2030-01-15T12:00:00Z');
+
+    const sent = (level, minutesAgo) => ({
+      level,
+      status: 'SENT',
+      attempts: 1,
+      sentAt: new Date(now.getTime() - minutesAgo * MINUTE_MS),
+    });
+
+    it('should escalate once the window has passed', () => {
+      expect(selectEscalationLevel(sent(0, 16), escalation, now)).toBe(1);
+    });
+
+    it('should wait for the window and stop at the maximum', () => {
+      expect(selectEscalationLevel(sent(0, 5), escalation, now)).toBeNull();
+      expect(selectEscalationLevel(sent(2, 60), escalation, now)).toBeNull();
+    });
+
+    it('should retry a failed level, up to a limit', () => {
+      const failed = { level: 1, status: 'FAILED', attempts: 1, sentAt: null };
+
+      expect(selectEscalationLevel(failed, escalation, now)).toBe(1);
+      expect(selectEscalationLevel({ ...failed, attempts: 5 }, escalation, now)).toBeNull();
+    });
+
+    it('should retry a level whose send was interrupted', () => {
+      const notSent = (minutesAgo) => ({
+        level: 1,
+        status: 'NOT_SENT',
+        attempts: 1,
+        attemptedAt: new Date(now.getTime() - minutesAgo * MINUTE_MS),
+        sentAt: null,
+      });
+
+      expect(selectEscalationLevel(notSent(2), escalation, now)).toBeNull();
+      expect(selectEscalationLevel(notSent(11), escalation, now)).toBe(1);
+      expect(selectEscalationLevel({ ...notSent(11), attempts: 5 }, escalation, now)).toBeNull();
+    });
+  });
+
+  describe('escalateRedFlagAlerts', () => {
+    let intakeId;
+    let redFlagId;
+
+    beforeAll(async () => {
+      intakeId = await submitIntake('Suicidal thoughts most days');
+      await settle();
+      redFlagId = (await findCriticalFlag(intakeId)).id;
+
+      // Leave only this flag open for the provider
+      await prisma.redFlag.updateMany({
+        where: { intake: { patientId }, id: { not: redFlagId } },
+        data: { acknowledgedAt: new Date() },
+      });
+    });
+
+    // The job is global; only count messages to this provider
+    const providerMessages = () =>
+      send.mock.calls.map(([message]) => message).filter((message) => message.to === testUser.email);
+
+    it('should escalate an unacknowledged flag once per window', async () => {
+      const later = new Date(Date.now() + 16 * MINUTE_MS);
+
+      await escalateRedFlagAlerts(later, escalation);
+      await escalateRedFlagAlerts(later, escalation);
+
+      const redFlag = await findCriticalFlag(intakeId);
+      expect(redFlag.alerts.map((alert) => alert.level)).toEqual([0, 1]);
+      expect(providerMessages()).toHaveLength(1);
+      expect(providerMessages()[0].subject).toContain('[Escalation 1]');
+    });
+
+    it('should retry a level until a delivery succeeds', async () => {
+      send.mockRejectedValueOnce(new Error('SMTP unavailable'));
+      const later = new Date(Date.now() + 40 * MINUTE_MS);
+
+      await escalateRedFlagAlerts(later, escalation);
+      let redFlag = await findCriticalFlag(intakeId);
+      expect(redFlag.alerts[2]).toEqual(
+        expect.objectContaining({ level: 2, status: 'FAILED', sentAt: null })
+      );
+
+      await escalateRedFlagAlerts(later, escalation);
+      redFlag = await findCriticalFlag(intakeId);
+      expect(redFlag.alerts[2]).toEqual(expect.objectContaining({ level: 2, status: 'SENT', attempts: 2 }));
+    });
+
+    it('should stop escalating once acknowledged', async () => {
+      await request(app)
+        .post(`/api/red-flags/${redFlagId}/acknowledge`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      await escalateRedFlagAlerts(new Date(Date.now() + 60 * MINUTE_MS), escalation);
+
+      const redFlag = await findCriticalFlag(intakeId);
+      expect(redFlag.alerts).toHaveLength(3);
+      expect(providerMessages()).toEqual([]);
+    });
+  });
+});
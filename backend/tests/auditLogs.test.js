@@ -0,0 +1,149 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+describe('Audit Log Endpoints', () => {
+  let accessToken;
+  let userId;
+  let patientId;
+
+  const testUser = {
+    email: 'audit-doctor@example.com',
+    password: 'DoctorPass123',
+    firstName: 'Audit',
+    lastName: 'Doctor',
+  };
+
+  const testPatient = {
+    firstName: 'Audit',
+    lastName: 'Patient',
+    email: 'audit-patient@test.com',
+    dateOfBirth: '1975-08-01',
+  };
+
+  beforeAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: testUser.email },
+    });
+
+    const registerRes = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+
+    accessToken = registerRes.body.data.accessToken;
+    userId = registerRes.body.data.user.id;
+
+    const patientRes = await request(app)
+      .post('/api/patients')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send(testPatient);
+
+    patientId = patientRes.body.data.patient.id;
+
+    // Generate a READ entry
+    await request(app)
+      .get(`/api/patients/${patientId}`)
+      .set('Authorization', `Bearer ${accessToken}`);
+  });
+
+  afterAll(async () => {
+    await prisma.auditLog.deleteMany({
+      where: { providerId: userId },
+    });
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: testUser.email },
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('GET /api/audit-logs', () => {
+    it('should return audit entries for the provider', async () => {
+      const res = await request(app)
+        .get('/api/audit-logs')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(res.body.success).toBe(true);
+      expect(Array.isArray(res.body.data.auditLogs)).toBe(true);
+      expect(res.body.data.pagination).toBeDefined();
+
+      const actions = res.body.data.auditLogs.map((log) => log.action);
+      expect(actions).toContain('CREATE');
+      expect(actions).toContain('READ');
+    });
+
+    it('should filter by entity and action', async () => {
+      const res = await request(app)
+        .get(`/api/audit-logs?entityType=PATIENT&entityId=${patientId}&action=READ`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(res.body.data.auditLogs.length).toBeGreaterThan(0);
+      res.body.data.auditLogs.forEach((log) => {
+        expect(log.entityType).toBe('PATIENT');
+        expect(log.entityId).toBe(patientId);
+        expect(log.action).toBe('READ');
+        expect(log.userId).toBe(userId);
+      });
+    });
+
+    it('should record list reads with the filters and returned ids', async () => {
+      await request(app)
+        .get('/api/patients?search=Audit')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const res = await request(app)
+        .get('/api/audit-logs?entityType=PATIENT&action=READ')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const listRead = res.body.data.auditLogs.find((log) => log.entityId === null);
+      expect(listRead.newValues.filters.search).toBe('Audit');
+      expect(listRead.newValues.ids).toContain(patientId);
+    });
+
+    it('should filter by date range', async () => {
+      const res = await request(app)
+        .get('/api/audit-logs?to=2000-01-01T00:00:00Z')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(res.body.data.auditLogs).toHaveLength(0);
+    });
+
+    it('should never include password hashes', async () => {
+      const res = await request(app)
+        .get('/api/audit-logs?entityType=USER')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      res.body.data.auditLogs.forEach((log) => {
+        expect(log.newValues?.passwordHash).toBeUndefined();
+      });
+    });
+
+    it('should reject invalid action filter', async () => {
+      const res = await request(app)
+        .get('/api/audit-logs?action=BOGUS')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(400);
+
+      expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should reject without authentication', async () => {
+      const res = await request(app).get('/api/audit-logs').expect(401);
+
+      expect(res.body.success).toBe(false);
+    });
+  });
+});
@@ -18,6 +18,9 @@ describe('Authentication Endpoints', () => {
 
   beforeAll(async () => {
     // Clean up test data
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
     await prisma.user.deleteMany({
       where: { email: testUser.email },
     });
@@ -25,6 +28,9 @@ describe('Authentication Endpoints', () => {
 
   afterAll(async () => {
     // Clean up
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
     await prisma.user.deleteMany({
       where: { email: testUser.email },
     });
@@ -0,0 +1,213 @@
+const request = require('supertest');
+const { PrismaClient } = require('@prisma/client');
+const app = require('../src/index');
+const { JOB_HANDLERS, JOB_FAILURE_HANDLERS } = require('../src/jobs/handlers');
+const { runQueuedJob } = require('../src/services/jobQueue');
+const { setLlmProvider } = require('../src/services/llmService');
+const createMockProvider = require('../src/services/llmProviders/mockProvider');
+
+const prisma = new PrismaClient();
+
+describe('Automatic Summaries', () => {
+  let accessToken;
+  let providerId;
+  let patientId;
+
+  const testUser = {
+    email: 'auto-summary-doctor@example.com',
+    password: 'DoctorPass123',
+    firstName: 'Auto',
+    lastName: 'Summary',
+  };
+
+  const failingProvider = {
+    name: 'failing',
+    model: 'failing',
+    generate: async () => {
+      throw new Error('quota exceeded');
+    },
+  };
+
+  const setAutoGenerate = (autoGenerateSummaries) =>
+    request(app)
+      .patch('/api/settings')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ autoGenerateSummaries })
+      .expect(200);
+
+  const submitIntake = async () => {
+    const linkRes = await request(app)
+      .post('/api/intake-links')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ patientId });
+
+    const submitRes = await request(app)
+      .post(`/api/intake-links/${linkRes.body.data.intakeLink.token}/submit`)
+      .send({
+        chiefComplaint: 'Knee pain after running',
+        consentGiven: true,
+        consentVersion: '2024-06',
+      });
+
+    // Wait for the worker to run the queued jobs
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    return submitRes.body.data.intakeId;
+  };
+
+  const getIntake = async (intakeId) => {
+    const res = await request(app)
+      .get(`/api/intakes/${intakeId}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+    return res.body.data;
+  };
+
+  beforeAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: testUser.email },
+    });
+
+    const registerRes = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+    accessToken = registerRes.body.data.accessToken;
+    providerId = registerRes.body.data.user.id;
+
+    const patientRes = await request(app)
+      .post('/api/patients')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({
+        firstName: 'Auto',
+        lastName: 'Patient',
+        email: 'auto-summary-patient@test.com',
+        dateOfBirth: '1990-06-21',
+      });
+    patientId = patientRes.body.data.patient.id;
+  });
+
+  afterEach(() => {
+    setLlmProvider(createMockProvider());
+  });
+
+  afterAll(async () => {
+    await prisma.job.deleteMany({ where: { providerId } });
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: testUser.email },
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('PATCH /api/settings', () => {
+    it('should default to off', async () => {
+      const res = await request(app)
+        .get('/api/settings')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(res.body.data.settings).toEqual({ autoGenerateSummaries: false });
+    });
+
+    it('should turn automatic summaries on', async () => {
+      const res = await setAutoGenerate(true);
+      expect(res.body.data.settings.autoGenerateSummaries).toBe(true);
+    });
+
+    it('should reject a non-boolean value', async () => {
+      await request(app)
+        .patch('/api/settings')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ autoGenerateSummaries: 'yes' })
+        .expect(400);
+    });
+  });
+
+  describe('on submit', () => {
+    it('should generate the summary in the background', async () => {
+      const intakeId = await submitIntake();
+      const { intake, jobs } = await getIntake(intakeId);
+
+      expect(intake.summaryStatus).toBe('ready');
+      expect(intake.summaries).toHaveLength(1);
+      expect(intake.summaries[0].model).toBe('mock');
+      expect(intake.summaries[0].content).toContain('Knee pain after running');
+      expect(jobs.map((job) => [job.type, job.status])).toEqual(
+        expect.arrayContaining([['generate-summary', 'completed']])
+      );
+    });
+
+    it('should stay pending while retrying, then report the failure', async () => {
+      setLlmProvider(failingProvider);
+
+      const intakeId = await submitIntake();
+      let data = await getIntake(intakeId);
+      const job = data.jobs.find((j) => j.type === 'generate-summary');
+
+      expect(data.intake.summaryStatus).toBe('pending');
+      expect(job).toEqual(
+        expect.objectContaining({
+          status: 'pending',
+          attempts: 1,
+          lastError: 'Failed to generate AI summary',
+        })
+      );
+
+      // Final attempt
+      const failedJob = await runQueuedJob(
+        await prisma.job.update({
+          where: { id: job.id },
+          data: { status: 'RUNNING', attempts: 5, maxAttempts: 5, runAt: new Date('2100-01-01') },
+        }),
+        JOB_HANDLERS,
+        JOB_FAILURE_HANDLERS
+      );
+      expect(failedJob.status).toBe('FAILED');
+
+      data = await getIntake(intakeId);
+      expect(data.intake.summaryStatus).toBe('failed');
+
+      const listRes = await request(app)
+        .get('/api/intakes')
+        .query({ patientId })
+        .set('Authorization', `Bearer ${accessToken}`);
+      expect(listRes.body.data.intakes.find((i) => i.id === intakeId).summaryStatus).toBe('failed');
+
+      // A manual generation recovers it
+      setLlmProvider(createMockProvider());
+      await request(app)
+        .post('/api/summaries/generate')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ intakeId })
+        .expect(201);
+
+      data = await getIntake(intakeId);
+      expect(data.intake.summaryStatus).toBe('ready');
+    });
+
+    it('should not queue a summary when the setting is off', async () => {
+      await setAutoGenerate(false);
+
+      const intakeId = await submitIntake();
+      const { intake, jobs } = await getIntake(intakeId);
+
+      expect(intake.summaryStatus).toBeNull();
+      expect(intake.summaries).toHaveLength(0);
+      expect(jobs.map((job) => job.type)).toEqual(['detect-red-flags']);
+
+      // A manual summary is not an automatic one, so there is still no status
+      await request(app)
+        .post('/api/summaries/generate')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ intakeId })
+        .expect(201);
+
+      expect((await getIntake(intakeId)).intake.summaryStatus).toBeNull();
+    });
+  });
+});
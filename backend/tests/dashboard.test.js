@@ -0,0 +1,138 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+describe('Dashboard Endpoints', () => {
+  let accessToken;
+  let patientId;
+
+  const testUser = {
+    email: 'dashboard-doctor@example.com',
+    password: 'DoctorPass123',
+    firstName: 'Dashboard',
+    lastName: 'Doctor',
+  };
+
+  beforeAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: testUser.email },
+    });
+
+    const registerRes = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+    accessToken = registerRes.body.data.accessToken;
+
+    const patientRes = await request(app)
+      .post('/api/patients')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({
+        firstName: 'Dash',
+        lastName: 'Patient',
+        email: 'dashboard-patient@test.com',
+        dateOfBirth: '1990-01-01',
+      });
+    patientId = patientRes.body.data.patient.id;
+
+    const linkRes = await request(app)
+      .post('/api/intake-links')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ patientId });
+
+    await request(app)
+      .put(`/api/intake-links/${linkRes.body.data.intakeLink.token}/draft`)
+      .send({ chiefComplaint: 'Chest pain when walking' });
+
+    await request(app)
+      .post(`/api/intake-links/${linkRes.body.data.intakeLink.token}/submit`)
+      .send({ consentGiven: true, consentVersion: '2024-06' });
+
+    // Wait for async red flag detection
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  });
+
+  afterAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: testUser.email },
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('GET /api/dashboard', () => {
+    it('should return stats with trends', async () => {
+      const res = await request(app)
+        .get('/api/dashboard')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const { stats } = res.body.data;
+      expect(stats.totalPatients).toBe(1);
+      expect(stats.completedToday).toBe(1);
+      expect(stats.pendingReview).toBe(1);
+      expect(stats.redFlagAlerts).toBeGreaterThan(0);
+      expect(stats.highSeverityAlerts).toBeGreaterThan(0);
+      expect(stats.patientsTrend).toEqual({ value: 1, percentage: 100, isPositive: true });
+      expect(stats.intakesTrend.isPositive).toBe(true);
+    });
+
+    it('should return a chronological activity feed', async () => {
+      const res = await request(app)
+        .get('/api/dashboard')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const { recentActivity } = res.body.data;
+      const types = recentActivity.map((item) => item.type);
+      expect(types).toEqual(
+        expect.arrayContaining([
+          'PATIENT_ADDED',
+          'LINK_SENT',
+          'INTAKE_STARTED',
+          'INTAKE_COMPLETED',
+          'RED_FLAG_DETECTED',
+        ])
+      );
+
+      const timestamps = recentActivity.map((item) => new Date(item.timestamp).getTime());
+      expect(timestamps).toEqual([...timestamps].sort((a, b) => b - a));
+      recentActivity.forEach((item) => {
+        expect(item.patientId).toBe(patientId);
+      });
+    });
+
+    it('should return red flag alerts and review tasks', async () => {
+      const res = await request(app)
+        .get('/api/dashboard')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(res.body.data.redFlagAlerts[0].redFlag.severity).toBe('high');
+      expect(res.body.data.upcomingTasks[0]).toEqual(
+        expect.objectContaining({ taskType: 'REVIEW_INTAKE', priority: 'high' })
+      );
+    });
+
+    it('should limit the activity feed', async () => {
+      const res = await request(app)
+        .get('/api/dashboard?activityLimit=2')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(res.body.data.recentActivity).toHaveLength(2);
+    });
+
+    it('should reject without authentication', async () => {
+      const res = await request(app).get('/api/dashboard').expect(401);
+
+      expect(res.body.success).toBe(false);
+    });
+  });
+});
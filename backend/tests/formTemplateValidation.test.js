@@ -0,0 +1,159 @@
+const {
+  validateTemplateSections,
+  validateAnswers,
+  buildIntakeData,
+} = require('../src/services/formTemplateService');
+
+describe('Form template validation', () => {
+  const sections = [
+    {
+      id: 'visit',
+      title: 'About your visit',
+      questions: [
+        { id: 'reason', label: 'Reason for visit', type: 'textarea', required: true, field: 'chiefComplaint' },
+        { id: 'supplements', label: 'Supplements', type: 'list', field: 'medications' },
+        { id: 'diet', label: 'Diet', type: 'select', options: ['omnivore', 'vegetarian', 'vegan'] },
+      ],
+    },
+    {
+      id: 'lifestyle',
+      title: 'Lifestyle',
+      questions: [
+        { id: 'smoker', label: 'Do you smoke?', type: 'boolean', required: true, field: 'socialHistory' },
+        {
+          id: 'packsPerDay',
+          label: 'Packs per day',
+          type: 'number',
+          required: true,
+          min: 0,
+          field: 'socialHistory',
+          showIf: { questionId: 'smoker', equals: true },
+        },
+        {
+          id: 'quitInterest',
+          label: 'Interested in quitting?',
+          type: 'boolean',
+          showIf: { questionId: 'packsPerDay', in: [1, 2, 3] },
+        },
+      ],
+    },
+  ];
+
+  describe('validateTemplateSections', () => {
+    it('should accept a valid template', () => {
+      expect(validateTemplateSections(sections)).toEqual([]);
+    });
+
+    it('should reject an empty template', () => {
+      expect(validateTemplateSections([])).toEqual([
+        { field: 'sections', message: 'At least one section is required' },
+      ]);
+    });
+
+    it('should report bad questions with their path', () => {
+      const errors = validateTemplateSections([
+        {
+          id: 'a',
+          title: 'A',
+          questions: [
+            { id: 'q1', label: 'Q1', type: 'colour' },
+            { id: 'q1', label: 'Duplicate', type: 'text' },
+            { id: 'q2', label: 'Pick one', type: 'select' },
+            { id: 'q3', label: 'Meds', type: 'text', field: 'medications' },
+          ],
+        },
+      ]);
+
+      const fields = errors.map((e) => e.field);
+      expect(fields).toEqual(
+        expect.arrayContaining([
+          'sections[0].questions[0].type',
+          'sections[0].questions[1].id',
+          'sections[0].questions[2].options',
+          'sections[0].questions[3].field',
+        ])
+      );
+    });
+
+    it('should only allow conditions on earlier questions', () => {
+      const errors = validateTemplateSections([
+        {
+          id: 'a',
+          title: 'A',
+          questions: [
+            { id: 'q1', label: 'Q1', type: 'text', showIf: { questionId: 'q2', equals: 'yes' } },
+            { id: 'q2', label: 'Q2', type: 'text' },
+          ],
+        },
+      ]);
+
+      expect(errors).toEqual([
+        expect.objectContaining({ field: 'sections[0].questions[0].showIf' }),
+      ]);
+    });
+  });
+
+  describe('validateAnswers', () => {
+    it('should require visible required questions', () => {
+      const errors = validateAnswers(sections, { reason: 'Fatigue', smoker: true });
+
+      expect(errors).toEqual([
+        { field: 'answers.packsPerDay', message: 'Packs per day is required' },
+      ]);
+    });
+
+    it('should ignore hidden questions', () => {
+      expect(validateAnswers(sections, { reason: 'Fatigue', smoker: false })).toEqual([]);
+    });
+
+    it('should check answer types and options', () => {
+      const errors = validateAnswers(sections, {
+        reason: 'Fatigue',
+        diet: 'carnivore',
+        smoker: 'yes',
+      });
+
+      expect(errors).toEqual([
+        { field: 'answers.diet', message: 'Not one of the available options' },
+        { field: 'answers.smoker', message: 'Must be true or false' },
+      ]);
+    });
+
+    it('should reject unknown questions', () => {
+      const errors = validateAnswers(sections, { reason: 'Fatigue', smoker: false, shoeSize: 9 });
+
+      expect(errors).toEqual([{ field: 'answers.shoeSize', message: 'Unknown question' }]);
+    });
+  });
+
+  describe('buildIntakeData', () => {
+    it('should map answers onto intake fields and keep all responses', () => {
+      const data = buildIntakeData(sections, {
+        reason: 'Fatigue for two months',
+        supplements: ['Vitamin D 1000 IU'],
+        diet: 'vegan',
+        smoker: true,
+        packsPerDay: 1,
+        quitInterest: true,
+      });
+
+      expect(data.chiefComplaint).toBe('Fatigue for two months');
+      expect(data.medications).toEqual(['Vitamin D 1000 IU']);
+      expect(data.socialHistory).toEqual({ smoker: true, packsPerDay: 1 });
+      expect(data.responses).toHaveLength(6);
+      expect(data.responses[2]).toEqual({ questionId: 'diet', label: 'Diet', field: null, value: 'vegan' });
+    });
+
+    it('should drop answers to questions hidden by an earlier answer', () => {
+      const data = buildIntakeData(sections, {
+        reason: 'Fatigue',
+        smoker: false,
+        packsPerDay: 2,
+        quitInterest: true,
+      });
+
+      expect(data.socialHistory).toEqual({ smoker: false });
+      expect(data.responses.map((r) => r.questionId)).toEqual(['reason', 'smoker']);
+    });
+  });
+});
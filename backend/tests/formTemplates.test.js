@@ -0,0 +1,204 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+describe('Form Template Endpoints', () => {
+  let accessToken;
+  let patientId;
+  let templateId;
+
+  const testUser = {
+    email: 'forms-doctor@example.com',
+    password: 'DoctorPass123',
+    firstName: 'Forms',
+    lastName: 'Doctor',
+  };
+
+  const consent = { consentGiven: true, consentVersion: '2024-06' };
+
+  const pediatricSections = [
+    {
+      id: 'child',
+      title: 'About your child',
+      questions: [
+        { id: 'reason', label: 'Reason for visit', type: 'textarea', required: true, field: 'chiefComplaint' },
+        { id: 'vaccinated', label: 'Vaccinations up to date?', type: 'boolean', required: true },
+        {
+          id: 'missingVaccines',
+          label: 'Which vaccines are missing?',
+          type: 'text',
+          required: true,
+          showIf: { questionId: 'vaccinated', equals: false },
+        },
+      ],
+    },
+  ];
+
+  beforeAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: testUser.email },
+    });
+
+    const registerRes = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+
+    accessToken = registerRes.body.data.accessToken;
+
+    const patientRes = await request(app)
+      .post('/api/patients')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({
+        firstName: 'Child',
+        lastName: 'Patient',
+        email: 'forms-patient@test.com',
+        dateOfBirth: '2018-04-12',
+      });
+
+    patientId = patientRes.body.data.patient.id;
+  });
+
+  afterAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: testUser.email },
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('POST /api/form-templates', () => {
+    it('should create a template at version 1', async () => {
+      const res = await request(app)
+        .post('/api/form-templates')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ name: 'Pediatric intake', sections: pediatricSections, isDefault: true })
+        .expect(201);
+
+      expect(res.body.data.formTemplate.version).toBe(1);
+      expect(res.body.data.formTemplate.isDefault).toBe(true);
+      expect(res.body.data.formTemplate.sections).toEqual(pediatricSections);
+
+      templateId = res.body.data.formTemplate.id;
+    });
+
+    it('should reject an invalid template definition', async () => {
+      const res = await request(app)
+        .post('/api/form-templates')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          name: 'Broken',
+          sections: [{ id: 'a', title: 'A', questions: [{ id: 'q', label: 'Q', type: 'colour' }] }],
+        })
+        .expect(400);
+
+      expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('PUT /api/form-templates/:id', () => {
+    it('should create a new version when the sections change', async () => {
+      const sections = [
+        {
+          ...pediatricSections[0],
+          questions: [
+            ...pediatricSections[0].questions,
+            { id: 'school', label: 'School grade', type: 'text' },
+          ],
+        },
+      ];
+
+      const res = await request(app)
+        .put(`/api/form-templates/${templateId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ sections })
+        .expect(200);
+
+      expect(res.body.data.formTemplate.version).toBe(2);
+    });
+
+    it('should keep earlier versions', async () => {
+      const res = await request(app)
+        .get(`/api/form-templates/${templateId}/versions/1`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(res.body.data.formTemplate.sections).toEqual(pediatricSections);
+    });
+  });
+
+  describe('Intake links with a template', () => {
+    let token;
+
+    it('should attach the default template to new links', async () => {
+      const linkRes = await request(app)
+        .post('/api/intake-links')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ patientId, channels: [] })
+        .expect(201);
+
+      expect(linkRes.body.data.intakeLink.formTemplateVersionId).toBeTruthy();
+      token = linkRes.body.data.intakeLink.token;
+
+      const res = await request(app).get(`/api/intake-links/${token}`).expect(200);
+
+      expect(res.body.data.formTemplate).toEqual(
+        expect.objectContaining({ id: templateId, name: 'Pediatric intake', version: 2 })
+      );
+    });
+
+    it('should validate answers against the template', async () => {
+      const res = await request(app)
+        .post(`/api/intake-links/${token}/submit`)
+        .send({ answers: { reason: 'Ear pain', vaccinated: false }, ...consent })
+        .expect(400);
+
+      expect(res.body.error.errors).toEqual([
+        { field: 'answers.missingVaccines', message: 'Which vaccines are missing? is required' },
+      ]);
+    });
+
+    it('should submit template answers', async () => {
+      const res = await request(app)
+        .post(`/api/intake-links/${token}/submit`)
+        .send({ answers: { reason: 'Ear pain', vaccinated: true, school: '2nd' }, ...consent })
+        .expect(201);
+
+      const intake = await prisma.intake.findUnique({ where: { id: res.body.data.intakeId } });
+      expect(intake.chiefComplaint).toBe('Ear pain');
+      expect(intake.responses).toHaveLength(3);
+    });
+  });
+
+  describe('DELETE /api/form-templates/:id', () => {
+    it('should archive the template', async () => {
+      await request(app)
+        .delete(`/api/form-templates/${templateId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const res = await request(app)
+        .get('/api/form-templates')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(res.body.data.formTemplates).toHaveLength(0);
+    });
+
+    it('should fall back to the standard form once archived', async () => {
+      const res = await request(app)
+        .post('/api/intake-links')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ patientId, channels: [] })
+        .expect(201);
+
+      expect(res.body.data.intakeLink.formTemplateVersionId).toBeNull();
+    });
+  });
+});
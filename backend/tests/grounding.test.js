@@ -0,0 +1,103 @@
+const { verifySummary } = require('../src/services/groundingService');
+const { parseStructuredSummary } = require('../src/services/summarySchema');
+
+describe('Summary Grounding Check', () => {
+  const intake = {
+    chiefComplaint: 'Shortness of breath when climbing stairs',
+    medications: [
+      { name: 'Lisinopril', dosage: '10mg', frequency: 'daily' },
+      'Metformin 500mg',
+    ],
+    allergies: [{ allergen: 'Penicillin', reaction: 'Hives' }],
+    reviewOfSystems: {
+      cardiovascular: 'Occasional palpitations',
+    },
+  };
+
+  const summarize = (output) => parseStructuredSummary(JSON.stringify(output));
+
+  it('should verify items present in the intake', () => {
+    const { structured, groundingScore } = verifySummary(
+      summarize({
+        medications: [{ name: 'lisinopril 10 mg' }, { name: 'Metformin' }],
+        allergies: [{ allergen: 'penicillin' }],
+        redFlags: [{ flag: 'Breathlessness on exertion with palpitations', severity: 'medium' }],
+      }),
+      intake
+    );
+
+    expect(structured.medications.every((med) => med.isVerified)).toBe(true);
+    expect(structured.allergies[0].isVerified).toBe(true);
+    expect(structured.redFlags[0].isVerified).toBe(true);
+    expect(groundingScore).toBe(1);
+  });
+
+  it('should flag items the patient never mentioned', () => {
+    const { structured, groundingScore } = verifySummary(
+      summarize({
+        medications: [{ name: 'Lisinopril' }, { name: 'Warfarin' }],
+        allergies: [{ allergen: 'Sulfa drugs' }],
+        redFlags: [{ flag: 'Suicidal ideation', severity: 'high' }],
+      }),
+      intake
+    );
+
+    expect(structured.medications.map((med) => med.isVerified)).toEqual([true, false]);
+    expect(structured.allergies[0].isVerified).toBe(false);
+    expect(structured.redFlags[0].isVerified).toBe(false);
+    expect(groundingScore).toBe(0.25);
+  });
+
+  it('should verify generic names against normalized brand-name entries', () => {
+    const { structured } = verifySummary(
+      summarize({ medications: [{ name: 'Warfarin 5 mg' }] }),
+      {
+        medications: ['Coumadin 5mg'],
+        normalizedMedications: [{ input: 'Coumadin 5mg', name: 'warfarin', rxcui: '11289' }],
+      }
+    );
+
+    expect(structured.medications[0].isVerified).toBe(true);
+  });
+
+  it('should not verify near-miss names', () => {
+    const { structured, groundingScore } = verifySummary(
+      summarize({
+        medications: [{ name: 'Vitamin D' }, { name: 'Insulin glargine' }],
+        allergies: [{ allergen: 'Tree nuts' }],
+      }),
+      {
+        medications: ['Vitamin B12', 'Insulin lispro'],
+        allergies: [{ allergen: 'Nuts' }],
+      }
+    );
+
+    expect(structured.medications.map((med) => med.isVerified)).toEqual([false, false]);
+    expect(structured.allergies[0].isVerified).toBe(false);
+    expect(groundingScore).toBe(0);
+  });
+
+  it('should verify a generic name against a brand the patient entered', () => {
+    const { structured } = verifySummary(
+      summarize({ medications: [{ name: 'Insulin glargine' }] }),
+      { medications: ['Lantus 20 units at night'] }
+    );
+
+    expect(structured.medications[0].isVerified).toBe(true);
+  });
+
+  it('should score a summary with nothing to verify as fully grounded', () => {
+    const { groundingScore } = verifySummary(summarize({ chiefComplaint: 'Checkup' }), {});
+
+    expect(groundingScore).toBe(1);
+  });
+
+  it('should tolerate intakes without medications or allergies', () => {
+    const { structured } = verifySummary(
+      summarize({ medications: [{ name: 'Aspirin' }] }),
+      { chiefComplaint: 'Headache' }
+    );
+
+    expect(structured.medications[0].isVerified).toBe(false);
+  });
+});
@@ -0,0 +1,295 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { PrismaClient } = require('@prisma/client');
+const { subscribeAlerts } = require('../src/services/alertBus');
+
+const prisma = new PrismaClient();
+
+describe('Patient Transfer and Coverage', () => {
+  const tokens = {};
+  const userIds = {};
+  const patientIds = [];
+
+  const owner = {
+    email: 'handoff-owner@example.com',
+    password: 'OwnerPass123',
+    firstName: 'Hana',
+    lastName: 'Owner',
+    practiceName: 'Handoff Clinic',
+  };
+
+  const members = {
+    LEAVING: { email: 'handoff-leaving@example.com', firstName: 'Lee', lastName: 'Leaving' },
+    COVERING: { email: 'handoff-covering@example.com', firstName: 'Cory', lastName: 'Covering' },
+    STAFF: { email: 'handoff-staff@example.com', firstName: 'Stu', lastName: 'Staff' },
+  };
+
+  const roles = { LEAVING: 'CLINICIAN', COVERING: 'CLINICIAN', STAFF: 'STAFF' };
+
+  const emails = [owner.email, ...Object.values(members).map((m) => m.email)];
+
+  const as = (who) => ({ Authorization: `Bearer ${tokens[who]}` });
+
+  const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+  const queueOf = async (who) => {
+    const res = await request(app)
+      .get('/api/patients')
+      .query({ assignedTo: 'me' })
+      .set(as(who))
+      .expect(200);
+    return res.body.data.patients.map((p) => p.id);
+  };
+
+  beforeAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: { in: emails } } } } },
+    });
+    await prisma.user.deleteMany({ where: { email: { in: emails } } });
+
+    const registerRes = await request(app).post('/api/auth/register').send(owner);
+    tokens.OWNER = registerRes.body.data.accessToken;
+    userIds.OWNER = registerRes.body.data.user.id;
+
+    for (const [who, member] of Object.entries(members)) {
+      const res = await request(app)
+        .post('/api/practice/members')
+        .set(as('OWNER'))
+        .send({ ...member, password: 'MemberPass123', role: roles[who] });
+      userIds[who] = res.body.data.member.userId;
+
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: member.email, password: 'MemberPass123' });
+      tokens[who] = loginRes.body.data.accessToken;
+    }
+
+    for (const n of [1, 2, 3]) {
+      const res = await request(app)
+        .post('/api/patients')
+        .set(as('LEAVING'))
+        .send({
+          firstName: 'Handoff',
+          lastName: `Patient${n}`,
+          email: `handoff-patient-${n}@test.com`,
+          dateOfBirth: `1975-03-0${n}`,
+        });
+      patientIds.push(res.body.data.patient.id);
+    }
+  });
+
+  afterAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: { in: emails } } } } },
+    });
+    await prisma.user.deleteMany({ where: { email: { in: emails } } });
+    await prisma.$disconnect();
+  });
+
+  describe('account deletion', () => {
+    it('should refuse to delete a clinician who still has patients', async () => {
+      await expect(prisma.user.delete({ where: { id: userIds.LEAVING } })).rejects.toThrow();
+
+      const count = await prisma.patient.count({ where: { id: { in: patientIds } } });
+      expect(count).toBe(3);
+    });
+
+    it('should refuse to demote a clinician who still has patients', async () => {
+      const res = await request(app)
+        .patch(`/api/practice/members/${userIds.LEAVING}`)
+        .set(as('OWNER'))
+        .send({ role: 'STAFF' })
+        .expect(409);
+
+      expect(res.body.error.message).toContain('transfer them first');
+    });
+  });
+
+  describe('POST /api/patients/transfer', () => {
+    it('should only transfer to a clinician in the practice', async () => {
+      await request(app)
+        .post('/api/patients/transfer')
+        .set(as('LEAVING'))
+        .send({ patientIds: [patientIds[0]], toProviderId: userIds.STAFF })
+        .expect(400);
+    });
+
+    it('should require either patientIds or fromProviderId', async () => {
+      await request(app)
+        .post('/api/patients/transfer')
+        .set(as('LEAVING'))
+        .send({ toProviderId: userIds.COVERING })
+        .expect(400);
+    });
+
+    it('should return 404 for a patient outside the practice', async () => {
+      await request(app)
+        .post('/api/patients/transfer')
+        .set(as('LEAVING'))
+        .send({ patientIds: [patientIds[0], 'not-a-patient'], toProviderId: userIds.COVERING })
+        .expect(404);
+    });
+
+    it('should not let staff transfer patients', async () => {
+      await request(app)
+        .post('/api/patients/transfer')
+        .set(as('STAFF'))
+        .send({ patientIds: [patientIds[0]], toProviderId: userIds.COVERING })
+        .expect(403);
+    });
+
+    it("should not let a clinician transfer a colleague's patients", async () => {
+      await request(app)
+        .post('/api/patients/transfer')
+        .set(as('COVERING'))
+        .send({ patientIds: [patientIds[0]], toProviderId: userIds.COVERING })
+        .expect(403);
+    });
+
+    it("should hand off a clinician's own patient and audit it", async () => {
+      const res = await request(app)
+        .post('/api/patients/transfer')
+        .set(as('LEAVING'))
+        .send({ patientIds: [patientIds[0]], toProviderId: userIds.COVERING, reason: 'Reduced hours' })
+        .expect(200);
+
+      expect(res.body.data).toEqual({
+        transferred: 1,
+        patientIds: [patientIds[0]],
+        toProviderId: userIds.COVERING,
+      });
+      expect(await queueOf('COVERING')).toContain(patientIds[0]);
+      expect(await queueOf('LEAVING')).not.toContain(patientIds[0]);
+
+      const auditRes = await request(app)
+        .get('/api/audit-logs')
+        .query({ action: 'TRANSFER', entityId: patientIds[0] })
+        .set(as('OWNER'))
+        .expect(200);
+
+      expect(auditRes.body.data.auditLogs[0]).toEqual(
+        expect.objectContaining({
+          userId: userIds.LEAVING,
+          oldValues: { providerId: userIds.LEAVING },
+          newValues: { providerId: userIds.COVERING, reason: 'Reduced hours' },
+        })
+      );
+    });
+  });
+
+  describe('coverage', () => {
+    let coverageId;
+
+    it('should only let owners arrange cover for someone else', async () => {
+      await request(app)
+        .post('/api/coverages')
+        .set(as('COVERING'))
+        .send({ providerId: userIds.LEAVING, coveringProviderId: userIds.COVERING, endsAt: inDays(7) })
+        .expect(403);
+    });
+
+    it('should reject open-ended or non-clinician cover', async () => {
+      await request(app)
+        .post('/api/coverages')
+        .set(as('LEAVING'))
+        .send({ coveringProviderId: userIds.COVERING, endsAt: inDays(365) })
+        .expect(400);
+      await request(app)
+        .post('/api/coverages')
+        .set(as('LEAVING'))
+        .send({ coveringProviderId: userIds.STAFF, endsAt: inDays(7) })
+        .expect(400);
+    });
+
+    it('should let a clinician arrange their own cover', async () => {
+      const res = await request(app)
+        .post('/api/coverages')
+        .set(as('LEAVING'))
+        .send({ coveringProviderId: userIds.COVERING, endsAt: inDays(7), reason: 'Vacation' })
+        .expect(201);
+
+      coverageId = res.body.data.coverage.id;
+      expect(res.body.data.coverage).toEqual(
+        expect.objectContaining({
+          status: 'active',
+          provider: expect.objectContaining({ id: userIds.LEAVING }),
+          coveringProvider: expect.objectContaining({ id: userIds.COVERING }),
+        })
+      );
+
+      const listRes = await request(app).get('/api/coverages').set(as('STAFF')).expect(200);
+      expect(listRes.body.data.coverages.map((c) => c.id)).toEqual([coverageId]);
+    });
+
+    it("should put the covered clinician's patients in the covering clinician's queue", async () => {
+      const queue = await queueOf('COVERING');
+      expect(queue).toEqual(expect.arrayContaining(patientIds));
+    });
+
+    it("should send the covered clinician's alerts to the covering clinician", async () => {
+      const events = [];
+      const unsubscribe = subscribeAlerts(userIds.COVERING, (event) => events.push(event));
+
+      const linkRes = await request(app)
+        .post('/api/intake-links')
+        .set(as('LEAVING'))
+        .send({ patientId: patientIds[1] })
+        .expect(201);
+      await request(app)
+        .post(`/api/intake-links/${linkRes.body.data.intakeLink.token}/submit`)
+        .send({ chiefComplaint: 'Sore throat', consentGiven: true, consentVersion: '2024-06' })
+        .expect(201);
+      unsubscribe();
+
+      expect(events).toEqual([
+        expect.objectContaining({
+          type: 'intakeSubmitted',
+          data: expect.objectContaining({ patientId: patientIds[1], coveringFor: userIds.LEAVING }),
+        }),
+      ]);
+    });
+
+    it("should let the covering clinician hand off the covered clinician's patients", async () => {
+      const res = await request(app)
+        .post('/api/patients/transfer')
+        .set(as('COVERING'))
+        .send({ patientIds: [patientIds[1]], toProviderId: userIds.COVERING })
+        .expect(200);
+
+      expect(res.body.data.transferred).toBe(1);
+    });
+
+    it('should end the delegation when revoked', async () => {
+      const res = await request(app)
+        .delete(`/api/coverages/${coverageId}`)
+        .set(as('COVERING'))
+        .expect(200);
+
+      expect(res.body.data.coverage.status).toBe('revoked');
+      expect(await queueOf('COVERING')).not.toContain(patientIds[2]);
+
+      await request(app)
+        .post('/api/patients/transfer')
+        .set(as('COVERING'))
+        .send({ patientIds: [patientIds[2]], toProviderId: userIds.COVERING })
+        .expect(403);
+    });
+  });
+
+  describe('departure', () => {
+    it("should let an owner move all of a clinician's patients so their account can go", async () => {
+      const res = await request(app)
+        .post('/api/patients/transfer')
+        .set(as('OWNER'))
+        .send({ fromProviderId: userIds.LEAVING, toProviderId: userIds.OWNER })
+        .expect(200);
+
+      expect(res.body.data.patientIds).toEqual([patientIds[2]]);
+
+      await request(app)
+        .delete(`/api/practice/members/${userIds.LEAVING}`)
+        .set(as('OWNER'))
+        .expect(200);
+    });
+  });
+});
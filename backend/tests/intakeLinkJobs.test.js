@@ -0,0 +1,169 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { PrismaClient } = require('@prisma/client');
+const { setNotifier } = require('../src/services/notificationService');
+const {
+  expireIntakeLinks,
+  selectReminderOffset,
+  sendIntakeLinkReminders,
+} = require('../src/jobs/intakeLinkJobs');
+
+const prisma = new PrismaClient();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Intake Link Jobs', () => {
+  let accessToken;
+  let patientId;
+  let send;
+
+  const testUser = {
+    email: 'jobs-doctor@example.com',
+    password: 'DoctorPass123',
+    firstName: 'Jobs',
+    lastName: 'Doctor',
+  };
+
+  const createLink = (data) =>
+    prisma.intakeLink.create({
+      data: {
+        token: `jobs-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+        patientId,
+        ...data,
+      },
+    });
+
+  beforeAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: testUser.email },
+    });
+
+    const registerRes = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+
+    accessToken = registerRes.body.data.accessToken;
+
+    const patientRes = await request(app)
+      .post('/api/patients')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({
+        firstName: 'Reminder',
+        lastName: 'Patient',
+        email: 'jobs-patient@test.com',
+        dateOfBirth: '1979-11-02',
+      });
+
+    patientId = patientRes.body.data.patient.id;
+  });
+
+  beforeEach(() => {
+    send = jest.fn().mockResolvedValue({ messageId: 'reminder-1' });
+    setNotifier('email', { name: 'mock', send });
+  });
+
+  afterAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: testUser.email },
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('selectReminderOffset', () => {
+    const now = new Date('2030-01-10T12:00:00Z');
+    const link = (hoursLeft, hoursAtSend) => ({
+      expiresAt: new Date(now.getTime() + hoursLeft * HOUR_MS),
+      sentAt: new Date(now.getTime() + (hoursLeft - hoursAtSend) * HOUR_MS),
+    });
+
+    it('should pick the smallest offset the link is inside', () => {
+      expect(selectReminderOffset(link(40, 168), [48, 24], now)).toBe(48);
+      expect(selectReminderOffset(link(20, 168), [48, 24], now)).toBe(24);
+      expect(selectReminderOffset(link(60, 168), [48, 24], now)).toBeNull();
+    });
+
+    it('should skip offsets that had started when the link was sent', () => {
+      expect(selectReminderOffset(link(20, 30), [48, 24], now)).toBe(24);
+      expect(selectReminderOffset(link(10, 20), [48, 24], now)).toBeNull();
+    });
+  });
+
+  describe('expireIntakeLinks', () => {
+    it('should mark lapsed pending links as expired', async () => {
+      const lapsed = await createLink({ expiresAt: new Date(Date.now() - HOUR_MS) });
+      const active = await createLink({ expiresAt: new Date(Date.now() + 72 * HOUR_MS) });
+
+      const { expired } = await expireIntakeLinks();
+
+      expect(expired).toBeGreaterThanOrEqual(1);
+      expect((await prisma.intakeLink.findUnique({ where: { id: lapsed.id } })).status).toBe('EXPIRED');
+      expect((await prisma.intakeLink.findUnique({ where: { id: active.id } })).status).toBe('PENDING');
+    });
+
+    it('should let the provider extend an expired link', async () => {
+      const lapsed = await createLink({ expiresAt: new Date(Date.now() - HOUR_MS) });
+      await expireIntakeLinks();
+
+      const res = await request(app)
+        .post(`/api/intake-links/${lapsed.id}/extend`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ extendByDays: 3 })
+        .expect(200);
+
+      expect(res.body.data.intakeLink.status).toBe('pending');
+    });
+  });
+
+  describe('sendIntakeLinkReminders', () => {
+    it('should remind once per offset and deadline', async () => {
+      const link = await createLink({
+        expiresAt: new Date(Date.now() + 20 * HOUR_MS),
+        deliveryStatus: 'SENT',
+        sentAt: new Date(Date.now() - 100 * HOUR_MS),
+      });
+
+      await sendIntakeLinkReminders(new Date(), [48, 24]);
+      await sendIntakeLinkReminders(new Date(), [48, 24]);
+
+      const reminders = await prisma.linkReminder.findMany({ where: { intakeLinkId: link.id } });
+      expect(reminders).toHaveLength(1);
+      expect(reminders[0]).toEqual(expect.objectContaining({ offsetHours: 24, status: 'SENT' }));
+
+      const deliveries = await prisma.linkDelivery.findMany({ where: { intakeLinkId: link.id } });
+      expect(deliveries).toHaveLength(1);
+      expect(deliveries[0].kind).toBe('REMINDER');
+      expect(send).toHaveBeenCalledWith(
+        expect.objectContaining({ subject: expect.stringContaining('Reminder') })
+      );
+    });
+
+    it('should remind on the channels the link was sent on', async () => {
+      const link = await createLink({
+        expiresAt: new Date(Date.now() + 20 * HOUR_MS),
+        deliveryStatus: 'SENT',
+        sentAt: new Date(Date.now() - 100 * HOUR_MS),
+        channels: ['SMS'],
+      });
+
+      await sendIntakeLinkReminders(new Date(), [24]);
+
+      const deliveries = await prisma.linkDelivery.findMany({ where: { intakeLinkId: link.id } });
+      expect(deliveries.map((delivery) => delivery.channel)).toEqual(['SMS']);
+      expect(send).not.toHaveBeenCalled();
+    });
+
+    it('should not remind links that were never sent', async () => {
+      const link = await createLink({ expiresAt: new Date(Date.now() + 20 * HOUR_MS) });
+
+      await sendIntakeLinkReminders(new Date(), [48, 24]);
+
+      expect(await prisma.linkReminder.count({ where: { intakeLinkId: link.id } })).toBe(0);
+    });
+  });
+});
@@ -47,8 +47,13 @@ describe('Intakes Endpoints', () => {
     },
   };
 
+  const consent = { consentGiven: true, consentVersion: '2024-06' };
+
   beforeAll(async () => {
     // Clean up
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
     await prisma.user.deleteMany({
       where: { email: testUser.email },
     });
@@ -71,6 +76,9 @@ describe('Intakes Endpoints', () => {
   });
 
   afterAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
     await prisma.user.deleteMany({
       where: { email: testUser.email },
     });
@@ -94,6 +102,50 @@ describe('Intakes Endpoints', () => {
       intakeLinkToken = res.body.data.intakeLink.token;
     });
 
+    it('should email the link to the patient', async () => {
+      const res = await request(app)
+        .post('/api/intake-links')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ patientId, channels: ['email'] })
+        .expect(201);
+
+      expect(res.body.data.deliveries).toEqual([
+        expect.objectContaining({ channel: 'email', recipient: testPatient.email, status: 'sent' }),
+      ]);
+      expect(res.body.data.intakeLink.deliveryStatus).toBe('sent');
+      expect(res.body.data.intakeLink.sentAt).toBeDefined();
+    });
+
+    it('should skip delivery when no channels are requested', async () => {
+      const res = await request(app)
+        .post('/api/intake-links')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ patientId, channels: [] })
+        .expect(201);
+
+      expect(res.body.data.deliveries).toEqual([]);
+      expect(res.body.data.intakeLink.deliveryStatus).toBe('notsent');
+    });
+
+    it('should record a failed SMS when the patient has no phone', async () => {
+      const res = await request(app)
+        .post('/api/intake-links')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ patientId, channels: ['sms'] })
+        .expect(201);
+
+      expect(res.body.data.deliveries[0].status).toBe('failed');
+      expect(res.body.data.intakeLink.deliveryStatus).toBe('failed');
+    });
+
+    it('should reject an unknown channel', async () => {
+      await request(app)
+        .post('/api/intake-links')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ patientId, channels: ['fax'] })
+        .expect(400);
+    });
+
     it('should set custom expiry', async () => {
       const res = await request(app)
         .post('/api/intake-links')
@@ -153,10 +205,20 @@ describe('Intakes Endpoints', () => {
   });
 
   describe('POST /api/intake-links/:token/submit (Public)', () => {
+    it('should reject submission without consent', async () => {
+      const res = await request(app)
+        .post(`/api/intake-links/${intakeLinkToken}/submit`)
+        .send({ ...intakeData, consentGiven: false, consentVersion: '2024-06' })
+        .expect(400);
+
+      expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
     it('should submit intake form', async () => {
       const res = await request(app)
         .post(`/api/intake-links/${intakeLinkToken}/submit`)
-        .send(intakeData)
+        .set('User-Agent', 'IntakeForm/1.0')
+        .send({ ...intakeData, ...consent })
         .expect(201);
 
       expect(res.body.success).toBe(true);
@@ -165,10 +227,20 @@ describe('Intakes Endpoints', () => {
       intakeId = res.body.data.intakeId;
     });
 
+    it('should record consent on the intake', async () => {
+      const intake = await prisma.intake.findUnique({ where: { id: intakeId } });
+
+      expect(intake.consentGiven).toBe(true);
+      expect(intake.consentVersion).toBe('2024-06');
+      expect(intake.consentTimestamp).toBeInstanceOf(Date);
+      expect(intake.consentIpAddress).toBeTruthy();
+      expect(intake.consentUserAgent).toBe('IntakeForm/1.0');
+    });
+
     it('should reject duplicate submission', async () => {
       const res = await request(app)
         .post(`/api/intake-links/${intakeLinkToken}/submit`)
-        .send(intakeData)
+        .send({ ...intakeData, ...consent })
         .expect(400);
 
       expect(res.body.success).toBe(false);
@@ -185,7 +257,7 @@ describe('Intakes Endpoints', () => {
 
       const res = await request(app)
         .post(`/api/intake-links/${newToken}/submit`)
-        .send({ demographics: {} })
+        .send({ demographics: {}, ...consent })
         .expect(400);
 
       expect(res.body.success).toBe(false);
@@ -276,6 +348,183 @@ describe('Intakes Endpoints', () => {
     });
   });
 
+  describe('Intake link management', () => {
+    let linkId;
+    let linkToken;
+
+    beforeAll(async () => {
+      const linkRes = await request(app)
+        .post('/api/intake-links')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ patientId, expiresInDays: 3 });
+
+      linkId = linkRes.body.data.intakeLink.id;
+      linkToken = linkRes.body.data.intakeLink.token;
+    });
+
+    it('should list intake links for a patient', async () => {
+      const res = await request(app)
+        .get(`/api/intake-links?patientId=${patientId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.intakeLinks[0].id).toBe(linkId);
+      expect(res.body.data.intakeLinks[0].status).toBe('pending');
+    });
+
+    it('should filter intake links by status', async () => {
+      const res = await request(app)
+        .get('/api/intake-links?status=expired')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(res.body.data.intakeLinks.length).toBeGreaterThan(0);
+      res.body.data.intakeLinks.forEach((link) => {
+        expect(link.status).toBe('expired');
+      });
+    });
+
+    it('should extend an intake link', async () => {
+      const res = await request(app)
+        .post(`/api/intake-links/${linkId}/extend`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ extendByDays: 4 })
+        .expect(200);
+
+      const expiresAt = new Date(res.body.data.intakeLink.expiresAt);
+      const daysDiff = Math.round((expiresAt - new Date()) / (1000 * 60 * 60 * 24));
+      expect(daysDiff).toBe(7);
+    });
+
+    it('should resend an intake link', async () => {
+      const res = await request(app)
+        .post(`/api/intake-links/${linkId}/resend`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ channels: ['email'] })
+        .expect(200);
+
+      expect(res.body.data.deliveries[0].status).toBe('sent');
+    });
+
+    it('should regenerate the token and invalidate the old one', async () => {
+      const res = await request(app)
+        .post(`/api/intake-links/${linkId}/regenerate`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(res.body.data.intakeLink.token).not.toBe(linkToken);
+
+      await request(app).get(`/api/intake-links/${linkToken}`).expect(404);
+      linkToken = res.body.data.intakeLink.token;
+    });
+
+    it('should revoke an intake link with a reason', async () => {
+      const res = await request(app)
+        .delete(`/api/intake-links/${linkId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ reason: 'Sent to wrong email' })
+        .expect(200);
+
+      expect(res.body.data.intakeLink.status).toBe('expired');
+      expect(res.body.data.intakeLink.revokedReason).toBe('Sent to wrong email');
+
+      await request(app).get(`/api/intake-links/${linkToken}`).expect(410);
+    });
+
+    it('should not extend a revoked link', async () => {
+      const res = await request(app)
+        .post(`/api/intake-links/${linkId}/extend`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ extendByDays: 1 })
+        .expect(409);
+
+      expect(res.body.error.code).toBe('CONFLICT');
+    });
+
+    it('should return 404 for a non-existent link', async () => {
+      await request(app)
+        .delete('/api/intake-links/non-existent')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Draft save and resume', () => {
+    let draftToken;
+
+    beforeAll(async () => {
+      const linkRes = await request(app)
+        .post('/api/intake-links')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ patientId, channels: [] });
+
+      draftToken = linkRes.body.data.intakeLink.token;
+    });
+
+    it('should save a draft and mark the link in progress', async () => {
+      const res = await request(app)
+        .put(`/api/intake-links/${draftToken}/draft`)
+        .send({ demographics: intakeData.demographics, medications: intakeData.medications })
+        .expect(200);
+
+      expect(res.body.data.status).toBe('inProgress');
+      expect(res.body.data.startedAt).toBeDefined();
+      expect(res.body.data.draft.medications).toEqual(intakeData.medications);
+    });
+
+    it('should merge later sections into the draft', async () => {
+      await request(app)
+        .put(`/api/intake-links/${draftToken}/draft`)
+        .send({ chiefComplaint: 'Lower back pain' })
+        .expect(200);
+
+      const res = await request(app)
+        .get(`/api/intake-links/${draftToken}`)
+        .expect(200);
+
+      expect(res.body.data.status).toBe('inProgress');
+      expect(res.body.data.draft).toEqual({
+        demographics: intakeData.demographics,
+        medications: intakeData.medications,
+        chiefComplaint: 'Lower back pain',
+      });
+    });
+
+    it('should reject a draft with no sections', async () => {
+      await request(app)
+        .put(`/api/intake-links/${draftToken}/draft`)
+        .send({})
+        .expect(400);
+    });
+
+    it('should submit using the saved draft', async () => {
+      const res = await request(app)
+        .post(`/api/intake-links/${draftToken}/submit`)
+        .send({ allergies: intakeData.allergies, ...consent })
+        .expect(201);
+
+      const intakeRes = await request(app)
+        .get(`/api/intakes/${res.body.data.intakeId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(intakeRes.body.data.intake.chiefComplaint).toBe('Lower back pain');
+      expect(intakeRes.body.data.intake.medications).toEqual(intakeData.medications);
+      expect(intakeRes.body.data.intake.normalizedMedications).toEqual([
+        expect.objectContaining({ input: 'Lisinopril', rxcui: '29046', amount: 10, unit: 'mg', frequency: 'QD' }),
+      ]);
+      expect(intakeRes.body.data.intake.allergies).toEqual(intakeData.allergies);
+    });
+
+    it('should not save a draft after submission', async () => {
+      await request(app)
+        .put(`/api/intake-links/${draftToken}/draft`)
+        .send({ chiefComplaint: 'Changed my mind' })
+        .expect(400);
+    });
+  });
+
   describe('Red Flag Detection', () => {
     it('should detect red flags in chief complaint', async () => {
       // Create new link
@@ -293,6 +542,7 @@ describe('Intakes Endpoints', () => {
           chiefComplaint: 'Chest pain and difficulty breathing',
           medications: [],
           allergies: [],
+          ...consent,
         });
 
       // Wait for async red flag detection
@@ -308,5 +558,39 @@ describe('Intakes Endpoints', () => {
       expect(latestIntake.hasRedFlags).toBe(true);
       expect(latestIntake.redFlagCount).toBeGreaterThan(0);
     });
+
+    it('should flag medication interactions and allergy conflicts', async () => {
+      const linkRes = await request(app)
+        .post('/api/intake-links')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ patientId });
+
+      const submitRes = await request(app)
+        .post(`/api/intake-links/${linkRes.body.data.intakeLink.token}/submit`)
+        .send({
+          chiefComplaint: 'Sinus infection',
+          medications: [{ name: 'Coumadin', dosage: '5mg' }, 'Advil as needed', 'Amoxicillin 500mg'],
+          allergies: [{ allergen: 'Penicillin', reaction: 'Hives' }],
+          ...consent,
+        });
+
+      // Wait for async red flag detection
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      const res = await request(app)
+        .get(`/api/intakes/${submitRes.body.data.intakeId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const interactions = res.body.data.interactions;
+      expect(interactions.map((flag) => flag.ruleId).sort()).toEqual([
+        'drug-allergy:penicillin',
+        'drug-interaction:anticoagulant-nsaid',
+      ]);
+      expect(interactions.every((flag) => flag.category === 'medication')).toBe(true);
+      expect(interactions.find((flag) => flag.source === 'allergies').description).toBe(
+        'Amoxicillin 500mg with reported Penicillin allergy: same drug class'
+      );
+    });
   });
 });
@@ -0,0 +1,102 @@
+const { identifyDrug, checkInteractions, isInteractionFlag } = require('../src/services/interactionChecker');
+const dataset = require('../src/rules/drugInteractions.json');
+
+describe('Medication interaction checker', () => {
+  describe('Dataset', () => {
+    it('should only reference known drugs and classes', () => {
+      const refs = new Set(dataset.drugs.flatMap((drug) => [drug.id, ...drug.classes]));
+      const used = [
+        ...dataset.interactions.flatMap((interaction) => interaction.between),
+        ...dataset.allergies.flatMap((rule) => rule.conflicts),
+      ];
+
+      expect(used.filter((ref) => !refs.has(ref))).toEqual([]);
+    });
+  });
+
+  describe('identifyDrug', () => {
+    it('should resolve brand names, dosages and free text', () => {
+      expect(identifyDrug('Coumadin 5mg daily').id).toBe('warfarin');
+      expect(identifyDrug('advil as needed').id).toBe('ibuprofen');
+      expect(identifyDrug('Amoxicillin-Clavulanate 875 mg').id).toBe('amoxicillin-clavulanate');
+      expect(identifyDrug('Vitamin D')).toBeNull();
+    });
+  });
+
+  describe('Drug-drug interactions', () => {
+    it('should flag interacting classes with patient-entered names', () => {
+      const flags = checkInteractions({
+        medications: [{ name: 'Warfarin', dosage: '5mg' }, { name: 'Naproxen' }, { name: 'Metformin' }],
+      });
+
+      expect(flags).toEqual([
+        {
+          ruleId: 'drug-interaction:anticoagulant-nsaid',
+          category: 'medication',
+          description: 'Warfarin + Naproxen: increased bleeding risk',
+          severity: 'HIGH',
+          source: 'medications',
+        },
+      ]);
+    });
+
+    it('should report one interaction per pair, most severe first', () => {
+      const flags = checkInteractions({ medications: ['Sertraline 50mg', 'Tramadol', 'Xanax'] });
+
+      expect(flags.map((flag) => [flag.ruleId, flag.severity])).toEqual([
+        ['drug-interaction:ssri-tramadol', 'HIGH'],
+        ['drug-interaction:opioid-benzodiazepine', 'CRITICAL'],
+      ]);
+    });
+
+    it('should use normalized medications, including misspellings', () => {
+      const flags = checkInteractions({
+        medications: ['Coumadine 5mg', 'Advill'],
+        normalizedMedications: [
+          { input: 'Coumadine 5mg', conceptId: 'warfarin' },
+          { input: 'Advill', conceptId: 'ibuprofen' },
+        ],
+      });
+
+      expect(flags.map((flag) => flag.description)).toEqual(['Coumadine 5mg + Advill: increased bleeding risk']);
+      expect(checkInteractions({ medications: ['Coumadine 5mg', 'Advill'] })).toHaveLength(1);
+    });
+
+    it('should ignore the same drug listed twice', () => {
+      expect(checkInteractions({ medications: ['Ibuprofen 200mg', 'Advil'] })).toEqual([]);
+    });
+  });
+
+  describe('Drug-allergy conflicts', () => {
+    it('should flag class conflicts and cross-reactivity', () => {
+      const flags = checkInteractions({
+        medications: ['Amoxicillin 500mg', 'Keflex'],
+        allergies: [{ allergen: 'Penicillin', reaction: 'Hives' }],
+      });
+
+      expect(flags.map((flag) => [flag.ruleId, flag.severity, flag.source])).toEqual([
+        ['drug-allergy:penicillin', 'CRITICAL', 'allergies'],
+        ['drug-allergy:penicillin-cephalosporin', 'MEDIUM', 'allergies'],
+      ]);
+      expect(flags[0].description).toBe('Amoxicillin 500mg with reported Penicillin allergy: same drug class');
+    });
+
+    it('should flag an allergy to the drug being taken', () => {
+      const flags = checkInteractions({ medications: ['Lisinopril'], allergies: ['lisinopril (cough)'] });
+
+      expect(flags).toEqual([expect.objectContaining({ ruleId: 'drug-allergy:same-drug', severity: 'CRITICAL' })]);
+    });
+
+    it('should ignore unrelated allergies', () => {
+      expect(checkInteractions({ medications: ['Lisinopril'], allergies: ['Peanuts', 'NKDA'] })).toEqual([]);
+    });
+  });
+
+  describe('isInteractionFlag', () => {
+    it('should recognize checker flags only', () => {
+      expect(isInteractionFlag({ ruleId: 'drug-allergy:sulfonamide' })).toBe(true);
+      expect(isInteractionFlag({ ruleId: 'chest-pain' })).toBe(false);
+      expect(isInteractionFlag({ ruleId: null })).toBe(false);
+    });
+  });
+});
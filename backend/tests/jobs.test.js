@@ -0,0 +1,238 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { PrismaClient } = require('@prisma/client');
+const {
+  enqueueJob,
+  retryDelayMs,
+  releaseStaleJobs,
+  failExhaustedJobs,
+  runQueuedJob,
+} = require('../src/services/jobQueue');
+const { detectRedFlags } = require('../src/services/redFlagService');
+
+const prisma = new PrismaClient();
+
+describe('Job Queue', () => {
+  let accessToken;
+  let providerId;
+  let intakeId;
+
+  const testUser = {
+    email: 'queue-doctor@example.com',
+    password: 'DoctorPass123',
+    firstName: 'Queue',
+    lastName: 'Doctor',
+  };
+
+  // Jobs created as RUNNING so the app's worker never picks them up
+  const createRunningJob = (data) =>
+    prisma.job.create({
+      data: {
+        type: 'test-job',
+        payload: {},
+        status: 'RUNNING',
+        attempts: 1,
+        lockedAt: new Date(),
+        lockedBy: 'test',
+        providerId,
+        ...data,
+      },
+    });
+
+  beforeAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: testUser.email },
+    });
+
+    const registerRes = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+    accessToken = registerRes.body.data.accessToken;
+    providerId = registerRes.body.data.user.id;
+
+    const patientRes = await request(app)
+      .post('/api/patients')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({
+        firstName: 'Queue',
+        lastName: 'Patient',
+        email: 'queue-patient@test.com',
+        dateOfBirth: '1981-02-17',
+      });
+
+    const linkRes = await request(app)
+      .post('/api/intake-links')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ patientId: patientRes.body.data.patient.id });
+
+    const submitRes = await request(app)
+      .post(`/api/intake-links/${linkRes.body.data.intakeLink.token}/submit`)
+      .send({
+        chiefComplaint: 'Chest pain when climbing stairs',
+        consentGiven: true,
+        consentVersion: '2024-06',
+      });
+    intakeId = submitRes.body.data.intakeId;
+
+    // Wait for the worker to run the detection job
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  });
+
+  afterAll(async () => {
+    await prisma.job.deleteMany({ where: { providerId } });
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: testUser.email },
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('submitted intakes', () => {
+    it('should queue and run red flag detection', async () => {
+      const intakeRes = await request(app)
+        .get(`/api/intakes/${intakeId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const { jobs, intake } = intakeRes.body.data;
+      expect(jobs).toHaveLength(1);
+      expect(jobs[0]).toEqual(
+        expect.objectContaining({ type: 'detect-red-flags', status: 'completed', attempts: 1 })
+      );
+      expect(jobs[0].result).toEqual({ redFlagCount: intake.redFlags.length });
+      expect(intake.redFlags.length).toBeGreaterThan(0);
+    });
+
+    it('should not duplicate red flags when detection runs again', async () => {
+      const before = await prisma.redFlag.count({ where: { intakeId } });
+
+      await detectRedFlags(intakeId);
+
+      expect(await prisma.redFlag.count({ where: { intakeId } })).toBe(before);
+    });
+  });
+
+  describe('GET /api/jobs/:id', () => {
+    it('should return the job status', async () => {
+      const job = await prisma.job.findFirst({ where: { intakeId } });
+
+      const res = await request(app)
+        .get(`/api/jobs/${job.id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(res.body.data.job).toEqual(
+        expect.objectContaining({
+          id: job.id,
+          type: 'detect-red-flags',
+          status: 'completed',
+          lastError: null,
+        })
+      );
+      expect(res.body.data.job.payload).toBeUndefined();
+    });
+
+    it('should return 404 for an unknown job', async () => {
+      await request(app)
+        .get('/api/jobs/missing')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('enqueueJob', () => {
+    it('should return the existing job for a repeated idempotency key', async () => {
+      const options = { providerId, idempotencyKey: `test-job:${providerId}`, runAt: new Date('2100-01-01') };
+
+      const first = await enqueueJob('test-job', { n: 1 }, options);
+      const second = await enqueueJob('test-job', { n: 2 }, options);
+
+      expect(second.id).toBe(first.id);
+      expect(second.payload).toEqual({ n: 1 });
+    });
+  });
+
+  describe('runQueuedJob', () => {
+    it('should complete a job with the handler result', async () => {
+      const job = await createRunningJob();
+
+      const done = await runQueuedJob(job, { 'test-job': async () => ({ ok: true }) });
+
+      expect(done.status).toBe('COMPLETED');
+      expect(done.result).toEqual({ ok: true });
+      expect(done.lockedBy).toBeNull();
+    });
+
+    it('should retry with backoff, then fail', async () => {
+      const handlers = { 'test-job': jest.fn().mockRejectedValue(new Error('upstream timeout')) };
+      const failureHandlers = { 'test-job': jest.fn() };
+      const job = await createRunningJob({ maxAttempts: 2 });
+
+      const retried = await runQueuedJob(job, handlers, failureHandlers);
+      expect(retried.status).toBe('PENDING');
+      expect(retried.lastError).toBe('upstream timeout');
+      expect(retried.runAt.getTime()).toBeGreaterThan(Date.now() + 20 * 1000);
+      expect(failureHandlers['test-job']).not.toHaveBeenCalled();
+
+      const failed = await runQueuedJob({ ...retried, attempts: 2 }, handlers, failureHandlers);
+      expect(failed.status).toBe('FAILED');
+      expect(failureHandlers['test-job']).toHaveBeenCalledWith({}, expect.objectContaining({ id: job.id }));
+    });
+
+    it('should retry unknown job types', async () => {
+      const job = await createRunningJob({ type: 'not-a-job' });
+
+      const retried = await runQueuedJob(job, {});
+
+      expect(retried.status).toBe('PENDING');
+      expect(retried.lastError).toBe('Unknown job type: not-a-job');
+    });
+  });
+
+  describe('releaseStaleJobs', () => {
+    it('should requeue jobs locked past the timeout', async () => {
+      const job = await createRunningJob({
+        lockedAt: new Date(Date.now() - 60 * 60 * 1000),
+        runAt: new Date('2100-01-01'),
+      });
+
+      await releaseStaleJobs(new Date(), 10);
+
+      const released = await prisma.job.findUnique({ where: { id: job.id } });
+      expect(released.status).toBe('PENDING');
+      expect(released.lockedBy).toBeNull();
+    });
+
+    it('should fail requeued jobs that have no attempts left', async () => {
+      const job = await createRunningJob({
+        maxAttempts: 1,
+        lockedAt: new Date(Date.now() - 60 * 60 * 1000),
+        runAt: new Date('2100-01-01'),
+      });
+
+      const failureHandlers = { 'test-job': jest.fn() };
+
+      await releaseStaleJobs(new Date(), 10);
+      await failExhaustedJobs(failureHandlers);
+
+      const failed = await prisma.job.findUnique({ where: { id: job.id } });
+      expect(failed.status).toBe('FAILED');
+      expect(failed.attempts).toBe(1);
+      expect(failed.lastError).toBe('Worker lock expired');
+      expect(failureHandlers['test-job']).toHaveBeenCalledWith({}, expect.objectContaining({ id: job.id }));
+    });
+  });
+
+  describe('retryDelayMs', () => {
+    it('should double the delay and cap it at an hour', () => {
+      expect(retryDelayMs(1, 30)).toBe(30 * 1000);
+      expect(retryDelayMs(3, 30)).toBe(120 * 1000);
+      expect(retryDelayMs(20, 30)).toBe(60 * 60 * 1000);
+    });
+  });
+});
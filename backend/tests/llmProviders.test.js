@@ -0,0 +1,283 @@
+const {
+  generateSummary,
+  generateSummaryStream,
+  buildSummaryResult,
+} = require('../src/services/summaryGenerator');
+const { setLlmProvider } = require('../src/services/llmService');
+const createMockProvider = require('../src/services/llmProviders/mockProvider');
+const createOpenAiProvider = require('../src/services/llmProviders/openaiProvider');
+const createOllamaProvider = require('../src/services/llmProviders/ollamaProvider');
+
+describe('LLM Providers', () => {
+  const intake = {
+    id: 'intake-1',
+    consentGiven: true,
+    chiefComplaint: 'Shortness of breath when climbing stairs',
+    medicalHistory: { conditions: 'Hypertension' },
+    medications: [{ name: 'Lisinopril', dosage: '10mg', frequency: 'daily' }],
+    allergies: [{ allergen: 'Penicillin', reaction: 'Hives' }],
+  };
+
+  const collect = async (stream) => {
+    let text = '';
+    for await (const chunk of stream) text += chunk;
+    return text;
+  };
+
+  describe('mock provider', () => {
+    beforeEach(() => {
+      setLlmProvider(createMockProvider());
+    });
+
+    it('should generate a grounded summary without network access', async () => {
+      const summary = await generateSummary(intake);
+
+      expect(summary.model).toBe('mock');
+      expect(summary.groundingScore).toBe(1);
+      expect(summary.structured.chiefComplaint).toBe(intake.chiefComplaint);
+      expect(summary.structured.medications).toEqual([
+        expect.objectContaining({ name: 'Lisinopril', isVerified: true }),
+      ]);
+      expect(summary.structured.allergies).toEqual([
+        expect.objectContaining({ allergen: 'Penicillin', reaction: 'Hives', isVerified: true }),
+      ]);
+      expect(summary.content).toContain('## Chief Complaint');
+    });
+
+    it('should be deterministic', async () => {
+      const first = await generateSummary(intake);
+      const second = await generateSummary(intake);
+
+      expect(second).toEqual(first);
+    });
+
+    it('should stream JSON that parses like a generated summary', async () => {
+      const text = await collect(generateSummaryStream(intake));
+      const summary = buildSummaryResult(intake, createMockProvider(), text);
+
+      expect(summary).toEqual({ ...(await generateSummary(intake)), tokensUsed: null });
+      expect(summary.structured.chiefComplaint).toBe(intake.chiefComplaint);
+    });
+
+    it('should grounding-check streamed output', async () => {
+      const invented = JSON.stringify({
+        chiefComplaint: intake.chiefComplaint,
+        medications: [{ name: 'Warfarin', dosage: '5mg' }],
+        allergies: [],
+        redFlags: [],
+      });
+      const streaming = {
+        name: 'streaming',
+        model: 'streaming',
+        async *stream() {
+          yield invented;
+        },
+      };
+
+      const text = await collect(generateSummaryStream(intake, streaming));
+      const summary = buildSummaryResult(intake, streaming, text);
+
+      expect(summary.groundingScore).toBeLessThan(1);
+      expect(summary.structured.medications).toEqual([
+        expect.objectContaining({ name: 'Warfarin', isVerified: false }),
+      ]);
+    });
+
+    it('should reject streamed output that is not a summary', () => {
+      expect(() => buildSummaryResult(intake, createMockProvider(), '## Summary\nNot JSON')).toThrow(
+        'Failed to generate AI summary'
+      );
+    });
+
+    it('should still require consent', async () => {
+      await expect(generateSummary({ ...intake, consentGiven: false })).rejects.toThrow(
+        'Patient consent has not been recorded'
+      );
+    });
+  });
+
+  describe('provider failures', () => {
+    it('should report a generic error', async () => {
+      setLlmProvider({
+        name: 'failing',
+        model: 'failing',
+        generate: jest.fn().mockRejectedValue(new Error('quota exceeded')),
+      });
+
+      await expect(generateSummary(intake)).rejects.toThrow('Failed to generate AI summary');
+    });
+
+    it('should reject unparseable output', async () => {
+      setLlmProvider({
+        name: 'chatty',
+        model: 'chatty',
+        generate: jest.fn().mockResolvedValue({ text: 'I cannot help with that', tokensUsed: 5 }),
+      });
+
+      await expect(generateSummary(intake)).rejects.toThrow('Failed to generate AI summary');
+    });
+  });
+
+  describe('HTTP providers', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('should call an OpenAI-compatible endpoint in JSON mode', async () => {
+      global.fetch = jest.fn().mockResolvedValue(
+        new Response(
+          JSON.stringify({
+            choices: [{ message: { content: '{"chiefComplaint":"Cough"}' } }],
+            usage: { total_tokens: 120 },
+          })
+        )
+      );
+
+      const provider = createOpenAiProvider({
+        baseUrl: 'https://llm.example.com/v1/',
+        apiKey: 'sk-test',
+        model: 'gpt-test',
+        timeoutMs: 1000,
+      });
+      const result = await provider.generate('prompt', { schema: { type: 'object' } });
+
+      expect(result).toEqual({ text: '{"chiefComplaint":"Cough"}', tokensUsed: 120 });
+
+      const [url, options] = global.fetch.mock.calls[0];
+      const body = JSON.parse(options.body);
+      expect(url).toBe('https://llm.example.com/v1/chat/completions');
+      expect(options.headers.Authorization).toBe('Bearer sk-test');
+      expect(body.model).toBe('gpt-test');
+      expect(body.response_format).toEqual({ type: 'json_object' });
+    });
+
+    it('should stream OpenAI server-sent events', async () => {
+      const events = ['Short', 'ness of breath']
+        .map((content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`)
+        .join('');
+      global.fetch = jest.fn().mockResolvedValue(new Response(`${events}data: [DONE]\n\n`));
+
+      const provider = createOpenAiProvider({ baseUrl: 'http://localhost:8000/v1', model: 'local' });
+
+      expect(await collect(provider.stream('prompt', { schema: { type: 'object' } }))).toBe(
+        'Shortness of breath'
+      );
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.stream).toBe(true);
+      expect(body.response_format).toEqual({ type: 'json_object' });
+    });
+
+    // Sends one chunk then stalls, like a model server that hangs mid-response
+    const stallingFetch = (firstChunk) =>
+      jest.fn(async (url, { signal }) => {
+        const body = new ReadableStream({
+          start(controller) {
+            controller.enqueue(new TextEncoder().encode(firstChunk));
+            signal.addEventListener('abort', () => controller.error(signal.reason));
+          },
+        });
+        return new Response(body);
+      });
+
+    it('should give up on an OpenAI stream that stalls', async () => {
+      const event = { choices: [{ delta: { content: 'Short' } }] };
+      global.fetch = stallingFetch(`data: ${JSON.stringify(event)}\n\n`);
+
+      const provider = createOpenAiProvider({
+        baseUrl: 'http://localhost:8000/v1',
+        model: 'local',
+        timeoutMs: 50,
+      });
+
+      await expect(collect(provider.stream('prompt'))).rejects.toThrow('Model stream stalled for 50ms');
+    });
+
+    it('should surface OpenAI error responses', async () => {
+      global.fetch = jest.fn().mockResolvedValue(
+        new Response(JSON.stringify({ error: { message: 'Invalid API key' } }), { status: 401 })
+      );
+
+      const provider = createOpenAiProvider({
+        baseUrl: 'https://llm.example.com/v1',
+        model: 'gpt-test',
+        timeoutMs: 1000,
+      });
+
+      await expect(provider.generate('prompt')).rejects.toThrow('OpenAI error 401: Invalid API key');
+    });
+
+    it('should call a local Ollama server with the schema as the format', async () => {
+      global.fetch = jest.fn().mockResolvedValue(
+        new Response(JSON.stringify({ response: '{}', prompt_eval_count: 80, eval_count: 20 }))
+      );
+
+      const provider = createOllamaProvider({
+        baseUrl: 'http://localhost:11434',
+        model: 'llama3.1',
+        timeoutMs: 1000,
+      });
+      const result = await provider.generate('prompt', { schema: { type: 'object' } });
+
+      expect(result).toEqual({ text: '{}', tokensUsed: 100 });
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:11434/api/generate');
+      expect(JSON.parse(options.body)).toEqual({
+        model: 'llama3.1',
+        prompt: 'prompt',
+        format: { type: 'object' },
+        stream: false,
+      });
+    });
+
+    it('should stream Ollama newline-delimited JSON', async () => {
+      const lines = [
+        { response: 'Short', done: false },
+        { response: 'ness of breath', done: false },
+        { response: '', done: true },
+      ].map((line) => JSON.stringify(line));
+      global.fetch = jest.fn().mockResolvedValue(new Response(lines.join('\n')));
+
+      const provider = createOllamaProvider({
+        baseUrl: 'http://localhost:11434',
+        model: 'llama3.1',
+        timeoutMs: 1000,
+      });
+
+      expect(await collect(provider.stream('prompt', { schema: { type: 'object' } }))).toBe(
+        'Shortness of breath'
+      );
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+        model: 'llama3.1',
+        prompt: 'prompt',
+        format: { type: 'object' },
+        stream: true,
+      });
+    });
+
+    it('should stop an Ollama stream when the caller aborts', async () => {
+      global.fetch = stallingFetch(`${JSON.stringify({ response: 'Short', done: false })}\n`);
+      const disconnect = new AbortController();
+
+      const provider = createOllamaProvider({
+        baseUrl: 'http://localhost:11434',
+        model: 'llama3.1',
+        timeoutMs: 60000,
+      });
+      const chunks = [];
+
+      await expect(
+        (async () => {
+          for await (const chunk of provider.stream('prompt', { signal: disconnect.signal })) {
+            chunks.push(chunk);
+            disconnect.abort(new Error('Client disconnected'));
+          }
+        })()
+      ).rejects.toThrow('Client disconnected');
+      expect(chunks).toEqual(['Short']);
+    });
+  });
+});
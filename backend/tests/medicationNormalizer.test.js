@@ -0,0 +1,103 @@
+const {
+  lookupMedication,
+  parseDosage,
+  normalizeMedication,
+  normalizeMedications,
+} = require('../src/services/medicationNormalizer');
+const vocabulary = require('../src/rules/medicationVocabulary.json');
+
+describe('Medication normalization', () => {
+  describe('Vocabulary', () => {
+    it('should have unique ids and codes', () => {
+      const ids = vocabulary.concepts.map((concept) => concept.id);
+      const codes = vocabulary.concepts.map((concept) => concept.rxcui);
+
+      expect(new Set(ids).size).toBe(ids.length);
+      expect(new Set(codes).size).toBe(codes.length);
+    });
+  });
+
+  describe('lookupMedication', () => {
+    it('should match generic, brand and synonym names', () => {
+      expect(lookupMedication('Lisinopril 10mg')).toMatchObject({ concept: { id: 'lisinopril' }, matchedBy: 'name' });
+      expect(lookupMedication('Coumadin')).toMatchObject({ concept: { name: 'warfarin' }, matchedBy: 'brand' });
+      expect(lookupMedication('paracetamol')).toMatchObject({ concept: { id: 'acetaminophen' }, matchedBy: 'synonym' });
+    });
+
+    it('should prefer the most specific name', () => {
+      expect(lookupMedication('Amoxicillin/Clavulanate 875mg').concept.id).toBe('amoxicillin-clavulanate');
+    });
+
+    it('should match misspellings', () => {
+      expect(lookupMedication('metfromin')).toMatchObject({ concept: { id: 'metformin' }, matchedBy: 'fuzzy' });
+      expect(lookupMedication('Zolof 50 mg').concept.id).toBe('sertraline');
+    });
+
+    it('should not match unrelated words', () => {
+      expect(lookupMedication('Fish oil daily')).toBeNull();
+      expect(lookupMedication('')).toBeNull();
+    });
+  });
+
+  describe('parseDosage', () => {
+    it('should parse amount, unit, route and frequency', () => {
+      expect(parseDosage('500 mg by mouth twice daily')).toEqual({
+        amount: 500,
+        unit: 'mg',
+        route: 'oral',
+        frequency: 'BID',
+        asNeeded: false,
+      });
+    });
+
+    it('should parse interval and as-needed dosing', () => {
+      expect(parseDosage('2 puffs q4h prn')).toEqual({
+        amount: 2,
+        unit: 'puff',
+        route: 'inhaled',
+        frequency: 'Q4H',
+        asNeeded: true,
+      });
+    });
+
+    it('should leave unknown parts empty', () => {
+      expect(parseDosage('')).toEqual({ amount: null, unit: null, route: null, frequency: null, asNeeded: false });
+      expect(parseDosage('0.125mg').unit).toBe('mg');
+    });
+  });
+
+  describe('normalizeMedication', () => {
+    it('should normalize structured entries', () => {
+      expect(normalizeMedication({ name: 'Synthroid', dosage: '75 mcg', frequency: 'every morning' })).toEqual({
+        input: 'Synthroid',
+        conceptId: 'levothyroxine',
+        name: 'levothyroxine',
+        rxcui: '10582',
+        matchedBy: 'brand',
+        amount: 75,
+        unit: 'mcg',
+        route: null,
+        frequency: 'QD',
+        asNeeded: false,
+      });
+    });
+
+    it('should keep unrecognized medications with their dosage', () => {
+      expect(normalizeMedication('Turmeric 500mg capsule daily')).toMatchObject({
+        input: 'Turmeric 500mg capsule daily',
+        conceptId: null,
+        rxcui: null,
+        amount: 500,
+        route: 'oral',
+        frequency: 'QD',
+      });
+    });
+  });
+
+  describe('normalizeMedications', () => {
+    it('should skip empty entries and tolerate missing lists', () => {
+      expect(normalizeMedications(['Advil', '', { dosage: '5mg' }]).map((med) => med.conceptId)).toEqual(['ibuprofen']);
+      expect(normalizeMedications(undefined)).toEqual([]);
+    });
+  });
+});
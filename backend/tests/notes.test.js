@@ -0,0 +1,162 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+describe('Clinical Notes Endpoints', () => {
+  let accessToken;
+  let otherAccessToken;
+  let patientId;
+  let noteId;
+
+  const testUser = {
+    email: 'notes-doctor@example.com',
+    password: 'DoctorPass123',
+    firstName: 'Notes',
+    lastName: 'Doctor',
+  };
+
+  const otherUser = {
+    email: 'notes-other@example.com',
+    password: 'DoctorPass123',
+    firstName: 'Other',
+    lastName: 'Doctor',
+  };
+
+  const testPatient = {
+    firstName: 'Noted',
+    lastName: 'Patient',
+    email: 'notes-patient@test.com',
+    dateOfBirth: '1982-11-02',
+  };
+
+  beforeAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: { in: [testUser.email, otherUser.email] } } } } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: { in: [testUser.email, otherUser.email] } },
+    });
+
+    const registerRes = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+    accessToken = registerRes.body.data.accessToken;
+
+    const otherRes = await request(app)
+      .post('/api/auth/register')
+      .send(otherUser);
+    otherAccessToken = otherRes.body.data.accessToken;
+
+    const patientRes = await request(app)
+      .post('/api/patients')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send(testPatient);
+    patientId = patientRes.body.data.patient.id;
+  });
+
+  afterAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: { in: [testUser.email, otherUser.email] } } } } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: { in: [testUser.email, otherUser.email] } },
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('POST /api/patients/:id/notes', () => {
+    it('should create a note', async () => {
+      const res = await request(app)
+        .post(`/api/patients/${patientId}/notes`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ content: 'Follow up in two weeks', noteType: 'FOLLOW_UP' })
+        .expect(201);
+
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.note.content).toBe('Follow up in two weeks');
+      expect(res.body.data.note.noteType).toBe('FOLLOW_UP');
+      expect(res.body.data.note.patientId).toBe(patientId);
+
+      noteId = res.body.data.note.id;
+    });
+
+    it('should reject empty content', async () => {
+      const res = await request(app)
+        .post(`/api/patients/${patientId}/notes`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ content: '' })
+        .expect(400);
+
+      expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should reject an intake from another patient', async () => {
+      const res = await request(app)
+        .post(`/api/patients/${patientId}/notes`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ content: 'Linked note', intakeId: 'non-existent' })
+        .expect(400);
+
+      expect(res.body.success).toBe(false);
+    });
+
+    it("should not allow access to another provider's patient", async () => {
+      const res = await request(app)
+        .post(`/api/patients/${patientId}/notes`)
+        .set('Authorization', `Bearer ${otherAccessToken}`)
+        .send({ content: 'Intrusion' })
+        .expect(404);
+
+      expect(res.body.error.code).toBe('NOT_FOUND');
+    });
+  });
+
+  describe('GET /api/patients/:id/notes', () => {
+    it('should list notes for the patient', async () => {
+      const res = await request(app)
+        .get(`/api/patients/${patientId}/notes`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(res.body.data.notes.length).toBe(1);
+      expect(res.body.data.pagination.total).toBe(1);
+    });
+
+    it('should include notes in the patient response', async () => {
+      const res = await request(app)
+        .get(`/api/patients/${patientId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(res.body.data.patient.notes).toHaveLength(1);
+    });
+  });
+
+  describe('PUT /api/patients/:id/notes/:noteId', () => {
+    it('should update a note', async () => {
+      const res = await request(app)
+        .put(`/api/patients/${patientId}/notes/${noteId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ content: 'Follow up in one week' })
+        .expect(200);
+
+      expect(res.body.data.note.content).toBe('Follow up in one week');
+    });
+  });
+
+  describe('DELETE /api/patients/:id/notes/:noteId', () => {
+    it('should delete a note', async () => {
+      await request(app)
+        .delete(`/api/patients/${patientId}/notes/${noteId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/patients/${patientId}/notes/${noteId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(404);
+    });
+  });
+});
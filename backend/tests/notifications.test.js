@@ -0,0 +1,212 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const { sendNotification, setNotifier } = require('../src/services/notificationService');
+const {
+  intakeLinkInvitation,
+  intakeLinkReminder,
+  practiceDisplayName,
+} = require('../src/services/notificationTemplates');
+const { criticalRedFlagAlert } = require('../src/services/alertTemplates');
+const logger = require('../src/utils/logger');
+const createConsoleNotifier = require('../src/services/notifiers/consoleNotifier');
+const createFileNotifier = require('../src/services/notifiers/fileNotifier');
+const createWebhookNotifier = require('../src/services/notifiers/webhookNotifier');
+
+describe('Notifications', () => {
+  const patient = { firstName: 'Jane', email: 'jane@test.com' };
+  const provider = { firstName: 'Sam', lastName: 'Lee', title: 'ND', practiceName: null };
+
+  describe('templates', () => {
+    it('should use the practice name when set', () => {
+      expect(practiceDisplayName({ ...provider, practiceName: 'Lee Naturopathic' })).toBe(
+        'Lee Naturopathic'
+      );
+      expect(practiceDisplayName(provider)).toBe('Sam Lee, ND');
+    });
+
+    it('should render email and SMS invitations containing the link', () => {
+      const messages = intakeLinkInvitation({
+        patient,
+        provider,
+        url: 'https://intake.test/form/abc',
+        expiresAt: new Date('2030-01-15T12:00:00Z'),
+      });
+
+      expect(messages.email.subject).toContain('Sam Lee, ND');
+      expect(messages.email.text).toContain('Hi Jane');
+      expect(messages.email.text).toContain('https://intake.test/form/abc');
+      expect(messages.sms.text).toContain('https://intake.test/form/abc');
+      expect(messages.sms.text).toContain('January 15, 2030');
+    });
+
+    it('should render a reminder with the expiry date', () => {
+      const messages = intakeLinkReminder({
+        patient,
+        provider,
+        url: 'https://intake.test/form/abc',
+        expiresAt: new Date('2030-01-15T12:00:00Z'),
+      });
+
+      expect(messages.email.subject).toContain('Reminder');
+      expect(messages.email.text).toContain('January 15, 2030');
+      expect(messages.sms.text).toContain('https://intake.test/form/abc');
+    });
+
+    it('should keep clinical details out of critical alerts', () => {
+      const messages = criticalRedFlagAlert({
+        redFlag: {
+          id: 'rf-1',
+          intakeId: 'in-1',
+          category: 'cardiac',
+          severity: 'CRITICAL',
+          description: 'Chest pain',
+        },
+        patient: { id: 'p-1', firstName: 'Jane', lastName: 'Doe' },
+        level: 1,
+      });
+
+      expect(messages.email.subject).toBe('[Escalation 1] Critical red flag for patient J.D.');
+      expect(messages.sms.text).toContain('critical cardiac red flag');
+      expect(messages.webhook.data).toEqual(
+        expect.objectContaining({ event: 'redFlag.critical', level: 1, patientId: 'p-1' })
+      );
+      expect(JSON.stringify(messages)).not.toMatch(/Chest pain|Jane/);
+    });
+  });
+
+  describe('sendNotification', () => {
+    it('should report a sent message', async () => {
+      const send = jest.fn().mockResolvedValue({ messageId: 'msg-1' });
+      setNotifier('email', { name: 'mock', send });
+
+      const result = await sendNotification('email', { to: 'jane@test.com', text: 'Hi' });
+
+      expect(send).toHaveBeenCalledWith({ to: 'jane@test.com', text: 'Hi' });
+      expect(result).toEqual({ status: 'SENT', provider: 'mock', messageId: 'msg-1', error: null });
+    });
+
+    it('should report a failed message instead of throwing', async () => {
+      setNotifier('sms', {
+        name: 'mock',
+        send: jest.fn().mockRejectedValue(new Error('carrier unavailable')),
+      });
+
+      const result = await sendNotification('sms', { to: '+15550001111', text: 'Hi' });
+
+      expect(result.status).toBe('FAILED');
+      expect(result.error).toBe('carrier unavailable');
+    });
+
+    it('should fail rather than fall back when no provider is configured', async () => {
+      const original = config.notifications.smsProvider;
+      config.notifications.smsProvider = undefined;
+      setNotifier('sms', undefined);
+
+      try {
+        const result = await sendNotification('sms', { to: '+15550001111', text: 'Hi' });
+
+        expect(result).toEqual(
+          expect.objectContaining({ status: 'FAILED', provider: null, messageId: null })
+        );
+        expect(result.error).toContain('SMS_PROVIDER');
+      } finally {
+        config.notifications.smsProvider = original;
+        setNotifier('sms', undefined);
+      }
+    });
+  });
+
+  describe('console notifier', () => {
+    it('should not log tokens carried in links', async () => {
+      const info = jest.spyOn(logger, 'info').mockImplementation(() => {});
+
+      try {
+        await createConsoleNotifier('email').send({
+          to: 'dr@test.com',
+          subject: 'Reset your IntakeAI password',
+          text: 'Choose a new password: https://app.test/reset-password?token=abc123def&x=1',
+        });
+
+        const logged = info.mock.calls[0][0];
+        expect(logged).toContain('reset-password?token=[redacted]&x=1');
+        expect(logged).not.toContain('abc123def');
+      } finally {
+        info.mockRestore();
+      }
+    });
+  });
+
+  describe('file notifier', () => {
+    it('should write messages to the outbox directory', async () => {
+      const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+      const notifier = createFileNotifier('email', outboxDir);
+
+      const { messageId } = await notifier.send({ to: 'jane@test.com', subject: 'Hello', text: 'Body' });
+
+      const written = JSON.parse(fs.readFileSync(path.join(outboxDir, `${messageId}.json`), 'utf8'));
+      expect(written).toEqual(
+        expect.objectContaining({ channel: 'email', to: 'jane@test.com', subject: 'Hello' })
+      );
+
+      fs.rmSync(outboxDir, { recursive: true, force: true });
+    });
+  });
+
+  describe('webhook notifier', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('should post signed JSON to the recipient URL', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        headers: new Headers({ 'x-request-id': 'req-1' }),
+      });
+      const notifier = createWebhookNotifier({ secret: 'shh' });
+
+      const { messageId } = await notifier.send({
+        to: 'https://hooks.test/alerts',
+        subject: 'Alert',
+        text: 'Body',
+        data: { event: 'redFlag.critical' },
+      });
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://hooks.test/alerts');
+      expect(JSON.parse(options.body)).toEqual(
+        expect.objectContaining({ subject: 'Alert', event: 'redFlag.critical' })
+      );
+      expect(options.headers['X-IntakeAI-Signature']).toBe(
+        createWebhookNotifier.signPayload(options.body, 'shh')
+      );
+      expect(messageId).toBe('req-1');
+    });
+
+    it('should fail on an error response', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 502 });
+      const notifier = createWebhookNotifier();
+
+      await expect(notifier.send({ to: 'https://hooks.test/alerts', text: 'Body' })).rejects.toThrow(
+        'Webhook error 502'
+      );
+    });
+
+    it('should give up on a receiver that does not respond', async () => {
+      global.fetch = jest.fn(
+        (url, { signal }) =>
+          new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(signal.reason));
+          })
+      );
+      const notifier = createWebhookNotifier({ timeoutMs: 20 });
+
+      await expect(notifier.send({ to: 'https://hooks.test/alerts', text: 'Body' })).rejects.toThrow(
+        'Webhook timed out after 20ms'
+      );
+    });
+  });
+});
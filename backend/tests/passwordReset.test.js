@@ -0,0 +1,184 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { PrismaClient } = require('@prisma/client');
+const { setNotifier } = require('../src/services/notificationService');
+
+const prisma = new PrismaClient();
+
+describe('Password Reset and Change', () => {
+  let send;
+
+  const testUser = {
+    email: 'reset-doctor@example.com',
+    password: 'OriginalPass123',
+    firstName: 'Reset',
+    lastName: 'Doctor',
+  };
+
+  // Token from the link in the most recent reset email
+  const sentToken = () => send.mock.calls.at(-1)[0].text.match(/token=([0-9a-f]+)/)[1];
+
+  // The reset email is sent after the response
+  const requestReset = async (email) => {
+    const res = await request(app).post('/api/auth/forgot-password').send({ email }).expect(200);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    return res;
+  };
+
+  const login = (password) =>
+    request(app).post('/api/auth/login').send({ email: testUser.email, password });
+
+  const refreshCookie = (res) =>
+    res.headers['set-cookie'].find((cookie) => cookie.startsWith('refreshToken=')).split(';')[0];
+
+  beforeAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: testUser.email },
+    });
+
+    await request(app).post('/api/auth/register').send(testUser);
+  });
+
+  beforeEach(() => {
+    send = jest.fn().mockResolvedValue({ messageId: 'reset-1' });
+    setNotifier('email', { name: 'mock', send });
+  });
+
+  afterAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: testUser.email },
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('POST /api/auth/forgot-password', () => {
+    it('should respond the same way for an unknown email without sending anything', async () => {
+      const res = await requestReset('nobody-here@example.com');
+
+      expect(res.body.success).toBe(true);
+      expect(send).not.toHaveBeenCalled();
+    });
+
+    it('should email a reset link and store only a hash of the token', async () => {
+      await requestReset(testUser.email);
+
+      expect(send).toHaveBeenCalledWith(
+        expect.objectContaining({ to: testUser.email, subject: 'Reset your IntakeAI password' })
+      );
+
+      const stored = await prisma.passwordResetToken.findMany({
+        where: { user: { email: testUser.email } },
+      });
+      expect(stored).toHaveLength(1);
+      expect(stored[0].tokenHash).not.toBe(sentToken());
+    });
+  });
+
+  describe('POST /api/auth/reset-password', () => {
+    it('should reject an unknown token', async () => {
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'not-a-real-token', password: 'NewPass12345' })
+        .expect(400);
+
+      expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should only accept the latest link, once, and sign out every session', async () => {
+      const session = await login(testUser.password).expect(200);
+
+      await requestReset(testUser.email);
+      const firstToken = sentToken();
+      await requestReset(testUser.email);
+      const token = sentToken();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: firstToken, password: 'ResetPass123' })
+        .expect(400);
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'ResetPass123' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'AnotherPass123' })
+        .expect(400);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', refreshCookie(session))
+        .expect(401);
+
+      await login(testUser.password).expect(401);
+      await login('ResetPass123').expect(200);
+    });
+
+    it('should let only one of two concurrent requests use a token', async () => {
+      await requestReset(testUser.email);
+      const token = sentToken();
+
+      const responses = await Promise.all(
+        ['RacePassOne123', 'RacePassTwo123'].map((password) =>
+          request(app).post('/api/auth/reset-password').send({ token, password })
+        )
+      );
+
+      expect(responses.map((res) => res.status).sort()).toEqual([200, 400]);
+
+      // Put back the password the tests below expect
+      await requestReset(testUser.email);
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: sentToken(), password: 'ResetPass123' })
+        .expect(200);
+    });
+  });
+
+  describe('POST /api/auth/change-password', () => {
+    it('should require the current password', async () => {
+      const session = await login('ResetPass123');
+
+      await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${session.body.data.accessToken}`)
+        .send({ currentPassword: 'WrongPass123', newPassword: 'ChangedPass123' })
+        .expect(400);
+    });
+
+    it('should keep this session, revoke the others and audit the change', async () => {
+      const other = await login('ResetPass123');
+      const current = await login('ResetPass123');
+
+      const res = await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${current.body.data.accessToken}`)
+        .set('Cookie', refreshCookie(current))
+        .send({ currentPassword: 'ResetPass123', newPassword: 'ChangedPass123' })
+        .expect(200);
+
+      expect(res.body.data.sessionsRevoked).toBeGreaterThanOrEqual(1);
+
+      await request(app).post('/api/auth/refresh').set('Cookie', refreshCookie(other)).expect(401);
+      await request(app).post('/api/auth/refresh').set('Cookie', refreshCookie(current)).expect(200);
+
+      const auditRes = await request(app)
+        .get('/api/audit-logs')
+        .query({ action: 'PASSWORD_CHANGE' })
+        .set('Authorization', `Bearer ${current.body.data.accessToken}`)
+        .expect(200);
+
+      expect(auditRes.body.data.auditLogs.map((log) => log.newValues.method)).toEqual(
+        expect.arrayContaining(['reset', 'change'])
+      );
+    });
+  });
+});
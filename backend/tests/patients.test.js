@@ -29,6 +29,9 @@ describe('Patients Endpoints', () => {
     await prisma.patient.deleteMany({
       where: { email: testPatient.email },
     });
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
     await prisma.user.deleteMany({
       where: { email: testUser.email },
     });
@@ -47,6 +50,9 @@ describe('Patients Endpoints', () => {
     await prisma.patient.deleteMany({
       where: { providerId: userId },
     });
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
     await prisma.user.deleteMany({
       where: { email: testUser.email },
     });
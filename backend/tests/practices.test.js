@@ -0,0 +1,275 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+describe('Practices', () => {
+  let ownerToken;
+  let ownerId;
+  let practiceId;
+  const tokens = {};
+  const userIds = {};
+  let patientId;
+  let intakeId;
+
+  const owner = {
+    email: 'practice-owner@example.com',
+    password: 'OwnerPass123',
+    firstName: 'Olivia',
+    lastName: 'Owner',
+    practiceName: 'Shared Panel Clinic',
+  };
+
+  const outsider = {
+    email: 'practice-outsider@example.com',
+    password: 'OutsiderPass123',
+    firstName: 'Oscar',
+    lastName: 'Outsider',
+  };
+
+  const members = {
+    CLINICIAN: { email: 'practice-clinician@example.com', firstName: 'Cara', lastName: 'Clinician' },
+    STAFF: { email: 'practice-staff@example.com', firstName: 'Sam', lastName: 'Staff' },
+    READ_ONLY: { email: 'practice-readonly@example.com', firstName: 'Rita', lastName: 'Reader' },
+  };
+
+  const emails = [owner.email, outsider.email, ...Object.values(members).map((m) => m.email)];
+
+  const as = (role) => ({ Authorization: `Bearer ${tokens[role]}` });
+
+  beforeAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: { in: emails } } } } },
+    });
+    await prisma.user.deleteMany({ where: { email: { in: emails } } });
+
+    const registerRes = await request(app).post('/api/auth/register').send(owner);
+    ownerToken = registerRes.body.data.accessToken;
+    ownerId = registerRes.body.data.user.id;
+    practiceId = registerRes.body.data.user.membership.practice.id;
+    tokens.OWNER = ownerToken;
+
+    const outsiderRes = await request(app).post('/api/auth/register').send(outsider);
+    tokens.OUTSIDER = outsiderRes.body.data.accessToken;
+
+    for (const [role, member] of Object.entries(members)) {
+      const res = await request(app)
+        .post('/api/practice/members')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ ...member, password: 'MemberPass123', role });
+      userIds[role] = res.body.data.member.userId;
+
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: member.email, password: 'MemberPass123' });
+      tokens[role] = loginRes.body.data.accessToken;
+    }
+  });
+
+  afterAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: { in: emails } } } } },
+    });
+    await prisma.user.deleteMany({ where: { email: { in: emails } } });
+    await prisma.$disconnect();
+  });
+
+  describe('membership', () => {
+    it('should make the registering user the owner of a new practice', async () => {
+      const res = await request(app).get('/api/practice').set(as('OWNER')).expect(200);
+
+      expect(res.body.data.practice.name).toBe(owner.practiceName);
+      expect(res.body.data.role).toBe('OWNER');
+      expect(res.body.data.practice.members.map((m) => m.role)).toEqual([
+        'OWNER',
+        'CLINICIAN',
+        'STAFF',
+        'READ_ONLY',
+      ]);
+    });
+
+    it('should only let owners manage members', async () => {
+      await request(app)
+        .post('/api/practice/members')
+        .set(as('CLINICIAN'))
+        .send({
+          email: 'nope@example.com',
+          password: 'MemberPass123',
+          firstName: 'No',
+          lastName: 'Access',
+          role: 'STAFF',
+        })
+        .expect(403);
+    });
+
+    it('should keep at least one owner', async () => {
+      const res = await request(app)
+        .patch(`/api/practice/members/${ownerId}`)
+        .set(as('OWNER'))
+        .send({ role: 'CLINICIAN' })
+        .expect(409);
+
+      expect(res.body.error.message).toMatch(/at least one owner/);
+    });
+  });
+
+  describe('shared patient panel', () => {
+    const sharedPatient = {
+      firstName: 'Pat',
+      lastName: 'Shared',
+      email: 'shared-patient@test.com',
+      dateOfBirth: '1980-01-01',
+    };
+
+    it('should require staff to choose the assigned clinician', async () => {
+      await request(app)
+        .post('/api/patients')
+        .set(as('STAFF'))
+        .send(sharedPatient)
+        .expect(400);
+    });
+
+    it('should reject an assigned clinician who is not a clinician', async () => {
+      await request(app)
+        .post('/api/patients')
+        .set(as('STAFF'))
+        .send({ ...sharedPatient, providerId: userIds.STAFF })
+        .expect(400);
+    });
+
+    it('should let staff register patients and send links for a clinician', async () => {
+      const patientRes = await request(app)
+        .post('/api/patients')
+        .set(as('STAFF'))
+        .send({ ...sharedPatient, providerId: userIds.CLINICIAN })
+        .expect(201);
+      patientId = patientRes.body.data.patient.id;
+      expect(patientRes.body.data.patient.providerId).toBe(userIds.CLINICIAN);
+
+      const linkRes = await request(app)
+        .post('/api/intake-links')
+        .set(as('STAFF'))
+        .send({ patientId })
+        .expect(201);
+
+      const submitRes = await request(app)
+        .post(`/api/intake-links/${linkRes.body.data.intakeLink.token}/submit`)
+        .send({ chiefComplaint: 'Persistent cough', consentGiven: true, consentVersion: '2024-06' });
+      intakeId = submitRes.body.data.intakeId;
+    });
+
+    it('should show the patient to every member of the practice', async () => {
+      for (const role of ['OWNER', 'CLINICIAN', 'STAFF', 'READ_ONLY']) {
+        const res = await request(app).get('/api/patients').set(as(role)).expect(200);
+        expect(res.body.data.patients.map((p) => p.id)).toContain(patientId);
+      }
+    });
+
+    it('should filter the panel by assigned clinician', async () => {
+      const mine = await request(app)
+        .get('/api/patients')
+        .query({ assignedTo: 'me' })
+        .set(as('CLINICIAN'))
+        .expect(200);
+      const ownersOwn = await request(app)
+        .get('/api/patients')
+        .query({ assignedTo: 'me' })
+        .set(as('OWNER'))
+        .expect(200);
+
+      expect(mine.body.data.patients.map((p) => p.id)).toContain(patientId);
+      expect(ownersOwn.body.data.patients.map((p) => p.id)).not.toContain(patientId);
+    });
+
+    it('should hide the patient from other practices', async () => {
+      await request(app).get(`/api/patients/${patientId}`).set(as('OUTSIDER')).expect(404);
+      await request(app).get(`/api/intakes/${intakeId}`).set(as('OUTSIDER')).expect(404);
+    });
+  });
+
+  describe('role permissions', () => {
+    it('should keep clinical data from staff', async () => {
+      await request(app).get(`/api/intakes/${intakeId}`).set(as('STAFF')).expect(403);
+      await request(app).get('/api/summaries').set(as('STAFF')).expect(403);
+      await request(app).get(`/api/patients/${patientId}/notes`).set(as('STAFF')).expect(403);
+      await request(app).get('/api/dashboard').set(as('STAFF')).expect(403);
+
+      const patientRes = await request(app).get(`/api/patients/${patientId}`).set(as('STAFF')).expect(200);
+      expect(patientRes.body.data.patient.intakeLinks).toHaveLength(1);
+      expect(patientRes.body.data.patient.intakes).toBeUndefined();
+      expect(patientRes.body.data.patient.notes).toBeUndefined();
+
+      const listRes = await request(app).get('/api/patients').set(as('STAFF')).expect(200);
+      const listed = listRes.body.data.patients.find((p) => p.id === patientId);
+      expect(listed.redFlags).toBeUndefined();
+      expect(listed.latestIntake.chiefComplaint).toBeUndefined();
+    });
+
+    it('should let a colleague clinician review the intake', async () => {
+      const res = await request(app).get(`/api/intakes/${intakeId}`).set(as('OWNER')).expect(200);
+      expect(res.body.data.intake.chiefComplaint).toBe('Persistent cough');
+
+      await request(app)
+        .post(`/api/patients/${patientId}/notes`)
+        .set(as('OWNER'))
+        .send({ content: 'Seen while Dr. Clinician was out' })
+        .expect(201);
+    });
+
+    it('should let read-only members read but not change anything', async () => {
+      await request(app).get(`/api/intakes/${intakeId}`).set(as('READ_ONLY')).expect(200);
+      await request(app).get(`/api/patients/${patientId}/notes`).set(as('READ_ONLY')).expect(200);
+
+      await request(app).post(`/api/intakes/${intakeId}/review`).set(as('READ_ONLY')).expect(403);
+      await request(app)
+        .post('/api/patients')
+        .set(as('READ_ONLY'))
+        .send({ firstName: 'No', lastName: 'Write', email: 'no-write@test.com', dateOfBirth: '1980-01-01' })
+        .expect(403);
+      await request(app).post('/api/intake-links').set(as('READ_ONLY')).send({ patientId }).expect(403);
+    });
+
+    it('should not let staff delete patients', async () => {
+      await request(app).delete(`/api/patients/${patientId}`).set(as('STAFF')).expect(403);
+    });
+  });
+
+  describe('audit log', () => {
+    it('should show owners the whole practice', async () => {
+      const res = await request(app)
+        .get('/api/audit-logs')
+        .query({ entityType: 'PATIENT', action: 'CREATE' })
+        .set(as('OWNER'))
+        .expect(200);
+
+      expect(res.body.data.auditLogs).toEqual(
+        expect.arrayContaining([expect.objectContaining({ entityId: patientId, userId: userIds.STAFF })])
+      );
+    });
+
+    it('should show other members only their own entries', async () => {
+      const res = await request(app).get('/api/audit-logs').set(as('CLINICIAN')).expect(200);
+
+      expect(res.body.data.auditLogs.every((log) => log.providerId === userIds.CLINICIAN)).toBe(true);
+    });
+  });
+
+  describe('removing members', () => {
+    it('should refuse while they are an assigned clinician', async () => {
+      await request(app)
+        .delete(`/api/practice/members/${userIds.CLINICIAN}`)
+        .set(as('OWNER'))
+        .expect(409);
+    });
+
+    it('should revoke access for a removed member', async () => {
+      await request(app)
+        .delete(`/api/practice/members/${userIds.READ_ONLY}`)
+        .set(as('OWNER'))
+        .expect(200);
+
+      await request(app).get('/api/patients').set(as('READ_ONLY')).expect(403);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+const {
+  evaluateRules,
+  validateRule,
+  applyOverrides,
+  isNegated,
+} = require('../src/services/redFlagEngine');
+const baseRuleSet = require('../src/rules/redFlagRules.json');
+
+const ruleIds = (intake, rules = baseRuleSet.rules) => evaluateRules(rules, intake).map((flag) => flag.ruleId);
+
+describe('Red flag rule engine', () => {
+  describe('Base rule file', () => {
+    it('should contain only valid rules with unique ids', () => {
+      const errors = baseRuleSet.rules.flatMap((rule, i) => validateRule(rule, `rules[${i}]`));
+      const ids = baseRuleSet.rules.map((rule) => rule.id);
+
+      expect(errors).toEqual([]);
+      expect(new Set(ids).size).toBe(ids.length);
+    });
+  });
+
+  describe('Text rules', () => {
+    it('should match synonyms as whole words', () => {
+      expect(ruleIds({ chiefComplaint: 'Chest tightness since this morning' })).toContain('chest-pain');
+      expect(ruleIds({ chiefComplaint: 'Dyspnea on exertion' })).toContain('shortness-of-breath');
+      expect(ruleIds({ chiefComplaint: 'Breathlessness' })).not.toContain('shortness-of-breath');
+    });
+
+    it('should match regex patterns', () => {
+      const flags = evaluateRules(baseRuleSet.rules, { chiefComplaint: 'Noticed black tarry stools' });
+
+      expect(flags).toEqual([
+        expect.objectContaining({
+          ruleId: 'gi-bleeding',
+          severity: 'HIGH',
+          description: 'Possible GI bleeding: "black tarry stools"',
+          source: 'chiefComplaint',
+        }),
+      ]);
+    });
+
+    it('should ignore negated findings in the same clause', () => {
+      expect(ruleIds({ chiefComplaint: 'Cough. Denies chest pain or shortness of breath' })).toEqual([]);
+      expect(ruleIds({ chiefComplaint: 'No fever, but chest pain when climbing stairs' })).toContain('chest-pain');
+    });
+
+    it('should read nested sections and checkbox answers', () => {
+      const intake = {
+        chiefComplaint: 'Follow-up',
+        reviewOfSystems: { neurological: { suddenWeakness: true }, cardiac: { palpitations: false } },
+      };
+
+      const [flag] = evaluateRules(baseRuleSet.rules, intake);
+      expect(flag.ruleId).toBe('sudden-weakness');
+      expect(flag.source).toBe('reviewOfSystems.neurological.suddenWeakness');
+    });
+
+    it('should read form template responses', () => {
+      const intake = {
+        responses: [{ questionId: 'selfHarm', label: 'Thoughts of self-harm?', field: null, value: true }],
+      };
+
+      expect(ruleIds(intake)).toEqual(['suicidal-ideation']);
+    });
+
+    it('should only scan the fields a rule names', () => {
+      expect(ruleIds({ medications: ['Warfarin 5mg'] })).toEqual(['high-risk-medication']);
+      expect(ruleIds({ chiefComplaint: 'Asked about warfarin' })).toEqual([]);
+    });
+  });
+
+  describe('Threshold and count rules', () => {
+    it('should read blood pressure components', () => {
+      const flags = evaluateRules(baseRuleSet.rules, { reviewOfSystems: { vitals: { bloodPressure: '190/125' } } });
+
+      expect(flags.map((flag) => flag.ruleId)).toEqual(['hypertensive-crisis', 'hypertensive-crisis-diastolic']);
+      expect(flags[0].description).toBe('Systolic blood pressure of 190 mmHg');
+      expect(flags[1].description).toBe('Diastolic blood pressure of 125 mmHg');
+    });
+
+    it('should flag values above or below a limit', () => {
+      expect(ruleIds({ reviewOfSystems: { temperature: '103.8 F' } })).toEqual(['high-fever']);
+      expect(ruleIds({ reviewOfSystems: { temperature: '101 F' } })).toEqual([]);
+      expect(ruleIds({ demographics: { heart_rate: 38 } })).toEqual(['abnormal-heart-rate']);
+    });
+
+    it('should count list entries', () => {
+      expect(ruleIds({ allergies: ['a', 'b', 'c'] })).toEqual([]);
+      expect(ruleIds({ allergies: ['a', 'b', 'c', 'd'] })).toEqual(['multiple-allergies']);
+    });
+
+    it('should match generic medication names without counting them', () => {
+      const rules = [
+        {
+          id: 'many-meds',
+          category: 'x',
+          description: '{value} meds',
+          severity: 'LOW',
+          type: 'count',
+          fields: ['medications'],
+          above: 4,
+        },
+        ...baseRuleSet.rules.filter((rule) => rule.id === 'high-risk-medication'),
+      ];
+      const intake = {
+        medications: ['Jantoven 5mg', 'Lipitor', 'Synthroid'],
+        genericMedicationNames: ['warfarin', 'atorvastatin', 'levothyroxine'],
+      };
+
+      expect(ruleIds(intake, rules)).toEqual(['high-risk-medication']);
+    });
+  });
+
+  describe('Negation', () => {
+    it('should only look a few words back', () => {
+      const text = 'No history of surgery and then one day developed chest pain';
+      expect(isNegated(text, text.indexOf('chest pain'))).toBe(false);
+    });
+  });
+
+  describe('Overrides', () => {
+    const base = [
+      { id: 'chest-pain', category: 'cardiac', severity: 'CRITICAL', type: 'keyword', description: 'x', terms: ['chest pain'] },
+    ];
+
+    it('should disable and re-grade base rules', () => {
+      const disabled = applyOverrides(base, [{ ruleId: 'chest-pain', enabled: false, severity: null, definition: null }]);
+      expect(disabled[0]).toMatchObject({ enabled: false, origin: 'override', severity: 'CRITICAL' });
+      expect(ruleIds({ chiefComplaint: 'chest pain' }, disabled)).toEqual([]);
+
+      const regraded = applyOverrides(base, [{ ruleId: 'chest-pain', enabled: true, severity: 'HIGH', definition: null }]);
+      expect(evaluateRules(regraded, { chiefComplaint: 'chest pain' })[0].severity).toBe('HIGH');
+    });
+
+    it('should extend base rules and add custom ones', () => {
+      const rules = applyOverrides(base, [
+        { ruleId: 'chest-pain', enabled: true, severity: null, definition: { terms: ['chest pain', 'angina'] } },
+        {
+          ruleId: 'fall',
+          enabled: true,
+          severity: null,
+          definition: { category: 'injury', severity: 'MEDIUM', type: 'keyword', description: 'Fall', terms: ['fell'] },
+        },
+        { ruleId: 'unknown', enabled: false, severity: null, definition: null },
+      ]);
+
+      expect(rules.map((rule) => [rule.id, rule.origin])).toEqual([
+        ['chest-pain', 'override'],
+        ['fall', 'custom'],
+      ]);
+      expect(ruleIds({ chiefComplaint: 'Angina after I fell' }, rules)).toEqual(['chest-pain', 'fall']);
+    });
+  });
+
+  describe('Rule validation', () => {
+    it('should report invalid rules', () => {
+      const errors = validateRule(
+        { id: 'Bad Id', category: 'x', description: 'x', severity: 'URGENT', type: 'regex', patterns: ['(unclosed'] },
+        'definition'
+      );
+
+      expect(errors.map((error) => error.field)).toEqual([
+        'definition.id',
+        'definition.severity',
+        'definition.patterns[0]',
+      ]);
+    });
+
+    it('should reject patterns that could backtrack catastrophically', () => {
+      const rule = { id: 'slow', category: 'x', description: 'x', severity: 'LOW', type: 'regex' };
+
+      expect(validateRule({ ...rule, patterns: ['(a+)+$'] }).map((error) => error.field)).toEqual([
+        'rule.patterns[0]',
+      ]);
+      const tooLong = validateRule({ ...rule, patterns: ['ok', 'x'.repeat(201)] });
+      expect(tooLong.map((error) => error.field)).toEqual(['rule.patterns[1]']);
+      expect(validateRule({ ...rule, patterns: ['chest\\s+(pain|pressure)'] })).toEqual([]);
+    });
+
+    it('should skip unsafe patterns when evaluating stored rules', () => {
+      const rule = {
+        id: 'slow',
+        category: 'x',
+        description: 'x',
+        severity: 'LOW',
+        type: 'regex',
+        patterns: ['(a+)+$', 'aaa'],
+      };
+      const start = Date.now();
+      const flags = evaluateRules([rule], { chiefComplaint: `${'a'.repeat(40)}!aaa` });
+
+      expect(flags.map((flag) => flag.ruleId)).toEqual(['slow']);
+      expect(Date.now() - start).toBeLessThan(1000);
+    });
+
+    it('should require type-specific settings', () => {
+      const rule = { id: 'fever', category: 'x', description: 'x', severity: 'LOW', type: 'threshold', keys: ['temp'] };
+
+      expect(validateRule(rule)).toEqual([{ field: 'rule.above', message: expect.any(String) }]);
+      expect(validateRule({ ...rule, below: 95 })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+describe('Red Flag Rule Endpoints', () => {
+  let accessToken;
+  let patientId;
+
+  const testUser = {
+    email: 'rules-doctor@example.com',
+    password: 'DoctorPass123',
+    firstName: 'Rules',
+    lastName: 'Doctor',
+  };
+
+  const consent = { consentGiven: true, consentVersion: '2024-06' };
+
+  const fallRule = {
+    category: 'injury',
+    severity: 'MEDIUM',
+    type: 'keyword',
+    description: 'Recent fall: "{match}"',
+    terms: ['fell', 'fall'],
+  };
+
+  beforeAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: testUser.email },
+    });
+
+    const registerRes = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+
+    accessToken = registerRes.body.data.accessToken;
+
+    const patientRes = await request(app)
+      .post('/api/patients')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({
+        firstName: 'Rules',
+        lastName: 'Patient',
+        email: 'rules-patient@test.com',
+        dateOfBirth: '1950-02-20',
+      });
+
+    patientId = patientRes.body.data.patient.id;
+  });
+
+  afterAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: testUser.email },
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('GET /api/red-flag-rules', () => {
+    it('should return the versioned base rules', async () => {
+      const res = await request(app)
+        .get('/api/red-flag-rules')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.version).toBeDefined();
+      expect(res.body.data.rules).toContainEqual(
+        expect.objectContaining({ id: 'chest-pain', enabled: true, origin: 'base' })
+      );
+    });
+  });
+
+  describe('PUT /api/red-flag-rules/:ruleId', () => {
+    it('should override a base rule', async () => {
+      const res = await request(app)
+        .put('/api/red-flag-rules/numbness')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ enabled: false });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.rule).toMatchObject({ id: 'numbness', enabled: false, origin: 'override' });
+    });
+
+    it('should add a custom rule', async () => {
+      const res = await request(app)
+        .put('/api/red-flag-rules/recent-fall')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ definition: fallRule });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.rule).toMatchObject({ id: 'recent-fall', origin: 'custom' });
+    });
+
+    it('should reject a custom rule without a definition', async () => {
+      const res = await request(app)
+        .put('/api/red-flag-rules/made-up')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ enabled: true });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should reject an invalid definition', async () => {
+      const res = await request(app)
+        .put('/api/red-flag-rules/bad-regex')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ definition: { ...fallRule, type: 'regex', patterns: ['(unclosed'] } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.errors).toContainEqual(
+        expect.objectContaining({ field: 'definition.patterns[0]' })
+      );
+    });
+  });
+
+  describe('POST /api/red-flag-rules/test', () => {
+    it('should evaluate the effective rules without saving', async () => {
+      const res = await request(app)
+        .post('/api/red-flag-rules/test')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ intake: { chiefComplaint: 'Fell yesterday, numbness in left hand. Denies chest pain.' } });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.flags.map((flag) => flag.ruleId)).toEqual(['recent-fall']);
+    });
+
+    it('should evaluate draft rules', async () => {
+      const res = await request(app)
+        .post('/api/red-flag-rules/test')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          intake: { chiefComplaint: 'Dizzy spells' },
+          rules: [{ ...fallRule, id: 'dizziness', terms: ['dizzy'] }],
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.flags).toEqual([
+        expect.objectContaining({ ruleId: 'dizziness', source: 'chiefComplaint' }),
+      ]);
+    });
+  });
+
+  describe('Detection on submit', () => {
+    it('should apply provider rules and record the rule id', async () => {
+      const linkRes = await request(app)
+        .post('/api/intake-links')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ patientId });
+
+      await request(app)
+        .post(`/api/intake-links/${linkRes.body.data.intakeLink.token}/submit`)
+        .send({ chiefComplaint: 'Fell down the stairs, some numbness', ...consent });
+
+      // Wait for async red flag detection
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      const flags = await prisma.redFlag.findMany({
+        where: { intake: { patientId } },
+      });
+
+      expect(flags.map((flag) => flag.ruleId)).toEqual(['recent-fall']);
+    });
+  });
+
+  describe('DELETE /api/red-flag-rules/:ruleId', () => {
+    it('should revert a base rule', async () => {
+      const res = await request(app)
+        .delete('/api/red-flag-rules/numbness')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(res.status).toBe(200);
+
+      const rulesRes = await request(app)
+        .get('/api/red-flag-rules')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(rulesRes.body.data.rules).toContainEqual(
+        expect.objectContaining({ id: 'numbness', enabled: true, origin: 'base' })
+      );
+    });
+
+    it('should return 404 without an override', async () => {
+      const res = await request(app)
+        .delete('/api/red-flag-rules/numbness')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+describe('Red Flag Endpoints', () => {
+  let accessToken;
+  let intakeId;
+  let detectedFlagId;
+  let manualFlagId;
+
+  const testUser = {
+    email: 'flags-doctor@example.com',
+    password: 'DoctorPass123',
+    firstName: 'Flags',
+    lastName: 'Doctor',
+  };
+
+  const getStats = () =>
+    request(app)
+      .get('/api/patients/stats')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+  beforeAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: testUser.email },
+    });
+
+    const registerRes = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+    accessToken = registerRes.body.data.accessToken;
+
+    const patientRes = await request(app)
+      .post('/api/patients')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({
+        firstName: 'Flag',
+        lastName: 'Patient',
+        email: 'flags-patient@test.com',
+        dateOfBirth: '1975-09-30',
+      });
+
+    const linkRes = await request(app)
+      .post('/api/intake-links')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ patientId: patientRes.body.data.patient.id });
+
+    const submitRes = await request(app)
+      .post(`/api/intake-links/${linkRes.body.data.intakeLink.token}/submit`)
+      .send({ chiefComplaint: 'Chest pain at rest', consentGiven: true, consentVersion: '2024-06' });
+    intakeId = submitRes.body.data.intakeId;
+
+    // Wait for async red flag detection
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    const intakeRes = await request(app)
+      .get(`/api/intakes/${intakeId}`)
+      .set('Authorization', `Bearer ${accessToken}`);
+    detectedFlagId = intakeRes.body.data.intake.redFlags[0].id;
+  });
+
+  afterAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: testUser.email },
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('POST /api/red-flags', () => {
+    it('should add a manual red flag', async () => {
+      const res = await request(app)
+        .post('/api/red-flags')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          intakeId,
+          category: 'social',
+          description: 'Lives alone, no transport to follow-up',
+          severity: 'MEDIUM',
+        })
+        .expect(201);
+
+      const { redFlag } = res.body.data;
+      expect(redFlag.origin).toBe('MANUAL');
+      expect(redFlag.source).toBe('provider');
+      expect(redFlag.createdByUserId).toBeDefined();
+      manualFlagId = redFlag.id;
+    });
+
+    it('should reject an invalid severity', async () => {
+      await request(app)
+        .post('/api/red-flags')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ intakeId, category: 'social', description: 'Test', severity: 'URGENT' })
+        .expect(400);
+    });
+
+    it('should return 404 for an unknown intake', async () => {
+      await request(app)
+        .post('/api/red-flags')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ intakeId: 'missing', category: 'social', description: 'Test', severity: 'LOW' })
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/red-flags/:id/acknowledge', () => {
+    it('should record who acknowledged the flag', async () => {
+      const res = await request(app)
+        .post(`/api/red-flags/${detectedFlagId}/acknowledge`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(res.body.data.redFlag.acknowledgedAt).toBeDefined();
+      expect(res.body.data.redFlag.acknowledgedByUserId).toBeDefined();
+
+      const statsRes = await getStats();
+      const flag = statsRes.body.data.recentRedFlags.find((rf) => rf.id === detectedFlagId);
+      expect(flag.isAcknowledged).toBe(true);
+
+      const dashboardRes = await request(app)
+        .get('/api/dashboard')
+        .set('Authorization', `Bearer ${accessToken}`);
+      const alert = dashboardRes.body.data.redFlagAlerts.find((rf) => rf.id === detectedFlagId);
+      expect(alert.isAcknowledged).toBe(true);
+      expect(alert.redFlag.source).toBe('KEYWORD');
+    });
+
+    it('should not acknowledge twice', async () => {
+      await request(app)
+        .post(`/api/red-flags/${detectedFlagId}/acknowledge`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(409);
+    });
+  });
+
+  describe('POST /api/red-flags/:id/dismiss', () => {
+    it('should require a reason', async () => {
+      await request(app)
+        .post(`/api/red-flags/${manualFlagId}/dismiss`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({})
+        .expect(400);
+    });
+
+    it('should dismiss the flag and drop it from stats', async () => {
+      const res = await request(app)
+        .post(`/api/red-flags/${manualFlagId}/dismiss`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ reason: 'Daughter will drive the patient' })
+        .expect(200);
+
+      expect(res.body.data.redFlag.dismissReason).toBe('Daughter will drive the patient');
+
+      const statsRes = await getStats();
+      const ids = statsRes.body.data.recentRedFlags.map((rf) => rf.id);
+      expect(ids).toContain(detectedFlagId);
+      expect(ids).not.toContain(manualFlagId);
+
+      // Still visible on the intake itself
+      const intakeRes = await request(app)
+        .get(`/api/intakes/${intakeId}`)
+        .set('Authorization', `Bearer ${accessToken}`);
+      expect(intakeRes.body.data.intake.redFlags.map((rf) => rf.id)).toContain(manualFlagId);
+    });
+
+    it('should not dismiss twice', async () => {
+      await request(app)
+        .post(`/api/red-flags/${manualFlagId}/dismiss`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ reason: 'Again' })
+        .expect(409);
+    });
+
+    it('should not acknowledge a dismissed flag', async () => {
+      await request(app)
+        .post(`/api/red-flags/${manualFlagId}/acknowledge`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(409);
+    });
+  });
+
+  it('should audit red flag changes', async () => {
+    const res = await request(app)
+      .get('/api/audit-logs')
+      .query({ entityType: 'RED_FLAG' })
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    expect(res.body.data.auditLogs.map((log) => log.action).sort()).toEqual(['CREATE', 'UPDATE', 'UPDATE']);
+  });
+});
@@ -0,0 +1,183 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { PrismaClient } = require('@prisma/client');
+const { purgeDeletedRecords } = require('../src/jobs/retentionJobs');
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Soft Delete and Retention', () => {
+  let accessToken;
+  let patientId;
+  let token;
+  let intakeId;
+  let summaryId;
+
+  const testUser = {
+    email: 'soft-delete-doctor@example.com',
+    password: 'DoctorPass123',
+    firstName: 'Soft',
+    lastName: 'Delete',
+  };
+
+  const auth = () => ({ Authorization: `Bearer ${accessToken}` });
+
+  beforeAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: testUser.email },
+    });
+
+    const registerRes = await request(app).post('/api/auth/register').send(testUser);
+    accessToken = registerRes.body.data.accessToken;
+
+    const patientRes = await request(app)
+      .post('/api/patients')
+      .set(auth())
+      .send({
+        firstName: 'Retained',
+        lastName: 'Patient',
+        email: 'soft-delete-patient@test.com',
+        dateOfBirth: '1968-07-21',
+      });
+    patientId = patientRes.body.data.patient.id;
+
+    const linkRes = await request(app)
+      .post('/api/intake-links')
+      .set(auth())
+      .send({ patientId });
+    token = linkRes.body.data.intakeLink.token;
+
+    const submitRes = await request(app)
+      .post(`/api/intake-links/${token}/submit`)
+      .send({ chiefComplaint: 'Lower back pain', consentGiven: true, consentVersion: '2024-06' });
+    intakeId = submitRes.body.data.intakeId;
+
+    const summaryRes = await request(app)
+      .post('/api/summaries/generate')
+      .set(auth())
+      .send({ intakeId });
+    summaryId = summaryRes.body.data.summary.id;
+  });
+
+  afterAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: testUser.email } } } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: testUser.email },
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('summaries', () => {
+    it('should hide a deleted summary until it is restored', async () => {
+      const res = await request(app).delete(`/api/summaries/${summaryId}`).set(auth()).expect(200);
+      expect(res.body.data.purgeAfter).toBeDefined();
+
+      await request(app).get(`/api/summaries/${summaryId}`).set(auth()).expect(404);
+
+      await request(app).post(`/api/summaries/${summaryId}/restore`).set(auth()).expect(200);
+      await request(app).get(`/api/summaries/${summaryId}`).set(auth()).expect(200);
+    });
+  });
+
+  describe('intakes', () => {
+    it('should delete an intake with its summaries and restore them together', async () => {
+      await request(app).delete(`/api/intakes/${intakeId}`).set(auth()).expect(200);
+
+      await request(app).get(`/api/intakes/${intakeId}`).set(auth()).expect(404);
+      await request(app).get(`/api/summaries/${summaryId}`).set(auth()).expect(404);
+
+      const listRes = await request(app).get('/api/intakes').query({ patientId }).set(auth());
+      expect(listRes.body.data.intakes).toHaveLength(0);
+
+      await request(app).post(`/api/intakes/${intakeId}/restore`).set(auth()).expect(200);
+
+      await request(app).get(`/api/intakes/${intakeId}`).set(auth()).expect(200);
+      await request(app).get(`/api/summaries/${summaryId}`).set(auth()).expect(200);
+    });
+
+    it('should not bring back a summary that was deleted separately', async () => {
+      await request(app).delete(`/api/summaries/${summaryId}`).set(auth()).expect(200);
+      await request(app).delete(`/api/intakes/${intakeId}`).set(auth()).expect(200);
+      await request(app).post(`/api/intakes/${intakeId}/restore`).set(auth()).expect(200);
+
+      await request(app).get(`/api/summaries/${summaryId}`).set(auth()).expect(404);
+      await request(app).post(`/api/summaries/${summaryId}/restore`).set(auth()).expect(200);
+    });
+  });
+
+  describe('patients', () => {
+    it('should delete a patient with their records and disable their intake links', async () => {
+      const res = await request(app).delete(`/api/patients/${patientId}`).set(auth()).expect(200);
+      expect(res.body.data.deletedAt).toBeDefined();
+
+      await request(app).get(`/api/intakes/${intakeId}`).set(auth()).expect(404);
+      await request(app).get(`/api/intake-links/${token}`).expect(404);
+
+      const deletedRes = await request(app).get('/api/patients/deleted').set(auth()).expect(200);
+      expect(deletedRes.body.data.patients).toEqual([
+        expect.objectContaining({ id: patientId, purgeAfter: expect.any(String) }),
+      ]);
+    });
+
+    it('should not restore an intake on its own while its patient is deleted', async () => {
+      await request(app).post(`/api/intakes/${intakeId}/restore`).set(auth()).expect(404);
+    });
+
+    it('should restore the patient with everything deleted with them and audit it', async () => {
+      await request(app).post(`/api/patients/${patientId}/restore`).set(auth()).expect(200);
+
+      await request(app).get(`/api/patients/${patientId}`).set(auth()).expect(200);
+      await request(app).get(`/api/intakes/${intakeId}`).set(auth()).expect(200);
+      await request(app).get(`/api/summaries/${summaryId}`).set(auth()).expect(200);
+
+      const auditRes = await request(app)
+        .get('/api/audit-logs')
+        .query({ action: 'RESTORE', entityId: patientId })
+        .set(auth())
+        .expect(200);
+      expect(auditRes.body.data.auditLogs).toHaveLength(1);
+    });
+  });
+
+  describe('purgeDeletedRecords', () => {
+    it('should keep deleted records within the retention period', async () => {
+      await request(app).delete(`/api/patients/${patientId}`).set(auth()).expect(200);
+
+      await purgeDeletedRecords(new Date(), 30);
+
+      expect(await prisma.patient.count({ where: { id: patientId } })).toBe(1);
+    });
+
+    it('should keep everything when retention is turned off', async () => {
+      const purged = await purgeDeletedRecords(new Date(Date.now() + 365 * DAY_MS), 0);
+
+      expect(purged).toEqual({ patients: 0, intakes: 0, summaries: 0, intakeLinks: 0 });
+    });
+
+    it('should permanently remove records past the retention period', async () => {
+      const purged = await purgeDeletedRecords(new Date(Date.now() + 31 * DAY_MS), 30);
+
+      // Other suites may have deleted records of their own
+      expect(purged.patients).toBeGreaterThanOrEqual(1);
+      expect(await prisma.patient.count({ where: { id: patientId } })).toBe(0);
+      expect(await prisma.intake.count({ where: { id: intakeId } })).toBe(0);
+      expect(await prisma.summary.count({ where: { id: summaryId } })).toBe(0);
+      expect(await prisma.intakeLink.count({ where: { token } })).toBe(0);
+
+      const auditRes = await request(app)
+        .get('/api/audit-logs')
+        .query({ action: 'PURGE', entityId: patientId })
+        .set(auth())
+        .expect(200);
+      expect(auditRes.body.data.auditLogs).toEqual([
+        expect.objectContaining({ entityType: 'PATIENT', userId: null }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const {
+  normalizeDoctorEdits,
+  applyDoctorEdits,
+  diffSummaryViews,
+} = require('../src/services/summaryEditService');
+
+describe('Summary Edits', () => {
+  const structured = {
+    chiefComplaint: 'Chest pain for 2 days',
+    relevantHistory: 'Type 2 diabetes',
+    redFlags: [
+      { flag: 'Chest pain with radiation', severity: 'high', source: 'AI' },
+      { flag: 'Hopelessness', severity: 'medium', source: 'AI' },
+    ],
+  };
+
+  describe('normalizeDoctorEdits', () => {
+    it('should default missing fields and mark added flags as manual', () => {
+      const edits = normalizeDoctorEdits({
+        additionalNotes: 'Call patient',
+        addedRedFlags: [{ flag: 'Syncope', severity: 'high', source: 'AI' }],
+        unexpected: true,
+      });
+
+      expect(edits).toEqual({
+        chiefComplaint: null,
+        relevantHistory: null,
+        additionalNotes: 'Call patient',
+        dismissedRedFlags: [],
+        addedRedFlags: [
+          { flag: 'Syncope', severity: 'high', details: null, recommendation: null, source: 'MANUAL' },
+        ],
+      });
+    });
+  });
+
+  describe('applyDoctorEdits', () => {
+    it('should return the AI original without edits', () => {
+      const view = applyDoctorEdits(structured, null);
+
+      expect(view.chiefComplaint).toBe('Chest pain for 2 days');
+      expect(view.additionalNotes).toBeNull();
+      expect(view.redFlags).toHaveLength(2);
+    });
+
+    it('should override text and dismiss or add red flags', () => {
+      const view = applyDoctorEdits(
+        structured,
+        normalizeDoctorEdits({
+          chiefComplaint: 'Exertional chest pressure',
+          dismissedRedFlags: ['Hopelessness-medium'],
+          addedRedFlags: [{ flag: 'Syncope', severity: 'high' }],
+        })
+      );
+
+      expect(view.chiefComplaint).toBe('Exertional chest pressure');
+      expect(view.relevantHistory).toBe('Type 2 diabetes');
+      expect(view.redFlags.map((rf) => rf.flag)).toEqual(['Chest pain with radiation', 'Syncope']);
+    });
+
+    it('should not mutate the original summary', () => {
+      applyDoctorEdits(structured, normalizeDoctorEdits({ dismissedRedFlags: ['Hopelessness-medium'] }));
+
+      expect(structured.redFlags).toHaveLength(2);
+    });
+  });
+
+  describe('diffSummaryViews', () => {
+    it('should report changed fields and red flag changes', () => {
+      const before = applyDoctorEdits(structured, null);
+      const after = applyDoctorEdits(
+        structured,
+        normalizeDoctorEdits({
+          additionalNotes: 'Order ECG',
+          dismissedRedFlags: ['Hopelessness-medium'],
+          addedRedFlags: [{ flag: 'Syncope', severity: 'high' }],
+        })
+      );
+
+      const diff = diffSummaryViews(before, after);
+
+      expect(diff.fields).toEqual([{ field: 'additionalNotes', before: null, after: 'Order ECG' }]);
+      expect(diff.redFlags.added.map((rf) => rf.flag)).toEqual(['Syncope']);
+      expect(diff.redFlags.removed.map((rf) => rf.flag)).toEqual(['Hopelessness']);
+    });
+
+    it('should report no changes for identical versions', () => {
+      const view = applyDoctorEdits(structured, null);
+
+      expect(diffSummaryViews(view, view)).toEqual({
+        fields: [],
+        redFlags: { added: [], removed: [] },
+      });
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const {
+  parseStructuredSummary,
+  renderSummaryMarkdown,
+} = require('../src/services/summarySchema');
+
+describe('Structured Summary Parsing', () => {
+  const validOutput = {
+    chiefComplaint: 'Lower back pain for 3 weeks',
+    medications: [{ name: 'Ibuprofen', dosage: '400mg', frequency: 'As needed', purpose: 'Pain' }],
+    systemsReview: { musculoskeletal: 'Lower back pain', cardiovascular: '' },
+    relevantHistory: 'Hypertension',
+    lifestyle: { smoking: 'Never', alcohol: null },
+    redFlags: [{ flag: 'Saddle anesthesia', severity: 'HIGH', recommendation: 'Urgent MRI' }],
+  };
+
+  describe('parseStructuredSummary', () => {
+    it('should parse valid JSON output', () => {
+      const structured = parseStructuredSummary(JSON.stringify(validOutput));
+
+      expect(structured.chiefComplaint).toBe('Lower back pain for 3 weeks');
+      expect(structured.medications).toEqual([
+        {
+          name: 'Ibuprofen',
+          dosage: '400mg',
+          frequency: 'As needed',
+          purpose: 'Pain',
+          isVerified: null,
+        },
+      ]);
+      expect(structured.allergies).toEqual([]);
+      expect(structured.redFlags[0]).toEqual({
+        flag: 'Saddle anesthesia',
+        severity: 'high',
+        details: null,
+        recommendation: 'Urgent MRI',
+        source: 'AI',
+        isVerified: null,
+      });
+    });
+
+    it('should fill every organ system and lifestyle factor', () => {
+      const structured = parseStructuredSummary(JSON.stringify(validOutput));
+
+      expect(Object.keys(structured.systemsReview)).toHaveLength(9);
+      expect(structured.systemsReview.cardiovascular).toBeNull();
+      expect(structured.systemsReview.endocrine).toBeNull();
+      expect(Object.keys(structured.lifestyle)).toHaveLength(6);
+      expect(structured.lifestyle.smoking).toBe('Never');
+    });
+
+    it('should repair output wrapped in code fences', () => {
+      const text = '```json\n' + JSON.stringify(validOutput) + '\n```';
+
+      expect(parseStructuredSummary(text).chiefComplaint).toBe('Lower back pain for 3 weeks');
+    });
+
+    it('should coerce loose types', () => {
+      const structured = parseStructuredSummary(
+        JSON.stringify({
+          medications: ['Metformin', { dosage: '10mg' }],
+          redFlags: ['Chest pain', { flag: 'Syncope', severity: 'critical' }, { flag: 'Rash', severity: 'unknown' }],
+        })
+      );
+
+      expect(structured.chiefComplaint).toBe('');
+      expect(structured.medications.map((m) => m.name)).toEqual(['Metformin']);
+      expect(structured.redFlags.map((rf) => rf.severity)).toEqual(['medium', 'high', 'medium']);
+    });
+
+    it('should return null for unparseable output', () => {
+      expect(parseStructuredSummary('The patient reports back pain.')).toBeNull();
+      expect(parseStructuredSummary('[1, 2, 3]')).toBeNull();
+      expect(parseStructuredSummary('')).toBeNull();
+    });
+  });
+
+  describe('renderSummaryMarkdown', () => {
+    it('should render all sections', () => {
+      const markdown = renderSummaryMarkdown(parseStructuredSummary(JSON.stringify(validOutput)));
+
+      expect(markdown).toContain('## Chief Complaint\nLower back pain for 3 weeks');
+      expect(markdown).toContain('- Ibuprofen (400mg, As needed) - Pain');
+      expect(markdown).toContain('- **Musculoskeletal:** Lower back pain');
+      expect(markdown).toContain('[RED FLAG] **Saddle anesthesia** (high)');
+      expect(markdown).not.toContain('Cardiovascular');
+    });
+
+    it('should state when there are no red flags', () => {
+      const markdown = renderSummaryMarkdown(
+        parseStructuredSummary(JSON.stringify({ ...validOutput, redFlags: [] }))
+      );
+
+      expect(markdown).toContain('No immediate red flags identified');
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  generateTotp,
+  verifyTotp,
+  otpauthUri,
+  generateBackupCodes,
+  normalizeBackupCode,
+} = require('../src/services/totpService');
+
+describe('TOTP', () => {
+  // RFC 6238 appendix B test secret (SHA-1)
+  const rfcKey = Buffer.from('12345678901234567890');
+  const rfcSecret = base32Encode(rfcKey);
+
+  describe('base32', () => {
+    it('should round-trip bytes', () => {
+      const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it('should encode the RFC 4648 examples without padding', () => {
+      expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+      expect(base32Decode('mzxw 6ytb oi==').toString()).toBe('foobar');
+    });
+
+    it('should reject characters outside the alphabet', () => {
+      expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('hotp', () => {
+    it('should match the RFC 6238 test vectors', () => {
+      const vectors = [
+        [59, '94287082'],
+        [1111111109, '07081804'],
+        [1111111111, '14050471'],
+        [1234567890, '89005924'],
+        [2000000000, '69279037'],
+      ];
+
+      for (const [seconds, expected] of vectors) {
+        expect(hotp(rfcKey, Math.floor(seconds / 30), 8)).toBe(expected);
+      }
+    });
+  });
+
+  describe('verifyTotp', () => {
+    const timeMs = 1111111111 * 1000;
+
+    it('should accept the current code and return its step', () => {
+      expect(verifyTotp(rfcSecret, '050471', { timeMs })).toBe(Math.floor(1111111111 / 30));
+    });
+
+    it('should allow one step of clock drift but no more', () => {
+      const secret = generateSecret();
+      const now = Date.now();
+
+      expect(verifyTotp(secret, generateTotp(secret, now - 30000), { timeMs: now })).not.toBeNull();
+      expect(verifyTotp(secret, generateTotp(secret, now + 30000), { timeMs: now })).not.toBeNull();
+      expect(verifyTotp(secret, generateTotp(secret, now + 90000), { timeMs: now })).toBeNull();
+    });
+
+    it('should refuse a code from a step that was already used', () => {
+      const step = verifyTotp(rfcSecret, '050471', { timeMs });
+
+      expect(verifyTotp(rfcSecret, '050471', { timeMs, afterStep: step })).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(verifyTotp(rfcSecret, 'abcdef', { timeMs })).toBeNull();
+      expect(verifyTotp(rfcSecret, '50471', { timeMs })).toBeNull();
+      expect(verifyTotp(rfcSecret, '050 471', { timeMs })).not.toBeNull();
+    });
+  });
+
+  describe('otpauthUri', () => {
+    it('should build an enrollment URI with the issuer and account', () => {
+      const uri = otpauthUri({
+        secret: 'JBSWY3DPEHPK3PXP',
+        accountName: 'dr@example.com',
+        issuer: 'IntakeAI',
+      });
+
+      expect(uri).toBe(
+        'otpauth://totp/IntakeAI%3Adr%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=IntakeAI' +
+          '&algorithm=SHA1&digits=6&period=30'
+      );
+    });
+  });
+
+  describe('backup codes', () => {
+    it('should generate distinct codes that normalize consistently', () => {
+      const codes = generateBackupCodes(10);
+
+      expect(new Set(codes).size).toBe(10);
+      expect(codes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+      expect(normalizeBackupCode(` ${codes[0].toUpperCase()} `)).toBe(codes[0].replace('-', ''));
+    });
+  });
+});
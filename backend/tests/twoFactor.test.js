@@ -0,0 +1,183 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { PrismaClient } = require('@prisma/client');
+const { generateTotp } = require('../src/services/totpService');
+
+const prisma = new PrismaClient();
+
+describe('Two-Factor Authentication', () => {
+  let ownerToken;
+  let secret;
+  let backupCodes;
+  let challengeToken;
+
+  const owner = {
+    email: '2fa-owner@example.com',
+    password: 'OwnerPass123',
+    firstName: 'Tess',
+    lastName: 'Factor',
+    practiceName: 'Two Factor Clinic',
+  };
+
+  const member = {
+    email: '2fa-member@example.com',
+    password: 'MemberPass123',
+    firstName: 'Max',
+    lastName: 'Member',
+    role: 'CLINICIAN',
+  };
+
+  const emails = [owner.email, member.email];
+
+  // A code for the next time step, so it is newer than the one used to enable 2FA
+  const nextCode = () => generateTotp(secret, Date.now() + 30 * 1000);
+
+  const verify = (factor) =>
+    request(app).post('/api/auth/2fa/verify').send({ challengeToken, ...factor });
+
+  beforeAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: { in: emails } } } } },
+    });
+    await prisma.user.deleteMany({ where: { email: { in: emails } } });
+
+    const registerRes = await request(app).post('/api/auth/register').send(owner);
+    ownerToken = registerRes.body.data.accessToken;
+
+    await request(app)
+      .post('/api/practice/members')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send(member);
+  });
+
+  afterAll(async () => {
+    await prisma.practice.deleteMany({
+      where: { members: { some: { user: { email: { in: emails } } } } },
+    });
+    await prisma.user.deleteMany({ where: { email: { in: emails } } });
+    await prisma.$disconnect();
+  });
+
+  describe('enrollment', () => {
+    it('should return a secret and otpauth URI', async () => {
+      const res = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      secret = res.body.data.secret;
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(res.body.data.otpauthUri).toContain(`secret=${secret}`);
+      expect(res.body.data.otpauthUri).toContain('2fa-owner%40example.com');
+    });
+
+    it('should not enable with a wrong code', async () => {
+      const wrong = generateTotp(secret, Date.now() + 10 * 60 * 1000);
+
+      await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ code: wrong })
+        .expect(400);
+    });
+
+    it('should enable with a valid code and return backup codes once', async () => {
+      const res = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ code: generateTotp(secret) })
+        .expect(200);
+
+      backupCodes = res.body.data.backupCodes;
+      expect(backupCodes).toHaveLength(10);
+
+      const stored = await prisma.twoFactorBackupCode.findMany({
+        where: { user: { email: owner.email } },
+      });
+      expect(stored.map((code) => code.codeHash)).not.toContain(backupCodes[0]);
+    });
+  });
+
+  describe('login', () => {
+    it('should ask for a second factor instead of issuing tokens', async () => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: owner.email, password: owner.password })
+        .expect(200);
+
+      challengeToken = res.body.data.challengeToken;
+      expect(res.body.data.twoFactorRequired).toBe(true);
+      expect(res.body.data.accessToken).toBeUndefined();
+      expect(res.headers['set-cookie']).toBeUndefined();
+    });
+
+    it('should not accept the challenge token as an access token', async () => {
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${challengeToken}`)
+        .expect(401);
+    });
+
+    it('should reject a wrong backup code', async () => {
+      await verify({ backupCode: 'aaaaa-bbbbb' }).expect(401);
+    });
+
+    it('should complete login with an authenticator code, once', async () => {
+      const code = nextCode();
+
+      const res = await verify({ code }).expect(200);
+      ownerToken = res.body.data.accessToken;
+      expect(ownerToken).toBeDefined();
+
+      await verify({ code }).expect(401);
+    });
+
+    it('should complete login with a backup code, once', async () => {
+      const res = await verify({ backupCode: backupCodes[0].toUpperCase() }).expect(200);
+      expect(res.body.data.backupCodesRemaining).toBe(9);
+
+      await verify({ backupCode: backupCodes[0] }).expect(401);
+    });
+  });
+
+  describe('practice requirement', () => {
+    it('should let an owner with 2FA require it for the practice', async () => {
+      const res = await request(app)
+        .patch('/api/practice')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ requireTwoFactor: true })
+        .expect(200);
+
+      expect(res.body.data.practice.requireTwoFactor).toBe(true);
+    });
+
+    it('should limit members without 2FA to setting it up', async () => {
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: member.email, password: member.password })
+        .expect(200);
+
+      expect(loginRes.body.data.twoFactorSetupRequired).toBe(true);
+      const memberToken = loginRes.body.data.accessToken;
+
+      const res = await request(app)
+        .get('/api/patients')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(403);
+      expect(res.body.error.code).toBe('TWO_FACTOR_REQUIRED');
+
+      await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(200);
+    });
+
+    it('should not let members turn 2FA off while it is required', async () => {
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ password: owner.password, backupCode: backupCodes[1] })
+        .expect(403);
+    });
+  });
+});